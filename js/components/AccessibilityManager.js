@@ -434,4 +434,9 @@ class AccessibilityManager {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AccessibilityManager;
-}
\ No newline at end of file
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AccessibilityManager = AccessibilityManager;
+}
@@ -0,0 +1,244 @@
+/**
+ * AchievementManager - Unlocks badges from mini-game events
+ * Listens to the 'progress' and 'gameover' events of every game the registry
+ * creates and checks them against declarative achievement rules.
+ */
+
+// Each rule field accepts { min } (>=), { below } (<) or { equals }
+const ACHIEVEMENTS = [
+    {
+        id: 'snake-length-10',
+        gameId: 'snake',
+        event: 'progress',
+        when: { length: { min: 10 } },
+        icon: '🐍',
+        title: 'Growing Up',
+        description: 'Reach a length of 10 in Snake'
+    },
+    {
+        id: 'snake-length-25',
+        gameId: 'snake',
+        event: 'progress',
+        when: { length: { min: 25 } },
+        icon: '🐉',
+        title: 'Serpent King',
+        description: 'Reach a length of 25 in Snake'
+    },
+    {
+        id: '2048-tile-512',
+        gameId: '2048',
+        event: 'progress',
+        when: { maxTile: { min: 512 } },
+        icon: '🔢',
+        title: 'Halfway There',
+        description: 'Create a 512 tile in 2048'
+    },
+    {
+        id: '2048-tile-1024',
+        gameId: '2048',
+        event: 'progress',
+        when: { maxTile: { min: 1024 } },
+        icon: '🧮',
+        title: 'So Close',
+        description: 'Create a 1024 tile in 2048'
+    },
+    {
+        id: '2048-tile-2048',
+        gameId: '2048',
+        event: 'progress',
+        when: { maxTile: { min: 2048 } },
+        icon: '🏅',
+        title: '2048!',
+        description: 'Create the 2048 tile'
+    },
+    {
+        id: 'sudoku-no-hints',
+        gameId: 'sudoku',
+        event: 'gameover',
+        when: { solved: { equals: true }, hintsUsed: { equals: 0 } },
+        icon: '🧩',
+        title: 'Pure Logic',
+        description: 'Solve a Sudoku without using hints'
+    },
+    {
+        id: 'typing-80-wpm',
+        gameId: 'typing',
+        event: 'gameover',
+        when: { wpm: { min: 80 }, accuracy: { min: 98 }, ranked: { equals: true } },
+        icon: '⌨️',
+        title: 'Keyboard Virtuoso',
+        description: 'Type at 80+ WPM with at least 98% accuracy in a timed word-list test'
+    },
+    {
+        id: 'reaction-under-200',
+        gameId: 'reaction-time',
+        event: 'gameover',
+        when: { score: { below: 200 } },
+        icon: '⚡',
+        title: 'Lightning Reflexes',
+        description: 'React in under 200ms'
+    }
+];
+
+class AchievementManager {
+    constructor(definitions = ACHIEVEMENTS, store = window.scoreStore) {
+        this.definitions = definitions;
+        this.store = store;
+        this.unlockHandlers = [];
+        this.toastContainer = null;
+    }
+
+    /**
+     * Start listening to every game the registry creates
+     * @param {GameRegistry} registry - Game registry
+     */
+    init(registry = window.gameRegistry) {
+        if (registry) {
+            registry.onCreate(game => this.watch(game));
+        }
+    }
+
+    /**
+     * Listen to a single game instance
+     * @param {BaseGame} game - Game instance
+     */
+    watch(game) {
+        game.on('progress', payload => this.evaluate(game.gameId, 'progress', payload));
+        game.on('gameover', payload => this.evaluate(game.gameId, 'gameover', payload));
+    }
+
+    /**
+     * Check a game event against every locked achievement
+     * @param {string} gameId - Game id
+     * @param {string} eventName - progress or gameover
+     * @param {Object} payload - Event payload
+     * @returns {Array} Newly unlocked achievements
+     */
+    evaluate(gameId, eventName, payload) {
+        if (!this.store || !payload) return [];
+
+        const unlocked = this.definitions.filter(definition =>
+            definition.gameId === gameId &&
+            definition.event === eventName &&
+            !this.isUnlocked(definition.id) &&
+            this.matches(definition.when, payload)
+        );
+
+        unlocked.forEach(definition => this.unlock(definition));
+        return unlocked;
+    }
+
+    /**
+     * Check whether a payload satisfies every rule field
+     * @param {Object} when - Rule fields
+     * @param {Object} payload - Event payload
+     * @returns {boolean} True if every field matches
+     */
+    matches(when, payload) {
+        return Object.keys(when).every(field => {
+            const rule = when[field];
+            const value = payload[field];
+
+            if (rule.equals !== undefined && value !== rule.equals) return false;
+            if (rule.min !== undefined && !(typeof value === 'number' && value >= rule.min)) return false;
+            if (rule.below !== undefined && !(typeof value === 'number' && value < rule.below)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Unlock an achievement and tell the player
+     * @param {Object} definition - Achievement definition
+     */
+    unlock(definition) {
+        if (!this.store.unlockAchievement(definition.id)) return;
+
+        this.showToast(definition);
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announceToScreenReader(
+                `Achievement unlocked: ${definition.title}. ${definition.description}`
+            );
+        }
+
+        this.unlockHandlers.forEach(handler => {
+            try {
+                handler(definition);
+            } catch (error) {
+                console.error('Error in achievement handler:', error);
+            }
+        });
+    }
+
+    /**
+     * Whether an achievement is unlocked
+     * @param {string} achievementId - Achievement id
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(achievementId) {
+        return !!this.store && this.store.getAchievementUnlockDate(achievementId) !== null;
+    }
+
+    /**
+     * Every achievement with its unlock date
+     * @returns {Array} Definitions with an unlockedAt field (null when locked)
+     */
+    getAll() {
+        return this.definitions.map(definition => ({
+            ...definition,
+            unlockedAt: this.store ? this.store.getAchievementUnlockDate(definition.id) : null
+        }));
+    }
+
+    /**
+     * Subscribe to unlocks
+     * @param {Function} handler - Called with the unlocked definition
+     * @returns {Function} Unsubscribe function
+     */
+    onUnlock(handler) {
+        this.unlockHandlers.push(handler);
+        return () => {
+            this.unlockHandlers = this.unlockHandlers.filter(h => h !== handler);
+        };
+    }
+
+    /**
+     * Show a short-lived toast for an unlock
+     * @param {Object} definition - Achievement definition
+     */
+    showToast(definition) {
+        if (!this.toastContainer) {
+            this.toastContainer = document.createElement('div');
+            this.toastContainer.className = 'achievement-toasts';
+            // Screen readers get the live-region announcement instead
+            this.toastContainer.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.toastContainer);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <span class="achievement-toast-icon">${definition.icon}</span>
+            <div>
+                <strong>Achievement unlocked!</strong>
+                <p>${definition.title}</p>
+            </div>
+        `;
+        this.toastContainer.appendChild(toast);
+
+        setTimeout(() => toast.classList.add('hide'), 3500);
+        setTimeout(() => toast.remove(), 4000);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AchievementManager, ACHIEVEMENTS };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AchievementManager = AchievementManager;
+    window.achievementManager = window.achievementManager || new AchievementManager();
+    window.achievementManager.init();
+}
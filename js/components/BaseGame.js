@@ -0,0 +1,384 @@
+/**
+ * BaseGame - Shared lifecycle contract for every mini-game
+ * Subclasses render into their container on mount() and are driven by the hub
+ * exclusively through mount/start/pause/resume/reset/destroy/getState.
+ */
+class BaseGame {
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.gameId = null;
+        this.status = 'idle'; // idle, running, paused, over
+        this.mounted = false;
+        this.eventHandlers = {};
+        this.documentListeners = [];
+        this.scoreOrder = 'higher'; // 'lower' for times, moves and attempts
+        this.pausable = false; // true for games with loops or timers (pause overlay, auto-pause)
+        this.pauseKeys = ['p', ' ']; // games that use Space for play drop it here
+        this.runningSince = null;
+        this.unreportedTime = 0;
+        this.settingsModel = null;
+        this.difficulty = 'normal';
+        this.customSettings = null;
+        this.settings = {};
+    }
+
+    /**
+     * Render the game into its container and attach its listeners
+     * @returns {BaseGame} The mounted instance
+     */
+    mount() {
+        if (this.mounted) {
+            return this;
+        }
+        if (!this.container) {
+            throw new Error(`Container #${this.containerId} not found`);
+        }
+
+        this.loadSettings();
+        this.init();
+        this.mounted = true;
+        this.emit('mount', this.getState());
+
+        return this;
+    }
+
+    /**
+     * First render of the game; subclasses override
+     */
+    init() {}
+
+    /**
+     * Start (or restart) play
+     */
+    start() {
+        this.setStatus('running');
+    }
+
+    /**
+     * Pause a running game
+     */
+    pause() {
+        if (this.status === 'running') {
+            this.setStatus('paused');
+        }
+    }
+
+    /**
+     * Resume a paused game
+     */
+    resume() {
+        if (this.status === 'paused') {
+            this.setStatus('running');
+        }
+    }
+
+    /**
+     * Return the game to its initial state
+     */
+    reset() {
+        this.setStatus('idle');
+    }
+
+    /**
+     * Tear the game down: listeners, timers and DOM
+     */
+    destroy() {
+        this.setStatus('idle');
+        this.flushPlayTime();
+        this.removeDocumentListeners();
+        if (typeof window !== 'undefined' && window.initialsPrompt) {
+            window.initialsPrompt.close(null);
+        }
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.mounted = false;
+        this.emit('destroy', this.getState());
+        this.eventHandlers = {};
+    }
+
+    /**
+     * Snapshot of the public game state
+     * @returns {Object} State with id, status and score (when the game keeps one)
+     */
+    getState() {
+        return {
+            id: this.gameId,
+            status: this.status,
+            score: typeof this.score === 'number' ? this.score : null
+        };
+    }
+
+    /**
+     * Update lifecycle status and notify listeners
+     * @param {string} status - idle, running, paused or over
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+
+        const previous = this.status;
+        this.status = status;
+        this.trackPlayTime(status, previous);
+        this.emit('statechange', { status, previous });
+    }
+
+    /**
+     * Subscribe to a game event
+     * @param {string} eventName - statechange, progress, gameover, settingschange, mount, destroy...
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(eventName, handler) {
+        if (!this.eventHandlers[eventName]) {
+            this.eventHandlers[eventName] = [];
+        }
+        this.eventHandlers[eventName].push(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Unsubscribe from a game event
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(eventName, handler) {
+        const handlers = this.eventHandlers[eventName];
+        if (!handlers) return;
+        this.eventHandlers[eventName] = handlers.filter(h => h !== handler);
+    }
+
+    /**
+     * Notify subscribers of a game event
+     * @param {string} eventName - Event name
+     * @param {*} payload - Event payload
+     */
+    emit(eventName, payload) {
+        const handlers = this.eventHandlers[eventName];
+        if (!handlers) return;
+
+        handlers.slice().forEach(handler => {
+            try {
+                handler(payload, this);
+            } catch (error) {
+                console.error(`Error in ${eventName} handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Report the end of a round
+     * @param {Object} result - Result payload, at least { score }
+     */
+    endRound(result) {
+        this.setStatus('over');
+
+        const store = this.getScoreStore();
+        if (store) {
+            const { isNewBest } = store.recordResult(this.gameId, {
+                score: result.score,
+                lowerIsBetter: this.scoreOrder === 'lower',
+                duration: this.unreportedTime,
+                difficulty: this.getDifficulty()
+            });
+            this.unreportedTime = 0;
+            result = { ...result, isNewBest };
+            this.promptForLeaderboard(result.score);
+        }
+
+        this.emit('gameover', result);
+    }
+
+    /**
+     * Ask for initials when a score makes the game's top 10
+     * @param {number|null} score - Round score
+     */
+    promptForLeaderboard(score) {
+        const store = this.getScoreStore();
+        const lowerIsBetter = this.scoreOrder === 'lower';
+        const difficulty = this.getDifficulty();
+
+        if (!store || !window.initialsPrompt ||
+            !store.qualifiesForLeaderboard(this.gameId, score, { lowerIsBetter, difficulty })) {
+            return;
+        }
+
+        const gameId = this.gameId;
+        window.initialsPrompt.open({ score, initials: store.getPlayerInitials() }).then(initials => {
+            if (initials) {
+                store.addLeaderboardEntry(gameId, { initials, score, difficulty }, lowerIsBetter);
+            }
+        });
+    }
+
+    /**
+     * Declare the game's tunable values and difficulty presets
+     * Called from subclass constructors; this.settings holds the normal
+     * preset until mount() loads the player's saved choice.
+     * @param {Object} definition - { fields, presets } (see GameSettings)
+     */
+    defineSettings(definition) {
+        this.settingsModel = new GameSettings(definition);
+        this.settings = this.settingsModel.resolve('normal');
+    }
+
+    /**
+     * Apply the difficulty saved in the profile
+     */
+    loadSettings() {
+        if (!this.settingsModel) return;
+
+        const store = this.getScoreStore();
+        const saved = store ? store.getGameSettings(this.gameId) : null;
+
+        if (saved && this.settingsModel.isValidDifficulty(saved.difficulty)) {
+            this.difficulty = saved.difficulty;
+            this.customSettings = saved.custom;
+        }
+        this.settings = this.settingsModel.resolve(this.difficulty, this.customSettings);
+    }
+
+    /**
+     * Switch difficulty and restart the game with the new settings
+     * @param {string} difficulty - easy, normal, hard or custom
+     * @param {Object} custom - Player values, required for custom
+     */
+    setDifficulty(difficulty, custom = null) {
+        if (!this.settingsModel || !this.settingsModel.isValidDifficulty(difficulty)) {
+            throw new Error(`Unsupported difficulty "${difficulty}"`);
+        }
+
+        this.difficulty = difficulty;
+        if (difficulty === 'custom') {
+            this.customSettings = this.settingsModel.sanitize(custom || this.customSettings);
+        }
+        this.settings = this.settingsModel.resolve(difficulty, this.customSettings);
+
+        const store = this.getScoreStore();
+        if (store) {
+            store.setGameSettings(this.gameId, { difficulty, custom: this.customSettings });
+        }
+
+        this.reset();
+        this.emit('settingschange', { difficulty, settings: { ...this.settings } });
+    }
+
+    /**
+     * Difficulty the current round is played on
+     * @returns {string} Difficulty name
+     */
+    getDifficulty() {
+        return this.difficulty;
+    }
+
+    /**
+     * Accumulate time spent in the running state
+     * @param {string} status - New status
+     * @param {string} previous - Previous status
+     */
+    trackPlayTime(status, previous) {
+        if (previous === 'running' && this.runningSince !== null) {
+            this.unreportedTime += Date.now() - this.runningSince;
+            this.runningSince = null;
+        }
+        if (status === 'running') {
+            this.runningSince = Date.now();
+        }
+    }
+
+    /**
+     * Report time played since the last finished round
+     */
+    flushPlayTime() {
+        const store = this.getScoreStore();
+        if (store && this.unreportedTime > 0) {
+            store.addPlayTime(this.gameId, this.unreportedTime);
+        }
+        this.unreportedTime = 0;
+    }
+
+    /**
+     * Shared score store, when the game was created through the registry
+     * @returns {ScoreStore|null} Score store or null
+     */
+    getScoreStore() {
+        if (!this.gameId || typeof window === 'undefined' || !window.scoreStore) {
+            return null;
+        }
+        return window.scoreStore;
+    }
+
+    /**
+     * Best score saved for this game on the current difficulty
+     * @returns {number|null} Best score or null
+     */
+    getBestScore() {
+        const store = this.getScoreStore();
+        return store ? store.getBest(this.gameId, this.getDifficulty()) : null;
+    }
+
+    /**
+     * Save a best score mid-round
+     * @param {number} score - Score
+     * @returns {boolean} True if it is a new best for the current difficulty
+     */
+    saveBestScore(score) {
+        const store = this.getScoreStore();
+        return store
+            ? store.updateBest(this.gameId, score, this.scoreOrder === 'lower', this.getDifficulty())
+            : false;
+    }
+
+    /**
+     * Read a game-specific statistic from the profile
+     * @param {string} key - Statistic name
+     * @returns {*} Value or null
+     */
+    getStat(key) {
+        const store = this.getScoreStore();
+        return store ? store.getStat(this.gameId, key) : null;
+    }
+
+    /**
+     * Save a game-specific statistic to the profile
+     * @param {string} key - Statistic name
+     * @param {*} value - Value
+     */
+    saveStat(key, value) {
+        const store = this.getScoreStore();
+        if (store) {
+            store.setStat(this.gameId, key, value);
+        }
+    }
+
+    /**
+     * Add a document-level listener that is removed on destroy()
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object} options - addEventListener options
+     */
+    addDocumentListener(type, handler, options) {
+        document.addEventListener(type, handler, options);
+        this.documentListeners.push({ type, handler, options });
+    }
+
+    /**
+     * Remove every listener registered through addDocumentListener()
+     */
+    removeDocumentListeners() {
+        this.documentListeners.forEach(({ type, handler, options }) => {
+            document.removeEventListener(type, handler, options);
+        });
+        this.documentListeners = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseGame;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.BaseGame = BaseGame;
+}
@@ -0,0 +1,116 @@
+/**
+ * DifficultyPicker - Easy/Normal/Hard/Custom selector for a mounted game
+ * Rendered by the host page next to the game container, so games only
+ * need to declare their settings. Picking a difficulty restarts the game.
+ */
+const DIFFICULTY_LABELS = {
+    easy: 'Easy',
+    normal: 'Normal',
+    hard: 'Hard',
+    custom: 'Custom'
+};
+
+class DifficultyPicker {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     * @param {BaseGame} game - Mounted game instance
+     */
+    constructor(container, game) {
+        this.container = container;
+        this.game = game;
+        this.showCustom = game.getDifficulty() === 'custom';
+        this.render();
+    }
+
+    render() {
+        const model = this.game.settingsModel;
+        if (!this.container) return;
+        if (!model) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const current = this.game.getDifficulty();
+        const idPrefix = `${this.game.containerId}-difficulty`;
+
+        this.container.innerHTML = `
+            <div class="difficulty-picker">
+                <div class="difficulty-options" role="group" aria-label="Difficulty (changing it restarts the game)">
+                    <span class="difficulty-label" aria-hidden="true">Difficulty:</span>
+                    ${model.getDifficulties().map(difficulty => `
+                        <button type="button" class="difficulty-btn ${difficulty === current ? 'active' : ''}"
+                                data-difficulty="${difficulty}"
+                                aria-pressed="${difficulty === current}">
+                            ${DIFFICULTY_LABELS[difficulty]}
+                        </button>
+                    `).join('')}
+                </div>
+                ${this.showCustom ? `
+                    <form class="difficulty-custom">
+                        ${model.fields.map(field => `
+                            <label for="${idPrefix}-${field.key}">
+                                ${field.label}
+                                <input type="number" id="${idPrefix}-${field.key}" name="${field.key}"
+                                       min="${field.min}" max="${field.max}" step="${field.step || 1}"
+                                       value="${this.game.settings[field.key]}">
+                            </label>
+                        `).join('')}
+                        <button type="submit" class="btn">Apply</button>
+                    </form>
+                ` : ''}
+            </div>
+        `;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        this.container.querySelectorAll('.difficulty-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const difficulty = btn.dataset.difficulty;
+                if (difficulty === 'custom') {
+                    // Custom values are applied from the form
+                    this.showCustom = true;
+                    this.render();
+                    return;
+                }
+
+                this.showCustom = false;
+                this.game.setDifficulty(difficulty);
+                this.render();
+            });
+        });
+
+        const form = this.container.querySelector('.difficulty-custom');
+        if (form) {
+            // Keep game shortcuts (arrows, space) from reacting while editing values
+            form.addEventListener('keydown', (e) => e.stopPropagation());
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const custom = {};
+                this.game.settingsModel.fields.forEach(field => {
+                    custom[field.key] = form.elements[field.key].value;
+                });
+                this.game.setDifficulty('custom', custom);
+                this.render();
+            });
+        }
+    }
+
+    destroy() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.game = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifficultyPicker;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DifficultyPicker = DifficultyPicker;
+}
@@ -0,0 +1,113 @@
+/**
+ * GameRegistry - Lookup table of mini-game classes by game id
+ * Each file in js/games registers its class here so the hub never has to
+ * reach into window for a class name.
+ */
+class GameRegistry {
+    constructor() {
+        this.games = new Map();
+        this.createHandlers = [];
+    }
+
+    /**
+     * Register a game class
+     * @param {string} gameId - Unique game id (e.g. 'snake')
+     * @param {Function} GameClass - Class extending BaseGame
+     */
+    register(gameId, GameClass) {
+        if (!gameId || typeof GameClass !== 'function') {
+            throw new GameRegistryError('register() needs a game id and a game class');
+        }
+        if (this.games.has(gameId) && this.games.get(gameId) !== GameClass) {
+            console.warn(`Game "${gameId}" is already registered, replacing it`);
+        }
+        this.games.set(gameId, GameClass);
+    }
+
+    /**
+     * Check whether a game is registered
+     * @param {string} gameId - Game id
+     * @returns {boolean} True if registered
+     */
+    has(gameId) {
+        return this.games.has(gameId);
+    }
+
+    /**
+     * Get a registered game class
+     * @param {string} gameId - Game id
+     * @returns {Function|null} Game class or null
+     */
+    get(gameId) {
+        return this.games.get(gameId) || null;
+    }
+
+    /**
+     * List registered game ids
+     * @returns {Array<string>} Game ids in registration order
+     */
+    list() {
+        return Array.from(this.games.keys());
+    }
+
+    /**
+     * Create and mount a game instance
+     * @param {string} gameId - Game id
+     * @param {string} containerId - Id of the element to render into
+     * @returns {BaseGame} Mounted game instance
+     */
+    create(gameId, containerId) {
+        const GameClass = this.get(gameId);
+        if (!GameClass) {
+            throw new GameRegistryError(`Game "${gameId}" is not registered`);
+        }
+
+        const instance = new GameClass(containerId);
+        instance.gameId = gameId;
+
+        // Let hub-wide services (achievements...) subscribe before the first render
+        this.createHandlers.forEach(handler => {
+            try {
+                handler(instance);
+            } catch (error) {
+                console.error('Error in game create handler:', error);
+            }
+        });
+
+        return instance.mount();
+    }
+
+    /**
+     * Run a callback for every game instance the registry creates
+     * @param {Function} handler - Called with the new instance
+     * @returns {Function} Unsubscribe function
+     */
+    onCreate(handler) {
+        this.createHandlers.push(handler);
+        return () => {
+            this.createHandlers = this.createHandlers.filter(h => h !== handler);
+        };
+    }
+}
+
+/**
+ * Custom error class for registry operations
+ */
+class GameRegistryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GameRegistryError';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameRegistry, GameRegistryError };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.GameRegistry = GameRegistry;
+    window.GameRegistryError = GameRegistryError;
+    window.gameRegistry = window.gameRegistry || new GameRegistry();
+}
@@ -0,0 +1,88 @@
+/**
+ * GameSettings - Difficulty presets and custom tuning for a mini-game
+ * Each game describes its tunable values once (fields with limits) plus an
+ * easy/normal/hard preset for them; this model turns a chosen difficulty,
+ * or the player's custom values, into the settings object the game reads.
+ */
+const DIFFICULTIES = ['easy', 'normal', 'hard', 'custom'];
+
+class GameSettings {
+    /**
+     * @param {Object} definition - { fields: [{ key, label, min, max, step }], presets: { easy, normal, hard } }
+     */
+    constructor(definition) {
+        if (!definition || !definition.presets || !definition.presets.normal) {
+            throw new Error('Game settings need at least a normal preset');
+        }
+        this.fields = definition.fields || [];
+        this.presets = definition.presets;
+    }
+
+    /**
+     * Whether a difficulty name is supported
+     * @param {string} difficulty - Difficulty name
+     * @returns {boolean} True if supported
+     */
+    isValidDifficulty(difficulty) {
+        if (difficulty === 'custom') {
+            return this.fields.length > 0;
+        }
+        return DIFFICULTIES.includes(difficulty) && !!this.presets[difficulty];
+    }
+
+    /**
+     * Difficulties this game offers, in display order
+     * @returns {Array<string>} Difficulty names
+     */
+    getDifficulties() {
+        return DIFFICULTIES.filter(difficulty => this.isValidDifficulty(difficulty));
+    }
+
+    /**
+     * Settings for a difficulty
+     * @param {string} difficulty - easy, normal, hard or custom
+     * @param {Object} custom - Player values, used for custom
+     * @returns {Object} Settings object
+     */
+    resolve(difficulty, custom = null) {
+        if (difficulty === 'custom') {
+            return this.sanitize(custom);
+        }
+        const preset = this.isValidDifficulty(difficulty) ? this.presets[difficulty] : this.presets.normal;
+        return { ...this.presets.normal, ...preset };
+    }
+
+    /**
+     * Clamp custom values to each field's limits, filling gaps from normal
+     * @param {Object} custom - Player values
+     * @returns {Object} Settings object
+     */
+    sanitize(custom) {
+        const settings = { ...this.presets.normal };
+
+        this.fields.forEach(({ key, min, max, step }) => {
+            const value = custom ? Number(custom[key]) : NaN;
+            if (!isFinite(value)) return;
+
+            let clamped = Math.min(max, Math.max(min, value));
+            if (step) {
+                // Snap to the field's step so integer fields stay integers
+                clamped = Math.round((clamped - min) / step) * step + min;
+                clamped = Math.min(max, Number(clamped.toFixed(4)));
+            }
+            settings[key] = clamped;
+        });
+
+        return settings;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameSettings, DIFFICULTIES };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.GameSettings = GameSettings;
+}
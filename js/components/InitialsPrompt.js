@@ -0,0 +1,98 @@
+/**
+ * InitialsPrompt - Asks for the player's initials when a score makes the top 10
+ * Rendered as a dialog on document.body so game re-renders can't wipe it.
+ */
+class InitialsPrompt {
+    constructor() {
+        this.element = null;
+        this.resolve = null;
+    }
+
+    /**
+     * Show the prompt
+     * @param {Object} options - { score, initials }
+     * @returns {Promise<string|null>} Initials, or null if skipped
+     */
+    open({ score, initials = '' }) {
+        this.close(null);
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+
+            this.element = document.createElement('div');
+            this.element.className = 'initials-prompt-backdrop';
+            this.element.innerHTML = `
+                <form class="initials-prompt" role="dialog" aria-modal="true" aria-labelledby="initials-prompt-title">
+                    <h3 id="initials-prompt-title">🏆 New top 10 score!</h3>
+                    <p>Your score: <strong>${score}</strong></p>
+                    <label for="initials-input">Enter your initials</label>
+                    <input type="text" id="initials-input" maxlength="3" autocomplete="off"
+                           value="${initials}" aria-describedby="initials-prompt-title">
+                    <div class="initials-prompt-actions">
+                        <button type="submit" class="btn">Save</button>
+                        <button type="button" class="btn btn-secondary" data-action="skip">Skip</button>
+                    </div>
+                </form>
+            `;
+            document.body.appendChild(this.element);
+
+            const form = this.element.querySelector('form');
+            const input = this.element.querySelector('#initials-input');
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.close(input.value.trim() || null);
+            });
+            this.element.querySelector('[data-action="skip"]').addEventListener('click', () => this.close(null));
+
+            // Keep game and hub shortcuts (arrows, space, Escape) from reacting to typing
+            this.element.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    this.close(null);
+                }
+            });
+            input.addEventListener('input', () => {
+                input.value = input.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+            });
+
+            input.focus();
+            input.select();
+        });
+    }
+
+    /**
+     * Remove the prompt and settle the pending promise
+     * @param {string|null} initials - Value to resolve with
+     */
+    close(initials) {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(initials);
+        }
+    }
+
+    /**
+     * Whether the prompt is on screen
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.element !== null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InitialsPrompt;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.InitialsPrompt = InitialsPrompt;
+    window.initialsPrompt = window.initialsPrompt || new InitialsPrompt();
+}
@@ -0,0 +1,158 @@
+/**
+ * MiniGameCatalog - Loads the mini-game manifest and the game scripts it lists
+ * data/minigames.json is the single source of truth for the hub grid,
+ * the games.html tabs and which scripts get loaded. A game's own helper
+ * scripts are listed as its "dependencies" and load, in order, just
+ * before the game.
+ */
+class MiniGameCatalog {
+    constructor(dataUrl = 'data/minigames.json', basePath = '') {
+        this.dataUrl = dataUrl;
+        this.basePath = basePath;
+        this.games = [];
+        this.isLoaded = false;
+        this.scriptPromises = new Map();
+    }
+
+    /**
+     * Load the manifest
+     * @returns {Promise<Array>} Array of mini-game entries
+     */
+    async load() {
+        if (this.isLoaded) {
+            return this.games;
+        }
+
+        try {
+            const response = await fetch(this.basePath + this.dataUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!data || !Array.isArray(data.games)) {
+                throw new Error('Invalid manifest format: expected games array');
+            }
+
+            this.games = data.games;
+            this.isLoaded = true;
+
+            return this.games;
+        } catch (error) {
+            console.error('Failed to load mini-game manifest:', error);
+            throw new MiniGameCatalogError(`Failed to load mini-games: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get every mini-game entry
+     * @returns {Array} Mini-game entries in manifest order
+     */
+    getGames() {
+        return this.games;
+    }
+
+    /**
+     * Get a mini-game entry by id
+     * @param {string} gameId - Game id
+     * @returns {Object|null} Mini-game entry or null
+     */
+    getGame(gameId) {
+        return this.games.find(game => game.id === gameId) || null;
+    }
+
+    /**
+     * Get the mini-games shown as tabs on games.html
+     * @returns {Array} Mini-game entries
+     */
+    getTabGames() {
+        return this.games.filter(game => game.showInTabs);
+    }
+
+    /**
+     * Load the script of a single mini-game, after its dependencies
+     * @param {Object} game - Mini-game entry
+     * @returns {Promise<void>} Resolves once the game is registered
+     */
+    loadScript(game) {
+        if (window.gameRegistry && window.gameRegistry.has(game.id)) {
+            return Promise.resolve();
+        }
+
+        return (game.dependencies || [])
+            .reduce((loaded, dependency) => loaded.then(() => this.loadFile(dependency)), Promise.resolve())
+            .then(() => this.loadFile(game.script))
+            .then(() => {
+                if (!window.gameRegistry || !window.gameRegistry.has(game.id)) {
+                    throw new MiniGameCatalogError(`${game.script} did not register "${game.id}"`);
+                }
+            });
+    }
+
+    /**
+     * Add a script to the page once, however many games need it
+     * @param {string} src - Script path relative to the site root
+     * @returns {Promise<void>} Resolves once the script has run
+     */
+    loadFile(src) {
+        if (this.scriptPromises.has(src)) {
+            return this.scriptPromises.get(src);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.basePath + src;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                this.scriptPromises.delete(src);
+                script.remove();
+                reject(new MiniGameCatalogError(`Failed to load ${src}`));
+            };
+            document.body.appendChild(script);
+        });
+
+        this.scriptPromises.set(src, promise);
+        return promise;
+    }
+
+    /**
+     * Load the scripts of several mini-games, in manifest order
+     * @param {Array} games - Mini-game entries (defaults to all)
+     * @returns {Promise<Array>} Ids of the games that failed to load
+     */
+    async loadScripts(games = this.games) {
+        const failed = [];
+
+        for (const game of games) {
+            try {
+                await this.loadScript(game);
+            } catch (error) {
+                console.error(error.message);
+                failed.push(game.id);
+            }
+        }
+
+        return failed;
+    }
+}
+
+/**
+ * Custom error class for manifest and script loading
+ */
+class MiniGameCatalogError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MiniGameCatalogError';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MiniGameCatalog, MiniGameCatalogError };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.MiniGameCatalog = MiniGameCatalog;
+    window.MiniGameCatalogError = MiniGameCatalogError;
+}
@@ -0,0 +1,151 @@
+/**
+ * PauseController - Standard pause button, overlay and auto-pause for a mounted game
+ * Rendered next to the game container (not inside it) so game re-renders
+ * can't wipe it. Only games that set `pausable` are controlled: P, or Space
+ * unless the game uses it for play, toggles pause, and the game is paused
+ * whenever the tab is hidden or the window loses focus. Resuming is always
+ * left to the player.
+ */
+class PauseController {
+    /**
+     * @param {BaseGame} game - Mounted game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.host = null;
+        this.button = null;
+        this.overlay = null;
+        this.listeners = [];
+        this.unsubscribe = null;
+
+        if (!game.pausable || !game.container || !game.container.parentElement) return;
+
+        this.render();
+        this.unsubscribe = game.on('statechange', ({ status, previous }) => this.update(status, previous));
+        this.listen(document, 'keydown', (e) => this.handleKeydown(e));
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) this.autoPause();
+        });
+        this.listen(window, 'blur', () => this.autoPause());
+        this.update(game.status);
+    }
+
+    render() {
+        this.host = this.game.container.parentElement;
+        this.host.classList.add('pause-host');
+
+        const keys = this.game.pauseKeys.map(key => key === ' ' ? 'Space' : key.toUpperCase()).join(' or ');
+
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'pause-btn';
+        this.button.textContent = '⏸';
+        this.button.setAttribute('aria-label', `Pause game (${keys})`);
+        this.button.addEventListener('click', () => this.game.pause());
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'pause-overlay';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = `
+            <div class="pause-panel">
+                <h3>⏸ Paused</h3>
+                <p>Press ${keys} or the button below to resume</p>
+                <button type="button" class="btn pause-resume-btn">▶ Resume</button>
+            </div>
+        `;
+        this.overlay.querySelector('.pause-resume-btn').addEventListener('click', () => this.game.resume());
+
+        this.host.appendChild(this.button);
+        this.host.appendChild(this.overlay);
+    }
+
+    /**
+     * Sync the button and overlay with the game status
+     * @param {string} status - New status
+     * @param {string} previous - Previous status
+     */
+    update(status, previous) {
+        if (!this.overlay) return;
+
+        const paused = status === 'paused';
+        this.overlay.hidden = !paused;
+        this.button.hidden = status !== 'running';
+
+        if (paused) {
+            // Move focus off the board so typing and game keys stop reaching it
+            this.overlay.querySelector('.pause-resume-btn').focus();
+            this.announce('Game paused');
+        } else if (previous === 'paused' && status === 'running') {
+            this.announce('Game resumed');
+        }
+    }
+
+    handleKeydown(e) {
+        // Buttons activated by the keyboard, typing and hidden tabs are left alone
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey ||
+            this.isEditable(e.target) || !this.isVisible()) {
+            return;
+        }
+        if (!this.game.pauseKeys.includes(e.key.toLowerCase())) return;
+
+        if (this.game.status === 'running') {
+            e.preventDefault();
+            this.game.pause();
+        } else if (this.game.status === 'paused') {
+            e.preventDefault();
+            this.game.resume();
+        }
+    }
+
+    autoPause() {
+        if (this.game && this.game.status === 'running') {
+            this.game.pause();
+        }
+    }
+
+    isEditable(element) {
+        return !!element && !!element.closest &&
+            !!element.closest('input, textarea, select, [contenteditable="true"]');
+    }
+
+    isVisible() {
+        return this.game.container.getClientRects().length > 0;
+    }
+
+    announce(message) {
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announceToScreenReader(message);
+        }
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    destroy() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.button) this.button.remove();
+        if (this.overlay) this.overlay.remove();
+        if (this.host) this.host.classList.remove('pause-host');
+        this.button = null;
+        this.overlay = null;
+        this.host = null;
+        this.game = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PauseController;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PauseController = PauseController;
+}
@@ -0,0 +1,221 @@
+/**
+ * ProgressManager - Exports and imports the player profile as a JSON file
+ * Lets players back up bests, leaderboards, settings and achievements, or
+ * move them to another browser. Imports are validated and merged into the
+ * ScoreStore profile, keeping the best score of each game.
+ */
+const PROGRESS_FILE_FORMAT = 'mini-game-hub-progress';
+const PROGRESS_FILE_VERSION = 1;
+
+class ProgressManager {
+    constructor(store = window.scoreStore) {
+        this.store = store;
+    }
+
+    /**
+     * Build the export document
+     * @returns {Object} Versioned export with a copy of the profile
+     */
+    createExport() {
+        return {
+            format: PROGRESS_FILE_FORMAT,
+            version: PROGRESS_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: this.store.getProfile()
+        };
+    }
+
+    /**
+     * Download the export as a JSON file
+     * @returns {string} File name used
+     */
+    exportToFile() {
+        const fileName = `game-hub-progress-${new Date().toISOString().slice(0, 10)}.json`;
+        const blob = new Blob([JSON.stringify(this.createExport(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return fileName;
+    }
+
+    /**
+     * Parse and validate an export
+     * @param {string} text - File contents
+     * @returns {Object} Validated export document
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ProgressImportError('The file is not valid JSON');
+        }
+
+        this.validate(data);
+        return data;
+    }
+
+    /**
+     * Check that an export can be merged safely
+     * @param {Object} data - Parsed export document
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object' || data.format !== PROGRESS_FILE_FORMAT) {
+            throw new ProgressImportError('This is not a Game Hub progress file');
+        }
+        if (typeof data.version !== 'number' || data.version > PROGRESS_FILE_VERSION) {
+            throw new ProgressImportError('This progress file was made by a newer version of Game Hub');
+        }
+
+        const profile = data.profile;
+        if (!profile || typeof profile !== 'object' || !profile.games || typeof profile.games !== 'object') {
+            throw new ProgressImportError('The progress file has no game data');
+        }
+        if (typeof profile.version === 'number' && profile.version > SCORE_STORE_VERSION) {
+            throw new ProgressImportError('This progress file was made by a newer version of Game Hub');
+        }
+
+        Object.keys(profile.games).forEach(gameId => {
+            if (!this.store.isSafeKey(gameId)) {
+                throw new ProgressImportError(`The progress file has an invalid game id "${gameId}"`);
+            }
+            this.validateRecord(gameId, profile.games[gameId]);
+        });
+
+        if (profile.achievements !== undefined) {
+            const valid = profile.achievements && typeof profile.achievements === 'object' &&
+                Object.values(profile.achievements).every(date => this.isDate(date));
+            if (!valid) {
+                throw new ProgressImportError('The progress file has invalid achievements');
+            }
+        }
+
+        if (profile.settings !== undefined) {
+            const valid = profile.settings && typeof profile.settings === 'object' &&
+                Object.values(profile.settings).every(settings =>
+                    settings && typeof settings.difficulty === 'string' &&
+                    (!settings.custom || typeof settings.custom === 'object'));
+            if (!valid) {
+                throw new ProgressImportError('The progress file has invalid settings');
+            }
+        }
+    }
+
+    /**
+     * Check a single game record
+     * @param {string} gameId - Game id
+     * @param {Object} record - Game record
+     */
+    validateRecord(gameId, record) {
+        const fail = (field) => {
+            throw new ProgressImportError(`The progress file has an invalid ${field} for "${gameId}"`);
+        };
+
+        if (!record || typeof record !== 'object') fail('record');
+        if (record.best !== null && record.best !== undefined && !this.isNumber(record.best)) fail('best score');
+        if (record.bests !== undefined && !(record.bests && typeof record.bests === 'object' &&
+            Object.values(record.bests).every(best => this.isNumber(best)))) fail('difficulty bests');
+        if (record.plays !== undefined && !(this.isNumber(record.plays) && record.plays >= 0)) fail('play count');
+        if (record.totalTime !== undefined && !(this.isNumber(record.totalTime) && record.totalTime >= 0)) fail('time played');
+        if (record.lastPlayed && !this.isDate(record.lastPlayed)) fail('last played date');
+        if (record.stats !== undefined && !(this.store.isPlainObject(record.stats) &&
+            Object.keys(record.stats).every(key => this.store.isSafeKey(key)) &&
+            Object.values(record.stats).every(value => value === null || this.store.isStatValue(value)))) fail('statistics');
+
+        if (record.leaderboard !== undefined) {
+            const valid = Array.isArray(record.leaderboard) && record.leaderboard.every(entry =>
+                entry && typeof entry.initials === 'string' && this.isNumber(entry.score) &&
+                LEADERBOARD_DIFFICULTIES.includes(entry.difficulty) && this.isDate(entry.date)
+            );
+            if (!valid) fail('leaderboard');
+        }
+    }
+
+    /**
+     * Validate an export and merge it into the profile
+     * @param {string} text - File contents
+     * @param {Function} isLowerBetter - Called with a game id, true for times, moves and attempts
+     * @returns {Object} { games, achievements } counts of merged entries
+     */
+    importFromText(text, isLowerBetter) {
+        const data = this.parse(text);
+        const profile = data.profile;
+
+        // Fill in fields older or hand-edited files may leave out
+        const games = {};
+        Object.keys(profile.games).forEach(gameId => {
+            const record = profile.games[gameId];
+            games[gameId] = {
+                best: this.isNumber(record.best) ? record.best : null,
+                bests: record.bests || {},
+                plays: record.plays || 0,
+                totalTime: record.totalTime || 0,
+                lastPlayed: record.lastPlayed || null,
+                stats: record.stats || {},
+                leaderboard: record.leaderboard || []
+            };
+        });
+
+        return this.store.mergeProfile({
+            version: profile.version || 1,
+            player: profile.player || { initials: '' },
+            games,
+            achievements: profile.achievements || {},
+            settings: profile.settings || {}
+        }, isLowerBetter);
+    }
+
+    /**
+     * Read a file picked by the player and import it
+     * @param {File} file - Selected file
+     * @param {Function} isLowerBetter - Called with a game id, true for times, moves and attempts
+     * @returns {Promise<Object>} { games, achievements } counts of merged entries
+     */
+    async importFromFile(file, isLowerBetter) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            throw new ProgressImportError('The file could not be read');
+        }
+        return this.importFromText(text, isLowerBetter);
+    }
+
+    isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    isDate(value) {
+        return typeof value === 'string' && !isNaN(Date.parse(value));
+    }
+}
+
+/**
+ * Custom error class for rejected progress files
+ */
+class ProgressImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProgressImportError';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProgressManager, ProgressImportError, PROGRESS_FILE_FORMAT, PROGRESS_FILE_VERSION };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ProgressManager = ProgressManager;
+    window.ProgressImportError = ProgressImportError;
+}
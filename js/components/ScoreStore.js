@@ -0,0 +1,704 @@
+/**
+ * ScoreStore - Persistent player profile shared by every mini-game
+ * Holds per-game bests (overall and per difficulty), play counts, time played,
+ * last-played dates, local top-10 leaderboards, difficulty settings and
+ * unlocked achievements in a single versioned localStorage entry.
+ */
+const SCORE_STORE_VERSION = 4;
+const LEADERBOARD_SIZE = 10;
+
+// Difficulties a leaderboard entry can be filed under
+const LEADERBOARD_DIFFICULTIES = ['easy', 'normal', 'hard', 'custom'];
+
+// Names that would reach Object.prototype if used as keys of a plain object
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Statistics that belong to the device they were played on, such as an
+// unfinished game, and are left out of imports
+const DEVICE_STATS = ['savedGame'];
+
+// Keys written by older versions of individual games
+const LEGACY_KEYS = [
+    { key: '2048-best', gameId: '2048', field: 'best' },
+    { key: 'flappy-best', gameId: 'flappy-bird', field: 'best' },
+    { key: 'math-quiz-streak', gameId: 'math-quiz', stat: 'bestStreak' }
+];
+
+class ScoreStore {
+    constructor(storageKey = 'gameHubProfile') {
+        this.storageKey = storageKey;
+        this.changeHandlers = [];
+        this.data = this.load();
+    }
+
+    /**
+     * Load the profile, migrating older schemas and legacy keys
+     * @returns {Object} Profile data
+     */
+    load() {
+        let data = null;
+
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            data = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Error reading score profile:', error);
+        }
+
+        if (!data || typeof data !== 'object' || typeof data.games !== 'object') {
+            data = this.createEmptyProfile();
+        }
+
+        data = this.migrate(data);
+        this.migrateLegacyKeys(data);
+        this.data = data;
+        this.save();
+
+        return data;
+    }
+
+    /**
+     * Persist the profile
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Failed to save score profile:', error);
+            // Scores still work for this session without localStorage
+        }
+    }
+
+    /**
+     * Create an empty profile in the current schema
+     * @returns {Object} Empty profile
+     */
+    createEmptyProfile() {
+        return {
+            version: SCORE_STORE_VERSION,
+            player: { initials: '' },
+            games: {},
+            achievements: {},
+            settings: {}
+        };
+    }
+
+    /**
+     * Bring a profile of any older version up to the current schema
+     * @param {Object} data - Stored profile
+     * @returns {Object} Migrated profile
+     */
+    migrate(data) {
+        if (!data.version) {
+            data.version = 1;
+        }
+
+        // v2: local leaderboards and remembered initials
+        if (data.version < 2) {
+            data.player = { initials: '' };
+            Object.values(data.games).forEach(record => {
+                record.leaderboard = [];
+            });
+            data.version = 2;
+        }
+
+        // v3: unlocked achievements
+        if (data.version < 3) {
+            data.achievements = {};
+            data.version = 3;
+        }
+
+        // v4: bests per difficulty and per-game difficulty settings
+        if (data.version < 4) {
+            Object.values(data.games).forEach(record => {
+                record.bests = record.best !== null && record.best !== undefined ? { normal: record.best } : {};
+            });
+            data.settings = {};
+            data.version = 4;
+        }
+
+        return data;
+    }
+
+    /**
+     * Fold the per-game localStorage keys into the profile and remove them
+     * @param {Object} data - Profile being migrated
+     */
+    migrateLegacyKeys(data) {
+        LEGACY_KEYS.forEach(({ key, gameId, field, stat }) => {
+            let value = null;
+            try {
+                value = localStorage.getItem(key);
+            } catch (error) {
+                return;
+            }
+            if (value === null) return;
+
+            const number = parseInt(value, 10);
+            if (!isNaN(number)) {
+                const record = this.ensureRecord(data, gameId);
+                if (field) {
+                    // Legacy bests were all played on the original, normal tuning
+                    record[field] = record[field] === null ? number : Math.max(record[field], number);
+                    record.bests.normal = record.bests.normal === undefined
+                        ? number
+                        : Math.max(record.bests.normal, number);
+                } else {
+                    record.stats[stat] = Math.max(record.stats[stat] || 0, number);
+                }
+            }
+
+            try {
+                localStorage.removeItem(key);
+            } catch (error) {
+                console.warn(`Failed to remove legacy key ${key}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Get (creating if needed) the record of a game
+     * @param {Object} data - Profile
+     * @param {string} gameId - Game id
+     * @returns {Object} Game record
+     */
+    ensureRecord(data, gameId) {
+        if (!this.hasOwn(data.games, gameId)) {
+            data.games[gameId] = {
+                best: null,
+                bests: {},
+                plays: 0,
+                totalTime: 0,
+                lastPlayed: null,
+                stats: {},
+                leaderboard: []
+            };
+        }
+        return data.games[gameId];
+    }
+
+    /**
+     * Get the statistics of a game
+     * @param {string} gameId - Game id
+     * @returns {Object} Copy of the game record
+     */
+    getGameStats(gameId) {
+        const record = this.data.games[gameId];
+        if (!record) {
+            return { best: null, bests: {}, plays: 0, totalTime: 0, lastPlayed: null, stats: {}, leaderboard: [] };
+        }
+        return {
+            ...record,
+            bests: { ...record.bests },
+            stats: { ...record.stats },
+            leaderboard: record.leaderboard.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Get the statistics of every game that has been played
+     * @returns {Object} Game records keyed by game id
+     */
+    getAllStats() {
+        const result = {};
+        Object.keys(this.data.games).forEach(gameId => {
+            result[gameId] = this.getGameStats(gameId);
+        });
+        return result;
+    }
+
+    /**
+     * Record a finished round
+     * @param {string} gameId - Game id
+     * @param {Object} result - { score, lowerIsBetter, duration, difficulty }
+     * @returns {Object} { isNewBest, stats } where isNewBest is for the round's difficulty
+     */
+    recordResult(gameId, { score = null, lowerIsBetter = false, duration = 0, difficulty = 'normal' } = {}) {
+        const record = this.ensureRecord(this.data, gameId);
+
+        record.plays++;
+        record.totalTime += Math.max(0, Math.round(duration));
+        record.lastPlayed = new Date().toISOString();
+
+        this.applyBest(record, score, lowerIsBetter);
+        const isNewBest = this.applyDifficultyBest(record, difficulty, score, lowerIsBetter);
+
+        this.save();
+        this.notifyChange(gameId);
+
+        return { isNewBest, stats: this.getGameStats(gameId) };
+    }
+
+    /**
+     * Save a best score without counting a play (e.g. mid-game in 2048)
+     * @param {string} gameId - Game id
+     * @param {number} score - Score
+     * @param {boolean} lowerIsBetter - True for times, moves and attempts
+     * @param {string} difficulty - Difficulty the score was made on
+     * @returns {boolean} True if the score is a new best for the difficulty
+     */
+    updateBest(gameId, score, lowerIsBetter = false, difficulty = 'normal') {
+        const record = this.ensureRecord(this.data, gameId);
+        this.applyBest(record, score, lowerIsBetter);
+        const isNewBest = this.applyDifficultyBest(record, difficulty, score, lowerIsBetter);
+
+        if (isNewBest) {
+            this.save();
+            this.notifyChange(gameId);
+        }
+        return isNewBest;
+    }
+
+    /**
+     * Best score of a game on one difficulty
+     * @param {string} gameId - Game id
+     * @param {string} difficulty - Difficulty name
+     * @returns {number|null} Best score or null
+     */
+    getBest(gameId, difficulty = 'normal') {
+        const record = this.data.games[gameId];
+        return record && record.bests[difficulty] !== undefined ? record.bests[difficulty] : null;
+    }
+
+    /**
+     * Add time played outside of a finished round
+     * @param {string} gameId - Game id
+     * @param {number} duration - Milliseconds
+     */
+    addPlayTime(gameId, duration) {
+        if (!(duration > 0)) return;
+
+        const record = this.ensureRecord(this.data, gameId);
+        record.totalTime += Math.round(duration);
+        record.lastPlayed = new Date().toISOString();
+
+        this.save();
+        this.notifyChange(gameId);
+    }
+
+    /**
+     * Get a game-specific statistic
+     * @param {string} gameId - Game id
+     * @param {string} key - Statistic name
+     * @returns {*} Value or null
+     */
+    getStat(gameId, key) {
+        const record = this.data.games[gameId];
+        return record && record.stats[key] !== undefined ? record.stats[key] : null;
+    }
+
+    /**
+     * Save a game-specific statistic
+     * @param {string} gameId - Game id
+     * @param {string} key - Statistic name
+     * @param {*} value - Value
+     */
+    setStat(gameId, key, value) {
+        const record = this.ensureRecord(this.data, gameId);
+        record.stats[key] = value;
+
+        this.save();
+        this.notifyChange(gameId);
+    }
+
+    /**
+     * Apply a score to a record's best
+     * @param {Object} record - Game record
+     * @param {number|null} score - Score
+     * @param {boolean} lowerIsBetter - Comparison direction
+     * @returns {boolean} True if the best changed
+     */
+    applyBest(record, score, lowerIsBetter) {
+        if (typeof score !== 'number' || isNaN(score)) {
+            return false;
+        }
+
+        const isBetter = record.best === null ||
+            (lowerIsBetter ? score < record.best : score > record.best);
+
+        if (isBetter) {
+            record.best = score;
+        }
+        return isBetter;
+    }
+
+    /**
+     * Apply a score to a record's best for one difficulty
+     * @param {Object} record - Game record
+     * @param {string} difficulty - Difficulty name
+     * @param {number|null} score - Score
+     * @param {boolean} lowerIsBetter - Comparison direction
+     * @returns {boolean} True if the difficulty best changed
+     */
+    applyDifficultyBest(record, difficulty, score, lowerIsBetter) {
+        const best = { best: record.bests[difficulty] !== undefined ? record.bests[difficulty] : null };
+        const isBetter = this.applyBest(best, score, lowerIsBetter);
+
+        if (isBetter) {
+            record.bests[difficulty] = best.best;
+        }
+        return isBetter;
+    }
+
+    /**
+     * Saved difficulty settings of a game
+     * @param {string} gameId - Game id
+     * @returns {Object|null} { difficulty, custom } or null
+     */
+    getGameSettings(gameId) {
+        const settings = this.data.settings[gameId];
+        return settings ? { ...settings, custom: settings.custom ? { ...settings.custom } : null } : null;
+    }
+
+    /**
+     * Save the difficulty settings of a game
+     * @param {string} gameId - Game id
+     * @param {Object} settings - { difficulty, custom }
+     */
+    setGameSettings(gameId, { difficulty, custom = null }) {
+        this.data.settings[gameId] = { difficulty, custom };
+
+        this.save();
+        this.notifyChange(gameId);
+    }
+
+    /**
+     * Check whether a score would make the top 10
+     * @param {string} gameId - Game id
+     * @param {number} score - Score
+     * @param {Object} options - { lowerIsBetter, difficulty }
+     * @returns {boolean} True if the score qualifies
+     */
+    qualifiesForLeaderboard(gameId, score, { lowerIsBetter = false, difficulty = 'normal' } = {}) {
+        if (typeof score !== 'number' || isNaN(score)) {
+            return false;
+        }
+
+        const entries = this.getLeaderboard(gameId, difficulty);
+        if (entries.length < LEADERBOARD_SIZE) {
+            return true;
+        }
+
+        const last = entries[entries.length - 1].score;
+        return lowerIsBetter ? score < last : score > last;
+    }
+
+    /**
+     * Add a named entry to a game's leaderboard
+     * @param {string} gameId - Game id
+     * @param {Object} entry - { initials, score, difficulty }
+     * @param {boolean} lowerIsBetter - Sort direction
+     * @returns {number} 1-based rank of the entry, or 0 if it did not place
+     */
+    addLeaderboardEntry(gameId, { initials, score, difficulty = 'normal' }, lowerIsBetter = false) {
+        const record = this.ensureRecord(this.data, gameId);
+        const entry = {
+            initials: this.normalizeInitials(initials) || '???',
+            score,
+            difficulty,
+            date: new Date().toISOString()
+        };
+
+        // Ties keep the earlier entry first
+        const compare = (a, b) => lowerIsBetter ? a.score - b.score : b.score - a.score;
+        const sameDifficulty = record.leaderboard
+            .filter(e => e.difficulty === difficulty)
+            .concat(entry)
+            .sort(compare)
+            .slice(0, LEADERBOARD_SIZE);
+
+        record.leaderboard = record.leaderboard
+            .filter(e => e.difficulty !== difficulty)
+            .concat(sameDifficulty);
+
+        if (entry.initials !== '???') {
+            this.data.player.initials = entry.initials;
+        }
+
+        this.save();
+        this.notifyChange(gameId);
+
+        return sameDifficulty.indexOf(entry) + 1;
+    }
+
+    /**
+     * Get a game's leaderboard, best first
+     * @param {string} gameId - Game id
+     * @param {string|null} difficulty - Difficulty filter, or null for all
+     * @param {boolean} lowerIsBetter - Sort direction
+     * @returns {Array} Up to 10 entries
+     */
+    getLeaderboard(gameId, difficulty = null, lowerIsBetter = false) {
+        const record = this.data.games[gameId];
+        if (!record) return [];
+
+        // Each difficulty board is kept sorted; merge them for the unfiltered view
+        const entries = record.leaderboard.filter(e => difficulty === null || e.difficulty === difficulty);
+        if (difficulty === null) {
+            entries.sort((a, b) => lowerIsBetter ? a.score - b.score : b.score - a.score);
+        }
+
+        return entries.slice(0, LEADERBOARD_SIZE).map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Difficulties that have leaderboard entries for a game
+     * @param {string} gameId - Game id
+     * @returns {Array<string>} Difficulty names
+     */
+    getLeaderboardDifficulties(gameId) {
+        const record = this.data.games[gameId];
+        if (!record) return [];
+        return Array.from(new Set(record.leaderboard.map(e => e.difficulty)));
+    }
+
+    /**
+     * Initials used for the last leaderboard entry
+     * @returns {string} Initials or empty string
+     */
+    getPlayerInitials() {
+        return this.data.player.initials;
+    }
+
+    /**
+     * Clean up initials typed by the player
+     * @param {string} initials - Raw input
+     * @returns {string} Up to three upper-case letters or digits
+     */
+    normalizeInitials(initials) {
+        return String(initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    }
+
+    /**
+     * Mark an achievement as unlocked
+     * @param {string} achievementId - Achievement id
+     * @returns {boolean} True if it was not unlocked before
+     */
+    unlockAchievement(achievementId) {
+        if (this.data.achievements[achievementId]) {
+            return false;
+        }
+
+        this.data.achievements[achievementId] = new Date().toISOString();
+        this.save();
+        this.notifyChange(null);
+        return true;
+    }
+
+    /**
+     * Unlock date of an achievement
+     * @param {string} achievementId - Achievement id
+     * @returns {string|null} ISO date or null if locked
+     */
+    getAchievementUnlockDate(achievementId) {
+        return this.data.achievements[achievementId] || null;
+    }
+
+    /**
+     * Copy of the whole profile, e.g. for exporting
+     * @returns {Object} Deep copy of the profile
+     */
+    getProfile() {
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    /**
+     * Merge another profile into this one, keeping the best of both
+     * Plays and time played take the larger value so re-importing a backup
+     * never double counts.
+     * @param {Object} profile - Profile in any supported schema version
+     * @param {Function} isLowerBetter - Called with a game id, true for times, moves and attempts
+     * @returns {Object} { games, achievements } counts of merged entries
+     */
+    mergeProfile(profile, isLowerBetter = () => false) {
+        const incoming = this.migrate(JSON.parse(JSON.stringify(profile)));
+        const summary = { games: 0, achievements: 0 };
+
+        Object.keys(incoming.games).filter(gameId => this.isSafeKey(gameId)).forEach(gameId => {
+            const theirs = incoming.games[gameId];
+            const record = this.ensureRecord(this.data, gameId);
+            const lowerIsBetter = isLowerBetter(gameId);
+
+            if (theirs.best !== null && theirs.best !== undefined) {
+                this.applyBest(record, theirs.best, lowerIsBetter);
+            }
+            Object.keys(theirs.bests || {}).forEach(difficulty => {
+                this.applyDifficultyBest(record, difficulty, theirs.bests[difficulty], lowerIsBetter);
+            });
+            record.plays = Math.max(record.plays, theirs.plays || 0);
+            record.totalTime = Math.max(record.totalTime, theirs.totalTime || 0);
+            if (theirs.lastPlayed && (!record.lastPlayed || theirs.lastPlayed > record.lastPlayed)) {
+                record.lastPlayed = theirs.lastPlayed;
+            }
+
+            Object.keys(theirs.stats || {}).forEach(key => {
+                if (!this.isSafeKey(key) || DEVICE_STATS.includes(key)) return;
+                const mine = record.stats[key];
+                const value = theirs.stats[key];
+                if (!this.isStatValue(value)) return;
+                if (mine === undefined || mine === null) {
+                    record.stats[key] = value;
+                } else if (typeof mine === 'number' && typeof value === 'number') {
+                    record.stats[key] = Math.max(mine, value);
+                }
+            });
+
+            record.leaderboard = this.mergeLeaderboards(record.leaderboard, theirs.leaderboard || [], lowerIsBetter);
+            summary.games++;
+        });
+
+        Object.keys(incoming.achievements).filter(id => this.isSafeKey(id)).forEach(achievementId => {
+            const date = incoming.achievements[achievementId];
+            const mine = this.hasOwn(this.data.achievements, achievementId) ? this.data.achievements[achievementId] : null;
+            if (!mine) {
+                summary.achievements++;
+            }
+            if (!mine || date < mine) {
+                this.data.achievements[achievementId] = date;
+            }
+        });
+
+        // Settings chosen on this device win over imported ones
+        Object.keys(incoming.settings).filter(gameId => this.isSafeKey(gameId)).forEach(gameId => {
+            if (!this.hasOwn(this.data.settings, gameId)) {
+                this.data.settings[gameId] = incoming.settings[gameId];
+            }
+        });
+
+        if (!this.data.player.initials && incoming.player.initials) {
+            this.data.player.initials = this.normalizeInitials(incoming.player.initials);
+        }
+
+        this.save();
+        this.notifyChange(null);
+
+        return summary;
+    }
+
+    /**
+     * Whether an imported statistic can be kept: a finite number, text,
+     * true/false, or a list or plain object of them (nulls allowed inside)
+     * @param {*} value - Imported value
+     * @returns {boolean} True if it can be stored
+     */
+    isStatValue(value) {
+        if (typeof value === 'number') return isFinite(value);
+        if (typeof value === 'string' || typeof value === 'boolean') return true;
+
+        const isItem = item => item === null || this.isStatValue(item);
+        if (Array.isArray(value)) return value.every(isItem);
+        return this.isPlainObject(value) &&
+            Object.keys(value).every(key => this.isSafeKey(key) && isItem(value[key]));
+    }
+
+    /**
+     * @param {*} value - Any value
+     * @returns {boolean} True for an object made by an object literal or JSON
+     */
+    isPlainObject(value) {
+        if (!value || typeof value !== 'object') return false;
+        const proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null;
+    }
+
+    /**
+     * Whether a name from an imported file can be used as an object key
+     * @param {string} key - Game id, statistic or achievement name
+     * @returns {boolean} True unless it would reach Object.prototype
+     */
+    isSafeKey(key) {
+        return typeof key === 'string' && !UNSAFE_KEYS.includes(key);
+    }
+
+    /**
+     * Own-property check that can't be fooled by a key such as hasOwnProperty
+     */
+    hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    /**
+     * Combine two leaderboards, dropping duplicates and keeping the top 10 per difficulty
+     * Imported entries are cleaned the same way as new ones: initials are
+     * normalized and only known difficulties are kept.
+     * @param {Array} mine - Local entries
+     * @param {Array} theirs - Imported entries
+     * @param {boolean} lowerIsBetter - Sort direction
+     * @returns {Array} Merged entries
+     */
+    mergeLeaderboards(mine, theirs, lowerIsBetter) {
+        const imported = theirs
+            .filter(entry => entry && typeof entry.score === 'number' && isFinite(entry.score) &&
+                LEADERBOARD_DIFFICULTIES.includes(entry.difficulty) && typeof entry.date === 'string')
+            .map(entry => ({
+                initials: this.normalizeInitials(entry.initials) || '???',
+                score: entry.score,
+                difficulty: entry.difficulty,
+                date: entry.date
+            }));
+
+        const seen = new Set();
+        const entries = mine.concat(imported).filter(entry => {
+            const key = `${entry.initials}|${entry.score}|${entry.difficulty}|${entry.date}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        const compare = (a, b) => lowerIsBetter ? a.score - b.score : b.score - a.score;
+        const difficulties = Array.from(new Set(entries.map(e => e.difficulty)));
+
+        return difficulties.reduce((merged, difficulty) => merged.concat(
+            entries
+                .filter(e => e.difficulty === difficulty)
+                .sort((a, b) => compare(a, b) || (a.date < b.date ? -1 : 1))
+                .slice(0, LEADERBOARD_SIZE)
+        ), []);
+    }
+
+    /**
+     * Subscribe to profile changes
+     * @param {Function} handler - Called with the changed game id
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(handler) {
+        this.changeHandlers.push(handler);
+        return () => {
+            this.changeHandlers = this.changeHandlers.filter(h => h !== handler);
+        };
+    }
+
+    /**
+     * Notify subscribers of a change
+     * @param {string} gameId - Changed game id
+     */
+    notifyChange(gameId) {
+        this.changeHandlers.forEach(handler => {
+            try {
+                handler(gameId);
+            } catch (error) {
+                console.error('Error in score change handler:', error);
+            }
+        });
+    }
+
+    /**
+     * Erase the whole profile
+     */
+    clear() {
+        this.data = this.createEmptyProfile();
+        this.save();
+        this.notifyChange(null);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoreStore, SCORE_STORE_VERSION, LEADERBOARD_SIZE };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ScoreStore = ScoreStore;
+    window.scoreStore = window.scoreStore || new ScoreStore();
+}
@@ -47,46 +47,40 @@ class GameHubDiagnostics {
     }
     
     checkGameClasses() {
-        const expectedClasses = [
-            'TicTacToe',
-            'SnakeGame',
-            'MemoryGame',
-            'RockPaperScissors',
-            'GuessNumber',
-            'Sudoku4x4',
-            'TypingSpeedTest'
-        ];
+        if (!window.gameRegistry) {
+            this.log('Game Classes', 'fail', 'Game registry not found');
+            return;
+        }
         
-        expectedClasses.forEach(className => {
-            if (typeof window[className] === 'function') {
-                this.log('Game Classes', 'pass', `${className} class available`);
+        const expectedGames = window.gameHub && Array.isArray(window.gameHub.games)
+            ? window.gameHub.games.map(game => game.id)
+            : window.gameRegistry.list();
+        
+        expectedGames.forEach(gameId => {
+            if (!window.gameRegistry.has(gameId) && window.gameHub) {
+                // Game scripts are loaded on demand when a tile is opened
+                this.log('Game Classes', 'pass', `${gameId} not loaded yet (loads on demand)`);
+            } else if (window.gameRegistry.has(gameId)) {
+                this.log('Game Classes', 'pass', `${gameId} is registered`);
+                
+                // Test the lifecycle with a dummy container
+                const testDiv = document.createElement('div');
+                testDiv.id = 'test-' + gameId;
+                document.body.appendChild(testDiv);
                 
-                // Test instantiation with dummy container
                 try {
-                    const testDiv = document.createElement('div');
-                    testDiv.id = 'test-' + className.toLowerCase();
-                    document.body.appendChild(testDiv);
+                    const instance = window.gameRegistry.create(gameId, testDiv.id);
+                    this.log('Game Classes', 'pass', `${gameId} can be mounted`);
                     
-                    const instance = new window[className]('test-' + className.toLowerCase());
-                    
-                    if (instance) {
-                        this.log('Game Classes', 'pass', `${className} can be instantiated`);
-                        
-                        // Check if it has destroy method
-                        if (typeof instance.destroy === 'function') {
-                            this.log('Game Classes', 'pass', `${className} has destroy method`);
-                            instance.destroy();
-                        } else {
-                            this.log('Game Classes', 'warning', `${className} missing destroy method`);
-                        }
-                    }
-                    
-                    document.body.removeChild(testDiv);
+                    instance.destroy();
+                    this.log('Game Classes', 'pass', `${gameId} can be destroyed`);
                 } catch (error) {
-                    this.log('Game Classes', 'fail', `${className} instantiation failed: ${error.message}`);
+                    this.log('Game Classes', 'fail', `${gameId} lifecycle failed: ${error.message}`);
                 }
+                
+                document.body.removeChild(testDiv);
             } else {
-                this.log('Game Classes', 'fail', `${className} class not found`);
+                this.log('Game Classes', 'fail', `${gameId} is not registered`);
             }
         });
     }
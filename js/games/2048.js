@@ -1,32 +1,127 @@
 /**
  * 2048 Game
- * Combine tiles to reach 2048
+ * Combine tiles to reach 2048, then keep going in endless mode
  */
-class Game2048 {
+const GAME_2048_SETTINGS = {
+    fields: [
+        { key: 'fourChance', label: 'Chance a new tile is a 4 (%)', min: 0, max: 50, step: 5 },
+        { key: 'undos', label: 'Undos per game', min: 0, max: 10, step: 1 }
+    ],
+    presets: {
+        easy: { fourChance: 5, undos: 5 },
+        normal: { fourChance: 10, undos: 3 },
+        hard: { fourChance: 25, undos: 1 }
+    }
+};
+
+const GAME_2048_SIZES = [3, 4, 5, 6, 7, 8];
+
+class Game2048 extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.defineSettings(GAME_2048_SETTINGS);
         this.size = 4;
         this.board = [];
         this.score = 0;
-        this.bestScore = localStorage.getItem('2048-best') || 0;
+        this.bestScore = 0;
         this.gameWon = false;
         this.gameOver = false;
         
-        this.init();
+        // Past 2048 the player can carry on until the board fills up
+        this.endless = false;
+        
+        // Best score on each board size, keyed by difficulty then size
+        this.bestScores = {};
+        
+        // Board snapshots before each move, no deeper than the undos left
+        this.undoStack = [];
+        this.undosLeft = this.settings.undos;
+        this.message = '';
+        
+        // Diff of the last move, and the timer that ends its slide
+        this.lastDiff = null;
+        this.animationTimer = null;
+        this.slideDuration = 120;
     }
     
     init() {
-        this.initBoard();
-        this.addRandomTile();
-        this.addRandomTile();
+        this.bestScores = Game2048.migrateBestScores(this.getStat('bestScores'));
+        const size = this.getStat('size');
+        this.size = GAME_2048_SIZES.includes(size) ? size : 4;
+        
+        // Pick up the board the player left, or deal a fresh one
+        if (!this.restoreProgress(this.getStat('savedGame'))) {
+            this.startBoard();
+        }
+        this.bestScore = this.getSizeBest();
         this.render();
         this.attachEventListeners();
+        
+        // Keyboard controls - bound once so re-renders don't stack listeners
+        this.addDocumentListener('keydown', (e) => this.handleKeyPress(e));
+        this.setStatus('running');
+    }
+    
+    start() {
+        this.newGame();
+    }
+    
+    reset() {
+        this.newGame();
     }
     
     initBoard() {
         this.board = Array(this.size).fill().map(() => Array(this.size).fill(0));
     }
     
+    startBoard() {
+        this.score = 0;
+        this.gameWon = false;
+        this.gameOver = false;
+        this.endless = false;
+        this.undoStack = [];
+        this.undosLeft = this.settings.undos;
+        this.message = '';
+        this.initBoard();
+        this.addRandomTile();
+        this.addRandomTile();
+    }
+    
+    /**
+     * Switch board size and start a new game on it
+     * @param {number} size - Board side, 3 to 8
+     */
+    setSize(size) {
+        if (!GAME_2048_SIZES.includes(size)) return;
+        
+        this.size = size;
+        this.saveStat('size', size);
+        this.newGame();
+    }
+    
+    /**
+     * Bests saved before they were kept per difficulty were keyed by size
+     * alone; like other legacy bests, they count as normal
+     * @param {Object|null} saved - Saved bestScores statistic
+     * @returns {Object} Bests keyed by difficulty, then size
+     */
+    static migrateBestScores(saved) {
+        if (!saved || typeof saved !== 'object') return {};
+        const legacy = Object.keys(saved).some(key => typeof saved[key] === 'number');
+        return legacy ? { normal: { ...saved } } : saved;
+    }
+    
+    /**
+     * Best score on the current board size and difficulty; the standard
+     * 4×4 board falls back to the profile best recorded before sizes were
+     * tracked
+     */
+    getSizeBest() {
+        const best = (this.bestScores[this.getDifficulty()] || {})[this.size];
+        if (best !== undefined) return best;
+        return this.size === 4 ? this.getBestScore() || 0 : 0;
+    }
+    
     render() {
         this.container.innerHTML = `
             <div class="game-2048">
@@ -38,45 +133,85 @@ class Game2048 {
                             <span class="stat-value" id="score">${this.score}</span>
                         </div>
                         <div class="stat">
-                            <span class="stat-label">Best:</span>
+                            <span class="stat-label">Best (${this.size}×${this.size}):</span>
                             <span class="stat-value" id="best">${this.bestScore}</span>
                         </div>
                     </div>
+                    ${this.message ? `<p class="game-message info" id="game-message">${this.message}</p>` : ''}
                 </div>
                 
-                <div class="game-board-2048" id="game-board">
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Board size">
+                        ${GAME_2048_SIZES.map(size =>
+                            this.renderOption('size', size, `${size}×${size}`, this.size)
+                        ).join('')}
+                    </div>
+                </div>
+                
+                <div class="game-board-2048" id="game-board" data-size="${this.size}"
+                     style="--board-size: ${this.size}; --slide-duration: ${this.slideDuration}ms">
                     ${this.board.map((row, i) => 
                         row.map((cell, j) => `
-                            <div class="tile-2048 ${cell ? `tile-${cell}` : ''}" data-row="${i}" data-col="${j}">
+                            <div class="tile-2048 ${this.getTileClass(cell)}" data-row="${i}" data-col="${j}">
                                 ${cell || ''}
                             </div>
                         `).join('')
                     ).join('')}
                 </div>
                 
-                ${this.gameWon ? '<div class="win-message">🎉 You reached 2048!</div>' : ''}
+                ${this.isWaitingAfterWin() ? `
+                    <div class="win-message">
+                        🎉 You reached 2048!
+                        <button class="btn" id="continue-btn">♾️ Keep going</button>
+                    </div>
+                ` : ''}
+                ${this.endless && !this.gameOver ? '<p class="endless-note">♾️ Endless mode: play on until the board fills up</p>' : ''}
                 ${this.gameOver ? '<div class="game-over-message">Game Over! No more moves.</div>' : ''}
                 
                 <div class="game-controls">
+                    <button class="btn" id="undo-btn" ${this.canUndo() ? '' : 'disabled'}>↩️ Undo (${this.undosLeft} left)</button>
                     <button class="btn" id="new-game-btn">New Game</button>
                 </div>
                 
                 <div class="game-instructions">
                     <p>🎯 Use arrow keys or swipe to move tiles</p>
                     <p>🔢 Combine tiles with the same number to reach 2048!</p>
+                    <p>↩️ Take back a move with Undo or Ctrl+Z, ${this.settings.undos} times per game</p>
                 </div>
             </div>
         `;
     }
     
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
+    getTileClass(cell) {
+        if (!cell) return '';
+        return cell > 2048 ? `tile-${cell} tile-super` : `tile-${cell}`;
+    }
+    
     attachEventListeners() {
         const newGameBtn = this.container.querySelector('#new-game-btn');
         if (newGameBtn) {
             newGameBtn.addEventListener('click', () => this.newGame());
         }
         
-        // Keyboard controls
-        document.addEventListener('keydown', this.handleKeyPress.bind(this));
+        const undoBtn = this.container.querySelector('#undo-btn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+        
+        const continueBtn = this.container.querySelector('#continue-btn');
+        if (continueBtn) {
+            continueBtn.addEventListener('click', () => this.keepGoing());
+        }
+        
+        this.container.querySelectorAll('.game-option-btn[data-size]').forEach(btn => {
+            btn.addEventListener('click', () => this.setSize(parseInt(btn.dataset.size, 10)));
+        });
         
         // Touch controls for mobile
         this.setupTouchControls();
@@ -113,7 +248,13 @@ class Game2048 {
     }
     
     handleKeyPress(event) {
-        if (this.gameOver) return;
+        if (this.gameOver || this.status !== 'running') return;
+        
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            event.preventDefault();
+            this.undo();
+            return;
+        }
         
         switch (event.key) {
             case 'ArrowUp':
@@ -136,147 +277,238 @@ class Game2048 {
     }
     
     move(direction) {
-        const previousBoard = this.board.map(row => [...row]);
-        let moved = false;
+        if (!this.canPlay()) return;
+        
+        const previous = this.snapshot();
+        let moves = [];
         
         switch (direction) {
             case 'left':
-                moved = this.moveLeft();
+                moves = this.moveLeft();
                 break;
             case 'right':
-                moved = this.moveRight();
+                moves = this.moveRight();
                 break;
             case 'up':
-                moved = this.moveUp();
+                moves = this.moveUp();
                 break;
             case 'down':
-                moved = this.moveDown();
+                moves = this.moveDown();
                 break;
         }
         
+        const moved = moves.some(move =>
+            move.merged || move.from.row !== move.to.row || move.from.col !== move.to.col
+        );
+        
         if (moved) {
-            this.addRandomTile();
+            this.pushUndo(previous);
+            this.message = '';
+            const spawned = this.addRandomTile();
+            this.lastDiff = { direction, moves, spawned };
             this.updateScore();
+            this.emit('progress', { score: this.score, maxTile: Math.max(...this.board.flat()) });
             this.checkGameState();
             this.render();
             this.attachEventListeners();
+            this.animateMove(this.lastDiff);
+            
+            if (this.gameOver) {
+                this.clearProgress();
+                // The hub best and leaderboard are for the standard 4×4 board;
+                // other sizes keep their own bests
+                this.endRound({ score: this.size === 4 ? this.score : null, boardScore: this.score, size: this.size });
+            } else {
+                this.saveProgress();
+            }
         }
     }
     
-    moveLeft() {
-        let moved = false;
-        for (let i = 0; i < this.size; i++) {
-            const row = this.board[i].filter(cell => cell !== 0);
-            for (let j = 0; j < row.length - 1; j++) {
-                if (row[j] === row[j + 1]) {
-                    row[j] *= 2;
-                    this.score += row[j];
-                    row.splice(j + 1, 1);
-                }
-            }
-            while (row.length < this.size) {
-                row.push(0);
-            }
+    // The accessibility manager marks the body when the system asks for reduced motion
+    prefersReducedMotion() {
+        return document.body.classList.contains('reduced-motion');
+    }
+    
+    /**
+     * Slide tiles from where they were to the freshly rendered board: a
+     * ghost tile travels each path while the cells it lands on stay hidden,
+     * then merged tiles pop and the new tile grows in
+     * @param {Object} diff - { moves, spawned } from the last move
+     */
+    animateMove(diff) {
+        this.finishAnimation();
+        if (this.prefersReducedMotion()) return;
+        
+        const board = this.container.querySelector('#game-board');
+        if (!board) return;
+        const cellAt = ({ row, col }) => board.querySelector(`.tile-2048[data-row="${row}"][data-col="${col}"]`);
+        
+        diff.moves.forEach(move => {
+            const still = move.from.row === move.to.row && move.from.col === move.to.col;
+            if (still && !move.merged) return;
             
-            for (let j = 0; j < this.size; j++) {
-                if (this.board[i][j] !== row[j]) {
-                    moved = true;
-                }
-                this.board[i][j] = row[j];
-            }
+            const from = cellAt(move.from);
+            const to = cellAt(move.to);
+            const ghost = document.createElement('div');
+            ghost.className = `tile-2048 ${this.getTileClass(move.value)} tile-ghost`;
+            ghost.textContent = move.value;
+            ghost.style.left = `${from.offsetLeft}px`;
+            ghost.style.top = `${from.offsetTop}px`;
+            ghost.style.width = `${from.offsetWidth}px`;
+            ghost.style.height = `${from.offsetHeight}px`;
+            ghost.style.setProperty('--dx', move.to.col - move.from.col);
+            ghost.style.setProperty('--dy', move.to.row - move.from.row);
+            board.appendChild(ghost);
+            
+            to.classList.add('tile-arriving');
+            if (move.merged) to.classList.add('tile-merged');
+        });
+        
+        if (diff.spawned) {
+            cellAt(diff.spawned).classList.add('tile-new');
         }
-        return moved;
+        
+        this.animationTimer = setTimeout(() => this.finishAnimation(), this.slideDuration);
     }
     
-    moveRight() {
-        let moved = false;
-        for (let i = 0; i < this.size; i++) {
-            const row = this.board[i].filter(cell => cell !== 0);
-            for (let j = row.length - 1; j > 0; j--) {
-                if (row[j] === row[j - 1]) {
-                    row[j] *= 2;
-                    this.score += row[j];
-                    row.splice(j - 1, 1);
-                    j--;
-                }
-            }
-            while (row.length < this.size) {
-                row.unshift(0);
-            }
-            
-            for (let j = 0; j < this.size; j++) {
-                if (this.board[i][j] !== row[j]) {
-                    moved = true;
-                }
-                this.board[i][j] = row[j];
-            }
+    finishAnimation() {
+        clearTimeout(this.animationTimer);
+        this.animationTimer = null;
+        
+        const board = this.container.querySelector('#game-board');
+        if (!board) return;
+        board.querySelectorAll('.tile-ghost').forEach(ghost => ghost.remove());
+        board.querySelectorAll('.tile-arriving').forEach(tile => tile.classList.remove('tile-arriving'));
+    }
+    
+    /**
+     * Moves are taken while running, except on the 2048 screen until the
+     * player chooses to keep going
+     */
+    canPlay() {
+        return this.status === 'running' && !this.gameOver && !this.isWaitingAfterWin();
+    }
+    
+    isWaitingAfterWin() {
+        return this.gameWon && !this.endless && !this.gameOver;
+    }
+    
+    keepGoing() {
+        this.endless = true;
+        this.render();
+        this.attachEventListeners();
+        this.saveProgress();
+    }
+    
+    snapshot() {
+        return {
+            board: this.board.map(row => [...row]),
+            score: this.score,
+            gameWon: this.gameWon
+        };
+    }
+    
+    pushUndo(previous) {
+        this.undoStack.push(previous);
+        this.trimUndoStack();
+    }
+    
+    /**
+     * Only as many moves can be taken back as there are undos left
+     */
+    trimUndoStack() {
+        while (this.undoStack.length > this.undosLeft) {
+            this.undoStack.shift();
         }
-        return moved;
+    }
+    
+    canUndo() {
+        return this.undosLeft > 0 && this.undoStack.length > 0 && !this.gameOver;
+    }
+    
+    /**
+     * Take back the last move, spending one of the game's undos
+     */
+    undo() {
+        if (!this.canUndo() || this.status !== 'running') return;
+        
+        const previous = this.undoStack.pop();
+        this.board = previous.board;
+        this.score = previous.score;
+        this.gameWon = previous.gameWon;
+        this.undosLeft--;
+        this.trimUndoStack();
+        
+        this.message = '';
+        this.render();
+        this.attachEventListeners();
+        this.saveProgress();
+    }
+    
+    /**
+     * Each move slides every row or column toward one edge. The move
+     * functions return the diff of where each tile went, which the
+     * renderer animates: { from, to, value, merged } per tile.
+     */
+    moveLeft() {
+        return this.slideLines(i => Array.from({ length: this.size }, (_, j) => ({ row: i, col: j })));
+    }
+    
+    moveRight() {
+        return this.slideLines(i => Array.from({ length: this.size }, (_, j) => ({ row: i, col: this.size - 1 - j })));
     }
     
     moveUp() {
-        let moved = false;
-        for (let j = 0; j < this.size; j++) {
-            const column = [];
-            for (let i = 0; i < this.size; i++) {
-                if (this.board[i][j] !== 0) {
-                    column.push(this.board[i][j]);
-                }
-            }
-            
-            for (let i = 0; i < column.length - 1; i++) {
-                if (column[i] === column[i + 1]) {
-                    column[i] *= 2;
-                    this.score += column[i];
-                    column.splice(i + 1, 1);
-                }
-            }
-            
-            while (column.length < this.size) {
-                column.push(0);
-            }
-            
-            for (let i = 0; i < this.size; i++) {
-                if (this.board[i][j] !== column[i]) {
-                    moved = true;
-                }
-                this.board[i][j] = column[i];
-            }
-        }
-        return moved;
+        return this.slideLines(j => Array.from({ length: this.size }, (_, i) => ({ row: i, col: j })));
     }
     
     moveDown() {
-        let moved = false;
-        for (let j = 0; j < this.size; j++) {
-            const column = [];
-            for (let i = 0; i < this.size; i++) {
-                if (this.board[i][j] !== 0) {
-                    column.push(this.board[i][j]);
-                }
-            }
-            
-            for (let i = column.length - 1; i > 0; i--) {
-                if (column[i] === column[i - 1]) {
-                    column[i] *= 2;
-                    this.score += column[i];
-                    column.splice(i - 1, 1);
-                    i--;
-                }
-            }
-            
-            while (column.length < this.size) {
-                column.unshift(0);
-            }
+        return this.slideLines(j => Array.from({ length: this.size }, (_, i) => ({ row: this.size - 1 - i, col: j })));
+    }
+    
+    /**
+     * @param {Function} lineAt - Cells of line n, ordered from the edge tiles slide toward
+     * @returns {Object[]} Tile moves for every tile on the board
+     */
+    slideLines(lineAt) {
+        const moves = [];
+        for (let n = 0; n < this.size; n++) {
+            moves.push(...this.slideLine(lineAt(n)));
+        }
+        return moves;
+    }
+    
+    slideLine(cells) {
+        const tiles = cells
+            .map(cell => ({ ...cell, value: this.board[cell.row][cell.col] }))
+            .filter(tile => tile.value !== 0);
+        const values = cells.map(() => 0);
+        const moves = [];
+        
+        let target = 0;
+        for (let i = 0; i < tiles.length; i++) {
+            const tile = tiles[i];
+            const next = tiles[i + 1];
+            const to = { row: cells[target].row, col: cells[target].col };
             
-            for (let i = 0; i < this.size; i++) {
-                if (this.board[i][j] !== column[i]) {
-                    moved = true;
-                }
-                this.board[i][j] = column[i];
+            // Equal neighbours merge once per move, nearest the edge first
+            if (next && next.value === tile.value) {
+                values[target] = tile.value * 2;
+                this.score += values[target];
+                moves.push({ from: { row: tile.row, col: tile.col }, to, value: tile.value, merged: true });
+                moves.push({ from: { row: next.row, col: next.col }, to, value: next.value, merged: true });
+                i++;
+            } else {
+                values[target] = tile.value;
+                moves.push({ from: { row: tile.row, col: tile.col }, to, value: tile.value, merged: false });
             }
+            target++;
         }
-        return moved;
+        
+        cells.forEach((cell, index) => {
+            this.board[cell.row][cell.col] = values[index];
+        });
+        return moves;
     }
     
     addRandomTile() {
@@ -289,28 +521,30 @@ class Game2048 {
             }
         }
         
-        if (emptyCells.length > 0) {
-            const randomCell = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-            this.board[randomCell.i][randomCell.j] = Math.random() < 0.9 ? 2 : 4;
-        }
+        if (emptyCells.length === 0) return null;
+        
+        const randomCell = emptyCells[Math.floor(Math.random() * emptyCells.length)];
+        const value = Math.random() * 100 < this.settings.fourChance ? 4 : 2;
+        this.board[randomCell.i][randomCell.j] = value;
+        return { row: randomCell.i, col: randomCell.j, value };
     }
     
     updateScore() {
         if (this.score > this.bestScore) {
+            const difficulty = this.getDifficulty();
             this.bestScore = this.score;
-            localStorage.setItem('2048-best', this.bestScore);
+            this.bestScores[difficulty] = { ...this.bestScores[difficulty], [this.size]: this.score };
+            this.saveStat('bestScores', this.bestScores);
+            if (this.size === 4) {
+                this.saveBestScore(this.bestScore);
+            }
         }
     }
     
     checkGameState() {
         // Check for 2048 tile
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                if (this.board[i][j] === 2048 && !this.gameWon) {
-                    this.gameWon = true;
-                    return;
-                }
-            }
+        if (!this.gameWon && this.board.some(row => row.some(cell => cell >= 2048))) {
+            this.gameWon = true;
         }
         
         // Check for game over
@@ -342,21 +576,68 @@ class Game2048 {
     }
     
     newGame() {
-        this.score = 0;
-        this.gameWon = false;
-        this.gameOver = false;
-        this.initBoard();
-        this.addRandomTile();
-        this.addRandomTile();
+        this.startBoard();
+        this.bestScore = this.getSizeBest();
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
+        this.saveProgress();
+    }
+    
+    /**
+     * Save the board in progress to the profile so it can be resumed
+     */
+    saveProgress() {
+        if (this.gameOver) return;
+        
+        this.saveStat('savedGame', {
+            size: this.size,
+            board: this.board,
+            score: this.score,
+            gameWon: this.gameWon,
+            endless: this.endless,
+            undoStack: this.undoStack,
+            undosLeft: this.undosLeft
+        });
+    }
+    
+    clearProgress() {
+        this.saveStat('savedGame', null);
+    }
+    
+    /**
+     * Pick up a saved board
+     * @param {Object|null} saved - Snapshot from saveProgress()
+     * @returns {boolean} True if the snapshot was usable
+     */
+    restoreProgress(saved) {
+        if (!saved || !GAME_2048_SIZES.includes(saved.size) || !Array.isArray(saved.board) ||
+            saved.board.length !== saved.size ||
+            !saved.board.every(row => Array.isArray(row) && row.length === saved.size)) {
+            return false;
+        }
+        
+        this.size = saved.size;
+        this.board = saved.board.map(row => [...row]);
+        this.score = saved.score || 0;
+        this.gameWon = Boolean(saved.gameWon);
+        this.endless = Boolean(saved.endless);
+        this.gameOver = false;
+        this.undoStack = Array.isArray(saved.undoStack) ? saved.undoStack : [];
+        this.undosLeft = typeof saved.undosLeft === 'number'
+            ? Math.min(saved.undosLeft, this.settings.undos)
+            : this.settings.undos;
+        this.trimUndoStack();
+        this.message = '💾 Welcome back! Your game was saved where you left off.';
+        return true;
     }
     
     destroy() {
-        document.removeEventListener('keydown', this.handleKeyPress.bind(this));
-        if (this.container) {
-            this.container.innerHTML = '';
+        if (this.mounted) {
+            this.saveProgress();
         }
+        clearTimeout(this.animationTimer);
+        super.destroy();
     }
 }
 
@@ -368,4 +649,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.Game2048 = Game2048;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('2048', Game2048);
+    }
 }
\ No newline at end of file
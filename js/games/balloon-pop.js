@@ -2,32 +2,76 @@
  * Balloon Pop Game
  * Pop balloons that float up
  */
-class BalloonPop {
+const BALLOON_POP_SETTINGS = {
+    fields: [
+        { key: 'balloonSpeed', label: 'Balloon speed', min: 0.5, max: 4, step: 0.25 },
+        { key: 'spawnRate', label: 'Time between balloons (ms)', min: 300, max: 2000, step: 50 },
+        { key: 'timeLimit', label: 'Time limit (s)', min: 15, max: 180, step: 5 }
+    ],
+    presets: {
+        easy: { balloonSpeed: 0.75, spawnRate: 1200, timeLimit: 60 },
+        normal: { balloonSpeed: 1, spawnRate: 1000, timeLimit: 60 },
+        hard: { balloonSpeed: 1.75, spawnRate: 700, timeLimit: 60 }
+    }
+};
+
+class BalloonPop extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(BALLOON_POP_SETTINGS);
         this.canvas = null;
         this.ctx = null;
         this.gameRunning = false;
         this.score = 0;
-        this.timeLeft = 60;
+        this.timeLeft = this.settings.timeLimit;
         this.balloons = [];
-        this.gameLoop = null;
-        this.spawnInterval = null;
-        this.timerInterval = null;
         
-        // Game settings
-        this.balloonSpeed = 1;
-        this.spawnRate = 1000; // milliseconds
-        this.balloonColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8'];
+        // Score of the last game, shown on the overlay until the next starts
+        this.lastResult = null;
+        this.loop = new GameLoop({
+            update: (dt) => this.update(dt),
+            render: (alpha) => this.draw(alpha)
+        });
+        this.spawner = new PausableTimer(() => this.spawnBalloon(), this.settings.spawnRate);
+        this.countdown = new PausableTimer(() => this.updateTimer(), 1000);
         
-        this.init();
+        // Speed, spawn rate and time limit come from this.settings
+        this.balloonColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8'];
     }
     
     init() {
+        this.timeLeft = this.settings.timeLimit;
         this.render();
         this.attachEventListeners();
     }
     
+    start() {
+        this.startGame();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.loop.stop();
+        this.spawner.pause();
+        this.countdown.pause();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        this.loop.start();
+        this.spawner.resume();
+        this.countdown.resume();
+    }
+    
+    reset() {
+        this.resetGame();
+    }
+    
     render() {
         this.container.innerHTML = `
             <div class="balloon-pop-game">
@@ -50,9 +94,15 @@ class BalloonPop {
                     ${!this.gameRunning ? `
                         <div class="game-overlay" id="game-overlay">
                             <div class="overlay-content">
-                                <h2>Balloon Pop</h2>
-                                <p>Pop as many balloons as you can in 60 seconds!</p>
-                                <button class="btn" id="start-btn">Start Game</button>
+                                ${this.lastResult ? `
+                                    <h2>🎈 Game Over!</h2>
+                                    <p id="balloon-result">Your score: ${this.lastResult.score} points</p>
+                                    <button class="btn" id="start-btn">Play Again</button>
+                                ` : `
+                                    <h2>Balloon Pop</h2>
+                                    <p>Pop as many balloons as you can in ${this.settings.timeLimit} seconds!</p>
+                                    <button class="btn" id="start-btn">Start Game</button>
+                                `}
                             </div>
                         </div>
                     ` : ''}
@@ -65,7 +115,7 @@ class BalloonPop {
                 
                 <div class="game-instructions">
                     <p>🎈 Click on balloons to pop them before they float away!</p>
-                    <p>⏱️ You have 60 seconds to score as many points as possible</p>
+                    <p>⏱️ You have ${this.settings.timeLimit} seconds to score as many points as possible</p>
                     <p>🎯 Different colored balloons give different points</p>
                 </div>
             </div>
@@ -108,51 +158,66 @@ class BalloonPop {
     
     startGame() {
         this.gameRunning = true;
+        this.lastResult = null;
         this.score = 0;
-        this.timeLeft = 60;
+        this.timeLeft = this.settings.timeLimit;
         this.balloons = [];
         
         // Hide overlay
         const overlay = this.container.querySelector('#game-overlay');
         if (overlay) overlay.style.display = 'none';
         
-        // Start game loops
-        this.gameLoop = setInterval(() => this.update(), 1000 / 60);
-        this.spawnInterval = setInterval(() => this.spawnBalloon(), this.spawnRate);
-        this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+        this.setStatus('running');
+        this.startIntervals();
         
         this.render();
         this.attachEventListeners();
     }
     
+    startIntervals() {
+        this.clearIntervals();
+        this.loop.start();
+        this.spawner.interval = this.settings.spawnRate;
+        this.spawner.start();
+        this.countdown.start();
+    }
+    
     stopGame() {
         this.gameRunning = false;
         this.clearIntervals();
         this.balloons = [];
+        this.setStatus('idle');
         this.render();
         this.attachEventListeners();
     }
     
     resetGame() {
+        this.lastResult = null;
         this.stopGame();
         this.score = 0;
-        this.timeLeft = 60;
+        this.timeLeft = this.settings.timeLimit;
         this.render();
         this.attachEventListeners();
     }
     
-    update() {
+    /**
+     * Advance the game by one fixed step
+     * @param {number} dt - Step length in seconds
+     */
+    update(dt) {
         if (!this.gameRunning) return;
         
+        // Balloon speed is in pixels per 60Hz frame
+        const t = dt * 60;
+        
         // Update balloon positions
         this.balloons.forEach(balloon => {
-            balloon.y -= this.balloonSpeed;
+            balloon.prevY = balloon.y;
+            balloon.y -= this.settings.balloonSpeed * t;
         });
         
         // Remove balloons that have floated off screen
         this.balloons = this.balloons.filter(balloon => balloon.y + balloon.size > 0);
-        
-        this.draw();
     }
     
     spawnBalloon() {
@@ -161,6 +226,7 @@ class BalloonPop {
         const balloon = {
             x: Math.random() * (this.canvas.width - 40) + 20,
             y: this.canvas.height + 20,
+            prevY: this.canvas.height + 20,
             size: Math.random() * 20 + 20,
             color: this.balloonColors[Math.floor(Math.random() * this.balloonColors.length)],
             points: Math.floor(Math.random() * 5) + 1
@@ -170,7 +236,7 @@ class BalloonPop {
     }
     
     handleCanvasClick(event) {
-        if (!this.gameRunning) return;
+        if (!this.gameRunning || this.status !== 'running') return;
         
         const rect = this.canvas.getBoundingClientRect();
         const clickX = event.clientX - rect.left;
@@ -208,12 +274,16 @@ class BalloonPop {
         }, 100);
     }
     
-    draw() {
+    /**
+     * Draw the current frame
+     * @param {number} alpha - How far between the last two updates to draw balloons
+     */
+    draw(alpha = 1) {
         this.drawBackground();
         
         // Draw balloons
         this.balloons.forEach(balloon => {
-            this.drawBalloon(balloon);
+            this.drawBalloon(balloon, balloon.prevY + (balloon.y - balloon.prevY) * alpha);
         });
     }
     
@@ -241,17 +311,17 @@ class BalloonPop {
         this.ctx.fill();
     }
     
-    drawBalloon(balloon) {
+    drawBalloon(balloon, y) {
         // Balloon body
         this.ctx.fillStyle = balloon.color;
         this.ctx.beginPath();
-        this.ctx.arc(balloon.x, balloon.y, balloon.size, 0, Math.PI * 2);
+        this.ctx.arc(balloon.x, y, balloon.size, 0, Math.PI * 2);
         this.ctx.fill();
         
         // Balloon highlight
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
         this.ctx.beginPath();
-        this.ctx.arc(balloon.x - balloon.size * 0.3, balloon.y - balloon.size * 0.3, 
+        this.ctx.arc(balloon.x - balloon.size * 0.3, y - balloon.size * 0.3, 
                     balloon.size * 0.3, 0, Math.PI * 2);
         this.ctx.fill();
         
@@ -259,15 +329,15 @@ class BalloonPop {
         this.ctx.strokeStyle = '#8B4513';
         this.ctx.lineWidth = 2;
         this.ctx.beginPath();
-        this.ctx.moveTo(balloon.x, balloon.y + balloon.size);
-        this.ctx.lineTo(balloon.x, balloon.y + balloon.size + 20);
+        this.ctx.moveTo(balloon.x, y + balloon.size);
+        this.ctx.lineTo(balloon.x, y + balloon.size + 20);
         this.ctx.stroke();
         
         // Points indicator
         this.ctx.fillStyle = '#000';
         this.ctx.font = '12px Arial';
         this.ctx.textAlign = 'center';
-        this.ctx.fillText(balloon.points, balloon.x, balloon.y + 4);
+        this.ctx.fillText(balloon.points, balloon.x, y + 4);
     }
     
     updateTimer() {
@@ -294,33 +364,23 @@ class BalloonPop {
     endGame() {
         this.gameRunning = false;
         this.clearIntervals();
+        this.endRound({ score: this.score });
         
-        setTimeout(() => {
-            alert(`🎈 Game Over! Your score: ${this.score} points!`);
-            this.render();
-        }, 100);
+        // The overlay shows the result; an alert here would cover the initials prompt
+        this.lastResult = { score: this.score };
+        this.render();
+        this.attachEventListeners();
     }
     
     clearIntervals() {
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
-        if (this.spawnInterval) {
-            clearInterval(this.spawnInterval);
-            this.spawnInterval = null;
-        }
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.loop.stop();
+        this.spawner.stop();
+        this.countdown.stop();
     }
     
     destroy() {
         this.clearIntervals();
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        super.destroy();
     }
 }
 
@@ -332,4 +392,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.BalloonPop = BalloonPop;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('balloon-pop', BalloonPop);
+    }
 }
\ No newline at end of file
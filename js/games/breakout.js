@@ -2,21 +2,39 @@
  * Breakout Game
  * Paddle and ball destroy bricks
  */
-class Breakout {
+const BREAKOUT_SETTINGS = {
+    fields: [
+        { key: 'ballSpeed', label: 'Ball speed', min: 2, max: 6, step: 0.5 },
+        { key: 'paddleWidth', label: 'Paddle width (px)', min: 40, max: 160, step: 10 },
+        { key: 'lives', label: 'Lives', min: 1, max: 9, step: 1 }
+    ],
+    presets: {
+        easy: { ballSpeed: 2.5, paddleWidth: 110, lives: 5 },
+        normal: { ballSpeed: 3, paddleWidth: 80, lives: 3 },
+        hard: { ballSpeed: 4, paddleWidth: 60, lives: 2 }
+    }
+};
+
+class Breakout extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(BREAKOUT_SETTINGS);
         this.canvas = null;
         this.ctx = null;
         this.gameRunning = false;
         
         // Game objects
-        this.paddle = { x: 0, y: 0, width: 80, height: 10, speed: 6 };
-        this.ball = { x: 0, y: 0, dx: 3, dy: -3, radius: 8 };
+        this.paddle = { x: 0, y: 0, prevX: 0, width: this.settings.paddleWidth, height: 10, speed: 6 };
+        this.ball = { x: 0, y: 0, prevX: 0, prevY: 0, dx: this.settings.ballSpeed, dy: -this.settings.ballSpeed, radius: 8 };
         this.bricks = [];
         this.score = 0;
-        this.lives = 3;
+        this.lives = this.settings.lives;
         this.level = 1;
         
+        // Score and level of the last game, shown on the overlay until the next starts
+        this.lastResult = null;
+        
         // Game settings
         this.brickRows = 5;
         this.brickCols = 8;
@@ -26,13 +44,24 @@ class Breakout {
         this.brickOffsetTop = 60;
         this.brickOffsetLeft = 30;
         
-        this.gameLoop = null;
+        this.loop = new GameLoop({
+            update: (dt) => this.update(dt),
+            render: (alpha) => this.draw(alpha)
+        });
         this.keys = {};
-        
-        this.init();
     }
     
     init() {
+        this.lives = this.settings.lives;
+        
+        // Keyboard controls
+        this.addDocumentListener('keydown', (e) => {
+            this.keys[e.key] = true;
+        });
+        this.addDocumentListener('keyup', (e) => {
+            this.keys[e.key] = false;
+        });
+        
         this.render();
         this.attachEventListeners();
     }
@@ -63,9 +92,15 @@ class Breakout {
                     ${!this.gameRunning ? `
                         <div class="game-overlay" id="game-overlay">
                             <div class="overlay-content">
-                                <h2>Breakout</h2>
-                                <p>Break all the bricks with the ball!</p>
-                                <button class="btn" id="start-btn">Start Game</button>
+                                ${this.lastResult ? `
+                                    <h2>🎮 Game Over!</h2>
+                                    <p id="breakout-result">Final Score: ${this.lastResult.score} · Level Reached: ${this.lastResult.level}</p>
+                                    <button class="btn" id="start-btn">Play Again</button>
+                                ` : `
+                                    <h2>Breakout</h2>
+                                    <p>Break all the bricks with the ball!</p>
+                                    <button class="btn" id="start-btn">Start Game</button>
+                                `}
                             </div>
                         </div>
                     ` : ''}
@@ -88,8 +123,12 @@ class Breakout {
         this.canvas = this.container.querySelector('#breakout-canvas');
         this.ctx = this.canvas.getContext('2d');
         
-        this.initializeGame();
-        if (!this.gameRunning) {
+        if (this.bricks.length === 0) {
+            this.initializeGame();
+        }
+        if (this.status === 'paused') {
+            this.draw();
+        } else if (!this.gameRunning) {
             this.drawStartScreen();
         }
     }
@@ -109,22 +148,13 @@ class Breakout {
             resetBtn.addEventListener('click', () => this.resetGame());
         }
         
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
-        });
-        document.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
-        });
-        
         // Mouse controls
         if (this.canvas) {
             this.canvas.addEventListener('mousemove', (e) => {
                 const rect = this.canvas.getBoundingClientRect();
                 const mouseX = e.clientX - rect.left;
                 if (this.gameRunning) {
-                    this.paddle.x = mouseX - this.paddle.width / 2;
-                    this.paddle.x = Math.max(0, Math.min(this.canvas.width - this.paddle.width, this.paddle.x));
+                    this.movePaddleTo(mouseX);
                 }
             });
             
@@ -135,8 +165,7 @@ class Breakout {
                 const touch = e.touches[0];
                 const touchX = touch.clientX - rect.left;
                 if (this.gameRunning) {
-                    this.paddle.x = touchX - this.paddle.width / 2;
-                    this.paddle.x = Math.max(0, Math.min(this.canvas.width - this.paddle.width, this.paddle.x));
+                    this.movePaddleTo(touchX);
                 }
             });
             
@@ -146,23 +175,30 @@ class Breakout {
                 const touch = e.touches[0];
                 const touchX = touch.clientX - rect.left;
                 if (this.gameRunning) {
-                    this.paddle.x = touchX - this.paddle.width / 2;
-                    this.paddle.x = Math.max(0, Math.min(this.canvas.width - this.paddle.width, this.paddle.x));
+                    this.movePaddleTo(touchX);
                 }
             });
         }
     }
     
+    /**
+     * Centre the paddle on a pointer position; pointer moves aren't interpolated
+     * @param {number} x - Canvas x coordinate
+     */
+    movePaddleTo(x) {
+        this.paddle.x = Math.max(0, Math.min(this.canvas.width - this.paddle.width, x - this.paddle.width / 2));
+        this.paddle.prevX = this.paddle.x;
+    }
+    
     initializeGame() {
         // Initialize paddle
+        this.paddle.width = this.settings.paddleWidth;
         this.paddle.x = (this.canvas.width - this.paddle.width) / 2;
         this.paddle.y = this.canvas.height - this.paddle.height - 10;
+        this.paddle.prevX = this.paddle.x;
         
         // Initialize ball
-        this.ball.x = this.canvas.width / 2;
-        this.ball.y = this.paddle.y - this.ball.radius;
-        this.ball.dx = 3;
-        this.ball.dy = -3;
+        this.resetBall();
         
         // Initialize bricks
         this.initializeBricks();
@@ -188,6 +224,26 @@ class Breakout {
         }
     }
     
+    start() {
+        this.startGame();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.pauseGame();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        this.startGame();
+    }
+    
+    reset() {
+        this.resetGame();
+    }
+    
     toggleGame() {
         if (this.gameRunning) {
             this.pauseGame();
@@ -197,24 +253,28 @@ class Breakout {
     }
     
     startGame() {
+        if (this.gameRunning) return;
+        
         this.gameRunning = true;
+        this.lastResult = null;
+        this.setStatus('running');
         
         // Hide overlay
         const overlay = this.container.querySelector('#game-overlay');
         if (overlay) overlay.style.display = 'none';
         
-        // Start game loop
-        this.gameLoop = setInterval(() => this.update(), 1000 / 60);
-        
         this.render();
         this.attachEventListeners();
+        
+        // Start game loop
+        this.loop.start();
     }
     
     pauseGame() {
         this.gameRunning = false;
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
+        this.loop.stop();
+        if (this.status === 'running') {
+            this.setStatus('paused');
         }
         this.render();
         this.attachEventListeners();
@@ -223,27 +283,39 @@ class Breakout {
     resetGame() {
         this.pauseGame();
         this.score = 0;
-        this.lives = 3;
+        this.lives = this.settings.lives;
         this.level = 1;
+        this.lastResult = null;
         this.initializeGame();
+        this.setStatus('idle');
         this.render();
         this.attachEventListeners();
     }
     
-    update() {
+    /**
+     * Advance the game by one fixed step
+     * @param {number} dt - Step length in seconds
+     */
+    update(dt) {
         if (!this.gameRunning) return;
         
+        // Speeds are in pixels per 60Hz frame
+        const t = dt * 60;
+        this.paddle.prevX = this.paddle.x;
+        this.ball.prevX = this.ball.x;
+        this.ball.prevY = this.ball.y;
+        
         // Move paddle with keyboard
         if (this.keys['ArrowLeft'] && this.paddle.x > 0) {
-            this.paddle.x -= this.paddle.speed;
+            this.paddle.x = Math.max(0, this.paddle.x - this.paddle.speed * t);
         }
         if (this.keys['ArrowRight'] && this.paddle.x < this.canvas.width - this.paddle.width) {
-            this.paddle.x += this.paddle.speed;
+            this.paddle.x = Math.min(this.canvas.width - this.paddle.width, this.paddle.x + this.paddle.speed * t);
         }
         
         // Move ball
-        this.ball.x += this.ball.dx;
-        this.ball.y += this.ball.dy;
+        this.ball.x += this.ball.dx * t;
+        this.ball.y += this.ball.dy * t;
         
         // Ball collision with walls
         if (this.ball.x + this.ball.radius > this.canvas.width || this.ball.x - this.ball.radius < 0) {
@@ -282,7 +354,6 @@ class Breakout {
             this.nextLevel();
         }
         
-        this.draw();
         this.updateDisplay();
     }
     
@@ -332,11 +403,21 @@ class Breakout {
     resetBall() {
         this.ball.x = this.canvas.width / 2;
         this.ball.y = this.paddle.y - this.ball.radius;
-        this.ball.dx = 3;
-        this.ball.dy = -3;
+        this.ball.dx = this.settings.ballSpeed;
+        this.ball.dy = -this.settings.ballSpeed;
+        
+        // Jumps straight to the new spot rather than sliding there
+        this.ball.prevX = this.ball.x;
+        this.ball.prevY = this.ball.y;
     }
     
-    draw() {
+    /**
+     * Draw the current frame
+     * @param {number} alpha - How far between the last two updates to draw moving objects
+     */
+    draw(alpha = 1) {
+        const lerp = (from, to) => from + (to - from) * alpha;
+        
         // Clear canvas
         this.ctx.fillStyle = '#000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -359,11 +440,11 @@ class Breakout {
         
         // Draw paddle
         this.ctx.fillStyle = '#FFF';
-        this.ctx.fillRect(this.paddle.x, this.paddle.y, this.paddle.width, this.paddle.height);
+        this.ctx.fillRect(lerp(this.paddle.prevX, this.paddle.x), this.paddle.y, this.paddle.width, this.paddle.height);
         
         // Draw ball
         this.ctx.beginPath();
-        this.ctx.arc(this.ball.x, this.ball.y, this.ball.radius, 0, Math.PI * 2);
+        this.ctx.arc(lerp(this.ball.prevX, this.ball.x), lerp(this.ball.prevY, this.ball.y), this.ball.radius, 0, Math.PI * 2);
         this.ctx.fillStyle = '#FFF';
         this.ctx.fill();
         this.ctx.closePath();
@@ -394,36 +475,22 @@ class Breakout {
     
     gameOver() {
         this.gameRunning = false;
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
+        this.loop.stop();
+        this.endRound({ score: this.score, level: this.level });
         
-        const finalScore = this.score;
-        const finalLevel = this.level;
-        
-        setTimeout(() => {
-            alert(`🎮 Game Over!\n\nFinal Score: ${finalScore}\nLevel Reached: ${finalLevel}`);
-            // Reset game state
-            this.score = 0;
-            this.lives = 3;
-            this.level = 1;
-            this.initializeGame();
-            this.render();
-            this.attachEventListeners();
-        }, 100);
+        // Show the result on the overlay and set up the next game behind it
+        this.lastResult = { score: this.score, level: this.level };
+        this.score = 0;
+        this.lives = this.settings.lives;
+        this.level = 1;
+        this.initializeGame();
+        this.render();
+        this.attachEventListeners();
     }
     
     destroy() {
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
-        document.removeEventListener('keydown', this.handleKeyDown);
-        document.removeEventListener('keyup', this.handleKeyUp);
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        this.loop.stop();
+        super.destroy();
     }
 }
 
@@ -435,4 +502,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.Breakout = Breakout;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('breakout', Breakout);
+    }
 }
\ No newline at end of file
@@ -2,15 +2,34 @@
  * Color Match Game (Stroop Effect)
  * Match the text color with the written color
  */
-class ColorMatch {
+const COLOR_MATCH_SETTINGS = {
+    fields: [
+        { key: 'colorCount', label: 'Colors in play', min: 3, max: 6, step: 1 },
+        { key: 'timeLimit', label: 'Time limit (s)', min: 15, max: 120, step: 5 }
+    ],
+    presets: {
+        easy: { colorCount: 4, timeLimit: 60 },
+        normal: { colorCount: 6, timeLimit: 60 },
+        hard: { colorCount: 6, timeLimit: 40 }
+    }
+};
+
+class ColorMatch extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(COLOR_MATCH_SETTINGS);
         this.score = 0;
-        this.timeLeft = 60;
+        this.timeLeft = this.settings.timeLimit;
         this.gameActive = false;
         this.currentChallenge = null;
-        this.timerInterval = null;
+        this.countdown = new PausableTimer(() => this.tick(), 1000);
+        this.pausedAt = null;
         this.streak = 0;
+        this.bestStreak = 0;
+        
+        // Score and best streak of the last game, shown until the next starts
+        this.lastResult = null;
         
         this.colors = [
             { name: 'RED', color: '#FF0000' },
@@ -20,16 +39,42 @@ class ColorMatch {
             { name: 'PURPLE', color: '#800080' },
             { name: 'ORANGE', color: '#FFA500' }
         ];
-        
-        this.init();
     }
     
     init() {
+        this.timeLeft = this.settings.timeLimit;
         this.generateChallenge();
         this.render();
         this.attachEventListeners();
     }
     
+    start() {
+        this.startGame();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.countdown.pause();
+        this.pausedAt = Date.now();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        // Time spent paused doesn't count against the quick-answer bonus
+        this.challengeStartTime += Date.now() - this.pausedAt;
+        super.resume();
+        this.countdown.resume();
+    }
+    
+    reset() {
+        this.timeLeft = this.settings.timeLimit;
+        this.generateChallenge();
+        this.stopGame();
+    }
+    
     render() {
         this.container.innerHTML = `
             <div class="color-match-game">
@@ -64,7 +109,7 @@ class ColorMatch {
                     </div>
                     
                     <div class="color-buttons" id="color-buttons">
-                        ${this.colors.map(color => `
+                        ${this.getActiveColors().map(color => `
                             <button class="color-btn" 
                                     data-color="${color.name}" 
                                     style="background-color: ${color.color}"
@@ -75,7 +120,10 @@ class ColorMatch {
                     </div>
                     
                     <div class="feedback-area" id="feedback-area">
-                        ${!this.gameActive ? '<p>Test your ability to ignore what you read and focus on color!</p>' : ''}
+                        ${this.gameActive ? '' : this.lastResult ? `
+                            <p id="color-match-result">🎨 Time's up! Final Score: ${this.lastResult.score} · Best Streak: ${this.lastResult.bestStreak}</p>
+                            <p>Great job fighting the Stroop effect!</p>
+                        ` : '<p>Test your ability to ignore what you read and focus on color!</p>'}
                     </div>
                 </div>
                 
@@ -116,37 +164,52 @@ class ColorMatch {
     startGame() {
         this.gameActive = true;
         this.score = 0;
-        this.timeLeft = 60;
+        this.timeLeft = this.settings.timeLimit;
         this.streak = 0;
+        this.bestStreak = 0;
+        this.lastResult = null;
         this.challengeStartTime = Date.now();
         
         this.generateChallenge();
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
+        this.startTimer();
+    }
+    
+    startTimer() {
+        this.countdown.start();
+    }
+    
+    tick() {
+        this.timeLeft--;
+        this.updateDisplay();
         
-        this.timerInterval = setInterval(() => {
-            this.timeLeft--;
-            this.updateDisplay();
-            
-            if (this.timeLeft <= 0) {
-                this.endGame();
-            }
-        }, 1000);
+        if (this.timeLeft <= 0) {
+            this.endGame();
+        }
+    }
+    
+    stopTimer() {
+        this.countdown.stop();
     }
     
     stopGame() {
         this.gameActive = false;
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.stopTimer();
+        this.setStatus('idle');
         this.render();
         this.attachEventListeners();
     }
     
+    getActiveColors() {
+        return this.colors.slice(0, this.settings.colorCount);
+    }
+    
     generateChallenge() {
-        const wordColor = this.colors[Math.floor(Math.random() * this.colors.length)];
-        const displayColor = this.colors[Math.floor(Math.random() * this.colors.length)];
+        const colors = this.getActiveColors();
+        const wordColor = colors[Math.floor(Math.random() * colors.length)];
+        const displayColor = colors[Math.floor(Math.random() * colors.length)];
         
         this.currentChallenge = {
             word: wordColor.name,
@@ -159,7 +222,7 @@ class ColorMatch {
     }
     
     handleColorChoice(event) {
-        if (!this.gameActive || !this.currentChallenge) return;
+        if (!this.gameActive || this.status !== 'running' || !this.currentChallenge) return;
         
         const chosenColor = event.target.dataset.color;
         const correct = chosenColor === this.currentChallenge.correctAnswer;
@@ -167,6 +230,7 @@ class ColorMatch {
         
         if (correct) {
             this.streak++;
+            this.bestStreak = Math.max(this.bestStreak, this.streak);
             let points = 10;
             
             // Bonus for quick responses
@@ -214,26 +278,18 @@ class ColorMatch {
     
     endGame() {
         this.gameActive = false;
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.stopTimer();
+        this.endRound({ score: this.score });
         
-        setTimeout(() => {
-            alert(`🎨 Time's up!\n\nFinal Score: ${this.score}\nBest Streak: ${this.streak}\n\nGreat job fighting the Stroop effect!`);
-            this.render();
-            this.attachEventListeners();
-        }, 100);
+        // The feedback area shows the result until the next game
+        this.lastResult = { score: this.score, bestStreak: this.bestStreak };
+        this.render();
+        this.attachEventListeners();
     }
     
     destroy() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        this.stopTimer();
+        super.destroy();
     }
 }
 
@@ -245,4 +301,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.ColorMatch = ColorMatch;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('color-match', ColorMatch);
+    }
 }
\ No newline at end of file
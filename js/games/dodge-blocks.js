@@ -2,38 +2,68 @@
  * Dodge the Blocks Game
  * Move your character to avoid falling obstacles
  */
-class DodgeBlocks {
+const DODGE_BLOCKS_SETTINGS = {
+    fields: [
+        { key: 'startSpeed', label: 'Starting speed', min: 1, max: 4, step: 0.5 },
+        { key: 'spawnChance', label: 'Starting block chance per frame (%)', min: 1, max: 5, step: 0.5 }
+    ],
+    presets: {
+        easy: { startSpeed: 1.5, spawnChance: 1.5 },
+        normal: { startSpeed: 2, spawnChance: 2 },
+        hard: { startSpeed: 3, spawnChance: 3 }
+    }
+};
+
+class DodgeBlocks extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(DODGE_BLOCKS_SETTINGS);
         this.canvas = null;
         this.ctx = null;
         this.gameRunning = false;
         
         // Game objects
-        this.player = { x: 200, y: 250, width: 20, height: 20, speed: 5 };
+        this.player = { x: 200, y: 250, prevX: 200, width: 20, height: 20, speed: 5 };
         this.blocks = [];
         this.score = 0;
-        this.gameSpeed = 2;
-        this.spawnRate = 0.02;
+        this.gameSpeed = this.settings.startSpeed;
+        this.spawnRate = this.settings.spawnChance / 100;
+        
+        // Score and top speed of the last game, shown on the overlay until the next starts
+        this.lastResult = null;
         
         // Game settings
         this.blockWidth = 30;
         this.blockHeight = 30;
         this.blockSpeed = 2;
         
-        this.gameLoop = null;
+        this.loop = new GameLoop({
+            update: (dt) => this.update(dt),
+            render: (alpha) => this.draw(alpha)
+        });
         this.keys = {};
-        
-        this.init();
     }
     
     init() {
+        this.gameSpeed = this.settings.startSpeed;
+        this.spawnRate = this.settings.spawnChance / 100;
+        
+        // Keyboard controls
+        this.addDocumentListener('keydown', (e) => {
+            this.keys[e.key] = true;
+        });
+        this.addDocumentListener('keyup', (e) => {
+            this.keys[e.key] = false;
+        });
+        
         this.render();
         this.attachEventListeners();
         // Initialize player position after canvas is created
         if (this.canvas) {
             this.player.x = this.canvas.width / 2 - this.player.width / 2;
             this.player.y = this.canvas.height - this.player.height - 10;
+            this.player.prevX = this.player.x;
         }
     }
     
@@ -59,9 +89,16 @@ class DodgeBlocks {
                     ${!this.gameRunning ? `
                         <div class="game-overlay" id="game-overlay">
                             <div class="overlay-content">
-                                <h2>Dodge the Blocks</h2>
-                                <p>Avoid the falling blocks for as long as possible!</p>
-                                <button class="btn" id="start-btn">Start Game</button>
+                                ${this.lastResult ? `
+                                    <h2>💥 Game Over!</h2>
+                                    <p id="dodge-result">Final Score: ${this.lastResult.score} · Max Speed: ${this.lastResult.speed.toFixed(1)}x</p>
+                                    <p>You survived ${Math.floor(this.lastResult.score / 10)} blocks!</p>
+                                    <button class="btn" id="start-btn">Play Again</button>
+                                ` : `
+                                    <h2>Dodge the Blocks</h2>
+                                    <p>Avoid the falling blocks for as long as possible!</p>
+                                    <button class="btn" id="start-btn">Start Game</button>
+                                `}
                             </div>
                         </div>
                     ` : ''}
@@ -90,7 +127,9 @@ class DodgeBlocks {
         this.ctx = this.canvas.getContext('2d');
         
         // Initialize canvas display
-        if (!this.gameRunning && this.ctx) {
+        if (this.status === 'paused' && this.ctx) {
+            this.draw();
+        } else if (!this.gameRunning && this.ctx) {
             this.drawStartScreen();
         }
     }
@@ -142,14 +181,26 @@ class DodgeBlocks {
                 this.keys['ArrowRight'] = false;
             });
         }
+    }
+    
+    start() {
+        this.startGame();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
         
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
-        });
-        document.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
-        });
+        this.pauseGame();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        this.startGame();
+    }
+    
+    reset() {
+        this.resetGame();
     }
     
     toggleGame() {
@@ -161,24 +212,30 @@ class DodgeBlocks {
     }
     
     startGame() {
+        if (this.gameRunning) return;
+        
+        // A finished game leaves its blocks behind; clear them first
+        if (this.status === 'over') this.resetGame();
+        this.lastResult = null;
         this.gameRunning = true;
+        this.setStatus('running');
         
         // Hide overlay
         const overlay = this.container.querySelector('#game-overlay');
         if (overlay) overlay.style.display = 'none';
         
-        // Start game loop
-        this.gameLoop = setInterval(() => this.update(), 1000 / 60);
-        
         this.render();
         this.attachEventListeners();
+        
+        // Start game loop
+        this.loop.start();
     }
     
     pauseGame() {
         this.gameRunning = false;
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
+        this.loop.stop();
+        if (this.status === 'running') {
+            this.setStatus('paused');
         }
         this.render();
         this.attachEventListeners();
@@ -190,12 +247,14 @@ class DodgeBlocks {
         // Reset player
         this.player.x = (this.canvas ? this.canvas.width : 400) / 2 - this.player.width / 2;
         this.player.y = (this.canvas ? this.canvas.height : 300) - this.player.height - 10;
+        this.player.prevX = this.player.x;
         
         // Reset game state
         this.blocks = [];
         this.score = 0;
-        this.gameSpeed = 2;
-        this.spawnRate = 0.02;
+        this.gameSpeed = this.settings.startSpeed;
+        this.spawnRate = this.settings.spawnChance / 100;
+        this.setStatus('idle');
         
         // Only redraw if canvas exists, don't re-render entire component
         if (this.canvas && this.ctx) {
@@ -204,25 +263,34 @@ class DodgeBlocks {
         }
     }
     
-    update() {
+    /**
+     * Advance the game by one fixed step
+     * @param {number} dt - Step length in seconds
+     */
+    update(dt) {
         if (!this.gameRunning) return;
         
+        // Speeds, spawn chances and the difficulty ramp are per 60Hz frame
+        const t = dt * 60;
+        this.player.prevX = this.player.x;
+        
         // Move player
         if (this.keys['ArrowLeft'] && this.player.x > 0) {
-            this.player.x -= this.player.speed;
+            this.player.x = Math.max(0, this.player.x - this.player.speed * t);
         }
         if (this.keys['ArrowRight'] && this.player.x < this.canvas.width - this.player.width) {
-            this.player.x += this.player.speed;
+            this.player.x = Math.min(this.canvas.width - this.player.width, this.player.x + this.player.speed * t);
         }
         
         // Spawn blocks
-        if (Math.random() < this.spawnRate) {
+        if (Math.random() < this.spawnRate * t) {
             this.spawnBlock();
         }
         
         // Update blocks
         this.blocks.forEach(block => {
-            block.y += block.speed * this.gameSpeed;
+            block.prevY = block.y;
+            block.y += block.speed * this.gameSpeed * t;
         });
         
         // Remove blocks that are off screen and add score
@@ -241,10 +309,9 @@ class DodgeBlocks {
         }
         
         // Increase difficulty
-        this.gameSpeed += 0.001;
-        this.spawnRate = Math.min(0.05, this.spawnRate + 0.0001);
+        this.gameSpeed += 0.001 * t;
+        this.spawnRate = Math.min(0.05, this.spawnRate + 0.0001 * t);
         
-        this.draw();
         this.updateDisplay();
     }
     
@@ -252,6 +319,7 @@ class DodgeBlocks {
         const block = {
             x: Math.random() * (this.canvas.width - this.blockWidth),
             y: -this.blockHeight,
+            prevY: -this.blockHeight,
             width: this.blockWidth,
             height: this.blockHeight,
             speed: this.blockSpeed,
@@ -277,7 +345,14 @@ class DodgeBlocks {
         return false;
     }
     
-    draw() {
+    /**
+     * Draw the current frame
+     * @param {number} alpha - How far between the last two updates to draw moving objects
+     */
+    draw(alpha = 1) {
+        const lerp = (from, to) => from + (to - from) * alpha;
+        const playerX = lerp(this.player.prevX, this.player.x);
+        
         // Clear canvas with gradient background
         const gradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
         gradient.addColorStop(0, '#1a1a2e');
@@ -287,23 +362,24 @@ class DodgeBlocks {
         
         // Draw player
         this.ctx.fillStyle = '#00FF00';
-        this.ctx.fillRect(this.player.x, this.player.y, this.player.width, this.player.height);
+        this.ctx.fillRect(playerX, this.player.y, this.player.width, this.player.height);
         
         // Player glow effect
         this.ctx.shadowColor = '#00FF00';
         this.ctx.shadowBlur = 10;
-        this.ctx.fillRect(this.player.x, this.player.y, this.player.width, this.player.height);
+        this.ctx.fillRect(playerX, this.player.y, this.player.width, this.player.height);
         this.ctx.shadowBlur = 0;
         
         // Draw blocks
         this.blocks.forEach(block => {
+            const blockY = lerp(block.prevY, block.y);
             this.ctx.fillStyle = block.color;
-            this.ctx.fillRect(block.x, block.y, block.width, block.height);
+            this.ctx.fillRect(block.x, blockY, block.width, block.height);
             
             // Block border
             this.ctx.strokeStyle = '#FFF';
             this.ctx.lineWidth = 1;
-            this.ctx.strokeRect(block.x, block.y, block.width, block.height);
+            this.ctx.strokeRect(block.x, blockY, block.width, block.height);
         });
         
         // Draw score
@@ -351,26 +427,18 @@ class DodgeBlocks {
     
     gameOver() {
         this.gameRunning = false;
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
+        this.loop.stop();
+        this.endRound({ score: this.score });
         
-        setTimeout(() => {
-            alert(`💥 Game Over!\n\nFinal Score: ${this.score}\nMax Speed: ${this.gameSpeed.toFixed(1)}x\n\nYou survived ${Math.floor(this.score / 10)} blocks!`);
-            this.render();
-            this.attachEventListeners();
-        }, 100);
+        // Show the result on the overlay
+        this.lastResult = { score: this.score, speed: this.gameSpeed };
+        this.render();
+        this.attachEventListeners();
     }
     
     destroy() {
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        this.loop.stop();
+        super.destroy();
     }
 }
 
@@ -382,4 +450,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.DodgeBlocks = DodgeBlocks;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('dodge-blocks', DodgeBlocks);
+    }
 }
\ No newline at end of file
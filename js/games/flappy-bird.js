@@ -2,33 +2,82 @@
  * Flappy Bird Clone
  * Avoid obstacles to keep flying
  */
-class FlappyBird {
+const FLAPPY_SETTINGS = {
+    fields: [
+        { key: 'pipeGap', label: 'Pipe gap (px)', min: 100, max: 220, step: 5 },
+        { key: 'pipeSpeed', label: 'Pipe speed', min: 1, max: 5, step: 0.5 },
+        { key: 'gravity', label: 'Gravity', min: 0.2, max: 1, step: 0.05 }
+    ],
+    presets: {
+        easy: { pipeGap: 190, pipeSpeed: 1.5, gravity: 0.4 },
+        normal: { pipeGap: 150, pipeSpeed: 2, gravity: 0.5 },
+        hard: { pipeGap: 120, pipeSpeed: 3, gravity: 0.55 }
+    }
+};
+
+class FlappyBird extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.pauseKeys = ['p']; // Space flaps
+        this.defineSettings(FLAPPY_SETTINGS);
         this.canvas = null;
         this.ctx = null;
         this.gameRunning = false;
         this.gameStarted = false;
         
         // Game state
-        this.bird = { x: 50, y: 200, velocity: 0, size: 20 };
+        this.bird = { x: 50, y: 200, prevY: 200, velocity: 0, size: 20 };
         this.pipes = [];
         this.score = 0;
-        this.bestScore = localStorage.getItem('flappy-best') || 0;
+        this.bestScore = 0;
         
-        // Game settings
-        this.gravity = 0.5;
+        // Fixed tuning; gap, speed and gravity come from this.settings
         this.jumpStrength = -8;
         this.pipeWidth = 60;
-        this.pipeGap = 150;
-        this.pipeSpeed = 2;
         
-        this.gameLoop = null;
-        
-        this.init();
+        this.loop = new GameLoop({
+            update: (dt) => this.update(dt),
+            render: (alpha) => this.draw(alpha)
+        });
     }
     
     init() {
+        this.bestScore = this.getBestScore() || 0;
+        this.render();
+        this.attachEventListeners();
+        
+        // Keyboard controls - bound once so re-renders don't stack listeners
+        this.addDocumentListener('keydown', (e) => this.handleKeyPress(e));
+    }
+    
+    start() {
+        this.startGame();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.loop.stop();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        this.loop.start();
+    }
+    
+    reset() {
+        this.loop.stop();
+        this.gameRunning = false;
+        this.gameStarted = false;
+        this.score = 0;
+        this.bird = { x: 50, y: 200, prevY: 200, velocity: 0, size: 20 };
+        this.pipes = [];
+        this.bestScore = this.getBestScore() || 0;
+        this.setStatus('idle');
         this.render();
         this.attachEventListeners();
     }
@@ -95,14 +144,13 @@ class FlappyBird {
         if (this.canvas) {
             this.canvas.addEventListener('click', () => this.jump());
         }
-        
-        // Keyboard controls
-        document.addEventListener('keydown', this.handleKeyPress.bind(this));
     }
     
     handleKeyPress(event) {
         if (event.code === 'Space') {
             event.preventDefault();
+            if (this.status === 'paused') return;
+            
             if (this.gameRunning) {
                 this.jump();
             } else {
@@ -112,12 +160,14 @@ class FlappyBird {
     }
     
     startGame() {
+        this.loop.stop();
         this.gameRunning = true;
         this.gameStarted = true;
         this.score = 0;
+        this.setStatus('running');
         
         // Reset bird
-        this.bird = { x: 50, y: 200, velocity: 0, size: 20 };
+        this.bird = { x: 50, y: 200, prevY: 200, velocity: 0, size: 20 };
         this.pipes = [];
         
         // Hide overlay
@@ -125,28 +175,37 @@ class FlappyBird {
         if (overlay) overlay.style.display = 'none';
         
         // Start game loop
-        this.gameLoop = setInterval(() => this.update(), 1000 / 60);
+        this.loop.start();
         
         // Generate first pipe
         setTimeout(() => this.generatePipe(), 1500);
     }
     
     jump() {
-        if (this.gameRunning) {
+        if (this.gameRunning && this.status === 'running') {
             this.bird.velocity = this.jumpStrength;
         }
     }
     
-    update() {
+    /**
+     * Advance the game by one fixed step
+     * @param {number} dt - Step length in seconds
+     */
+    update(dt) {
         if (!this.gameRunning) return;
         
+        // Gravity, flap strength and pipe speed are per 60Hz frame
+        const t = dt * 60;
+        
         // Update bird physics
-        this.bird.velocity += this.gravity;
-        this.bird.y += this.bird.velocity;
+        this.bird.prevY = this.bird.y;
+        this.bird.velocity += this.settings.gravity * t;
+        this.bird.y += this.bird.velocity * t;
         
         // Update pipes
         this.pipes.forEach(pipe => {
-            pipe.x -= this.pipeSpeed;
+            pipe.prevX = pipe.x;
+            pipe.x -= this.settings.pipeSpeed * t;
         });
         
         // Remove off-screen pipes and add score
@@ -172,19 +231,18 @@ class FlappyBird {
             this.endGame();
             return;
         }
-        
-        this.draw();
     }
     
     generatePipe() {
         const minHeight = 50;
-        const maxHeight = this.canvas.height - this.pipeGap - minHeight;
+        const maxHeight = this.canvas.height - this.settings.pipeGap - minHeight;
         const topHeight = Math.random() * (maxHeight - minHeight) + minHeight;
         
         this.pipes.push({
             x: this.canvas.width,
+            prevX: this.canvas.width,
             topHeight: topHeight,
-            bottomY: topHeight + this.pipeGap,
+            bottomY: topHeight + this.settings.pipeGap,
             scored: false
         });
     }
@@ -210,7 +268,13 @@ class FlappyBird {
         return false;
     }
     
-    draw() {
+    /**
+     * Draw the current frame
+     * @param {number} alpha - How far between the last two updates to draw moving objects
+     */
+    draw(alpha = 1) {
+        const lerp = (from, to) => from + (to - from) * alpha;
+        
         // Clear canvas
         this.ctx.fillStyle = '#87CEEB';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -218,16 +282,17 @@ class FlappyBird {
         // Draw pipes
         this.ctx.fillStyle = '#228B22';
         this.pipes.forEach(pipe => {
+            const pipeX = lerp(pipe.prevX, pipe.x);
             // Top pipe
-            this.ctx.fillRect(pipe.x, 0, this.pipeWidth, pipe.topHeight);
+            this.ctx.fillRect(pipeX, 0, this.pipeWidth, pipe.topHeight);
             // Bottom pipe
-            this.ctx.fillRect(pipe.x, pipe.bottomY, this.pipeWidth, 
+            this.ctx.fillRect(pipeX, pipe.bottomY, this.pipeWidth, 
                              this.canvas.height - pipe.bottomY);
         });
         
         // Draw bird
         this.ctx.fillStyle = '#FFD700';
-        this.ctx.fillRect(this.bird.x, this.bird.y, this.bird.size, this.bird.size);
+        this.ctx.fillRect(this.bird.x, lerp(this.bird.prevY, this.bird.y), this.bird.size, this.bird.size);
         
         // Draw score
         this.ctx.fillStyle = '#000';
@@ -259,7 +324,7 @@ class FlappyBird {
         
         if (this.score > this.bestScore) {
             this.bestScore = this.score;
-            localStorage.setItem('flappy-best', this.bestScore);
+            this.saveBestScore(this.bestScore);
             const bestElement = this.container.querySelector('#best');
             if (bestElement) {
                 bestElement.textContent = this.bestScore;
@@ -269,11 +334,7 @@ class FlappyBird {
     
     endGame() {
         this.gameRunning = false;
-        
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
+        this.loop.stop();
         
         // Show overlay
         const overlay = this.container.querySelector('#game-overlay');
@@ -285,24 +346,21 @@ class FlappyBird {
                     <h2>Game Over!</h2>
                     <p>Score: ${this.score}</p>
                     ${this.score === this.bestScore && this.score > 0 ? '<p>🏆 New Best Score!</p>' : ''}
-                    <button class="btn" onclick="window.currentFlappyGame.startGame()">Play Again</button>
+                    <button class="btn" id="play-again-btn">Play Again</button>
                 `;
+                const playAgainBtn = content.querySelector('#play-again-btn');
+                if (playAgainBtn) {
+                    playAgainBtn.addEventListener('click', () => this.startGame());
+                }
             }
         }
         
-        // Store reference for restart
-        window.currentFlappyGame = this;
+        this.endRound({ score: this.score });
     }
     
     destroy() {
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
-        document.removeEventListener('keydown', this.handleKeyPress.bind(this));
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        this.loop.stop();
+        super.destroy();
     }
 }
 
@@ -314,4 +372,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.FlappyBird = FlappyBird;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('flappy-bird', FlappyBird);
+    }
 }
\ No newline at end of file
@@ -1,64 +1,232 @@
 /**
  * Guess the Number Game
- * A number guessing game with limited attempts and progress tracking
+ * A number guessing game with limited attempts and progress tracking.
+ * Besides the classic game, the computer can guess the player's number
+ * from higher/lower answers, or the player can crack a bulls-and-cows code.
  */
-class GuessNumber {
+const GUESS_SETTINGS = {
+    fields: [
+        { key: 'minNumber', label: 'Lowest number', min: 0, max: 990, step: 1 },
+        { key: 'maxNumber', label: 'Highest number', min: 10, max: 1000, step: 10 },
+        { key: 'maxAttempts', label: 'Attempts', min: 3, max: 20, step: 1 },
+        { key: 'codeLength', label: 'Code digits', min: 3, max: 6, step: 1 }
+    ],
+    presets: {
+        easy: { minNumber: 1, maxNumber: 50, maxAttempts: 10, codeLength: 3 },
+        normal: { minNumber: 1, maxNumber: 100, maxAttempts: 10, codeLength: 4 },
+        hard: { minNumber: 1, maxNumber: 1000, maxAttempts: 10, codeLength: 5 }
+    }
+};
+
+const GUESS_MODES = [
+    { id: 'classic', label: '🎯 You guess' },
+    { id: 'reverse', label: '🤖 Computer guesses' },
+    { id: 'mastermind', label: '🐂 Bulls & cows' }
+];
+
+class GuessNumber extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.scoreOrder = 'lower';
+        this.defineSettings(GUESS_SETTINGS);
+        this.mode = 'classic';
         this.number = this.generateNumber();
+        this.code = '';
         this.guess = '';
-        this.message = 'Guess a number between 1 and 100!';
+        this.message = this.getIntroMessage();
+        this.messageType = this.getRangeError() ? 'warning' : '';
         this.attempts = 0;
-        this.maxAttempts = 10;
         this.gameOver = false;
-        
-        this.init();
+        // Reverse mode: the player's higher/lower answers to the computer's guesses
+        this.answers = [];
+        // Mastermind: guesses with their bulls and cows
+        this.codeGuesses = [];
     }
     
     init() {
+        if (GUESS_MODES.some(m => m.id === this.getStat('mode'))) {
+            this.mode = this.getStat('mode');
+        }
+        // Settings are loaded on mount, so pick the number for the saved range
+        this.number = this.generateNumber();
+        this.code = this.generateCode();
+        this.message = this.getIntroMessage();
+        this.messageType = this.getRangeError() ? 'warning' : '';
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
+    }
+    
+    start() {
+        this.handleRestart();
+    }
+    
+    reset() {
+        this.handleRestart();
+    }
+    
+    /**
+     * @returns {{low: number, high: number}} Numbers in play, as set
+     */
+    getRange() {
+        const { minNumber, maxNumber } = this.settings;
+        return { low: minNumber, high: maxNumber };
+    }
+    
+    /**
+     * Custom settings can put the lowest number at or above the highest;
+     * such a range is refused rather than quietly changed
+     * @returns {string} Why the range can't be played, or '' if it can
+     */
+    getRangeError() {
+        const { low, high } = this.getRange();
+        if (this.mode === 'mastermind' || low < high) return '';
+        return `⚠️ The lowest number (${low}) must be below the highest (${high}). Pick another range under Custom difficulty.`;
+    }
+    
+    /**
+     * Whether the player can guess or answer: the round is still on and
+     * the range can be played
+     */
+    canPlay() {
+        return !this.gameOver && !this.getRangeError();
     }
     
     generateNumber() {
-        return Math.floor(Math.random() * 100) + 1;
+        const { low, high } = this.getRange();
+        return Math.floor(Math.random() * (high - low + 1)) + low;
     }
     
-    render() {
-        const progress = Math.max(0, ((this.maxAttempts - this.attempts) / this.maxAttempts) * 100);
+    generateCode() {
+        return GuessNumber.generateCode(this.settings.codeLength);
+    }
+    
+    /**
+     * Guesses a binary search needs, at worst, to find any number in a range
+     * @param {number} count - How many numbers are in the range
+     * @returns {number} Guess count
+     */
+    static optimalGuesses(count) {
+        return Math.ceil(Math.log2(count + 1));
+    }
+    
+    getOptimalGuesses() {
+        const { low, high } = this.getRange();
+        return GuessNumber.optimalGuesses(high - low + 1);
+    }
+    
+    /**
+     * Narrow the range by the player's answers in reverse mode
+     * @param {{low: number, high: number}} range - Numbers in play
+     * @param {Object[]} answers - Answers as { guess, answer: 'higher'|'lower' }
+     * @returns {{low: number, high: number, lowGuess: number|null, highGuess: number|null}}
+     *     What's left, and the guesses that set each end. Low above high
+     *     means the answers contradict each other.
+     */
+    static narrowRange({ low, high }, answers) {
+        let lowGuess = null;
+        let highGuess = null;
         
+        answers.forEach(({ guess, answer }) => {
+            if (answer === 'higher' && guess + 1 > low) {
+                low = guess + 1;
+                lowGuess = guess;
+            } else if (answer === 'lower' && guess - 1 < high) {
+                high = guess - 1;
+                highGuess = guess;
+            }
+        });
+        
+        return { low, high, lowGuess, highGuess };
+    }
+    
+    /**
+     * A code of distinct digits, which may start with 0
+     * @param {number} length - Digits, 10 at most
+     * @param {Function} [random] - Random source, Math.random by default
+     * @returns {string} Code
+     */
+    static generateCode(length, random = Math.random) {
+        const digits = '0123456789'.split('');
+        // Partial Fisher–Yates: shuffle just the digits we keep
+        for (let i = 0; i < length; i++) {
+            const j = i + Math.floor(random() * (digits.length - i));
+            [digits[i], digits[j]] = [digits[j], digits[i]];
+        }
+        return digits.slice(0, length).join('');
+    }
+    
+    /**
+     * @param {string} code - Secret code
+     * @param {string} guess - Guess of the same length
+     * @returns {{bulls: number, cows: number}} Digits in the right place, and
+     *     right digits in the wrong place
+     */
+    static scoreCode(code, guess) {
+        let bulls = 0;
+        let cows = 0;
+        [...guess].forEach((digit, i) => {
+            if (code[i] === digit) {
+                bulls++;
+            } else if (code.includes(digit)) {
+                cows++;
+            }
+        });
+        return { bulls, cows };
+    }
+    
+    /**
+     * The computer's next guess in reverse mode: the middle of what's left
+     * @returns {number|null} Guess, or null when the answers contradict
+     */
+    getComputerGuess() {
+        const { low, high } = GuessNumber.narrowRange(this.getRange(), this.answers);
+        return low > high ? null : Math.floor((low + high) / 2);
+    }
+    
+    isInconsistent() {
+        return this.mode === 'reverse' && this.getComputerGuess() === null;
+    }
+    
+    getIntroMessage() {
+        const { low, high } = this.getRange();
+        const rangeError = this.getRangeError();
+        if (rangeError) return rangeError;
+        if (this.mode === 'reverse') {
+            return `Think of a number between ${low} and ${high} - I'll find it in ${this.getOptimalGuesses()} guesses or fewer!`;
+        }
+        if (this.mode === 'mastermind') {
+            return `Crack the ${this.settings.codeLength}-digit code! Every digit is different.`;
+        }
+        return `Guess a number between ${low} and ${high}!`;
+    }
+    
+    setMode(mode) {
+        if (!GUESS_MODES.some(m => m.id === mode)) return;
+        
+        this.mode = mode;
+        this.saveStat('mode', mode);
+        this.handleRestart();
+    }
+    
+    render() {
         this.container.innerHTML = `
             <div class="guess-number-game">
                 <div class="game-header">
                     <h3>🎯 Guess the Number</h3>
-                    <p>Try to guess the number between 1 and 100!</p>
+                    <p>${this.getHeaderText()}</p>
                 </div>
                 
-                <div class="progress-container">
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${progress}%"></div>
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Mode">
+                        ${GUESS_MODES.map(m => this.renderOption('mode', m.id, m.label, this.mode)).join('')}
                     </div>
-                    <p class="attempts-text">Attempts left: <strong>${this.maxAttempts - this.attempts}</strong></p>
                 </div>
                 
-                <div class="guess-input-container">
-                    <input type="number" 
-                           id="guess-input" 
-                           class="guess-input" 
-                           placeholder="Enter your guess"
-                           min="1" 
-                           max="100"
-                           value="${this.guess}"
-                           ${this.gameOver ? 'disabled' : ''}>
-                    <button class="btn submit-btn" 
-                            id="submit-btn" 
-                            ${this.gameOver ? 'disabled' : ''}>
-                        Submit
-                    </button>
-                </div>
+                ${this.mode === 'reverse' ? this.renderReverse() : this.renderGuessing()}
                 
                 <div class="message-container">
-                    <p class="game-message ${this.gameOver ? 'game-over' : ''}" id="game-message">
+                    <p class="game-message ${this.messageType} ${this.gameOver ? 'game-over' : ''}" id="game-message">
                         ${this.message}
                     </p>
                 </div>
@@ -70,24 +238,156 @@ class GuessNumber {
                 <div class="game-instructions">
                     <h4>How to Play:</h4>
                     <ul>
-                        <li>🎯 Guess a number between 1 and 100</li>
-                        <li>📊 You have ${this.maxAttempts} attempts to find it</li>
-                        <li>📈 Higher means your guess is too low</li>
-                        <li>📉 Lower means your guess is too high</li>
+                        ${this.renderInstructions()}
                     </ul>
                 </div>
             </div>
         `;
     }
     
+    getHeaderText() {
+        const { low, high } = this.getRange();
+        if (this.mode === 'reverse') {
+            return `Think of a number between ${low} and ${high} and tell me if I'm too low or too high.`;
+        }
+        if (this.mode === 'mastermind') {
+            return `Crack the secret ${this.settings.codeLength}-digit code!`;
+        }
+        return `Try to guess the number between ${low} and ${high}!`;
+    }
+    
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
+    // Classic and mastermind: the player guesses, with limited attempts
+    renderGuessing() {
+        const progress = Math.max(0, ((this.settings.maxAttempts - this.attempts) / this.settings.maxAttempts) * 100);
+        const { low, high } = this.getRange();
+        const mastermind = this.mode === 'mastermind';
+        const length = this.settings.codeLength;
+        
+        return `
+            <div class="progress-container">
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${progress}%"></div>
+                </div>
+                <p class="attempts-text">Attempts left: <strong>${this.settings.maxAttempts - this.attempts}</strong></p>
+                ${mastermind || this.getRangeError() ? '' : `
+                <p class="optimal-text" id="optimal-text">🧠 A perfect binary search needs at most <strong>${this.getOptimalGuesses()}</strong> guesses here</p>`}
+            </div>
+            
+            <div class="guess-input-container">
+                ${mastermind ? `
+                <input type="text"
+                       id="guess-input"
+                       class="guess-input code-input"
+                       placeholder="${length} different digits"
+                       inputmode="numeric"
+                       maxlength="${length}"
+                       autocomplete="off"
+                       value="${this.guess}"
+                       ${this.canPlay() ? '' : 'disabled'}>` : `
+                <input type="number"
+                       id="guess-input"
+                       class="guess-input"
+                       placeholder="Enter your guess"
+                       min="${low}"
+                       max="${high}"
+                       value="${this.guess}"
+                       ${this.canPlay() ? '' : 'disabled'}>`}
+                <button class="btn submit-btn"
+                        id="submit-btn"
+                        ${this.canPlay() ? '' : 'disabled'}>
+                    Submit
+                </button>
+            </div>
+            
+            ${mastermind && this.codeGuesses.length > 0 ? `
+            <ol class="guess-history code-history" aria-label="Your guesses">
+                ${this.codeGuesses.map(({ guess, bulls, cows }) => `
+                    <li><span class="code-digits">${guess}</span>
+                        <span class="code-score">🐂 ${bulls} · 🐄 ${cows}</span></li>
+                `).join('')}
+            </ol>` : ''}
+        `;
+    }
+    
+    // Reverse: the computer guesses and the player answers
+    renderReverse() {
+        const guess = this.getComputerGuess();
+        const asking = this.canPlay() && guess !== null;
+        
+        return `
+            <div class="reverse-area">
+                <p class="computer-guess">${guess === null ? '🤔' : `Is it <strong id="computer-guess">${guess}</strong>?`}</p>
+                <div class="reverse-controls">
+                    <button class="btn" id="higher-btn" ${asking ? '' : 'disabled'}>📈 Higher</button>
+                    <button class="btn" id="lower-btn" ${asking ? '' : 'disabled'}>📉 Lower</button>
+                    <button class="btn" id="correct-btn" ${asking ? '' : 'disabled'}>🎉 Correct!</button>
+                    <button class="btn" id="undo-btn" ${this.canPlay() && this.answers.length > 0 ? '' : 'disabled'}>↩️ Undo answer</button>
+                </div>
+                ${this.getRangeError() ? '' : `
+                <p class="optimal-text">🧠 Guess ${this.answers.length + 1} of at most ${this.getOptimalGuesses()}</p>`}
+                ${this.answers.length > 0 ? `
+                <ol class="guess-history" aria-label="Your answers">
+                    ${this.answers.map(({ guess, answer }) => `
+                        <li>${guess} → ${answer === 'higher' ? '📈 higher' : '📉 lower'}</li>
+                    `).join('')}
+                </ol>` : ''}
+            </div>
+        `;
+    }
+    
+    renderInstructions() {
+        if (this.mode === 'reverse') {
+            return `
+                <li>🤔 Think of a number and keep it to yourself</li>
+                <li>📈 Answer Higher if your number is bigger than the guess</li>
+                <li>📉 Answer Lower if it's smaller</li>
+                <li>↩️ Answered wrongly? Undo it - the computer notices answers that can't all be true</li>
+            `;
+        }
+        if (this.mode === 'mastermind') {
+            return `
+                <li>🔢 Guess a ${this.settings.codeLength}-digit code; no digit appears twice</li>
+                <li>🐂 A bull is a right digit in the right place</li>
+                <li>🐄 A cow is a right digit in the wrong place</li>
+                <li>📊 You have ${this.settings.maxAttempts} attempts to crack it</li>
+            `;
+        }
+        const { low, high } = this.getRange();
+        return `
+            <li>🎯 Guess a number between ${low} and ${high}</li>
+            <li>📊 You have ${this.settings.maxAttempts} attempts to find it</li>
+            <li>📈 Higher means your guess is too low</li>
+            <li>📉 Lower means your guess is too high</li>
+        `;
+    }
+    
     attachEventListeners() {
         const guessInput = this.container.querySelector('#guess-input');
         const submitBtn = this.container.querySelector('#submit-btn');
         const restartBtn = this.container.querySelector('#restart-btn');
         
-        submitBtn.addEventListener('click', () => this.handleGuess());
         restartBtn.addEventListener('click', () => this.handleRestart());
         
+        this.container.querySelectorAll('.game-option-btn[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+        
+        if (this.mode === 'reverse') {
+            this.container.querySelector('#higher-btn').addEventListener('click', () => this.answerComputer('higher'));
+            this.container.querySelector('#lower-btn').addEventListener('click', () => this.answerComputer('lower'));
+            this.container.querySelector('#correct-btn').addEventListener('click', () => this.answerComputer('correct'));
+            this.container.querySelector('#undo-btn').addEventListener('click', () => this.undoAnswer());
+            return;
+        }
+        
+        submitBtn.addEventListener('click', () => this.handleGuess());
+        
         guessInput.addEventListener('input', (e) => {
             this.guess = e.target.value;
         });
@@ -100,48 +400,134 @@ class GuessNumber {
     }
     
     handleGuess() {
-        if (this.gameOver) return;
+        if (!this.canPlay()) return;
         
         if (this.guess.trim() === '') {
-            this.updateMessage('⚠️ Please enter a number!', 'warning');
+            this.updateMessage(this.mode === 'mastermind' ? '⚠️ Please enter a code!' : '⚠️ Please enter a number!', 'warning');
             return;
         }
         
+        if (this.mode === 'mastermind') {
+            this.handleCodeGuess(this.guess.trim());
+            return;
+        }
+        
+        const { low, high } = this.getRange();
         const num = parseInt(this.guess, 10);
-        if (isNaN(num) || num < 1 || num > 100) {
-            this.updateMessage('⚠️ Please enter a valid number between 1 and 100!', 'warning');
+        if (isNaN(num) || num < low || num > high) {
+            this.updateMessage(`⚠️ Please enter a valid number between ${low} and ${high}!`, 'warning');
             return;
         }
         
         this.attempts++;
         
         if (num === this.number) {
-            this.updateMessage(`🎉 Correct! The number was ${this.number}. You won in ${this.attempts} attempts!`, 'success');
+            this.updateMessage(`🎉 Correct! The number was ${this.number}. You won in ${this.attempts} attempts! A perfect binary search needs at most ${this.getOptimalGuesses()}.`, 'success');
             this.gameOver = true;
-        } else if (this.attempts >= this.maxAttempts) {
+            this.endRound({ score: this.attempts, won: true, optimal: this.getOptimalGuesses() });
+        } else if (this.attempts >= this.settings.maxAttempts) {
             this.updateMessage(`💀 Game Over! The number was ${this.number}. Better luck next time!`, 'failure');
             this.gameOver = true;
+            this.endRound({ score: null, won: false });
         } else if (num < this.number) {
             this.updateMessage('📈 Too low! Try a higher number.', 'hint');
         } else {
             this.updateMessage('📉 Too high! Try a lower number.', 'hint');
         }
         
-        this.guess = '';
-        this.render();
-        this.attachEventListeners();
+        this.refresh();
+    }
+    
+    handleCodeGuess(guess) {
+        const length = this.settings.codeLength;
+        if (!new RegExp(`^\\d{${length}}$`).test(guess)) {
+            this.updateMessage(`⚠️ Please enter exactly ${length} digits!`, 'warning');
+            return;
+        }
+        if (new Set(guess).size !== length) {
+            this.updateMessage('⚠️ Every digit in the code is different - no repeats!', 'warning');
+            return;
+        }
         
-        // Focus back on input if game is not over
-        if (!this.gameOver) {
-            setTimeout(() => {
-                const input = this.container.querySelector('#guess-input');
-                if (input) input.focus();
-            }, 100);
+        this.attempts++;
+        const { bulls, cows } = GuessNumber.scoreCode(this.code, guess);
+        this.codeGuesses.push({ guess, bulls, cows });
+        
+        if (bulls === length) {
+            this.updateMessage(`🎉 Cracked it! The code was ${this.code}, found in ${this.attempts} attempts!`, 'success');
+            this.gameOver = true;
+            this.saveCodeBest();
+            // Code attempts aren't comparable with number guesses, so they keep their own best
+            this.endRound({ score: null, won: true, attempts: this.attempts, mode: 'mastermind' });
+        } else if (this.attempts >= this.settings.maxAttempts) {
+            this.updateMessage(`💀 Out of attempts! The code was ${this.code}.`, 'failure');
+            this.gameOver = true;
+            this.endRound({ score: null, won: false, mode: 'mastermind' });
+        } else {
+            this.updateMessage(`🐂 ${bulls} ${bulls === 1 ? 'bull' : 'bulls'}, 🐄 ${cows} ${cows === 1 ? 'cow' : 'cows'}`, 'hint');
+        }
+        
+        this.refresh();
+    }
+    
+    // Fewest attempts for each code length
+    saveCodeBest() {
+        const bests = this.getStat('codeBests') || {};
+        const key = String(this.settings.codeLength);
+        if (!bests[key] || this.attempts < bests[key]) {
+            this.saveStat('codeBests', { ...bests, [key]: this.attempts });
         }
     }
     
+    /**
+     * Answer the computer's guess in reverse mode
+     * @param {string} answer - 'higher', 'lower' or 'correct'
+     */
+    answerComputer(answer) {
+        const guess = this.getComputerGuess();
+        if (this.mode !== 'reverse' || !this.canPlay() || guess === null) return;
+        
+        if (answer === 'correct') {
+            const guesses = this.answers.length + 1;
+            this.updateMessage(`🤖 Got it! Your number is ${guess} - found in ${guesses} ${guesses === 1 ? 'guess' : 'guesses'}.`, 'success');
+            this.gameOver = true;
+            this.endRound({ score: null, found: true, guesses, mode: 'reverse' });
+            this.refresh();
+            return;
+        }
+        
+        this.answers.push({ guess, answer });
+        if (this.isInconsistent()) {
+            this.updateMessage(`🤔 That doesn't add up: ${this.describeContradiction()}. Undo an answer or restart.`, 'warning');
+        } else {
+            this.updateMessage(`Noted - your number is ${answer} than ${guess}.`, 'hint');
+        }
+        this.refresh();
+    }
+    
+    describeContradiction() {
+        const range = this.getRange();
+        const { lowGuess, highGuess } = GuessNumber.narrowRange(range, this.answers);
+        if (lowGuess !== null && highGuess !== null) {
+            return `you said your number is higher than ${lowGuess} but lower than ${highGuess}`;
+        }
+        if (highGuess !== null) {
+            return `you said your number is lower than ${highGuess}, but the lowest number is ${range.low}`;
+        }
+        return `you said your number is higher than ${lowGuess}, but the highest number is ${range.high}`;
+    }
+    
+    undoAnswer() {
+        if (this.mode !== 'reverse' || !this.canPlay() || this.answers.length === 0) return;
+        
+        this.answers.pop();
+        this.updateMessage('↩️ Answer undone.', 'info');
+        this.refresh();
+    }
+    
     updateMessage(text, type) {
         this.message = text;
+        this.messageType = type;
         const messageElement = this.container.querySelector('#game-message');
         if (messageElement) {
             messageElement.textContent = text;
@@ -149,15 +535,34 @@ class GuessNumber {
         }
     }
     
+    refresh() {
+        this.guess = '';
+        this.render();
+        this.attachEventListeners();
+        
+        // Focus back on input if game is not over
+        if (!this.gameOver) {
+            setTimeout(() => {
+                const input = this.container.querySelector('#guess-input');
+                if (input) input.focus();
+            }, 100);
+        }
+    }
+    
     handleRestart() {
         this.number = this.generateNumber();
+        this.code = this.generateCode();
         this.guess = '';
-        this.message = 'Guess a number between 1 and 100!';
+        this.message = this.getIntroMessage();
+        this.messageType = this.getRangeError() ? 'warning' : '';
         this.attempts = 0;
+        this.answers = [];
+        this.codeGuesses = [];
         this.gameOver = false;
         
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
         
         // Focus on input
         setTimeout(() => {
@@ -165,13 +570,7 @@ class GuessNumber {
             if (input) input.focus();
         }, 100);
     }
-    
-    destroy() {
-        // Clean up any event listeners
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
-    }
+
 }
 
 // Export for use in other modules
@@ -182,4 +581,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.GuessNumber = GuessNumber;
-}
\ No newline at end of file
+    if (window.gameRegistry) {
+        window.gameRegistry.register('guess', GuessNumber);
+    }
+}
@@ -1,28 +1,181 @@
 /**
  * Math Quiz Game
- * Timed random arithmetic problems
+ * Timed problems from chosen topics, with an adaptive mode that sizes
+ * operands to how quickly and accurately the player is answering
  */
-class MathQuiz {
+const MATH_QUIZ_SETTINGS = {
+    fields: [
+        { key: 'addMax', label: 'Largest + / − operand', min: 10, max: 200, step: 5 },
+        { key: 'timesMax', label: 'Largest × / ÷ operand', min: 5, max: 20, step: 1 },
+        { key: 'timeLimit', label: 'Time limit (s)', min: 20, max: 180, step: 5 }
+    ],
+    presets: {
+        easy: { addMax: 20, timesMax: 6, timeLimit: 90 },
+        normal: { addMax: 50, timesMax: 12, timeLimit: 60 },
+        hard: { addMax: 100, timesMax: 15, timeLimit: 45 }
+    }
+};
+
+const MATH_MODES = [
+    { id: 'fixed', label: '📏 Fixed' },
+    { id: 'adaptive', label: '📈 Adaptive' }
+];
+
+class MathQuiz extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(MATH_QUIZ_SETTINGS);
         this.score = 0;
-        this.timeLeft = 60;
+        this.timeLeft = this.settings.timeLimit;
         this.currentProblem = null;
         this.gameActive = false;
-        this.timerInterval = null;
+        this.countdown = new PausableTimer(() => this.tick(), 1000);
         this.problems = [];
         this.streak = 0;
-        this.bestStreak = localStorage.getItem('math-quiz-streak') || 0;
+        this.bestStreak = 0;
+        this.generator = new MathProblemGenerator();
+        this.topics = ['arithmetic'];
+        this.mode = 'fixed';
+        this.level = 0;
+        this.levelAnswers = [];
+        this.levelDifficulty = null;
+        this.shownAt = null;
+        this.pausedAt = null;
+        this.finished = false;
         
-        this.init();
+        // Feedback stays up for a moment before the next problem; answers
+        // are ignored until it arrives
+        this.awaitingNext = false;
+        this.nextTimer = null;
+        this.nextDelay = 0;
     }
     
     init() {
+        this.bestStreak = this.getStat('bestStreak') || 0;
+        const topics = (this.getStat('topics') || []).filter(id => MATH_TOPICS.some(t => t.id === id));
+        if (topics.length > 0) this.topics = topics;
+        this.mode = MATH_MODES.some(m => m.id === this.getStat('mode')) ? this.getStat('mode') : 'fixed';
+        this.loadAdaptiveLevel();
+        this.timeLeft = this.settings.timeLimit;
         this.generateProblem();
         this.render();
         this.attachEventListeners();
     }
     
+    start() {
+        this.startGame();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.countdown.pause();
+        this.pausedAt = Date.now();
+        // Hold the next problem back until the game resumes
+        clearTimeout(this.nextTimer);
+        this.nextTimer = null;
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        // Time spent paused doesn't count against the answer
+        if (this.shownAt !== null && this.pausedAt !== null) {
+            this.shownAt += Date.now() - this.pausedAt;
+        }
+        this.pausedAt = null;
+        this.countdown.resume();
+        if (this.awaitingNext) {
+            this.scheduleNextProblem(this.nextDelay);
+        }
+    }
+    
+    reset() {
+        this.timeLeft = this.settings.timeLimit;
+        this.finished = false;
+        if (this.levelDifficulty !== this.getDifficulty()) this.loadAdaptiveLevel();
+        this.stopGame();
+    }
+    
+    isAdaptive() {
+        return this.mode === 'adaptive';
+    }
+    
+    /**
+     * Only fixed-mode rounds on the default arithmetic mix go to the hub
+     * best and leaderboard; other topics and adaptive ranges score differently
+     */
+    isRanked() {
+        return this.mode === 'fixed' && this.topics.length === 1 && this.topics[0] === 'arithmetic';
+    }
+    
+    /**
+     * Adaptive levels are kept per difficulty; a level saved before that
+     * (a single number) belongs to normal
+     * @param {*} saved - Stored adaptiveLevels, or a legacy adaptiveLevel
+     * @returns {Object} Levels by difficulty
+     */
+    static migrateAdaptiveLevels(saved) {
+        if (typeof saved === 'number') return { normal: saved };
+        return saved && typeof saved === 'object' ? saved : {};
+    }
+    
+    /**
+     * Pick up the saved adaptive level for the current difficulty
+     */
+    loadAdaptiveLevel() {
+        const levels = MathQuiz.migrateAdaptiveLevels(this.getStat('adaptiveLevels') || this.getStat('adaptiveLevel'));
+        this.level = levels[this.getDifficulty()] || 0;
+        this.levelAnswers = [];
+        this.levelDifficulty = this.getDifficulty();
+    }
+    
+    saveAdaptiveLevel(level) {
+        const levels = MathQuiz.migrateAdaptiveLevels(this.getStat('adaptiveLevels') || this.getStat('adaptiveLevel'));
+        this.saveStat('adaptiveLevels', { ...levels, [this.getDifficulty()]: level });
+    }
+    
+    /**
+     * @returns {{addMax: number, timesMax: number}} Largest operands, scaled
+     *     by the level in adaptive mode
+     */
+    getRanges() {
+        const ranges = { addMax: this.settings.addMax, timesMax: this.settings.timesMax };
+        return this.isAdaptive() ? MathProblemGenerator.scaleRanges(ranges, this.level) : ranges;
+    }
+    
+    /**
+     * @returns {number} Adaptive level as shown to the player, from 1
+     */
+    getLevelNumber() {
+        return this.level - MATH_LEVEL_RANGE.min + 1;
+    }
+    
+    toggleTopic(id) {
+        if (!MATH_TOPICS.some(t => t.id === id)) return;
+        
+        if (this.topics.includes(id)) {
+            // Keep at least one topic
+            if (this.topics.length === 1) return;
+            this.topics = this.topics.filter(topic => topic !== id);
+        } else {
+            this.topics = MATH_TOPICS.map(t => t.id).filter(topic => topic === id || this.topics.includes(topic));
+        }
+        this.saveStat('topics', this.topics);
+        this.reset();
+    }
+    
+    setMode(mode) {
+        if (!MATH_MODES.some(m => m.id === mode)) return;
+        
+        this.mode = mode;
+        this.saveStat('mode', mode);
+        this.reset();
+    }
+    
     render() {
         this.container.innerHTML = `
             <div class="math-quiz-game">
@@ -41,6 +194,20 @@ class MathQuiz {
                             <span class="stat-label">Streak:</span>
                             <span class="stat-value" id="streak">${this.streak}</span>
                         </div>
+                        ${this.isAdaptive() ? `
+                        <div class="stat">
+                            <span class="stat-label">Level:</span>
+                            <span class="stat-value" id="level">${this.getLevelNumber()}</span>
+                        </div>` : ''}
+                    </div>
+                </div>
+                
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Topics">
+                        ${MATH_TOPICS.map(t => this.renderOption('topic', t.id, t.label, this.topics.includes(t.id) ? t.id : null)).join('')}
+                    </div>
+                    <div class="game-option-group" role="group" aria-label="Difficulty mode">
+                        ${MATH_MODES.map(m => this.renderOption('mode', m.id, m.label, this.mode)).join('')}
                     </div>
                 </div>
                 
@@ -50,9 +217,10 @@ class MathQuiz {
                     </div>
                     
                     <div class="answer-input-area">
-                        <input type="number" 
+                        <input type="text" 
                                id="answer-input" 
-                               placeholder="Your answer..."
+                               inputmode="${this.topics.some(t => t === 'fractions' || t === 'negatives') ? 'text' : 'numeric'}"
+                               placeholder="${this.topics.includes('fractions') ? 'Your answer, e.g. 3/4...' : 'Your answer...'}"
                                ${!this.gameActive ? 'disabled' : ''}
                                autocomplete="off">
                         <button class="btn" id="submit-btn" ${!this.gameActive ? 'disabled' : ''}>Submit</button>
@@ -69,12 +237,14 @@ class MathQuiz {
                 </div>
                 
                 <div class="game-instructions">
-                    <p>🧮 Solve as many math problems as you can in 60 seconds</p>
+                    <p>🧮 Solve as many math problems as you can in ${this.settings.timeLimit} seconds</p>
                     <p>⚡ Correct answers increase your streak and score</p>
+                    <p>📈 Adaptive mode makes problems bigger as you answer quickly and correctly, and smaller if you struggle</p>
                     <p>🎯 Try to beat your best streak: ${this.bestStreak}</p>
+                    ${this.isRanked() ? '' : '<p>🏆 Only fixed-mode arithmetic rounds count toward your best and the leaderboard</p>'}
                 </div>
                 
-                ${this.problems.length > 0 ? this.renderHistory() : ''}
+                ${this.finished ? this.renderReport() : this.problems.length > 0 ? this.renderHistory() : ''}
             </div>
         `;
     }
@@ -87,7 +257,7 @@ class MathQuiz {
                 <div class="history-list">
                     ${recent.map(problem => `
                         <div class="history-item ${problem.correct ? 'correct' : 'incorrect'}">
-                            ${problem.question} = ${problem.userAnswer} 
+                            ${problem.question} = ${problem.skipped ? 'skipped' : problem.userAnswer} 
                             ${problem.correct ? '✓' : `✗ (${problem.correctAnswer})`}
                         </div>
                     `).join('')}
@@ -96,6 +266,71 @@ class MathQuiz {
         `;
     }
     
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
+    /**
+     * Accuracy for each operation, and the problems missed or skipped
+     * @param {Object[]} problems - Answered problems
+     * @returns {{operations: Object[], missed: Object[]}} Operations as
+     *     { id, label, correct, total, accuracy }, in MATH_OPERATIONS order
+     */
+    getReport(problems = this.problems) {
+        const operations = Object.keys(MATH_OPERATIONS)
+            .map(id => {
+                const asked = problems.filter(problem => problem.operation === id);
+                const correct = asked.filter(problem => problem.correct).length;
+                return {
+                    id,
+                    label: MATH_OPERATIONS[id],
+                    correct,
+                    total: asked.length,
+                    accuracy: asked.length > 0 ? Math.round(correct / asked.length * 100) : 0
+                };
+            })
+            .filter(operation => operation.total > 0);
+        
+        return { operations, missed: problems.filter(problem => !problem.correct) };
+    }
+    
+    renderReport() {
+        const { operations, missed } = this.getReport();
+        const correct = this.problems.filter(p => p.correct).length;
+        const total = this.problems.length;
+        const accuracy = total > 0 ? Math.round((correct / total) * 100) : 0;
+        
+        return `
+            <div class="math-report">
+                <h4>🧮 Time's up!</h4>
+                <p>Score ${this.score} · ${correct}/${total} correct · ${accuracy}% accuracy${this.isAdaptive() ? ` · finished on level ${this.getLevelNumber()}` : ''}</p>
+                ${operations.length > 0 ? `
+                <table class="math-report-table">
+                    <thead><tr><th scope="col">Operation</th><th scope="col">Correct</th><th scope="col">Accuracy</th></tr></thead>
+                    <tbody>
+                        ${operations.map(operation => `
+                            <tr data-operation="${operation.id}">
+                                <td>${operation.label}</td>
+                                <td>${operation.correct}/${operation.total}</td>
+                                <td>${operation.accuracy}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+                ${missed.length > 0 ? `
+                <h4>Review:</h4>
+                <ul class="missed-list">
+                    ${missed.map(problem => `
+                        <li>${problem.question} = <strong>${problem.correctAnswer}</strong>
+                            <span class="missed-answer">${problem.skipped ? '(skipped)' : `(you said ${problem.userAnswer})`}</span></li>
+                    `).join('')}
+                </ul>` : '<p>No mistakes - nothing to review! 🎉</p>'}
+            </div>
+        `;
+    }
+    
     attachEventListeners() {
         const startBtn = this.container.querySelector('#start-btn');
         const submitBtn = this.container.querySelector('#submit-btn');
@@ -118,6 +353,13 @@ class MathQuiz {
                 }
             });
         }
+        
+        this.container.querySelectorAll('.game-option-btn[data-topic]').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleTopic(btn.dataset.topic));
+        });
+        this.container.querySelectorAll('.game-option-btn[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
     }
     
     toggleGame() {
@@ -131,9 +373,11 @@ class MathQuiz {
     startGame() {
         this.gameActive = true;
         this.score = 0;
-        this.timeLeft = 60;
+        this.timeLeft = this.settings.timeLimit;
         this.streak = 0;
         this.problems = [];
+        this.levelAnswers = [];
+        this.finished = false;
         
         this.generateProblem();
         this.render();
@@ -145,86 +389,111 @@ class MathQuiz {
             if (input) input.focus();
         }, 100);
         
-        // Start timer
-        this.timerInterval = setInterval(() => {
-            this.timeLeft--;
-            this.updateDisplay();
-            
-            if (this.timeLeft <= 0) {
-                this.endGame();
-            }
-        }, 1000);
+        this.setStatus('running');
+        this.startTimer();
+    }
+    
+    startTimer() {
+        this.countdown.start();
+    }
+    
+    tick() {
+        this.timeLeft--;
+        this.updateDisplay();
+        
+        if (this.timeLeft <= 0) {
+            this.endGame();
+        }
+    }
+    
+    stopTimer() {
+        this.countdown.stop();
     }
     
     stopGame() {
         this.gameActive = false;
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.cancelNextProblem();
+        this.stopTimer();
+        this.setStatus('idle');
         this.render();
         this.attachEventListeners();
     }
     
+    /**
+     * Show the next problem after the feedback delay
+     * @param {number} delay - Milliseconds
+     */
+    scheduleNextProblem(delay) {
+        clearTimeout(this.nextTimer);
+        this.awaitingNext = true;
+        this.nextDelay = delay;
+        this.nextTimer = setTimeout(() => this.showNextProblem(), delay);
+    }
+    
+    showNextProblem() {
+        this.cancelNextProblem();
+        this.generateProblem();
+        this.updateDisplay();
+        const input = this.container.querySelector('#answer-input');
+        if (input) {
+            input.value = '';
+            input.focus();
+        }
+    }
+    
+    cancelNextProblem() {
+        clearTimeout(this.nextTimer);
+        this.nextTimer = null;
+        this.awaitingNext = false;
+    }
+    
     generateProblem() {
-        const operations = ['+', '-', '*', '/'];
-        const operation = operations[Math.floor(Math.random() * operations.length)];
+        this.currentProblem = this.generator.generate(this.topics, this.getRanges());
+        this.shownAt = Date.now();
+    }
+    
+    /**
+     * Record an answered or skipped problem, and in adaptive mode step the
+     * level up or down once the recent answers call for it
+     * @param {string|null} userAnswer - What was typed, or null if skipped
+     * @param {boolean} correct
+     */
+    recordAnswer(userAnswer, correct) {
+        const time = this.shownAt === null ? 0 : Date.now() - this.shownAt;
+        this.problems.push({
+            question: this.currentProblem.question,
+            correctAnswer: this.currentProblem.answer,
+            userAnswer: userAnswer,
+            correct: correct,
+            skipped: userAnswer === null,
+            operation: this.currentProblem.operation,
+            time: time
+        });
         
-        let num1, num2, answer;
+        if (!this.isAdaptive()) return;
         
-        switch (operation) {
-            case '+':
-                num1 = Math.floor(Math.random() * 50) + 1;
-                num2 = Math.floor(Math.random() * 50) + 1;
-                answer = num1 + num2;
-                break;
-            case '-':
-                num1 = Math.floor(Math.random() * 50) + 25;
-                num2 = Math.floor(Math.random() * 25) + 1;
-                answer = num1 - num2;
-                break;
-            case '*':
-                num1 = Math.floor(Math.random() * 12) + 1;
-                num2 = Math.floor(Math.random() * 12) + 1;
-                answer = num1 * num2;
-                break;
-            case '/':
-                // Ensure clean division
-                answer = Math.floor(Math.random() * 12) + 1;
-                num2 = Math.floor(Math.random() * 12) + 1;
-                num1 = answer * num2;
-                break;
+        this.levelAnswers.push({ correct, time });
+        const level = MathProblemGenerator.nextLevel(this.level, this.levelAnswers);
+        if (level !== this.level) {
+            this.level = level;
+            this.levelAnswers = [];
+            this.saveAdaptiveLevel(level);
         }
-        
-        this.currentProblem = {
-            question: `${num1} ${operation} ${num2}`,
-            answer: answer,
-            num1: num1,
-            num2: num2,
-            operation: operation
-        };
     }
     
     submitAnswer() {
-        if (!this.gameActive || !this.currentProblem) return;
+        if (!this.gameActive || this.status !== 'running' || !this.currentProblem || this.awaitingNext) return;
         
         const input = this.container.querySelector('#answer-input');
-        const userAnswer = parseInt(input.value);
+        const value = MathProblemGenerator.parseAnswer(input.value);
         
-        if (isNaN(userAnswer)) {
+        if (value === null) {
             this.showFeedback('Please enter a valid number!', 'warning');
             return;
         }
         
-        const correct = userAnswer === this.currentProblem.answer;
-        
-        // Record the problem
-        this.problems.push({
-            question: this.currentProblem.question,
-            correctAnswer: this.currentProblem.answer,
-            userAnswer: userAnswer,
-            correct: correct
-        });
+        const correct = MathProblemGenerator.isCorrect(this.currentProblem, value);
+        this.recordAnswer(input.value.trim(), correct);
         
         if (correct) {
             this.streak++;
@@ -233,37 +502,23 @@ class MathQuiz {
             
             if (this.streak > this.bestStreak) {
                 this.bestStreak = this.streak;
-                localStorage.setItem('math-quiz-streak', this.bestStreak);
+                this.saveStat('bestStreak', this.bestStreak);
             }
         } else {
             this.streak = 0;
             this.showFeedback(`Wrong! The answer was ${this.currentProblem.answer}`, 'error');
         }
         
-        // Generate next problem
-        setTimeout(() => {
-            this.generateProblem();
-            this.updateDisplay();
-            input.value = '';
-            input.focus();
-        }, 1000);
+        this.scheduleNextProblem(1000);
     }
     
     skipProblem() {
-        if (!this.gameActive) return;
+        if (!this.gameActive || this.status !== 'running' || this.awaitingNext) return;
         
         this.streak = 0;
+        this.recordAnswer(null, false);
         this.showFeedback('Problem skipped', 'info');
-        
-        setTimeout(() => {
-            this.generateProblem();
-            this.updateDisplay();
-            const input = this.container.querySelector('#answer-input');
-            if (input) {
-                input.value = '';
-                input.focus();
-            }
-        }, 500);
+        this.scheduleNextProblem(500);
     }
     
     showFeedback(message, type) {
@@ -278,10 +533,12 @@ class MathQuiz {
         const timeElement = this.container.querySelector('#time');
         const streakElement = this.container.querySelector('#streak');
         const problemElement = this.container.querySelector('#problem');
+        const levelElement = this.container.querySelector('#level');
         
         if (scoreElement) scoreElement.textContent = this.score;
         if (timeElement) timeElement.textContent = this.timeLeft + 's';
         if (streakElement) streakElement.textContent = this.streak;
+        if (levelElement) levelElement.textContent = this.getLevelNumber();
         if (problemElement && this.currentProblem) {
             problemElement.textContent = this.currentProblem.question;
         }
@@ -289,30 +546,31 @@ class MathQuiz {
     
     endGame() {
         this.gameActive = false;
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.stopTimer();
+        this.cancelNextProblem();
         
         const correct = this.problems.filter(p => p.correct).length;
         const total = this.problems.length;
         const accuracy = total > 0 ? Math.round((correct / total) * 100) : 0;
+        this.finished = true;
+        this.endRound({
+            score: this.isRanked() ? this.score : null,
+            quizScore: this.score,
+            correct,
+            total,
+            accuracy,
+            topics: [...this.topics],
+            mode: this.mode
+        });
         
-        setTimeout(() => {
-            alert(`🧮 Time's up!\n\nScore: ${this.score}\nProblems solved: ${correct}/${total}\nAccuracy: ${accuracy}%\nBest streak: ${this.streak}`);
-            this.render();
-            this.attachEventListeners();
-        }, 100);
+        this.render();
+        this.attachEventListeners();
     }
     
     destroy() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        this.stopTimer();
+        this.cancelNextProblem();
+        super.destroy();
     }
 }
 
@@ -324,4 +582,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.MathQuiz = MathQuiz;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('math-quiz', MathQuiz);
+    }
 }
\ No newline at end of file
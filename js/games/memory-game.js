@@ -1,64 +1,331 @@
 /**
  * Memory Game - Clean Rewrite
- * Classic memory matching game with simple, reliable logic
+ * Classic memory matching game with simple, reliable logic, a choice of
+ * decks and grids, and a two-player hot-seat mode
  */
-class MemoryGame {
+const MEMORY_SETTINGS = {
+    fields: [
+        { key: 'peek', label: 'Time a missed pair stays up (ms)', min: 300, max: 2000, step: 50 }
+    ],
+    presets: {
+        easy: { peek: 1200 },
+        normal: { peek: 750 },
+        hard: { peek: 400 }
+    }
+};
+
+// Grids from 4×3 up to 8×8, all with an even number of cards
+const MEMORY_GRIDS = [
+    { id: '4x3', cols: 4, rows: 3 },
+    { id: '4x4', cols: 4, rows: 4 },
+    { id: '5x4', cols: 5, rows: 4 },
+    { id: '6x5', cols: 6, rows: 5 },
+    { id: '6x6', cols: 6, rows: 6 },
+    { id: '7x6', cols: 7, rows: 6 },
+    { id: '8x7', cols: 8, rows: 7 },
+    { id: '8x8', cols: 8, rows: 8 }
+];
+
+/**
+ * Picture faces drawn as inline SVG, so the deck needs no image files.
+ * Shapes and colours are interleaved so small grids still mix shapes.
+ */
+const MEMORY_PICTURES = (() => {
+    const shapes = {
+        circle: '<circle cx="20" cy="20" r="16"/>',
+        square: '<rect x="5" y="5" width="30" height="30" rx="4"/>',
+        triangle: '<polygon points="20,4 36,35 4,35"/>',
+        diamond: '<polygon points="20,3 37,20 20,37 3,20"/>'
+    };
+    const colors = {
+        red: '#e74c3c', orange: '#e67e22', yellow: '#f1c40f', green: '#2ecc71',
+        teal: '#1abc9c', blue: '#3498db', purple: '#9b59b6', pink: '#fd79a8'
+    };
+    const shapeNames = Object.keys(shapes);
+    const colorNames = Object.keys(colors);
+
+    return Array.from({ length: shapeNames.length * colorNames.length }, (_, i) => {
+        const shape = shapeNames[i % shapeNames.length];
+        const color = colorNames[(i + Math.floor(i / shapeNames.length)) % colorNames.length];
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 40" fill="${colors[color]}">${shapes[shape]}</svg>`;
+        return { src: `data:image/svg+xml,${encodeURIComponent(svg)}`, alt: `${color} ${shape}` };
+    });
+})();
+
+/**
+ * Decks to deal from, each with a face for every pair on the largest grid.
+ * `type` is 'text' for emoji and numbers, 'word' for words (set smaller),
+ * or 'image' for { src, alt } faces.
+ */
+const MEMORY_DECKS = [
+    {
+        id: 'fruit', label: '🍎 Fruit', type: 'text',
+        faces: ['🍎', '🍌', '🍇', '🍓', '🍊', '🥝', '🍒', '🥭', '🍍', '🍉', '🍋', '🍑',
+                '🍐', '🥥', '🍈', '🫐', '🥑', '🍅', '🌽', '🥕', '🥦', '🍆', '🌶️', '🥔',
+                '🧄', '🧅', '🍄', '🥜', '🌰', '🍠', '🫑', '🥒']
+    },
+    {
+        id: 'animals', label: '🐶 Animals', type: 'text',
+        faces: ['🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐮',
+                '🐷', '🐸', '🐵', '🐔', '🐧', '🐦', '🐤', '🦆', '🦅', '🦉', '🐺', '🐗',
+                '🐴', '🦄', '🐝', '🐛', '🦋', '🐌', '🐞', '🐢']
+    },
+    {
+        id: 'numbers', label: '🔢 Numbers', type: 'text',
+        faces: Array.from({ length: 32 }, (_, i) => String(i + 1))
+    },
+    {
+        id: 'words', label: '🔤 Words', type: 'word',
+        faces: ['apple', 'river', 'cloud', 'tiger', 'piano', 'rocket', 'garden', 'castle',
+                'pencil', 'window', 'dragon', 'forest', 'island', 'candle', 'planet', 'mirror',
+                'bridge', 'jungle', 'violin', 'desert', 'anchor', 'shadow', 'button', 'comet',
+                'lantern', 'meadow', 'puzzle', 'harbor', 'marble', 'falcon', 'ribbon', 'glacier']
+    },
+    { id: 'pictures', label: '🖼️ Pictures', type: 'image', faces: MEMORY_PICTURES }
+];
+
+const MEMORY_MODES = [
+    { id: 'solo', label: '👤 Solo' },
+    { id: 'versus', label: '👥 2 Players' }
+];
+
+// Each attempt costs as much as this many seconds on the clock
+const MEMORY_ATTEMPT_COST = 10;
+
+class MemoryGame extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.scoreOrder = 'lower';
+        this.pausable = true;
+        this.defineSettings(MEMORY_SETTINGS);
         
-        // Initial set of pairs (8 pairs = 16 cards)
-        this.initialCards = ['🍎', '🍎', '🍌', '🍌', '🍇', '🍇', '🍓', '🍓', 
-                            '🍊', '🍊', '🥝', '🥝', '🍒', '🍒', '🥭', '🥭'];
+        // Deck, grid and mode the player picked
+        this.deckId = MEMORY_DECKS[0].id;
+        this.gridId = '4x4';
+        this.mode = 'solo';
+        
+        // Best solo score on each grid, keyed by grid id
+        this.bestScores = {};
         
         // Game state
-        this.cards = this.shuffle([...this.initialCards]);
+        this.cards = this.buildDeck(); // { pair, face } for each card
         this.flipped = []; // indices currently flipped
         this.matched = []; // matched indices
         this.attempts = 0;
+        this.flipBackTimer = null;
+        
+        // The clock starts on the first flip
+        this.startTime = null;
+        this.elapsedTime = 0;
+        this.timerInterval = null;
+        this.pausedAt = null;
         
-        this.init();
+        // Hot-seat: pairs found by each player, and whose turn it is
+        this.players = [0, 0];
+        this.currentPlayer = 0;
     }
     
     init() {
-        this.render();
-        this.attachEventListeners();
+        const deckId = this.getStat('deck');
+        const gridId = this.getStat('grid');
+        const mode = this.getStat('mode');
+        this.deckId = this.getDeck(deckId) ? deckId : MEMORY_DECKS[0].id;
+        this.gridId = this.getGrid(gridId) ? gridId : '4x4';
+        this.mode = MEMORY_MODES.some(m => m.id === mode) ? mode : 'solo';
+        this.bestScores = MemoryGame.migrateBestScores(this.getStat('bestScores'));
+        
+        this.handleReset();
+    }
+    
+    start() {
+        this.handleReset();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.stopTimer();
+        this.pausedAt = Date.now();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        if (this.startTime) {
+            // Shift the start by the paused time so partial seconds aren't lost
+            this.startTime += Date.now() - this.pausedAt;
+            this.startTimer();
+        }
+    }
+    
+    reset() {
+        this.handleReset();
+    }
+    
+    getDeck(id = this.deckId) {
+        return MEMORY_DECKS.find(deck => deck.id === id) || null;
     }
     
-    // Simple shuffle function
+    getGrid(id = this.gridId) {
+        return MEMORY_GRIDS.find(grid => grid.id === id) || null;
+    }
+    
+    /**
+     * Bests saved before they were kept per difficulty were keyed by grid
+     * alone; like other legacy bests, they count as normal
+     * @param {Object|null} saved - Saved bestScores statistic
+     * @returns {Object} Bests keyed by difficulty, then grid
+     */
+    static migrateBestScores(saved) {
+        if (!saved || typeof saved !== 'object') return {};
+        const legacy = Object.keys(saved).some(key => typeof saved[key] === 'number');
+        return legacy ? { normal: { ...saved } } : saved;
+    }
+    
+    /**
+     * @returns {number|undefined} Best solo score on the current grid and
+     *     difficulty
+     */
+    getGridBest() {
+        return (this.bestScores[this.getDifficulty()] || {})[this.gridId];
+    }
+    
+    /**
+     * Deal two cards for each pair the grid holds, from the current deck
+     * @returns {Object[]} Shuffled cards as { pair, face }
+     */
+    buildDeck() {
+        const grid = this.getGrid();
+        const faces = this.getDeck().faces.slice(0, (grid.cols * grid.rows) / 2);
+        const cards = [];
+        faces.forEach((face, pair) => {
+            cards.push({ pair, face }, { pair, face });
+        });
+        return this.shuffle(cards);
+    }
+    
+    /**
+     * Fisher–Yates shuffle, in place; every order is equally likely
+     * @param {Array} array - Items to shuffle
+     * @returns {Array} The same array
+     */
     shuffle(array) {
-        return array.sort(() => Math.random() - 0.5);
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+    
+    /**
+     * Solo score: attempts and time combined, lower is better
+     * @param {number} attempts - Pairs of cards turned over
+     * @param {number} seconds - Time taken
+     * @returns {number} Score
+     */
+    getScore(attempts = this.attempts, seconds = this.elapsedTime) {
+        return attempts * MEMORY_ATTEMPT_COST + seconds;
+    }
+    
+    setDeck(id) {
+        if (!this.getDeck(id)) return;
+        
+        this.deckId = id;
+        this.saveStat('deck', id);
+        this.handleReset();
+    }
+    
+    setGrid(id) {
+        if (!this.getGrid(id)) return;
+        
+        this.gridId = id;
+        this.saveStat('grid', id);
+        this.handleReset();
+    }
+    
+    setMode(mode) {
+        if (!MEMORY_MODES.some(m => m.id === mode)) return;
+        
+        this.mode = mode;
+        this.saveStat('mode', mode);
+        this.handleReset();
+    }
+    
+    isVersus() {
+        return this.mode === 'versus';
+    }
+    
+    isComplete() {
+        return this.cards.length > 0 && this.matched.length === this.cards.length;
     }
     
     render() {
+        const grid = this.getGrid();
+        const deck = this.getDeck();
+        
         this.container.innerHTML = `
             <div class="memory-game-container">
                 <div class="game-header">
                     <h3>Memory Game</h3>
                     <div class="game-stats">
+                        ${this.isVersus() ? `
+                        <div class="stat">
+                            <span class="stat-label">Player 1:</span>
+                            <span class="stat-value" id="player-1-pairs">${this.players[0]}</span>
+                        </div>
+                        <div class="stat">
+                            <span class="stat-label">Player 2:</span>
+                            <span class="stat-value" id="player-2-pairs">${this.players[1]}</span>
+                        </div>` : `
                         <div class="stat">
                             <span class="stat-label">Attempts:</span>
                             <span class="stat-value" id="attempts">${this.attempts}</span>
                         </div>
+                        <div class="stat">
+                            <span class="stat-label">Time:</span>
+                            <span class="stat-value" id="time">${this.formatTime(this.elapsedTime)}</span>
+                        </div>`}
                         <div class="stat">
                             <span class="stat-label">Pairs:</span>
-                            <span class="stat-value" id="pairs">${this.matched.length / 2}/8</span>
+                            <span class="stat-value" id="pairs">${this.matched.length / 2}/${this.cards.length / 2}</span>
                         </div>
+                        ${this.isVersus() ? '' : `
+                        <div class="stat">
+                            <span class="stat-label">Best (${this.getGridLabel(grid)}):</span>
+                            <span class="stat-value" id="best">${this.getGridBest() || '-'}</span>
+                        </div>`}
                     </div>
+                    ${this.isVersus() && !this.isComplete() ? `
+                        <p class="game-message info" id="turn-message">🎮 Player ${this.currentPlayer + 1}'s turn</p>
+                    ` : ''}
                 </div>
                 
-                <div class="memory-grid" id="memory-grid">
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Deck">
+                        ${MEMORY_DECKS.map(d => this.renderOption('deck', d.id, d.label, this.deckId)).join('')}
+                    </div>
+                    <div class="game-option-group" role="group" aria-label="Grid size">
+                        ${MEMORY_GRIDS.map(g => this.renderOption('grid', g.id, this.getGridLabel(g), this.gridId)).join('')}
+                    </div>
+                    <div class="game-option-group" role="group" aria-label="Players">
+                        ${MEMORY_MODES.map(m => this.renderOption('mode', m.id, m.label, this.mode)).join('')}
+                    </div>
+                </div>
+                
+                <div class="memory-grid ${grid.cols >= 6 ? 'dense' : ''}" id="memory-grid"
+                     style="--memory-cols: ${grid.cols}" data-deck="${deck.id}">
                     ${this.cards.map((card, index) => `
-                        <button class="memory-card-btn" 
+                        <button class="memory-card-btn ${this.matched.includes(index) ? 'matched' : ''}"
                                 data-index="${index}"
-                                aria-label="Memory card ${index + 1}">
-                            ${this.flipped.includes(index) || this.matched.includes(index) ? card : '❓'}
+                                aria-label="${this.getCardLabel(index)}">
+                            ${this.getCardContent(index)}
                         </button>
                     `).join('')}
                 </div>
                 
-                ${this.matched.length === this.cards.length ? 
-                    '<h3 class="win-message">🎉 Congratulations! You Won!</h3>' : ''
-                }
+                ${this.isComplete() ? this.renderResult() : ''}
                 
                 <div class="game-controls">
                     <button class="btn" id="reset-btn">New Game</button>
@@ -67,13 +334,67 @@ class MemoryGame {
                 
                 <div class="game-instructions">
                     <p>🧠 Click cards to flip them over</p>
-                    <p>🎯 Match pairs of identical symbols</p>
-                    <p>🏆 Complete the game in the fewest attempts!</p>
+                    <p>🎯 Match pairs of identical ${deck.type === 'image' ? 'pictures' : 'symbols'}</p>
+                    ${this.isVersus() ? `
+                        <p>👥 Take turns: find a pair to go again, miss and it's the other player's turn</p>
+                        <p>🏆 Whoever finds the most pairs wins!</p>
+                    ` : `
+                        <p>🏆 Score: ${MEMORY_ATTEMPT_COST} points per attempt plus 1 per second - lowest wins!</p>
+                    `}
                 </div>
             </div>
         `;
     }
     
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
+    renderResult() {
+        if (!this.isVersus()) {
+            return `
+                <h3 class="win-message">🎉 Congratulations! You Won!</h3>
+                <p class="memory-result">Score ${this.getScore()}: ${this.attempts} attempts in ${this.formatTime(this.elapsedTime)}</p>
+            `;
+        }
+        
+        const [first, second] = this.players;
+        if (first === second) {
+            return `<h3 class="win-message">🤝 It's a draw, ${first}–${second}!</h3>`;
+        }
+        const winner = first > second ? 1 : 2;
+        return `<h3 class="win-message">🏆 Player ${winner} wins, ${Math.max(first, second)}–${Math.min(first, second)}!</h3>`;
+    }
+    
+    getGridLabel(grid) {
+        return `${grid.cols}×${grid.rows}`;
+    }
+    
+    isShown(index) {
+        return this.flipped.includes(index) || this.matched.includes(index);
+    }
+    
+    getCardContent(index) {
+        if (!this.isShown(index)) return '❓';
+        
+        const face = this.cards[index].face;
+        const type = this.getDeck().type;
+        if (type === 'image') {
+            return `<img class="memory-card-image" src="${face.src}" alt="">`;
+        }
+        return type === 'word' ? `<span class="memory-card-word">${face}</span>` : face;
+    }
+    
+    getCardLabel(index) {
+        const label = `Memory card ${index + 1}`;
+        if (!this.isShown(index)) return label;
+        
+        const face = this.cards[index].face;
+        return `${label}: ${typeof face === 'string' ? face : face.alt}`;
+    }
+    
     attachEventListeners() {
         const grid = this.container.querySelector('#memory-grid');
         const resetBtn = this.container.querySelector('#reset-btn');
@@ -88,6 +409,16 @@ class MemoryGame {
         if (hintBtn) {
             hintBtn.addEventListener('click', () => this.showHint());
         }
+        
+        this.container.querySelectorAll('.game-option-btn[data-deck]').forEach(btn => {
+            btn.addEventListener('click', () => this.setDeck(btn.dataset.deck));
+        });
+        this.container.querySelectorAll('.game-option-btn[data-grid]').forEach(btn => {
+            btn.addEventListener('click', () => this.setGrid(btn.dataset.grid));
+        });
+        this.container.querySelectorAll('.game-option-btn[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
     }
     
     handleCardClick(event) {
@@ -99,6 +430,11 @@ class MemoryGame {
     }
     
     handleClick(index) {
+        // No flips while paused or once the board is cleared
+        if (this.status !== 'running') {
+            return;
+        }
+        
         // Can't click if already flipped or matched
         if (this.flipped.includes(index) || this.matched.includes(index)) {
             return;
@@ -109,6 +445,11 @@ class MemoryGame {
             return;
         }
         
+        if (!this.startTime) {
+            this.startTime = Date.now();
+            this.startTimer();
+        }
+        
         // Add to flipped array
         const newFlipped = [...this.flipped, index];
         this.flipped = newFlipped;
@@ -123,35 +464,72 @@ class MemoryGame {
             
             const [first, second] = newFlipped;
             
-            if (this.cards[first] === this.cards[second]) {
-                // Match found!
+            if (this.cards[first].pair === this.cards[second].pair) {
+                // Match found! In hot-seat the player keeps the turn
                 this.matched = [...this.matched, first, second];
                 this.flipped = [];
+                this.updateCardDisplay(first);
+                this.updateCardDisplay(second);
+                this.players[this.currentPlayer]++;
                 this.updatePairs();
                 
                 // Check for win
-                if (this.matched.length === this.cards.length) {
-                    setTimeout(() => {
-                        this.render();
-                        this.attachEventListeners();
-                    }, 100);
+                if (this.isComplete()) {
+                    this.finishGame();
                 }
             } else {
-                // No match - flip back after delay
-                setTimeout(() => {
+                // No match - the turn passes, and the cards flip back after a delay
+                if (this.isVersus()) {
+                    this.currentPlayer = 1 - this.currentPlayer;
+                    this.updateTurn();
+                }
+                this.flipBackTimer = setTimeout(() => {
+                    this.flipBackTimer = null;
                     this.flipped = [];
                     this.updateCardDisplay(first);
                     this.updateCardDisplay(second);
-                }, 750);
+                }, this.settings.peek);
             }
         }
     }
     
+    finishGame() {
+        this.stopTimer();
+        this.elapsedTime = Math.floor((Date.now() - this.startTime) / 1000);
+        
+        if (this.isVersus()) {
+            const [first, second] = this.players;
+            const outcome = first === second ? 'draw' : first > second ? 'player1' : 'player2';
+            this.endRound({ score: null, outcome, players: [...this.players], grid: this.gridId, deck: this.deckId });
+        } else {
+            const score = this.getScore();
+            const best = this.getGridBest();
+            if (!best || score < best) {
+                const difficulty = this.getDifficulty();
+                this.bestScores[difficulty] = { ...this.bestScores[difficulty], [this.gridId]: score };
+                this.saveStat('bestScores', this.bestScores);
+            }
+            // The hub best and leaderboard are for the standard 4×4 grid;
+            // other grids keep their own bests
+            this.endRound({
+                score: this.gridId === '4x4' ? score : null,
+                gridScore: score,
+                attempts: this.attempts,
+                time: this.elapsedTime,
+                grid: this.gridId,
+                deck: this.deckId
+            });
+        }
+        
+        this.render();
+        this.attachEventListeners();
+    }
+    
     updateCardDisplay(index) {
         const button = this.container.querySelector(`[data-index="${index}"]`);
         if (button) {
-            const shouldShow = this.flipped.includes(index) || this.matched.includes(index);
-            button.textContent = shouldShow ? this.cards[index] : '❓';
+            button.innerHTML = this.getCardContent(index);
+            button.setAttribute('aria-label', this.getCardLabel(index));
             
             // Add visual feedback
             if (this.matched.includes(index)) {
@@ -172,17 +550,69 @@ class MemoryGame {
     updatePairs() {
         const pairsSpan = this.container.querySelector('#pairs');
         if (pairsSpan) {
-            pairsSpan.textContent = `${this.matched.length / 2}/8`;
+            pairsSpan.textContent = `${this.matched.length / 2}/${this.cards.length / 2}`;
+        }
+        
+        this.players.forEach((pairs, player) => {
+            const playerSpan = this.container.querySelector(`#player-${player + 1}-pairs`);
+            if (playerSpan) {
+                playerSpan.textContent = pairs;
+            }
+        });
+    }
+    
+    updateTurn() {
+        const turnMessage = this.container.querySelector('#turn-message');
+        if (turnMessage) {
+            turnMessage.textContent = `🎮 Player ${this.currentPlayer + 1}'s turn`;
+        }
+    }
+    
+    updateTime() {
+        const timeSpan = this.container.querySelector('#time');
+        if (timeSpan) {
+            timeSpan.textContent = this.formatTime(this.elapsedTime);
+        }
+    }
+    
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+    
+    startTimer() {
+        this.stopTimer();
+        this.timerInterval = setInterval(() => {
+            this.elapsedTime = Math.floor((Date.now() - this.startTime) / 1000);
+            this.updateTime();
+        }, 1000);
+    }
+    
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
         }
     }
     
     handleReset() {
-        this.cards = this.shuffle([...this.initialCards]);
+        this.stopTimer();
+        if (this.flipBackTimer) {
+            clearTimeout(this.flipBackTimer);
+            this.flipBackTimer = null;
+        }
+        
+        this.cards = this.buildDeck();
         this.flipped = [];
         this.matched = [];
         this.attempts = 0;
+        this.startTime = null;
+        this.elapsedTime = 0;
+        this.players = [0, 0];
+        this.currentPlayer = 0;
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
     }
     
     showHint() {
@@ -197,7 +627,7 @@ class MemoryGame {
         // Find a matching pair
         for (let i = 0; i < unmatched.length; i++) {
             for (let j = i + 1; j < unmatched.length; j++) {
-                if (this.cards[unmatched[i]] === this.cards[unmatched[j]]) {
+                if (this.cards[unmatched[i]].pair === this.cards[unmatched[j]].pair) {
                     // Highlight the pair briefly
                     const btn1 = this.container.querySelector(`[data-index="${unmatched[i]}"]`);
                     const btn2 = this.container.querySelector(`[data-index="${unmatched[j]}"]`);
@@ -218,10 +648,14 @@ class MemoryGame {
     }
     
     destroy() {
-        if (this.container) {
-            this.container.innerHTML = '';
+        this.stopTimer();
+        if (this.flipBackTimer) {
+            clearTimeout(this.flipBackTimer);
+            this.flipBackTimer = null;
         }
+        super.destroy();
     }
+    
 }
 
 // Export for use in other modules
@@ -232,4 +666,9 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.MemoryGame = MemoryGame;
-}
\ No newline at end of file
+    window.MEMORY_DECKS = MEMORY_DECKS;
+    window.MEMORY_GRIDS = MEMORY_GRIDS;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('memory', MemoryGame);
+    }
+}
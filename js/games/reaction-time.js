@@ -2,16 +2,30 @@
  * Reaction Time Tester
  * Measure how fast you can click when the color changes
  */
-class ReactionTime {
+const REACTION_TIME_SETTINGS = {
+    fields: [
+        { key: 'minWait', label: 'Shortest wait (ms)', min: 500, max: 5000, step: 100 },
+        { key: 'maxWait', label: 'Longest wait (ms)', min: 1000, max: 10000, step: 100 },
+        { key: 'goWindow', label: 'Time to click (ms)', min: 500, max: 5000, step: 100 }
+    ],
+    presets: {
+        easy: { minWait: 2000, maxWait: 4000, goWindow: 5000 },
+        normal: { minWait: 2000, maxWait: 6000, goWindow: 5000 },
+        hard: { minWait: 1000, maxWait: 8000, goWindow: 1000 }
+    }
+};
+
+class ReactionTime extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.scoreOrder = 'lower';
+        this.pausable = true;
+        this.defineSettings(REACTION_TIME_SETTINGS);
         this.state = 'waiting'; // waiting, ready, go, result
         this.startTime = 0;
         this.reactionTime = 0;
         this.attempts = [];
         this.timeout = null;
-        
-        this.init();
     }
     
     init() {
@@ -19,6 +33,32 @@ class ReactionTime {
         this.attachEventListeners();
     }
     
+    start() {
+        this.startTest();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        // A reaction measurement can't be resumed fairly, so cancel the attempt
+        this.clearTimeout();
+        this.state = 'waiting';
+        this.render();
+        this.attachEventListeners();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        // Start a fresh attempt with a new random wait
+        this.startTest();
+    }
+    
+    reset() {
+        this.resetStats();
+    }
+    
     render() {
         const averageTime = this.attempts.length > 0 
             ? Math.round(this.attempts.reduce((a, b) => a + b, 0) / this.attempts.length)
@@ -141,12 +181,16 @@ class ReactionTime {
     }
     
     startTest() {
+        this.clearTimeout();
         this.state = 'ready';
+        this.setStatus('running');
         this.render();
         this.attachEventListeners();
         
-        // Wait random time between 2-6 seconds
-        const waitTime = Math.random() * 4000 + 2000;
+        // Wait a random time within the difficulty's range
+        const { minWait } = this.settings;
+        const maxWait = Math.max(minWait, this.settings.maxWait);
+        const waitTime = Math.random() * (maxWait - minWait) + minWait;
         
         this.timeout = setTimeout(() => {
             if (this.state === 'ready') {
@@ -155,14 +199,15 @@ class ReactionTime {
                 this.render();
                 this.attachEventListeners();
                 
-                // Auto-timeout after 5 seconds
+                // Give up on the attempt once the click window closes
                 this.timeout = setTimeout(() => {
                     if (this.state === 'go') {
                         this.state = 'waiting';
+                        this.setStatus('idle');
                         this.render();
                         this.attachEventListeners();
                     }
-                }, 5000);
+                }, this.settings.goWindow);
             }
         }, waitTime);
     }
@@ -173,10 +218,11 @@ class ReactionTime {
                 // Clicked too early
                 this.state = 'too-early';
                 this.clearTimeout();
+                this.setStatus('idle');
                 this.render();
                 this.attachEventListeners();
                 
-                setTimeout(() => {
+                this.timeout = setTimeout(() => {
                     this.state = 'waiting';
                     this.render();
                     this.attachEventListeners();
@@ -191,8 +237,9 @@ class ReactionTime {
                 this.clearTimeout();
                 this.render();
                 this.attachEventListeners();
+                this.endRound({ score: this.reactionTime });
                 
-                setTimeout(() => {
+                this.timeout = setTimeout(() => {
                     this.state = 'waiting';
                     this.render();
                     this.attachEventListeners();
@@ -213,6 +260,7 @@ class ReactionTime {
         this.reactionTime = 0;
         this.state = 'waiting';
         this.clearTimeout();
+        this.setStatus('idle');
         this.render();
         this.attachEventListeners();
     }
@@ -226,9 +274,7 @@ class ReactionTime {
     
     destroy() {
         this.clearTimeout();
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        super.destroy();
     }
 }
 
@@ -240,4 +286,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.ReactionTime = ReactionTime;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('reaction-time', ReactionTime);
+    }
 }
\ No newline at end of file
@@ -1,35 +1,120 @@
 /**
  * Rock Paper Scissors Game
- * Classic game with animated choices and scoreboard
+ * Classic game and the Lizard-Spock variant against a computer that
+ * learns the player's habits, in free play or best-of-N matches
  */
-class RockPaperScissors {
+const RPS_SETTINGS = {
+    fields: [
+        { key: 'skill', label: 'Computer plays its read (%)', min: 0, max: 100, step: 5 },
+        { key: 'memory', label: 'Moves it remembers', min: 1, max: 3, step: 1 }
+    ],
+    presets: {
+        easy: { skill: 0, memory: 1 },
+        normal: { skill: 50, memory: 1 },
+        hard: { skill: 85, memory: 2 }
+    }
+};
+
+/**
+ * Move sets with their rules: rules[winner][loser] is the verb
+ */
+const RPS_VARIANTS = {
+    classic: {
+        label: 'Classic',
+        choices: [
+            { name: 'Rock', icon: '✊' },
+            { name: 'Paper', icon: '✋' },
+            { name: 'Scissors', icon: '✌️' }
+        ],
+        rules: {
+            Rock: { Scissors: 'crushes' },
+            Paper: { Rock: 'covers' },
+            Scissors: { Paper: 'cuts' }
+        }
+    },
+    lizardSpock: {
+        label: '🦎 Lizard Spock',
+        choices: [
+            { name: 'Rock', icon: '✊' },
+            { name: 'Paper', icon: '✋' },
+            { name: 'Scissors', icon: '✌️' },
+            { name: 'Lizard', icon: '🦎' },
+            { name: 'Spock', icon: '🖖' }
+        ],
+        rules: {
+            Rock: { Scissors: 'crushes', Lizard: 'crushes' },
+            Paper: { Rock: 'covers', Spock: 'disproves' },
+            Scissors: { Paper: 'cuts', Lizard: 'decapitates' },
+            Lizard: { Spock: 'poisons', Paper: 'eats' },
+            Spock: { Scissors: 'smashes', Rock: 'vaporizes' }
+        }
+    }
+};
+
+// 0 is free play: every throw is its own round
+const RPS_FORMATS = [0, 3, 5, 7];
+
+class RockPaperScissors extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        this.choices = [
-            { name: 'Rock', icon: '✊', emoji: '🪨' },
-            { name: 'Paper', icon: '✋', emoji: '📄' },
-            { name: 'Scissors', icon: '✌️', emoji: '✂️' }
-        ];
+        super(containerId);
+        this.defineSettings(RPS_SETTINGS);
+        this.variant = 'classic';
+        this.format = 0;
         this.playerChoice = null;
         this.computerChoice = null;
         this.result = '';
         this.score = { player: 0, computer: 0 };
-        
-        this.init();
+        this.matchOver = false;
+
+        // Every throw as { player, computer, outcome, predicted }
+        this.history = [];
+        this.prediction = null;
+        this.frequencyWindow = 20;
+        this.revealDelay = 800;
+        this.revealTimeout = null;
+    }
+
+    get choices() {
+        return RPS_VARIANTS[this.variant].choices;
+    }
+
+    get rules() {
+        return RPS_VARIANTS[this.variant].rules;
     }
-    
+
     init() {
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
+    }
+
+    start() {
+        this.resetGame();
     }
-    
+
+    reset() {
+        this.resetGame();
+    }
+
     render() {
         this.container.innerHTML = `
             <div class="rps-game">
                 <div class="game-header">
                     <h3>🎮 Rock Paper Scissors</h3>
+                    <div class="game-options">
+                        <div class="game-option-group" role="group" aria-label="Variant">
+                            ${Object.keys(RPS_VARIANTS).map(variant =>
+                                this.renderOption('variant', variant, RPS_VARIANTS[variant].label, this.variant)
+                            ).join('')}
+                        </div>
+                        <div class="game-option-group" role="group" aria-label="Match format">
+                            ${RPS_FORMATS.map(format =>
+                                this.renderOption('format', format, format ? `Best of ${format}` : 'Free play', this.format)
+                            ).join('')}
+                        </div>
+                    </div>
                 </div>
-                
+
                 <!-- Scoreboard -->
                 <div class="scoreboard">
                     <div class="score-card">
@@ -41,17 +126,18 @@ class RockPaperScissors {
                         <h3 id="computer-score">${this.score.computer}</h3>
                     </div>
                 </div>
-                
+                ${this.format ? `<p class="rps-match-target">First to ${this.getWinTarget()} wins the match</p>` : ''}
+
                 <!-- Choice buttons -->
                 <div class="choices-container">
                     ${this.choices.map(choice => `
-                        <button class="choice-btn" data-choice="${choice.name}">
+                        <button class="choice-btn" data-choice="${choice.name}" ${this.matchOver ? 'disabled' : ''}>
                             <div class="choice-icon">${choice.icon}</div>
                             <div class="choice-name">${choice.name}</div>
                         </button>
                     `).join('')}
                 </div>
-                
+
                 <!-- Results area -->
                 <div class="results-area" id="results-area" style="display: none;">
                     <div class="battle-display">
@@ -66,115 +152,321 @@ class RockPaperScissors {
                         </div>
                     </div>
                     <h4 class="result-text" id="result-text"></h4>
+                    <p class="rps-result-reason" id="result-reason"></p>
+                </div>
+
+                <div class="rps-panels">
+                    <div class="rps-panel" id="ai-panel" aria-live="polite">${this.renderAiPanel()}</div>
+                    <div class="rps-panel" id="history-panel">${this.renderHistory()}</div>
                 </div>
-                
+
+                <details class="rps-rules">
+                    <summary>📖 Rules</summary>
+                    <table>
+                        <thead>
+                            <tr><th scope="col">Throw</th><th scope="col">Beats</th></tr>
+                        </thead>
+                        <tbody>
+                            ${this.choices.map(choice => `
+                                <tr>
+                                    <th scope="row">${choice.icon} ${choice.name}</th>
+                                    <td>${Object.entries(this.rules[choice.name]).map(([loser, verb]) => `${verb} ${loser}`).join(', ')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </details>
+
                 <div class="game-controls">
+                    ${this.format ? `<button class="btn" id="new-match-btn">🏁 New Match</button>` : ''}
                     <button class="btn reset-btn" id="reset-btn">Reset Game</button>
                 </div>
             </div>
         `;
     }
-    
+
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+
+    renderAiPanel() {
+        const reads = this.history.filter(round => round.predicted);
+        const correct = reads.filter(round => round.predicted === round.player).length;
+        const confidence = this.prediction ? Math.round(this.prediction.confidence * 100) : 0;
+        const last = this.history[this.history.length - 1];
+
+        return `
+            <h4>🤖 Computer's read</h4>
+            ${this.settings.skill === 0 ? '<p>Playing at random</p>' : ''}
+            <div class="rps-confidence" role="meter" aria-label="Confidence in its next read"
+                 aria-valuemin="0" aria-valuemax="100" aria-valuenow="${confidence}">
+                <div class="rps-confidence-fill" style="width: ${confidence}%"></div>
+            </div>
+            <p>Confidence in its next read: <strong id="ai-confidence">${confidence}%</strong></p>
+            ${this.prediction ? `<p class="rps-read-source">Based on ${this.prediction.source}</p>` : ''}
+            ${last && last.predicted ? `
+                <p>Last throw it expected ${this.getChoice(last.predicted).icon} ${last.predicted}
+                   ${last.predicted === last.player ? '✅' : '❌'}</p>
+            ` : ''}
+            <p>Reads right: <strong id="ai-accuracy">${correct}/${reads.length}</strong></p>
+        `;
+    }
+
+    renderHistory() {
+        const outcomeLabels = { win: 'Win', lose: 'Loss', draw: 'Draw' };
+        const recent = this.history.slice(-10).reverse();
+
+        return `
+            <h4>📜 History</h4>
+            ${recent.length === 0 ? '<p>No throws yet</p>' : `
+                <ol class="rps-history" reversed start="${this.history.length}">
+                    ${recent.map(round => `
+                        <li class="${round.outcome}">
+                            ${this.getChoice(round.player).icon} vs ${this.getChoice(round.computer).icon}
+                            — ${outcomeLabels[round.outcome]}
+                        </li>
+                    `).join('')}
+                </ol>
+            `}
+        `;
+    }
+
     attachEventListeners() {
         const choiceBtns = this.container.querySelectorAll('.choice-btn');
         const resetBtn = this.container.querySelector('#reset-btn');
-        
+        const newMatchBtn = this.container.querySelector('#new-match-btn');
+
         choiceBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const choiceName = e.currentTarget.dataset.choice;
-                const choice = this.choices.find(c => c.name === choiceName);
-                this.play(choice);
+                this.play(this.getChoice(choiceName));
             });
         });
-        
+
         resetBtn.addEventListener('click', () => this.resetGame());
+        if (newMatchBtn) {
+            newMatchBtn.addEventListener('click', () => this.newMatch());
+        }
+
+        this.container.querySelectorAll('[data-variant]').forEach(btn => {
+            btn.addEventListener('click', () => this.setVariant(btn.dataset.variant));
+        });
+        this.container.querySelectorAll('[data-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.setFormat(parseInt(btn.dataset.format, 10)));
+        });
+    }
+
+    getChoice(name) {
+        return this.choices.find(c => c.name === name);
     }
-    
+
     play(playerChoice) {
+        // One throw at a time, and none once a match is decided
+        if (this.revealTimeout || this.matchOver) return;
+
+        this.setStatus('running');
         this.playerChoice = playerChoice;
-        const computerChoice = this.choices[Math.floor(Math.random() * this.choices.length)];
-        
+        const predicted = this.prediction;
+        const computerChoice = this.pickComputerChoice(predicted);
+
         // Show results area
         const resultsArea = this.container.querySelector('#results-area');
         resultsArea.style.display = 'block';
-        
+
         // Show player choice immediately
         const playerDisplay = this.container.querySelector('#player-display');
         playerDisplay.innerHTML = `
             <div class="choice-icon">${playerChoice.icon}</div>
             <div class="choice-name">${playerChoice.name}</div>
         `;
-        
+
         // Animate computer "thinking"
         const computerDisplay = this.container.querySelector('#computer-display');
         computerDisplay.textContent = '🤔';
-        
+        this.container.querySelector('#result-text').textContent = '';
+        this.container.querySelector('#result-reason').textContent = '';
+
         // Show computer choice after delay
-        setTimeout(() => {
+        this.revealTimeout = setTimeout(() => {
+            this.revealTimeout = null;
             this.computerChoice = computerChoice;
             computerDisplay.innerHTML = `
                 <div class="choice-icon">${computerChoice.icon}</div>
                 <div class="choice-name">${computerChoice.name}</div>
             `;
-            
+
             // Determine and show result
-            this.determineWinner();
-        }, 800);
+            this.determineWinner(predicted);
+        }, this.revealDelay);
+    }
+
+    /**
+     * Outcome of a throw from the player's side, looked up in the rules table
+     * @param {string} player - Player's throw
+     * @param {string} computer - Computer's throw
+     * @returns {string} 'win', 'lose' or 'draw'
+     */
+    getOutcome(player, computer) {
+        if (this.rules[player][computer]) return 'win';
+        if (this.rules[computer][player]) return 'lose';
+        return 'draw';
+    }
+
+    /**
+     * Guess the player's next throw from their history. The longest recent
+     * sequence (up to `memory` throws) seen at least twice before wins;
+     * otherwise it falls back to how often each throw was used lately.
+     * @returns {Object|null} { name, confidence, source }, or null without history
+     */
+    predictNext() {
+        const moves = this.history.map(round => round.player);
+        if (moves.length === 0) return null;
+
+        for (let order = Math.min(this.settings.memory, moves.length - 1); order >= 1; order--) {
+            const context = moves.slice(-order).join();
+            const counts = {};
+            let seen = 0;
+            for (let i = order; i < moves.length; i++) {
+                if (moves.slice(i - order, i).join() === context) {
+                    counts[moves[i]] = (counts[moves[i]] || 0) + 1;
+                    seen++;
+                }
+            }
+            if (seen >= 2) {
+                return this.mostLikely(counts, seen, `what follows ${moves.slice(-order).join(' → ')}`);
+            }
+        }
+
+        const recent = moves.slice(-this.frequencyWindow);
+        const counts = {};
+        recent.forEach(move => {
+            counts[move] = (counts[move] || 0) + 1;
+        });
+        return this.mostLikely(counts, recent.length, `your last ${recent.length} throws`);
+    }
+
+    mostLikely(counts, total, source) {
+        const name = Object.keys(counts).reduce((a, b) => counts[a] >= counts[b] ? a : b);
+        return { name, confidence: counts[name] / total, source };
     }
-    
-    determineWinner() {
+
+    /**
+     * Counter the predicted throw as often as the skill setting allows
+     * @param {Object|null} prediction - Result of predictNext()
+     * @returns {Object} Computer choice
+     */
+    pickComputerChoice(prediction) {
+        if (prediction && Math.random() * 100 < this.settings.skill) {
+            const counters = this.choices.filter(choice => this.rules[choice.name][prediction.name]);
+            return counters[Math.floor(Math.random() * counters.length)];
+        }
+        return this.choices[Math.floor(Math.random() * this.choices.length)];
+    }
+
+    getWinTarget() {
+        return Math.ceil(this.format / 2);
+    }
+
+    determineWinner(predicted = null) {
         if (!this.playerChoice || !this.computerChoice) {
             console.error('Player or computer choice is null');
             return;
         }
-        
+
         const player = this.playerChoice.name;
         const computer = this.computerChoice.name;
         const resultText = this.container.querySelector('#result-text');
-        
-        if (player === computer) {
-            this.result = "It's a Draw!";
-            resultText.className = 'result-text draw';
-        } else if (
-            (player === 'Rock' && computer === 'Scissors') ||
-            (player === 'Paper' && computer === 'Rock') ||
-            (player === 'Scissors' && computer === 'Paper')
-        ) {
+        const outcome = this.getOutcome(player, computer);
+
+        if (outcome === 'win') {
             this.result = 'You Win! 🎉';
             this.score.player++;
-            resultText.className = 'result-text win';
-        } else {
+        } else if (outcome === 'lose') {
             this.result = 'You Lose! 😔';
             this.score.computer++;
-            resultText.className = 'result-text lose';
+        } else {
+            this.result = "It's a Draw!";
         }
-        
+        resultText.className = `result-text ${outcome}`;
+
+        const winner = outcome === 'win' ? player : computer;
+        const loser = outcome === 'win' ? computer : player;
+        this.container.querySelector('#result-reason').textContent =
+            outcome === 'draw' ? '' : `${winner} ${this.rules[winner][loser]} ${loser}`;
+
+        this.history.push({ player, computer, outcome, predicted: predicted ? predicted.name : null });
+        this.prediction = this.predictNext();
+
+        const target = this.getWinTarget();
+        if (this.format && (this.score.player >= target || this.score.computer >= target)) {
+            const won = this.score.player >= target;
+            this.matchOver = true;
+            this.result = won ? 'You win the match! 🏆' : 'Computer wins the match! 🤖';
+            this.container.querySelectorAll('.choice-btn').forEach(btn => { btn.disabled = true; });
+            this.endRound({ score: null, outcome: won ? 'win' : 'lose', player: this.score.player, computer: this.score.computer });
+        } else if (!this.format) {
+            // In free play every throw is a round; the series score lives in the scoreboard
+            this.endRound({ score: null, outcome, player: this.score.player, computer: this.score.computer });
+        }
+
         resultText.textContent = this.result;
         this.updateScore();
+        this.updatePanels();
     }
-    
+
     updateScore() {
         this.container.querySelector('#player-score').textContent = this.score.player;
         this.container.querySelector('#computer-score').textContent = this.score.computer;
     }
-    
-    resetGame() {
+
+    updatePanels() {
+        this.container.querySelector('#ai-panel').innerHTML = this.renderAiPanel();
+        this.container.querySelector('#history-panel').innerHTML = this.renderHistory();
+    }
+
+    setVariant(variant) {
+        if (variant === this.variant || !RPS_VARIANTS[variant]) return;
+
+        // Habits with one move set say nothing about the other
+        this.variant = variant;
+        this.resetGame();
+    }
+
+    setFormat(format) {
+        if (format === this.format) return;
+
+        this.format = format;
+        this.newMatch();
+    }
+
+    /**
+     * Zero the scoreboard but keep what the computer has learned
+     */
+    newMatch() {
+        clearTimeout(this.revealTimeout);
+        this.revealTimeout = null;
         this.playerChoice = null;
         this.computerChoice = null;
         this.result = '';
         this.score = { player: 0, computer: 0 };
-        
-        const resultsArea = this.container.querySelector('#results-area');
-        resultsArea.style.display = 'none';
-        
-        this.updateScore();
+        this.matchOver = false;
+        this.render();
+        this.attachEventListeners();
+        this.setStatus('running');
     }
-    
+
+    resetGame() {
+        this.history = [];
+        this.prediction = null;
+        this.newMatch();
+    }
+
     destroy() {
-        // Clean up any event listeners
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        clearTimeout(this.revealTimeout);
+        this.revealTimeout = null;
+        super.destroy();
     }
 }
 
@@ -186,4 +478,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.RockPaperScissors = RockPaperScissors;
-}
\ No newline at end of file
+    if (window.gameRegistry) {
+        window.gameRegistry.register('rps', RockPaperScissors);
+    }
+}
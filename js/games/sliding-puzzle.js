@@ -2,10 +2,118 @@
  * Sliding Puzzle Game
  * Arrange tiles to form a complete picture
  */
-class SlidingPuzzle {
+const SLIDING_PUZZLE_SETTINGS = {
+    fields: [
+        { key: 'size', label: 'Board size', min: 3, max: 6, step: 1 }
+    ],
+    presets: {
+        easy: { size: 3 },
+        normal: { size: 4 },
+        hard: { size: 5 }
+    }
+};
+
+/**
+ * Bundled pictures, painted on a square canvas so they work offline and
+ * never taint the canvas they are sliced from
+ */
+const SLIDING_PUZZLE_PICTURES = [
+    {
+        id: 'sunset',
+        label: '🌄 Sunset',
+        draw(ctx, side) {
+            const sky = ctx.createLinearGradient(0, 0, 0, side);
+            sky.addColorStop(0, '#2c3e50');
+            sky.addColorStop(0.55, '#e67e22');
+            sky.addColorStop(1, '#f1c40f');
+            ctx.fillStyle = sky;
+            ctx.fillRect(0, 0, side, side);
+
+            ctx.fillStyle = '#fff3b0';
+            ctx.beginPath();
+            ctx.arc(side * 0.62, side * 0.55, side * 0.14, 0, Math.PI * 2);
+            ctx.fill();
+
+            [['#6c3483', 0.6, [0.25, 0.45, 0.7]], ['#1b2631', 0.72, [0.15, 0.55, 0.85]]].forEach(([color, base, peaks]) => {
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(0, side);
+                ctx.lineTo(0, side * base);
+                peaks.forEach((x, i) => {
+                    ctx.lineTo(side * x, side * (base - 0.18 + i * 0.05));
+                    ctx.lineTo(side * (x + 0.12), side * base);
+                });
+                ctx.lineTo(side, side * base);
+                ctx.lineTo(side, side);
+                ctx.fill();
+            });
+        }
+    },
+    {
+        id: 'ocean',
+        label: '⛵ Ocean',
+        draw(ctx, side) {
+            ctx.fillStyle = '#aed6f1';
+            ctx.fillRect(0, 0, side, side * 0.5);
+            ['#2e86c1', '#2874a6', '#1f618d', '#1a5276'].forEach((color, band) => {
+                const top = side * (0.5 + band * 0.125);
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(0, side);
+                for (let x = 0; x <= side; x += side / 40) {
+                    ctx.lineTo(x, top + Math.sin(x / side * Math.PI * 6 + band) * side * 0.015);
+                }
+                ctx.lineTo(side, side);
+                ctx.fill();
+            });
+
+            ctx.fillStyle = '#fdfefe';
+            ctx.beginPath();
+            ctx.moveTo(side * 0.5, side * 0.18);
+            ctx.lineTo(side * 0.5, side * 0.48);
+            ctx.lineTo(side * 0.3, side * 0.48);
+            ctx.fill();
+            ctx.fillStyle = '#c0392b';
+            ctx.fillRect(side * 0.3, side * 0.5, side * 0.3, side * 0.05);
+
+            ctx.fillStyle = '#f4d03f';
+            ctx.beginPath();
+            ctx.arc(side * 0.82, side * 0.14, side * 0.08, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+    {
+        id: 'rings',
+        label: '🎯 Rings',
+        draw(ctx, side) {
+            const colors = ['#e74c3c', '#e67e22', '#f1c40f', '#2ecc71', '#3498db', '#9b59b6'];
+            ctx.fillStyle = '#2c3e50';
+            ctx.fillRect(0, 0, side, side);
+            for (let ring = 12; ring > 0; ring--) {
+                ctx.fillStyle = colors[ring % colors.length];
+                ctx.beginPath();
+                ctx.arc(side / 2, side / 2, ring * side / 24, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = side / 60;
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(side, side);
+            ctx.moveTo(side, 0);
+            ctx.lineTo(0, side);
+            ctx.stroke();
+        }
+    }
+];
+
+class SlidingPuzzle extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        this.size = 3; // 3x3 or 4x4
+        super(containerId);
+        this.scoreOrder = 'lower';
+        this.pausable = true;
+        this.defineSettings(SLIDING_PUZZLE_SETTINGS);
+        this.size = this.settings.size;
         this.tiles = [];
         this.emptyPos = { row: this.size - 1, col: this.size - 1 };
         this.moves = 0;
@@ -13,16 +121,120 @@ class SlidingPuzzle {
         this.gameCompleted = false;
         this.timerInterval = null;
         this.elapsedTime = 0;
+        this.pausedAt = null;
         
-        this.init();
+        // Set once the solver has helped with this board (a hint or auto
+        // solve); an assisted finish isn't ranked
+        this.assisted = false;
+        
+        // Fewest moves on each board size, by difficulty
+        this.bestScores = {};
+        
+        // Solver runs in a Web Worker when the browser allows it
+        this.worker = null;
+        this.workerFailed = false;
+        this.pendingSolves = new Map();
+        this.solveId = 0;
+        this.solving = false;
+        this.maxSolveNodes = 5000000;
+        
+        // Without a worker the search blocks the page, so it gets a far
+        // smaller budget and fewer, heavier weightings to fall back on
+        this.maxPageSolveNodes = 100000;
+        this.pageSolveWeights = [1, 2, 5];
+        
+        // Known route to the goal from the current board, kept while the
+        // player (or the playback) follows it
+        this.plan = null;
+        this.playback = false;
+        this.playing = false;
+        this.playbackTimer = null;
+        this.stepDelay = 350;
+        this.hintTile = null;
+        this.lastMove = null;
+        this.message = '';
+        
+        // Picture mode: one sliced image per tile, indexed by tile value - 1
+        this.mode = 'numbers';
+        this.pictureId = SLIDING_PUZZLE_PICTURES[0].id;
+        this.pictureSource = null;
+        this.tileImages = null;
+        this.showNumbers = true;
+        this.pictureSide = 480;
     }
     
     init() {
-        this.initializeTiles();
+        this.bestScores = this.getStat('bestScores') || {};
+        this.applySize();
         this.render();
         this.attachEventListeners();
     }
     
+    start() {
+        this.shufflePuzzle();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.pausePlayback();
+        this.stopTimer();
+        this.pausedAt = Date.now();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        if (this.startTime) {
+            // Shift the start by the paused time so partial seconds aren't lost
+            this.startTime += Date.now() - this.pausedAt;
+            this.startTimer();
+        }
+    }
+    
+    reset() {
+        this.clearSolution();
+        this.gameCompleted = false;
+        this.moves = 0;
+        this.elapsedTime = 0;
+        this.startTime = null;
+        this.stopTimer();
+        
+        this.applySize();
+        this.setStatus('idle');
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    /**
+     * The hub best and leaderboard take one board size per difficulty: the
+     * preset's, and the normal 4×4 board for custom; other sizes keep their
+     * own bests
+     */
+    isStandardSize() {
+        const presets = SLIDING_PUZZLE_SETTINGS.presets;
+        return this.size === (presets[this.getDifficulty()] || presets.normal).size;
+    }
+    
+    /**
+     * @returns {number|undefined} Fewest moves on the current size and
+     *     difficulty
+     */
+    getSizeBest() {
+        return (this.bestScores[this.getDifficulty()] || {})[this.size];
+    }
+    
+    applySize() {
+        this.size = this.settings.size;
+        this.emptyPos = { row: this.size - 1, col: this.size - 1 };
+        this.initializeTiles();
+        if (this.mode === 'image' && this.pictureSource) {
+            this.tileImages = this.sliceImage(this.pictureSource, this.size);
+        }
+    }
+    
     initializeTiles() {
         this.tiles = [];
         for (let i = 0; i < this.size; i++) {
@@ -59,49 +271,97 @@ class SlidingPuzzle {
                             <span class="stat-label">Size:</span>
                             <span class="stat-value">${this.size}×${this.size}</span>
                         </div>
+                        <div class="stat">
+                            <span class="stat-label">Best:</span>
+                            <span class="stat-value" id="best">${this.getSizeBest() || '-'}</span>
+                        </div>
                     </div>
                 </div>
                 
-                <div class="puzzle-board" id="puzzle-board" data-size="${this.size}">
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Tiles">
+                        ${this.renderOption('mode', 'numbers', '🔢 Numbers', this.mode)}
+                        ${this.renderOption('mode', 'image', '🖼️ Picture', this.mode)}
+                    </div>
+                    ${this.mode === 'image' ? `
+                        <div class="game-option-group" role="group" aria-label="Picture">
+                            ${SLIDING_PUZZLE_PICTURES.map(picture =>
+                                this.renderOption('picture', picture.id, picture.label, this.pictureId)
+                            ).join('')}
+                            <label class="game-option-btn picture-upload ${this.pictureId === 'custom' ? 'active' : ''}">
+                                📁 Your picture
+                                <input type="file" accept="image/*" id="picture-file">
+                            </label>
+                        </div>
+                        <div class="game-option-group" role="group" aria-label="Numbers on tiles">
+                            ${this.renderOption('numbers', 'on', 'Show numbers', this.showNumbers ? 'on' : 'off')}
+                            ${this.renderOption('numbers', 'off', 'Hide numbers', this.showNumbers ? 'on' : 'off')}
+                        </div>
+                    ` : ''}
+                </div>
+                
+                <div class="puzzle-board ${this.isPictureShown() ? 'picture-board' : ''}" id="puzzle-board" data-size="${this.size}">
                     ${this.tiles.map((row, i) => 
                         row.map((tile, j) => `
-                            <div class="puzzle-tile ${tile === 0 ? 'empty' : ''}" 
+                            <div class="puzzle-tile ${this.getTileClasses(tile)}" 
                                  data-row="${i}" 
                                  data-col="${j}"
-                                 data-number="${tile}">
-                                ${tile === 0 ? '' : tile}
+                                 data-number="${tile}"
+                                 ${this.getTileStyle(tile)}>
+                                ${this.getTileContent(tile)}
                             </div>
                         `).join('')
                     ).join('')}
                 </div>
                 
+                <p class="solver-status" id="solver-status" aria-live="polite">${this.message}</p>
+                
                 ${this.gameCompleted ? `
                     <div class="win-message">
-                        🎉 Puzzle Solved! 
+                        ${this.playback
+                            ? `🤖 Solved by the computer in ${this.plan ? this.plan.total : this.moves} moves`
+                            : `🎉 Puzzle Solved! 
                         <br>Moves: ${this.moves} | Time: ${timeDisplay}
+                        ${this.assisted ? '<br><small>Solved with the computer\'s help, so it isn\'t ranked</small>' : ''}`}
+                    </div>
+                ` : ''}
+                
+                ${this.playback && !this.gameCompleted ? `
+                    <div class="playback-controls">
+                        <button class="btn" id="play-btn">${this.playing ? '⏸️ Pause' : '▶️ Play'}</button>
+                        <button class="btn" id="step-btn" ${this.playing ? 'disabled' : ''}>⏭️ Step</button>
+                        <span class="playback-progress" id="playback-progress">
+                            Move ${this.plan.total - this.plan.moves.length} of ${this.plan.total}
+                        </span>
                     </div>
                 ` : ''}
                 
                 <div class="game-controls">
                     <button class="btn" id="shuffle-btn">Shuffle</button>
-                    <button class="btn" id="size-btn">Switch to ${this.size === 3 ? '4×4' : '3×3'}</button>
-                    <button class="btn" id="solve-btn">Auto Solve</button>
+                    <button class="btn" id="hint-btn" ${this.solving || this.gameCompleted ? 'disabled' : ''}>💡 Hint</button>
+                    <button class="btn" id="solve-btn" ${this.solving || this.playback ? 'disabled' : ''}>Auto Solve</button>
                 </div>
                 
                 <div class="game-instructions">
                     <p>🧩 Click tiles next to the empty space to move them</p>
                     <p>🎯 Arrange numbers in order from 1 to ${this.size * this.size - 1}</p>
                     <p>⏱️ Try to solve it in the fewest moves and fastest time!</p>
+                    ${this.isStandardSize() ? '' : '<p>🏆 Custom boards other than 4×4 keep their own best and are not ranked</p>'}
                 </div>
             </div>
         `;
+        
+        // Animate each move only once
+        this.lastMove = null;
     }
     
     attachEventListeners() {
         const puzzleBoard = this.container.querySelector('#puzzle-board');
         const shuffleBtn = this.container.querySelector('#shuffle-btn');
-        const sizeBtn = this.container.querySelector('#size-btn');
         const solveBtn = this.container.querySelector('#solve-btn');
+        const hintBtn = this.container.querySelector('#hint-btn');
+        const playBtn = this.container.querySelector('#play-btn');
+        const stepBtn = this.container.querySelector('#step-btn');
         
         if (puzzleBoard) {
             puzzleBoard.addEventListener('click', (e) => this.handleTileClick(e));
@@ -110,12 +370,84 @@ class SlidingPuzzle {
         if (shuffleBtn) {
             shuffleBtn.addEventListener('click', () => this.shufflePuzzle());
         }
-        if (sizeBtn) {
-            sizeBtn.addEventListener('click', () => this.changeSize());
-        }
         if (solveBtn) {
             solveBtn.addEventListener('click', () => this.autoSolve());
         }
+        if (hintBtn) {
+            hintBtn.addEventListener('click', () => this.showHint());
+        }
+        if (playBtn) {
+            playBtn.addEventListener('click', () => (this.playing ? this.pausePlayback() : this.playSolution()));
+        }
+        if (stepBtn) {
+            stepBtn.addEventListener('click', () => this.stepSolution());
+        }
+        
+        this.container.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+        this.container.querySelectorAll('[data-picture]').forEach(btn => {
+            btn.addEventListener('click', () => this.setPicture(btn.dataset.picture));
+        });
+        this.container.querySelectorAll('[data-numbers]').forEach(btn => {
+            btn.addEventListener('click', () => this.setShowNumbers(btn.dataset.numbers === 'on'));
+        });
+        const fileInput = this.container.querySelector('#picture-file');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.loadPictureFile(fileInput.files[0]));
+        }
+    }
+    
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
+    isPictureShown() {
+        return this.mode === 'image' && this.tileImages !== null;
+    }
+    
+    /**
+     * Picture piece for a tile; the gap shows its piece once the puzzle is solved
+     * @returns {string|null} Image URL, or null for a numbered tile or the gap
+     */
+    getTileImage(tile) {
+        if (!this.isPictureShown()) return null;
+        if (tile === 0) {
+            return this.gameCompleted ? this.tileImages[this.size * this.size - 1] : null;
+        }
+        return this.tileImages[tile - 1];
+    }
+    
+    getTileClasses(tile) {
+        const classes = [];
+        if (this.getTileImage(tile)) classes.push('image-tile');
+        else if (tile === 0) classes.push('empty');
+        if (tile !== 0 && tile === this.hintTile) classes.push('hint-tile');
+        if (this.lastMove && tile === this.lastMove.value) classes.push('slide-in');
+        return classes.join(' ');
+    }
+    
+    /**
+     * Picture piece, and the offset in tiles the last moved tile slides in from
+     */
+    getTileStyle(tile) {
+        const styles = [];
+        const image = this.getTileImage(tile);
+        if (image) {
+            styles.push(`background-image: url('${image}')`);
+        }
+        if (this.lastMove && tile === this.lastMove.value) {
+            styles.push(`--slide-x: ${this.lastMove.dx}; --slide-y: ${this.lastMove.dy}`);
+        }
+        return styles.length ? `style="${styles.join('; ')}"` : '';
+    }
+    
+    getTileContent(tile) {
+        if (tile === 0) return '';
+        if (!this.isPictureShown()) return tile;
+        return this.showNumbers ? `<span class="tile-number">${tile}</span>` : '';
     }
     
     setupSwipeControls(board) {
@@ -152,12 +484,12 @@ class SlidingPuzzle {
                 if (diffX > 30) {
                     // Swipe left - move tile from right
                     if (emptyCol < this.size - 1) {
-                        this.moveTile(emptyRow, emptyCol + 1);
+                        this.playerMove(emptyRow, emptyCol + 1);
                     }
                 } else if (diffX < -30) {
                     // Swipe right - move tile from left
                     if (emptyCol > 0) {
-                        this.moveTile(emptyRow, emptyCol - 1);
+                        this.playerMove(emptyRow, emptyCol - 1);
                     }
                 }
             } else {
@@ -165,12 +497,12 @@ class SlidingPuzzle {
                 if (diffY > 30) {
                     // Swipe up - move tile from below
                     if (emptyRow < this.size - 1) {
-                        this.moveTile(emptyRow + 1, emptyCol);
+                        this.playerMove(emptyRow + 1, emptyCol);
                     }
                 } else if (diffY < -30) {
                     // Swipe down - move tile from above
                     if (emptyRow > 0) {
-                        this.moveTile(emptyRow - 1, emptyCol);
+                        this.playerMove(emptyRow - 1, emptyCol);
                     }
                 }
             }
@@ -181,30 +513,70 @@ class SlidingPuzzle {
     }
     
     handleTileClick(event) {
-        if (this.gameCompleted) return;
-        
         const tile = event.target.closest('.puzzle-tile');
         if (!tile || tile.classList.contains('empty')) return;
         
         const row = parseInt(tile.dataset.row);
         const col = parseInt(tile.dataset.col);
+        this.playerMove(row, col);
+    }
+    
+    playerMove(row, col) {
+        if (this.gameCompleted || this.status === 'paused' || !this.canMoveTile(row, col)) return;
         
-        if (this.canMoveTile(row, col)) {
-            this.moveTile(row, col);
-            this.moves++;
-            
-            if (!this.startTime) {
-                this.startTime = Date.now();
-                this.startTimer();
-            }
-            
-            this.updateDisplay();
-            
-            if (this.checkWin()) {
-                this.gameCompleted = true;
-                this.stopTimer();
-                setTimeout(() => this.render(), 100);
+        // The player takes over from a solve in progress or its playback
+        if (this.solving || this.playback) {
+            this.clearSolution();
+        }
+        
+        this.slideTile(row, col);
+        this.moves++;
+        
+        if (!this.startTime) {
+            this.startTime = Date.now();
+            this.setStatus('running');
+            this.startTimer();
+        }
+        
+        if (this.checkWin()) {
+            this.gameCompleted = true;
+            this.stopTimer();
+            const best = this.getSizeBest();
+            if (!this.assisted && (!best || this.moves < best)) {
+                const difficulty = this.getDifficulty();
+                this.bestScores[difficulty] = { ...this.bestScores[difficulty], [this.size]: this.moves };
+                this.saveStat('bestScores', this.bestScores);
             }
+            this.endRound({
+                score: this.assisted || !this.isStandardSize() ? null : this.moves,
+                moves: this.moves,
+                size: this.size,
+                time: this.elapsedTime,
+                assisted: this.assisted
+            });
+        }
+        
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Move a tile into the gap, remembering where it came from for the
+     * slide animation and keeping any known solution in step
+     */
+    slideTile(row, col) {
+        const value = this.tiles[row][col];
+        const { row: emptyRow, col: emptyCol } = this.emptyPos;
+        
+        this.moveTile(row, col);
+        this.lastMove = { value, dx: col - emptyCol, dy: row - emptyRow };
+        this.hintTile = null;
+        
+        if (this.plan && this.plan.moves[0] === value) {
+            this.plan.moves.shift();
+            this.plan.key = this.tiles.flat().join();
+        } else {
+            this.plan = null;
         }
     }
     
@@ -229,26 +601,176 @@ class SlidingPuzzle {
     }
     
     shufflePuzzle() {
+        this.clearSolution();
         this.gameCompleted = false;
+        this.assisted = false;
         this.moves = 0;
         this.elapsedTime = 0;
         this.startTime = null;
         this.stopTimer();
         
-        // Perform random valid moves to shuffle
-        for (let i = 0; i < 1000; i++) {
-            const possibleMoves = this.getPossibleMoves();
-            if (possibleMoves.length > 0) {
-                const randomMove = possibleMoves[Math.floor(Math.random() * possibleMoves.length)];
-                this.moveTile(randomMove.row, randomMove.col);
+        this.shuffleTiles();
+        
+        this.moves = 0; // Reset move counter after shuffle
+        this.setStatus('idle');
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Deal a random arrangement that is guaranteed solvable: swapping two
+     * tiles flips the parity, so an unsolvable deal is one swap from solvable
+     */
+    shuffleTiles() {
+        const solver = new SlidingPuzzleSolver(this.size);
+        const tiles = [...Array(this.size * this.size).keys()];
+        
+        do {
+            for (let i = tiles.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+            }
+            if (!solver.isSolvable(tiles)) {
+                const [a, b] = tiles.map((value, index) => index).filter(index => tiles[index] !== 0);
+                [tiles[a], tiles[b]] = [tiles[b], tiles[a]];
             }
+        } while (solver.isSolved(tiles));
+        
+        this.tiles = Array.from({ length: this.size }, (_, row) => tiles.slice(row * this.size, (row + 1) * this.size));
+        const gap = tiles.indexOf(0);
+        this.emptyPos = { row: Math.floor(gap / this.size), col: gap % this.size };
+    }
+    
+    setMode(mode) {
+        if (mode === 'image' && !this.tileImages) {
+            const picture = SLIDING_PUZZLE_PICTURES.find(p => p.id === this.pictureId) || SLIDING_PUZZLE_PICTURES[0];
+            this.setPicture(picture.id);
+            return;
         }
         
-        this.moves = 0; // Reset move counter after shuffle
+        this.mode = mode === 'image' ? 'image' : 'numbers';
         this.render();
         this.attachEventListeners();
     }
     
+    setShowNumbers(show) {
+        this.showNumbers = show;
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Paint a bundled picture and cut it into tiles
+     * @param {string} id - Picture id from SLIDING_PUZZLE_PICTURES
+     * @returns {boolean} True if the picture is in use
+     */
+    setPicture(id) {
+        const picture = SLIDING_PUZZLE_PICTURES.find(p => p.id === id);
+        if (!picture) return false;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = this.pictureSide;
+        canvas.height = this.pictureSide;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            this.showStatus('😕 This browser cannot draw pictures, so the tiles stay numbered.');
+            return false;
+        }
+        
+        picture.draw(ctx, this.pictureSide);
+        return this.usePicture(canvas, id);
+    }
+    
+    /**
+     * Downscale a local image file and cut it into tiles
+     * @param {File} file - Image chosen by the player
+     * @returns {Promise<boolean>} Resolves true if the picture is in use
+     */
+    loadPictureFile(file) {
+        if (!file) return Promise.resolve(false);
+        if (!file.type.startsWith('image/')) {
+            this.showStatus('😕 Please choose an image file.');
+            return Promise.resolve(false);
+        }
+        
+        this.showStatus('🖼️ Preparing your picture...');
+        const optimizer = new ImageOptimizer();
+        const maxSide = this.pictureSide * 2;
+        
+        return optimizer.compressImage(file, 0.9, maxSide, maxSide)
+            .then(blob => this.loadImage(URL.createObjectURL(blob)))
+            .then(image => {
+                URL.revokeObjectURL(image.src);
+                return this.usePicture(image, 'custom');
+            })
+            .catch(() => {
+                this.showStatus('😕 That picture could not be loaded.');
+                return false;
+            });
+    }
+    
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Image could not be loaded'));
+            image.src = url;
+        });
+    }
+    
+    usePicture(source, id) {
+        const images = this.sliceImage(source, this.size);
+        if (!images) {
+            this.mode = 'numbers';
+            this.showStatus('😕 That picture could not be cut into tiles.');
+            return false;
+        }
+        
+        this.pictureSource = source;
+        this.pictureId = id;
+        this.tileImages = images;
+        this.mode = 'image';
+        this.showStatus('');
+        return true;
+    }
+    
+    /**
+     * Cut the centre square of an image into size × size tiles
+     * @param {HTMLImageElement|HTMLCanvasElement} source - Picture to slice
+     * @param {number} size - Board side
+     * @returns {string[]|null} Data URLs in row order, or null if the canvas can't export
+     */
+    sliceImage(source, size) {
+        const width = source.naturalWidth || source.width;
+        const height = source.naturalHeight || source.height;
+        const side = Math.min(width, height);
+        const left = (width - side) / 2;
+        const top = (height - side) / 2;
+        const piece = side / size;
+        const out = Math.round(this.pictureSide / size);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = out;
+        canvas.height = out;
+        const ctx = canvas.getContext('2d');
+        if (!ctx || !side) return null;
+        
+        try {
+            const images = [];
+            for (let index = 0; index < size * size; index++) {
+                const row = Math.floor(index / size);
+                const col = index % size;
+                ctx.clearRect(0, 0, out, out);
+                ctx.drawImage(source, left + col * piece, top + row * piece, piece, piece, 0, 0, out, out);
+                images.push(canvas.toDataURL('image/png'));
+            }
+            return images;
+        } catch (error) {
+            // A cross-origin picture taints the canvas and can't be exported
+            return null;
+        }
+    }
+    
     getPossibleMoves() {
         const moves = [];
         const { row: emptyRow, col: emptyCol } = this.emptyPos;
@@ -271,35 +793,220 @@ class SlidingPuzzle {
         return moves;
     }
     
-    changeSize() {
-        this.size = this.size === 3 ? 4 : 3;
-        this.emptyPos = { row: this.size - 1, col: this.size - 1 };
-        this.gameCompleted = false;
-        this.moves = 0;
-        this.elapsedTime = 0;
-        this.startTime = null;
-        this.stopTimer();
+    /**
+     * Solve from the current board and play the moves back
+     */
+    autoSolve() {
+        if (this.solving || this.playback || this.gameCompleted) return;
         
-        this.initializeTiles();
-        this.shufflePuzzle();
+        this.assisted = true;
+        const request = this.requestSolution();
+        const id = this.solveId;
+        this.hintTile = null;
+        this.showStatus('🤔 Working out a solution...');
+        
+        request.then(plan => {
+            if (id !== this.solveId) return;
+            if (!plan) {
+                this.showStatus('😕 No solution found in time. Try a few moves and ask again.');
+                return;
+            }
+            
+            this.stopTimer();
+            this.playback = true;
+            this.message = plan.optimal
+                ? `✅ Shortest solution: ${plan.moves.length} moves`
+                : `✅ Solution: ${plan.moves.length} moves (may not be the shortest)`;
+            plan.total = plan.moves.length;
+            this.playSolution();
+        });
     }
     
-    autoSolve() {
-        this.gameCompleted = false;
-        this.moves = 0;
-        this.elapsedTime = 0;
-        this.startTime = null;
-        this.stopTimer();
+    /**
+     * Point out the first move of the best known solution
+     */
+    showHint() {
+        if (this.solving || this.gameCompleted || this.status === 'paused') return;
         
-        this.initializeTiles();
+        this.assisted = true;
+        const request = this.requestSolution();
+        const id = this.solveId;
+        if (this.solving) {
+            this.showStatus('🤔 Looking for the best move...');
+        }
+        
+        request.then(plan => {
+            if (id !== this.solveId) return;
+            if (!plan) {
+                this.showStatus('😕 No hint found in time. Try a few moves and ask again.');
+                return;
+            }
+            
+            this.hintTile = plan.moves[0];
+            const remaining = plan.optimal ? `${plan.moves.length}` : `about ${plan.moves.length}`;
+            this.showStatus(`💡 Slide tile ${this.hintTile} next (${remaining} moves to go)`);
+        });
+    }
+    
+    showStatus(text) {
+        this.message = text;
         this.render();
         this.attachEventListeners();
+    }
+    
+    /**
+     * Moves from the current board to the goal, reusing a known route
+     * while the board is still on it
+     * @returns {Promise<Object|null>} { key, moves, total, optimal }, or null if none was found
+     */
+    requestSolution() {
+        const tiles = this.tiles.flat();
+        const key = tiles.join();
+        if (this.plan && this.plan.key === key) {
+            return Promise.resolve(this.plan);
+        }
+        
+        const id = ++this.solveId;
+        this.solving = true;
+        return this.runSolver(tiles, id).then(result => {
+            // A shuffle or player move while solving makes the answer stale
+            if (id !== this.solveId) return null;
+            
+            this.solving = false;
+            this.plan = result
+                ? { key, moves: [...result.moves], total: result.moves.length, optimal: result.optimal }
+                : null;
+            return this.plan;
+        });
+    }
+    
+    runSolver(tiles, id) {
+        const worker = this.getWorker();
+        if (!worker) {
+            // Let the status message paint before solving on the page
+            return new Promise(resolve => setTimeout(() => resolve(this.solveHere(tiles)), 0));
+        }
         
-        setTimeout(() => {
+        return new Promise(resolve => {
+            this.pendingSolves.set(id, { tiles, resolve });
+            worker.postMessage({ id, tiles, size: this.size, maxNodes: this.maxSolveNodes });
+        });
+    }
+    
+    solveHere(tiles) {
+        return new SlidingPuzzleSolver(this.size).solve(tiles, {
+            maxNodes: this.maxPageSolveNodes,
+            weights: this.pageSolveWeights
+        });
+    }
+    
+    /**
+     * Worker running SlidingPuzzleSolver.js, or null where workers aren't
+     * available (older browsers, or pages opened from file://)
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (this.workerFailed || typeof Worker === 'undefined') return null;
+        
+        const script = document.querySelector('script[src*="SlidingPuzzleSolver.js"]');
+        if (!script) return null;
+        
+        try {
+            this.worker = new Worker(script.src);
+        } catch (error) {
+            this.workerFailed = true;
+            return null;
+        }
+        
+        this.worker.onmessage = (event) => {
+            const pending = this.pendingSolves.get(event.data.id);
+            if (pending) {
+                this.pendingSolves.delete(event.data.id);
+                pending.resolve(event.data.result);
+            }
+        };
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.workerFailed = true;
+            this.stopWorker();
+            
+            // Finish what was asked on the page instead
+            const pending = [...this.pendingSolves.values()];
+            this.pendingSolves.clear();
+            pending.forEach(({ tiles, resolve }) => resolve(this.solveHere(tiles)));
+        };
+        return this.worker;
+    }
+    
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    playSolution() {
+        if (!this.playback || this.gameCompleted) return;
+        
+        this.stopPlaybackTimer();
+        this.playing = true;
+        this.playbackTimer = setInterval(() => this.stepSolution(), this.stepDelay);
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    pausePlayback() {
+        if (!this.playing) return;
+        
+        this.stopPlaybackTimer();
+        this.playing = false;
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    stepSolution() {
+        if (!this.playback || !this.plan || this.plan.moves.length === 0 || this.status === 'paused') return;
+        
+        const value = this.plan.moves[0];
+        const index = this.tiles.flat().indexOf(value);
+        this.slideTile(Math.floor(index / this.size), index % this.size);
+        
+        if (this.checkWin()) {
             this.gameCompleted = true;
-            this.render();
-            this.attachEventListeners();
-        }, 500);
+            this.playing = false;
+            this.stopPlaybackTimer();
+        }
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    stopPlaybackTimer() {
+        if (this.playbackTimer) {
+            clearInterval(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+    }
+    
+    /**
+     * Drop any solution, playback, hint or solve in progress
+     */
+    clearSolution() {
+        this.stopPlaybackTimer();
+        this.playing = false;
+        this.playback = false;
+        this.plan = null;
+        this.hintTile = null;
+        this.lastMove = null;
+        this.message = '';
+        
+        if (this.solving) {
+            this.solveId++;
+            this.solving = false;
+            
+            // A worker can't be interrupted mid-search, so start a fresh one
+            this.stopWorker();
+            this.pendingSolves.clear();
+        }
     }
     
     checkWin() {
@@ -344,10 +1051,10 @@ class SlidingPuzzle {
     }
     
     destroy() {
+        this.clearSolution();
+        this.stopWorker();
         this.stopTimer();
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        super.destroy();
     }
 }
 
@@ -359,4 +1066,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.SlidingPuzzle = SlidingPuzzle;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('sliding-puzzle', SlidingPuzzle);
+    }
 }
\ No newline at end of file
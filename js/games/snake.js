@@ -1,29 +1,116 @@
 /**
  * Snake Game
- * Classic grid-based snake with keyboard + touch controls
+ * Grid-based snake with keyboard + touch controls, in classic,
+ * wrap-around, maze and timed modes
  * BOARD_SIZE and cell sizes are set to scale across screens
  */
-class SnakeGame {
+const SNAKE_SETTINGS = {
+    fields: [
+        { key: 'speed', label: 'Start speed (ms per step)', min: 80, max: 400, step: 10 },
+        { key: 'speedUp', label: 'Speed-up per food (ms)', min: 0, max: 30, step: 1 },
+        { key: 'bonusChance', label: 'Chance of a bonus after food (%)', min: 0, max: 100, step: 5 },
+        { key: 'timeLimit', label: 'Timed challenge length (s)', min: 30, max: 180, step: 15 }
+    ],
+    presets: {
+        easy: { speed: 280, speedUp: 6, bonusChance: 35, timeLimit: 90 },
+        normal: { speed: 220, speedUp: 12, bonusChance: 25, timeLimit: 60 },
+        hard: { speed: 150, speedUp: 15, bonusChance: 15, timeLimit: 45 }
+    }
+};
+
+const SNAKE_MODES = [
+    { id: 'classic', label: '🧱 Classic', rule: "💀 Don't hit the walls or yourself!" },
+    { id: 'wrap', label: '🌀 Wrap-around', rule: '🌀 Leave one side to come back on the other' },
+    { id: 'maze', label: '🗺️ Mazes', rule: '🗺️ Eat enough food to clear each maze' },
+    { id: 'timed', label: '⏱️ Timed', rule: '⏱️ Eat as much as you can before time runs out' }
+];
+
+/**
+ * Bonus food, spawned now and then after the snake eats; each one
+ * vanishes if it isn't eaten within `lifetime` steps
+ */
+const SNAKE_BONUS_FOODS = {
+    golden: { label: 'Golden', color: '#ffc107', points: 5, lifetime: 30 },
+    shrink: { label: 'Shrinking', color: '#6f42c1', points: 1, lifetime: 40, shrinkBy: 3 },
+    speed: { label: 'Speed', color: '#0dcaf0', points: 2, lifetime: 40, boostSteps: 25 }
+};
+
+// Turns queued ahead of the snake, so quick presses within one step aren't lost
+const SNAKE_INPUT_BUFFER = 3;
+
+class SnakeGame extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(SNAKE_SETTINGS);
         this.BOARD_SIZE = 12; // moderate size for responsive display
         this.INITIAL_SNAKE = [[6, 6]];
         
+        this.mode = 'classic';
+        this.walls = new Set();
+        
+        // Best score in the modes other than classic, keyed by difficulty then mode
+        this.modeBests = {};
+        
+        // Maze levels, loaded from levelsUrl the first time maze mode is picked
+        this.levelsUrl = 'data/snake-levels.json';
+        this.levels = null;
+        this.levelIndex = 0;
+        this.levelFood = 0;
+        
         this.snake = [...this.INITIAL_SNAKE];
         this.food = this.generateFood(this.snake);
         this.direction = [0, 1]; // moving right initially
+        this.inputQueue = [];
+        this.bonus = null;
+        this.boostSteps = 0;
         this.gameOver = false;
         this.score = 0;
-        this.speed = 220;
+        this.speed = this.settings.speed;
         this.gameLoop = null;
+        this.message = '';
         
-        this.init();
+        // Timed challenge clock
+        this.timeLeft = this.settings.timeLimit;
+        this.countdown = new PausableTimer(() => this.tickClock(), 1000);
     }
     
     init() {
-        this.render();
-        this.attachEventListeners();
+        const mode = this.getStat('mode');
+        this.mode = SNAKE_MODES.some(m => m.id === mode) ? mode : 'classic';
+        this.modeBests = this.getStat('modeBests') || {};
+        
+        // Keyboard controls - bound once so re-renders don't stack listeners
+        this.addDocumentListener('keydown', (e) => this.handleKeyPress(e));
+        
+        this.handleReset();
+    }
+    
+    start() {
+        this.handleReset();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        if (this.gameLoop) {
+            clearInterval(this.gameLoop);
+            this.gameLoop = null;
+        }
+        this.countdown.pause();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
         this.startGameLoop();
+        this.countdown.resume();
+    }
+    
+    reset() {
+        this.handleReset();
     }
     
     render() {
@@ -34,7 +121,19 @@ class SnakeGame {
             <div class="snake-game">
                 <div class="game-header">
                     <h2>Snake Game</h2>
-                    <h5>Score: <span id="score">${this.score}</span></h5>
+                    <h5>
+                        Score: <span id="score">${this.score}</span>
+                        · Best: <span id="best">${this.getModeBest() || '-'}</span>
+                        ${this.mode === 'timed' ? ` · Time: <span id="snake-time">${this.formatTime(this.timeLeft)}</span>` : ''}
+                        ${this.mode === 'maze' && this.levels ? ` · ${this.getLevelLabel()}` : ''}
+                    </h5>
+                    ${this.message ? `<p class="game-message info" id="snake-message">${this.message}</p>` : ''}
+                </div>
+                
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Mode">
+                        ${SNAKE_MODES.map(mode => this.renderOption('mode', mode.id, mode.label, this.mode)).join('')}
+                    </div>
                 </div>
                 
                 <div class="game-board-container">
@@ -73,7 +172,10 @@ class SnakeGame {
                 <div class="game-instructions">
                     <p>🎮 Use arrow keys or WASD to control the snake</p>
                     <p>🍎 Eat the red food to grow and increase your score</p>
-                    <p>💀 Don't hit the walls or yourself!</p>
+                    <p>⭐ Bonus food: <span style="color: ${SNAKE_BONUS_FOODS.golden.color}">golden</span> +${SNAKE_BONUS_FOODS.golden.points},
+                       <span style="color: ${SNAKE_BONUS_FOODS.shrink.color}">shrinking</span> cuts your tail,
+                       <span style="color: ${SNAKE_BONUS_FOODS.speed.color}">speed</span> gives a risky burst</p>
+                    <p>${SNAKE_MODES.find(mode => mode.id === this.mode).rule}</p>
                 </div>
             </div>
         `;
@@ -86,15 +188,16 @@ class SnakeGame {
             boardHTML += '<div style="display: flex;">';
             
             for (let col = 0; col < this.BOARD_SIZE; col++) {
-                const isSnake = this.snake.some(([x, y]) => x === row && y === col);
-                const isFood = this.food[0] === row && this.food[1] === col;
+                const kind = this.getCellKind(row, col);
                 
                 let backgroundColor = '#e9ecef'; // default
-                if (isSnake) backgroundColor = '#198754'; // green for snake
-                if (isFood) backgroundColor = '#dc3545'; // red for food
+                if (kind === 'wall') backgroundColor = '#495057'; // dark grey for maze walls
+                if (kind === 'snake') backgroundColor = '#198754'; // green for snake
+                if (kind === 'food') backgroundColor = '#dc3545'; // red for food
+                if (SNAKE_BONUS_FOODS[kind]) backgroundColor = SNAKE_BONUS_FOODS[kind].color;
                 
                 boardHTML += `
-                    <div style="
+                    <div data-cell="${row},${col}" data-kind="${kind}" style="
                         width: ${cellSize}px;
                         height: ${cellSize}px;
                         border: 1px solid rgba(0,0,0,0.08);
@@ -109,7 +212,39 @@ class SnakeGame {
         return boardHTML;
     }
     
+    /**
+     * What occupies a cell: snake, food, a bonus type, wall or empty
+     */
+    getCellKind(row, col) {
+        if (this.snake.some(([x, y]) => x === row && y === col)) return 'snake';
+        if (this.food && this.food[0] === row && this.food[1] === col) return 'food';
+        if (this.bonus && this.bonus.pos[0] === row && this.bonus.pos[1] === col) return this.bonus.type;
+        if (this.isWall(row, col)) return 'wall';
+        return 'empty';
+    }
+    
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
+    getLevelLabel() {
+        const level = this.levels[this.levelIndex];
+        return `Level ${this.levelIndex + 1}/${this.levels.length}: ${level.name} (${this.levelFood}/${level.target} 🍎)`;
+    }
+    
+    formatTime(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
     attachEventListeners() {
+        this.container.querySelectorAll('.game-option-btn[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+        
         const restartBtn = this.container.querySelector('#restart-btn');
         if (restartBtn) {
             restartBtn.addEventListener('click', () => this.handleReset());
@@ -123,14 +258,10 @@ class SnakeGame {
                 this.handleTouchDirection(dx, dy);
             });
         });
-        
-        // Keyboard controls - bind to instance method for proper cleanup
-        this.keyHandler = (e) => this.handleKeyPress(e);
-        document.addEventListener('keydown', this.keyHandler);
     }
     
     handleKeyPress(event) {
-        if (this.gameOver) return;
+        if (this.gameOver || this.status !== 'running') return;
         
         const dirs = {
             'ArrowUp': [-1, 0],
@@ -145,132 +276,367 @@ class SnakeGame {
         
         const newDirection = dirs[event.key];
         if (newDirection) {
-            const [dx, dy] = newDirection;
-            
-            // Prevent reversing into itself
-            if (this.snake.length > 1 &&
-                this.snake[0][0] + dx === this.snake[1][0] &&
-                this.snake[0][1] + dy === this.snake[1][1]) {
-                return;
-            }
-            
-            this.direction = [dx, dy];
+            this.queueDirection(...newDirection);
         }
     }
     
     handleTouchDirection(dx, dy) {
-        if (this.gameOver) return;
+        if (this.gameOver || this.status !== 'running') return;
+        
+        this.queueDirection(dx, dy);
+    }
+    
+    /**
+     * Queue a turn for a coming step. Each turn is checked against the one
+     * queued before it, so two quick presses (up then left) both count
+     * while an instant reversal into the snake's own neck is still refused.
+     */
+    queueDirection(dx, dy) {
+        const last = this.inputQueue.length > 0 ? this.inputQueue[this.inputQueue.length - 1] : this.direction;
+        
+        if (dx === last[0] && dy === last[1]) return;
         
         // Prevent reversing into itself
-        if (this.snake.length > 1 &&
-            this.snake[0][0] + dx === this.snake[1][0] &&
-            this.snake[0][1] + dy === this.snake[1][1]) {
-            return;
-        }
+        if (this.snake.length > 1 && dx === -last[0] && dy === -last[1]) return;
         
-        this.direction = [dx, dy];
+        if (this.inputQueue.length < SNAKE_INPUT_BUFFER) {
+            this.inputQueue.push([dx, dy]);
+        }
     }
     
     startGameLoop() {
         if (this.gameOver) return;
         
+        this.setStatus('running');
         this.gameLoop = setInterval(() => {
             this.moveSnake();
-        }, this.speed);
+        }, this.getStepDelay());
     }
     
-    handleReset() {
-        // Clear existing game loop
+    /**
+     * Pick up a new step delay after the speed changes
+     */
+    restartGameLoop() {
+        if (!this.gameLoop) return;
+        
+        clearInterval(this.gameLoop);
+        this.startGameLoop();
+    }
+    
+    stopGameLoop() {
         if (this.gameLoop) {
             clearInterval(this.gameLoop);
+            this.gameLoop = null;
+        }
+    }
+    
+    /**
+     * Milliseconds per step; a speed bonus cuts it for a while
+     */
+    getStepDelay() {
+        return this.boostSteps > 0 ? Math.round(this.speed * 0.6) : this.speed;
+    }
+    
+    setMode(mode) {
+        if (!SNAKE_MODES.some(m => m.id === mode)) return;
+        
+        this.mode = mode;
+        this.saveStat('mode', mode);
+        this.handleReset();
+    }
+    
+    handleReset() {
+        // Clear existing game loop
+        this.stopGameLoop();
+        this.countdown.stop();
+        
+        // Mazes need their level data before the round can start
+        if (this.mode === 'maze' && !this.levels) {
+            this.loadLevels();
+            return;
         }
         
         // Reset game state
-        this.snake = [...this.INITIAL_SNAKE];
-        this.food = this.generateFood(this.snake);
-        this.direction = [0, 1];
+        this.message = '';
+        this.levelIndex = 0;
+        this.applyBoard();
         this.gameOver = false;
         this.score = 0;
-        this.speed = 220;
+        this.speed = this.settings.speed;
+        this.timeLeft = this.settings.timeLimit;
         
         // Re-render and restart
         this.render();
         this.attachEventListeners();
         this.startGameLoop();
+        if (this.mode === 'timed') {
+            this.countdown.start();
+        }
+    }
+    
+    /**
+     * Lay out the board for the mode: the open 12×12 board, or the
+     * current maze level
+     */
+    applyBoard() {
+        if (this.mode === 'maze') {
+            const level = this.levels[this.levelIndex];
+            this.BOARD_SIZE = level.size;
+            this.walls = new Set(level.walls.map(([row, col]) => `${row},${col}`));
+            this.snake = [[...level.start]];
+            this.direction = [...level.direction];
+        } else {
+            this.BOARD_SIZE = 12;
+            this.walls = new Set();
+            this.snake = [...this.INITIAL_SNAKE];
+            this.direction = [0, 1];
+        }
+        
+        this.levelFood = 0;
+        this.inputQueue = [];
+        this.bonus = null;
+        this.boostSteps = 0;
+        this.food = this.generateFood(this.snake);
+    }
+    
+    /**
+     * Fetch and check the maze levels, then start the first one
+     * @returns {Promise<boolean>} Resolves true once the levels are usable
+     */
+    loadLevels() {
+        this.message = '🗺️ Loading mazes...';
+        this.setStatus('idle');
+        this.render();
+        this.attachEventListeners();
+        
+        return fetch(this.levelsUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                this.levels = SnakeLevels.parse(data);
+                return true;
+            })
+            .catch(error => {
+                console.error('Error loading snake levels:', error);
+                this.mode = 'classic';
+                return false;
+            })
+            .then(loaded => {
+                // The player may have left while the levels were loading
+                if (!this.mounted) return loaded;
+                
+                this.handleReset();
+                if (!loaded) {
+                    this.message = "😕 The mazes couldn't be loaded, so this is a classic game.";
+                    this.render();
+                    this.attachEventListeners();
+                }
+                return loaded;
+            });
+    }
+    
+    isWall(row, col) {
+        return this.walls.has(`${row},${col}`);
     }
     
     moveSnake() {
         if (this.gameOver) return;
         
-        const newHead = [
+        if (this.inputQueue.length > 0) {
+            this.direction = this.inputQueue.shift();
+        }
+        
+        let newHead = [
             this.snake[0][0] + this.direction[0], 
             this.snake[0][1] + this.direction[1]
         ];
         
+        if (this.mode === 'wrap') {
+            newHead = newHead.map(value => (value + this.BOARD_SIZE) % this.BOARD_SIZE);
+        }
+        
         // Check collisions
         if (newHead[0] < 0 || 
             newHead[0] >= this.BOARD_SIZE || 
             newHead[1] < 0 || 
             newHead[1] >= this.BOARD_SIZE ||
+            this.isWall(newHead[0], newHead[1]) ||
             this.snake.some(([x, y]) => x === newHead[0] && y === newHead[1])) {
             
-            this.gameOver = true;
-            clearInterval(this.gameLoop);
-            this.render();
-            this.attachEventListeners();
+            this.endGame();
             return;
         }
         
-        const newSnake = [newHead, ...this.snake];
+        let newSnake = [newHead, ...this.snake];
         
         // Check if food eaten
-        if (newHead[0] === this.food[0] && newHead[1] === this.food[1]) {
-            this.food = this.generateFood(newSnake);
+        if (this.food && newHead[0] === this.food[0] && newHead[1] === this.food[1]) {
             this.score += 1;
+            this.levelFood += 1;
+            this.food = this.generateFood(newSnake, this.bonus ? [this.bonus.pos] : []);
+            this.maybeSpawnBonus(newSnake);
+            this.emit('progress', { score: this.score, length: newSnake.length });
             
             // Increase speed slightly
-            if (this.speed > 60) {
-                this.speed -= 12;
-                clearInterval(this.gameLoop);
-                this.startGameLoop();
+            if (this.speed > 60 && this.settings.speedUp > 0) {
+                this.speed = Math.max(60, this.speed - this.settings.speedUp);
+                this.restartGameLoop();
             }
         } else {
             newSnake.pop();
         }
         
+        if (this.bonus && newHead[0] === this.bonus.pos[0] && newHead[1] === this.bonus.pos[1]) {
+            newSnake = this.eatBonus(newSnake);
+        } else if (this.bonus && --this.bonus.stepsLeft <= 0) {
+            this.bonus = null;
+        }
+        
+        // The speed burst wears off after a number of steps
+        if (this.boostSteps > 0 && --this.boostSteps === 0) {
+            this.restartGameLoop();
+        }
+        
         this.snake = newSnake;
+        
+        if (this.mode === 'maze' && this.levelFood >= this.levels[this.levelIndex].target) {
+            this.nextLevel();
+            return;
+        }
+        
         this.render();
         this.attachEventListeners();
     }
     
-    generateFood(snake) {
-        let food;
-        do {
-            food = [
-                Math.floor(Math.random() * this.BOARD_SIZE),
-                Math.floor(Math.random() * this.BOARD_SIZE)
-            ];
-        } while (snake.some(([x, y]) => x === food[0] && y === food[1]));
+    maybeSpawnBonus(snake) {
+        if (this.bonus || Math.random() * 100 >= this.settings.bonusChance) return;
         
-        return food;
+        const types = Object.keys(SNAKE_BONUS_FOODS);
+        const type = types[Math.floor(Math.random() * types.length)];
+        const pos = this.generateFood(snake, this.food ? [this.food] : []);
+        if (pos) {
+            this.bonus = { type, pos, stepsLeft: SNAKE_BONUS_FOODS[type].lifetime };
+        }
     }
     
-    destroy() {
-        // Clean up game loop and event listeners
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
+    /**
+     * Apply a bonus the head just reached
+     * @param {number[][]} snake - Snake after this step
+     * @returns {number[][]} Snake after the bonus
+     */
+    eatBonus(snake) {
+        const bonus = SNAKE_BONUS_FOODS[this.bonus.type];
+        this.score += bonus.points;
+        this.bonus = null;
+        
+        if (bonus.shrinkBy) {
+            snake = snake.slice(0, Math.max(1, snake.length - bonus.shrinkBy));
+        }
+        if (bonus.boostSteps) {
+            this.boostSteps = bonus.boostSteps;
+            this.restartGameLoop();
         }
-        this.gameRunning = false;
         
-        // Remove keyboard event listener
-        if (this.keyHandler) {
-            document.removeEventListener('keydown', this.keyHandler);
+        this.emit('progress', { score: this.score, length: snake.length });
+        return snake;
+    }
+    
+    /**
+     * Move on to the next maze, or finish the run after the last one
+     */
+    nextLevel() {
+        if (this.levelIndex + 1 >= this.levels.length) {
+            this.message = '🏆 Every maze cleared!';
+            this.endGame({ completed: true });
+            return;
+        }
+        
+        this.levelIndex++;
+        this.applyBoard();
+        this.message = `🗺️ Level ${this.levelIndex + 1}: ${this.levels[this.levelIndex].name}`;
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    tickClock() {
+        if (this.gameOver) return;
+        
+        this.timeLeft = Math.max(0, this.timeLeft - 1);
+        const timeElement = this.container.querySelector('#snake-time');
+        if (timeElement) {
+            timeElement.textContent = this.formatTime(this.timeLeft);
         }
         
-        if (this.container) {
-            this.container.innerHTML = '';
+        if (this.timeLeft === 0) {
+            this.message = "⏱️ Time's up!";
+            this.endGame();
         }
     }
+    
+    /**
+     * Best score in the current mode and difficulty; classic uses the hub best
+     * @returns {number|null}
+     */
+    getModeBest() {
+        if (this.mode === 'classic') return this.getBestScore();
+        const best = (this.modeBests[this.getDifficulty()] || {})[this.mode];
+        return best !== undefined ? best : null;
+    }
+    
+    endGame(details = {}) {
+        this.gameOver = true;
+        this.stopGameLoop();
+        this.countdown.stop();
+        
+        if (this.mode !== 'classic' && this.score > (this.getModeBest() || 0)) {
+            const difficulty = this.getDifficulty();
+            this.modeBests[difficulty] = { ...this.modeBests[difficulty], [this.mode]: this.score };
+            this.saveStat('modeBests', this.modeBests);
+        }
+        
+        // The hub best and leaderboard are for classic mode; the others keep
+        // their own bests
+        this.endRound({
+            score: this.mode === 'classic' ? this.score : null,
+            modeScore: this.score,
+            length: this.snake.length,
+            mode: this.mode,
+            ...details
+        });
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Random free cell, away from the snake, walls and other food
+     * @param {number[][]} snake - Snake cells
+     * @param {number[][]} taken - Other cells to avoid
+     * @returns {number[]|null} [row, col], or null if the board is full
+     */
+    generateFood(snake, taken = []) {
+        const blocked = new Set([...snake, ...taken].map(([row, col]) => `${row},${col}`));
+        const free = [];
+        for (let row = 0; row < this.BOARD_SIZE; row++) {
+            for (let col = 0; col < this.BOARD_SIZE; col++) {
+                const key = `${row},${col}`;
+                if (!blocked.has(key) && !this.walls.has(key)) free.push([row, col]);
+            }
+        }
+        
+        return free.length > 0 ? free[Math.floor(Math.random() * free.length)] : null;
+    }
+    
+    destroy() {
+        // Clean up game loop; BaseGame removes the keyboard listener
+        this.stopGameLoop();
+        this.countdown.stop();
+        
+        super.destroy();
+    }
 }
 
 // Export for use in other modules
@@ -281,4 +647,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.SnakeGame = SnakeGame;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('snake', SnakeGame);
+    }
 }
\ No newline at end of file
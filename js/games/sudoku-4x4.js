@@ -1,95 +1,196 @@
 /**
- * Sudoku 4x4 Game
- * A simplified Sudoku puzzle with 4x4 grid
+ * Sudoku Game
+ * Generated puzzles on 4×4, 6×6 or 9×9 grids, each with a single
+ * solution and rated by the techniques needed to solve it
  */
-class Sudoku4x4 {
+const SUDOKU_SETTINGS = {
+    fields: [
+        { key: 'level', label: 'Hardest technique (1 singles, 2 hidden singles, 3 pairs)', min: 1, max: 3, step: 1 },
+        { key: 'extraGivens', label: 'Extra given cells', min: 0, max: 6, step: 1 },
+        { key: 'maxHints', label: 'Hints allowed', min: 0, max: 10, step: 1 }
+    ],
+    presets: {
+        easy: { level: 1, extraGivens: 3, maxHints: 10 },
+        normal: { level: 2, extraGivens: 0, maxHints: 10 },
+        hard: { level: 3, extraGivens: 0, maxHints: 0 }
+    }
+};
+
+const SUDOKU_SIZES = [4, 6, 9];
+
+class Sudoku4x4 extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        this.puzzles = [
-            {
-                initial: [
-                    [1, 0, 0, 4],
-                    [0, 0, 3, 0],
-                    [0, 2, 0, 0],
-                    [3, 0, 0, 2]
-                ],
-                solution: [
-                    [1, 3, 2, 4],
-                    [4, 1, 3, 2],
-                    [2, 4, 1, 3],
-                    [3, 2, 4, 1]
-                ]
-            },
-            {
-                initial: [
-                    [0, 4, 0, 0],
-                    [1, 0, 0, 3],
-                    [0, 0, 2, 0],
-                    [0, 1, 0, 4]
-                ],
-                solution: [
-                    [3, 4, 1, 2],
-                    [1, 2, 4, 3],
-                    [4, 3, 2, 1],
-                    [2, 1, 3, 4]
-                ]
-            },
-            {
-                initial: [
-                    [0, 0, 4, 1],
-                    [4, 1, 0, 0],
-                    [0, 0, 1, 4],
-                    [1, 4, 0, 0]
-                ],
-                solution: [
-                    [2, 3, 4, 1],
-                    [4, 1, 2, 3],
-                    [3, 2, 1, 4],
-                    [1, 4, 3, 2]
-                ]
-            }
-        ];
-        
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(SUDOKU_SETTINGS);
+        this.applySize(4);
         this.currentPuzzle = this.getRandomPuzzle();
         this.grid = this.currentPuzzle.initial.map(row => [...row]);
-        this.message = 'ℹ️ Fill each row, column, and 2×2 box with numbers 1–4.';
+        this.hintsUsed = 0;
+        this.message = this.getRulesMessage();
         
-        this.init();
+        // Pencil marks, one list of candidate digits per cell
+        this.notesMode = false;
+        this.notes = this.createNotes();
+        
+        // Each history entry is a list of cell changes made by one action
+        this.undoStack = [];
+        this.redoStack = [];
+        this.selected = null;
+        
+        this.startTime = null;
+        this.timerInterval = null;
+        this.elapsedTime = 0;
+        this.solved = false;
     }
     
     init() {
+        // Settings are loaded on mount, so generate at the saved difficulty
+        // unless there is a puzzle in progress to pick up again
+        if (!this.restoreProgress(this.getStat('savedGame'))) {
+            this.currentPuzzle = this.getRandomPuzzle();
+            this.grid = this.currentPuzzle.initial.map(row => [...row]);
+        }
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
+        this.startTimer();
+    }
+    
+    start() {
+        this.newPuzzle();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.elapsedTime = this.getElapsedTime();
+        this.stopTimer();
+        super.pause();
+        this.saveProgress();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        this.startTimer();
+    }
+    
+    reset() {
+        this.newPuzzle();
+    }
+    
+    /**
+     * Switch grid size and deal a new puzzle
+     * @param {number} size - 4, 6 or 9
+     */
+    setSize(size) {
+        if (!SUDOKU_SIZES.includes(size)) return;
+        
+        this.applySize(size);
+        this.newPuzzle();
+    }
+    
+    /**
+     * The generator fixes the box shape: 2×2, 2×3 or 3×3
+     */
+    applySize(size) {
+        this.size = size;
+        this.generator = new SudokuGenerator(size);
+        this.boxRows = this.generator.boxRows;
+        this.boxCols = this.generator.boxCols;
+    }
+    
+    createNotes() {
+        return Array.from({ length: this.size }, () => Array.from({ length: this.size }, () => []));
+    }
+    
+    getRulesMessage() {
+        return `ℹ️ Fill each row, column, and ${this.boxRows}×${this.boxCols} box with numbers 1–${this.size}.`;
     }
     
     getRandomPuzzle() {
-        return this.puzzles[Math.floor(Math.random() * this.puzzles.length)];
+        const level = this.settings.level;
+        const puzzle = this.generator.generate({ minLevel: level, maxLevel: level });
+        const initial = puzzle.initial.map(row => [...row]);
+        
+        // Easier settings fill in some empty cells from the solution
+        const empty = [];
+        initial.forEach((row, r) => row.forEach((cell, c) => {
+            if (cell === 0) empty.push([r, c]);
+        }));
+        for (let i = 0; i < this.settings.extraGivens && empty.length > 0; i++) {
+            const [r, c] = empty.splice(Math.floor(Math.random() * empty.length), 1)[0];
+            initial[r][c] = puzzle.solution[r][c];
+        }
+        
+        return { initial, solution: puzzle.solution, rating: this.generator.rate(initial) };
     }
     
     render() {
+        const rating = this.currentPuzzle.rating;
+        
         this.container.innerHTML = `
             <div class="sudoku-game">
                 <div class="game-header">
-                    <h3>🧩 Sudoku 4×4</h3>
+                    <h3>🧩 Sudoku ${this.size}×${this.size}</h3>
+                    <div class="game-stats">
+                        <div class="stat">
+                            <span class="stat-label">Time:</span>
+                            <span class="stat-value" id="sudoku-time">${this.formatTime(this.elapsedTime)}</span>
+                        </div>
+                        <div class="stat">
+                            <span class="stat-label">Hints:</span>
+                            <span class="stat-value" id="sudoku-hints">${this.hintsUsed}/${this.settings.maxHints}</span>
+                        </div>
+                    </div>
                     <p class="game-message" id="game-message">${this.message}</p>
                 </div>
                 
-                <div class="sudoku-grid">
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Grid size">
+                        ${SUDOKU_SIZES.map(size =>
+                            this.renderOption('size', size, `${size}×${size}`, this.size)
+                        ).join('')}
+                    </div>
+                </div>
+                
+                <p class="sudoku-rating" id="sudoku-rating">
+                    Difficulty: <strong>${rating.label}</strong> (${rating.technique})
+                    ${this.settings.level > this.generator.maxLevel
+                        ? `<small>— the hardest a ${this.size}×${this.size} grid allows</small>` : ''}
+                </p>
+                
+                <div class="sudoku-grid" data-size="${this.size}" style="--notes-cols: ${this.boxCols}">
                     ${this.grid.map((row, r) => `
                         <div class="sudoku-row">
                             ${row.map((cell, c) => `
-                                <input type="text" 
-                                       class="sudoku-cell ${this.currentPuzzle.initial[r][c] !== 0 ? 'prefilled' : ''}"
-                                       data-row="${r}" 
-                                       data-col="${c}"
-                                       value="${cell === 0 ? '' : cell}"
-                                       maxlength="1"
-                                       ${this.currentPuzzle.initial[r][c] !== 0 ? 'readonly' : ''}>
+                                <div class="sudoku-cell-wrap">
+                                    <input type="text"
+                                           class="sudoku-cell ${this.isGiven(r, c) ? 'prefilled' : ''} ${this.getBoxEdgeClasses(r, c)}"
+                                           data-row="${r}"
+                                           data-col="${c}"
+                                           value="${cell === 0 ? '' : cell}"
+                                           maxlength="1"
+                                           inputmode="numeric"
+                                           aria-label="Row ${r + 1}, column ${c + 1}"
+                                           ${this.isGiven(r, c) ? 'readonly' : ''}>
+                                    <div class="sudoku-notes" aria-hidden="true">
+                                        ${Array.from({ length: this.size }, (_, i) => `<span data-note="${i + 1}"></span>`).join('')}
+                                    </div>
+                                </div>
                             `).join('')}
                         </div>
                     `).join('')}
                 </div>
                 
+                <div class="sudoku-tools">
+                    <button class="btn notes-btn" id="notes-btn" aria-pressed="${this.notesMode}">✏️ Notes: ${this.notesMode ? 'On' : 'Off'}</button>
+                    <button class="btn undo-btn" id="undo-btn">↩️ Undo</button>
+                    <button class="btn redo-btn" id="redo-btn">↪️ Redo</button>
+                </div>
+                
                 <div class="game-controls">
                     <button class="btn check-btn" id="check-btn">✅ Check Solution</button>
                     <button class="btn new-puzzle-btn" id="new-puzzle-btn">🔄 New Puzzle</button>
@@ -99,74 +200,119 @@ class Sudoku4x4 {
                 <div class="game-instructions">
                     <h4>Rules:</h4>
                     <ul>
-                        <li>🔢 Fill each row with numbers 1-4 (no repeats)</li>
-                        <li>📊 Fill each column with numbers 1-4 (no repeats)</li>
-                        <li>📦 Fill each 2×2 box with numbers 1-4 (no repeats)</li>
+                        <li>🔢 Fill each row with numbers 1-${this.size} (no repeats)</li>
+                        <li>📊 Fill each column with numbers 1-${this.size} (no repeats)</li>
+                        <li>📦 Fill each ${this.boxRows}×${this.boxCols} box with numbers 1-${this.size} (no repeats)</li>
                         <li>🔒 Gray cells are pre-filled and cannot be changed</li>
+                        <li>✏️ Press N or the Notes button to pencil in candidates</li>
+                        <li>↩️ Ctrl+Z undoes and Ctrl+Y redoes</li>
                     </ul>
                 </div>
             </div>
         `;
+        
+        this.updateBoard();
+    }
+    
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
+    /**
+     * Thicker borders along box edges
+     * @returns {string} Class names for the cell
+     */
+    getBoxEdgeClasses(row, col) {
+        const classes = [];
+        if ((col + 1) % this.boxCols === 0 && col < this.size - 1) classes.push('box-right');
+        if ((row + 1) % this.boxRows === 0 && row < this.size - 1) classes.push('box-bottom');
+        return classes.join(' ');
     }
     
     attachEventListeners() {
-        const cells = this.container.querySelectorAll('.sudoku-cell:not(.prefilled)');
+        const cells = this.container.querySelectorAll('.sudoku-cell');
         const checkBtn = this.container.querySelector('#check-btn');
         const newPuzzleBtn = this.container.querySelector('#new-puzzle-btn');
         const hintBtn = this.container.querySelector('#hint-btn');
         
         cells.forEach(cell => {
-            cell.addEventListener('input', (e) => this.handleCellInput(e));
+            cell.addEventListener('focus', (e) => this.selectCell(e.target));
             cell.addEventListener('keydown', (e) => this.handleCellKeydown(e));
+            if (!cell.readOnly) {
+                cell.addEventListener('input', (e) => this.handleCellInput(e));
+            }
         });
         
         checkBtn.addEventListener('click', () => this.checkSolution());
         newPuzzleBtn.addEventListener('click', () => this.newPuzzle());
         hintBtn.addEventListener('click', () => this.showHint());
+        this.container.querySelector('#notes-btn').addEventListener('click', () => this.toggleNotesMode());
+        this.container.querySelector('#undo-btn').addEventListener('click', () => this.undo());
+        this.container.querySelector('#redo-btn').addEventListener('click', () => this.redo());
+        this.container.querySelectorAll('.game-option-btn[data-size]').forEach(btn => {
+            btn.addEventListener('click', () => this.setSize(parseInt(btn.dataset.size, 10)));
+        });
     }
     
+    /**
+     * Fallback for keyboards that don't report digits on keydown (most
+     * on-screen ones); the typed character is applied like a key press
+     */
     handleCellInput(event) {
         const input = event.target;
         const row = parseInt(input.dataset.row);
         const col = parseInt(input.dataset.col);
-        const value = input.value;
+        const value = input.value.slice(-1);
         
-        // Only allow numbers 1-4 or empty
-        if (value === '' || /^[1-4]$/.test(value)) {
-            this.grid[row][col] = value === '' ? 0 : parseInt(value, 10);
-            
-            // Validate the current input
-            if (value !== '') {
-                const isValid = this.isValidMove(row, col, parseInt(value, 10));
-                input.classList.toggle('invalid', !isValid);
-                
-                if (!isValid) {
-                    this.updateMessage('❌ Invalid move! Check the rules.', 'error');
-                } else {
-                    this.updateMessage('ℹ️ Fill each row, column, and 2×2 box with numbers 1–4.', 'info');
-                }
-            } else {
-                input.classList.remove('invalid');
-            }
-        } else {
-            input.value = this.grid[row][col] === 0 ? '' : this.grid[row][col];
+        // Only allow numbers 1 to the grid size, or empty
+        if (value === '') {
+            this.clearCell(row, col);
+        } else if (/^[1-9]$/.test(value) && parseInt(value, 10) <= this.size) {
+            this.enterDigit(row, col, parseInt(value, 10));
         }
+        
+        // Show what the model holds, whether or not the character was accepted
+        this.updateBoard();
     }
     
     handleCellKeydown(event) {
         const input = event.target;
         const row = parseInt(input.dataset.row);
         const col = parseInt(input.dataset.col);
+        const key = event.key;
+        
+        if (event.ctrlKey || event.metaKey) {
+            if (key.toLowerCase() === 'z') {
+                event.preventDefault();
+                if (event.shiftKey) this.redo();
+                else this.undo();
+            } else if (key.toLowerCase() === 'y') {
+                event.preventDefault();
+                this.redo();
+            }
+            return;
+        }
+        
+        if (/^[1-9]$/.test(key)) {
+            // Handled here so a filled cell can be overwritten in one keystroke
+            event.preventDefault();
+            if (parseInt(key, 10) <= this.size) {
+                this.enterDigit(row, col, parseInt(key, 10));
+            }
+            return;
+        }
         
         // Navigate with arrow keys
-        switch (event.key) {
+        switch (key) {
             case 'ArrowUp':
                 event.preventDefault();
                 this.focusCell(Math.max(0, row - 1), col);
                 break;
             case 'ArrowDown':
                 event.preventDefault();
-                this.focusCell(Math.min(3, row + 1), col);
+                this.focusCell(Math.min(this.size - 1, row + 1), col);
                 break;
             case 'ArrowLeft':
                 event.preventDefault();
@@ -174,53 +320,223 @@ class Sudoku4x4 {
                 break;
             case 'ArrowRight':
                 event.preventDefault();
-                this.focusCell(row, Math.min(3, col + 1));
+                this.focusCell(row, Math.min(this.size - 1, col + 1));
+                break;
+            case 'Backspace':
+            case 'Delete':
+                event.preventDefault();
+                this.clearCell(row, col);
+                break;
+            case 'n':
+            case 'N':
+                event.preventDefault();
+                this.toggleNotesMode();
                 break;
         }
     }
     
     focusCell(row, col) {
-        const cell = this.container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
-        if (cell && !cell.readOnly) {
+        const cell = this.getCellInput(row, col);
+        if (cell) {
             cell.focus();
-            cell.select();
+            if (!cell.readOnly) cell.select();
         }
     }
     
+    getCellInput(row, col) {
+        return this.container.querySelector(`.sudoku-cell[data-row="${row}"][data-col="${col}"]`);
+    }
+    
+    selectCell(input) {
+        this.selected = { row: parseInt(input.dataset.row, 10), col: parseInt(input.dataset.col, 10) };
+        this.updateBoard();
+    }
+    
+    isGiven(row, col) {
+        return this.currentPuzzle.initial[row][col] !== 0;
+    }
+    
     isValidMove(row, col, value) {
-        // Check row
-        for (let c = 0; c < 4; c++) {
-            if (c !== col && this.grid[row][c] === value) {
-                return false;
+        return this.generator.isValidPlacement(this.grid, row, col, value);
+    }
+    
+    /**
+     * Every filled cell that repeats a digit in its row, column or box
+     * @returns {Set<string>} Keys of the form "row,col"
+     */
+    getConflicts() {
+        const conflicts = new Set();
+        this.grid.forEach((row, r) => row.forEach((value, c) => {
+            if (value !== 0 && !this.isValidMove(r, c, value)) {
+                conflicts.add(`${r},${c}`);
             }
+        }));
+        return conflicts;
+    }
+    
+    toggleNotesMode() {
+        this.notesMode = !this.notesMode;
+        const button = this.container.querySelector('#notes-btn');
+        if (button) {
+            button.textContent = `✏️ Notes: ${this.notesMode ? 'On' : 'Off'}`;
+            button.setAttribute('aria-pressed', this.notesMode);
+        }
+    }
+    
+    /**
+     * Place a digit, or toggle it as a pencil mark in notes mode
+     */
+    enterDigit(row, col, digit) {
+        if (this.notesMode) {
+            this.toggleNote(row, col, digit);
+        } else {
+            this.setCellValue(row, col, digit);
         }
+    }
+    
+    canEdit(row, col) {
+        return this.status === 'running' && !this.solved && !this.isGiven(row, col);
+    }
+    
+    /**
+     * Place a digit; it also clears the cell's notes and crosses the digit
+     * off the notes of every cell it now rules out
+     */
+    setCellValue(row, col, value) {
+        if (!this.canEdit(row, col)) return;
         
-        // Check column
-        for (let r = 0; r < 4; r++) {
-            if (r !== row && this.grid[r][col] === value) {
-                return false;
+        const changes = [this.makeChange(row, col, value, [])];
+        this.generator.peers[row * this.size + col].forEach(peer => {
+            const r = Math.floor(peer / this.size);
+            const c = peer % this.size;
+            if (this.notes[r][c].includes(value)) {
+                changes.push(this.makeChange(r, c, this.grid[r][c], this.notes[r][c].filter(d => d !== value)));
             }
+        });
+        this.commit(changes);
+        
+        if (!this.isValidMove(row, col, value)) {
+            this.updateMessage('❌ That number is already in this row, column or box.', 'error');
+        } else {
+            this.updateMessage(this.getRulesMessage(), 'info');
         }
+    }
+    
+    clearCell(row, col) {
+        if (!this.canEdit(row, col)) return;
+        this.commit([this.makeChange(row, col, 0, [])]);
+    }
+    
+    toggleNote(row, col, digit) {
+        if (!this.canEdit(row, col) || this.grid[row][col] !== 0) return;
         
-        // Check 2x2 box
-        const boxRow = Math.floor(row / 2) * 2;
-        const boxCol = Math.floor(col / 2) * 2;
+        const notes = this.notes[row][col];
+        const next = notes.includes(digit)
+            ? notes.filter(d => d !== digit)
+            : [...notes, digit].sort((a, b) => a - b);
+        this.commit([this.makeChange(row, col, 0, next)]);
+    }
+    
+    makeChange(row, col, value, notes) {
+        return {
+            row,
+            col,
+            before: { value: this.grid[row][col], notes: [...this.notes[row][col]] },
+            after: { value, notes }
+        };
+    }
+    
+    /**
+     * Apply one action's changes and record it for undo
+     * @param {Array} changes - Cell changes from makeChange()
+     */
+    commit(changes) {
+        const effective = changes.filter(({ before, after }) =>
+            before.value !== after.value || before.notes.join() !== after.notes.join()
+        );
+        if (effective.length === 0) return;
         
-        for (let r = boxRow; r < boxRow + 2; r++) {
-            for (let c = boxCol; c < boxCol + 2; c++) {
-                if ((r !== row || c !== col) && this.grid[r][c] === value) {
-                    return false;
-                }
-            }
-        }
+        effective.forEach(change => this.applyCell(change.row, change.col, change.after));
+        this.undoStack.push(effective);
+        this.redoStack = [];
+        this.afterChange();
+    }
+    
+    applyCell(row, col, { value, notes }) {
+        this.grid[row][col] = value;
+        this.notes[row][col] = [...notes];
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0 && this.status === 'running' && !this.solved;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0 && this.status === 'running' && !this.solved;
+    }
+    
+    undo() {
+        if (!this.canUndo()) return;
         
-        return true;
+        const changes = this.undoStack.pop();
+        [...changes].reverse().forEach(change => this.applyCell(change.row, change.col, change.before));
+        this.redoStack.push(changes);
+        this.afterChange();
+    }
+    
+    redo() {
+        if (!this.canRedo()) return;
+        
+        const changes = this.redoStack.pop();
+        changes.forEach(change => this.applyCell(change.row, change.col, change.after));
+        this.undoStack.push(changes);
+        this.afterChange();
+    }
+    
+    afterChange() {
+        this.updateBoard();
+        this.saveProgress();
+    }
+    
+    /**
+     * Sync every cell with the model: digits, notes, conflicts and the
+     * cells sharing the selected cell's digit
+     */
+    updateBoard() {
+        if (!this.container.querySelector('.sudoku-grid')) return;
+        
+        const conflicts = this.getConflicts();
+        const selectedValue = this.selected && this.grid[this.selected.row]
+            ? this.grid[this.selected.row][this.selected.col]
+            : 0;
+        
+        this.grid.forEach((row, r) => row.forEach((value, c) => {
+            const input = this.getCellInput(r, c);
+            if (!input) return;
+            
+            const text = value === 0 ? '' : String(value);
+            if (input.value !== text) input.value = text;
+            input.classList.toggle('conflict', conflicts.has(`${r},${c}`));
+            input.classList.toggle('same-digit', selectedValue !== 0 && value === selectedValue);
+            
+            input.parentElement.querySelectorAll('[data-note]').forEach(span => {
+                const digit = parseInt(span.dataset.note, 10);
+                const shown = value === 0 && this.notes[r][c].includes(digit);
+                span.textContent = shown ? digit : '';
+                span.classList.toggle('match', shown && digit === selectedValue);
+            });
+        }));
+        
+        const undoBtn = this.container.querySelector('#undo-btn');
+        const redoBtn = this.container.querySelector('#redo-btn');
+        if (undoBtn) undoBtn.disabled = !this.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.canRedo();
     }
     
     checkSolution() {
         // Check if grid is complete
-        for (let r = 0; r < 4; r++) {
-            for (let c = 0; c < 4; c++) {
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
                 if (this.grid[r][c] === 0) {
                     this.updateMessage('❌ Please fill in all cells first!', 'error');
                     return;
@@ -232,8 +548,14 @@ class Sudoku4x4 {
         const isCorrect = JSON.stringify(this.grid) === JSON.stringify(this.currentPuzzle.solution);
         
         if (isCorrect) {
-            this.updateMessage('🎉 Congratulations! You solved the puzzle!', 'success');
+            this.elapsedTime = this.getElapsedTime();
+            this.stopTimer();
+            this.solved = true;
+            this.clearProgress();
+            this.updateMessage(`🎉 Congratulations! You solved the puzzle in ${this.formatTime(this.elapsedTime)}!`, 'success');
             this.highlightCompletion();
+            this.updateBoard();
+            this.endRound({ solved: true, hintsUsed: this.hintsUsed, time: this.elapsedTime });
         } else {
             this.updateMessage('❌ Some cells are incorrect. Keep trying!', 'error');
         }
@@ -247,19 +569,29 @@ class Sudoku4x4 {
     }
     
     showHint() {
+        if (this.status !== 'running' || this.solved) return;
+        if (this.hintsUsed >= this.settings.maxHints) {
+            this.updateMessage('🚫 No hints left on this difficulty.', 'error');
+            return;
+        }
+        
         // Find an empty cell and show the correct value
-        for (let r = 0; r < 4; r++) {
-            for (let c = 0; c < 4; c++) {
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
                 if (this.grid[r][c] === 0) {
                     const correctValue = this.currentPuzzle.solution[r][c];
-                    this.grid[r][c] = correctValue;
+                    this.hintsUsed++;
+                    this.setCellValue(r, c, correctValue);
                     
-                    const cell = this.container.querySelector(`[data-row="${r}"][data-col="${c}"]`);
+                    const cell = this.getCellInput(r, c);
                     if (cell) {
-                        cell.value = correctValue;
                         cell.classList.add('hint-cell');
                         setTimeout(() => cell.classList.remove('hint-cell'), 2000);
                     }
+                    const hints = this.container.querySelector('#sudoku-hints');
+                    if (hints) {
+                        hints.textContent = `${this.hintsUsed}/${this.settings.maxHints}`;
+                    }
                     
                     this.updateMessage(`💡 Hint: Cell (${r + 1}, ${c + 1}) = ${correctValue}`, 'hint');
                     return;
@@ -273,10 +605,106 @@ class Sudoku4x4 {
     newPuzzle() {
         this.currentPuzzle = this.getRandomPuzzle();
         this.grid = this.currentPuzzle.initial.map(row => [...row]);
-        this.message = 'ℹ️ Fill each row, column, and 2×2 box with numbers 1–4.';
+        this.notes = this.createNotes();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.selected = null;
+        this.hintsUsed = 0;
+        this.solved = false;
+        this.message = this.getRulesMessage();
+        
+        this.stopTimer();
+        this.elapsedTime = 0;
+        this.startTime = null;
         
+        this.setStatus('running');
         this.render();
         this.attachEventListeners();
+        this.startTimer();
+        this.saveProgress();
+    }
+    
+    startTimer() {
+        this.stopTimer();
+        if (this.solved) return;
+        
+        this.startTime = Date.now() - this.elapsedTime * 1000;
+        this.timerInterval = setInterval(() => {
+            this.elapsedTime = this.getElapsedTime();
+            const timeElement = this.container.querySelector('#sudoku-time');
+            if (timeElement) {
+                timeElement.textContent = this.formatTime(this.elapsedTime);
+            }
+        }, 1000);
+    }
+    
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+    
+    /**
+     * Seconds spent on the puzzle, excluding pauses
+     * @returns {number} Whole seconds
+     */
+    getElapsedTime() {
+        if (!this.timerInterval || !this.startTime) return this.elapsedTime;
+        return Math.floor((Date.now() - this.startTime) / 1000);
+    }
+    
+    formatTime(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Save the puzzle in progress to the profile so it can be resumed
+     */
+    saveProgress() {
+        if (this.solved) return;
+        
+        this.elapsedTime = this.getElapsedTime();
+        this.saveStat('savedGame', {
+            size: this.size,
+            puzzle: this.currentPuzzle,
+            grid: this.grid,
+            notes: this.notes,
+            undoStack: this.undoStack,
+            redoStack: this.redoStack,
+            hintsUsed: this.hintsUsed,
+            elapsedTime: this.elapsedTime
+        });
+    }
+    
+    clearProgress() {
+        this.saveStat('savedGame', null);
+    }
+    
+    /**
+     * Pick up a saved puzzle
+     * @param {Object|null} saved - Snapshot from saveProgress()
+     * @returns {boolean} True if the snapshot was usable
+     */
+    restoreProgress(saved) {
+        if (!saved || !SUDOKU_SIZES.includes(saved.size) || !saved.puzzle ||
+            !Array.isArray(saved.grid) || saved.grid.length !== saved.size) {
+            return false;
+        }
+        
+        this.applySize(saved.size);
+        this.currentPuzzle = saved.puzzle;
+        this.grid = saved.grid.map(row => [...row]);
+        this.notes = Array.isArray(saved.notes) ? saved.notes.map(row => row.map(notes => [...notes])) : this.createNotes();
+        this.undoStack = saved.undoStack || [];
+        this.redoStack = saved.redoStack || [];
+        this.hintsUsed = saved.hintsUsed || 0;
+        this.elapsedTime = saved.elapsedTime || 0;
+        this.solved = false;
+        this.message = '💾 Welcome back! Your puzzle was saved where you left off.';
+        return true;
     }
     
     updateMessage(text, type) {
@@ -289,11 +717,13 @@ class Sudoku4x4 {
     }
     
     destroy() {
-        // Clean up any event listeners
-        if (this.container) {
-            this.container.innerHTML = '';
+        if (this.mounted) {
+            this.saveProgress();
         }
+        this.stopTimer();
+        super.destroy();
     }
+
 }
 
 // Export for use in other modules
@@ -304,4 +734,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.Sudoku4x4 = Sudoku4x4;
-}
\ No newline at end of file
+    if (window.gameRegistry) {
+        window.gameRegistry.register('sudoku', Sudoku4x4);
+    }
+}
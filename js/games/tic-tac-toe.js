@@ -1,124 +1,719 @@
 /**
  * Tic Tac Toe Game
- * A classic 3x3 grid game for two players
+ * From the classic 3x3 grid up to 15x15 five-in-a-row (Gomoku), against
+ * the computer or a second player
  */
-class TicTacToe {
+const TIC_TAC_TOE_SETTINGS = {
+    fields: [
+        { key: 'aiLevel', label: 'Computer level (1 random, 2 tactical, 3 search)', min: 1, max: 3, step: 1 }
+    ],
+    presets: {
+        easy: { aiLevel: 1 },
+        normal: { aiLevel: 2 },
+        hard: { aiLevel: 3 }
+    }
+};
+
+class TicTacToe extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        this.board = Array(9).fill('');
+        super(containerId);
+        this.defineSettings(TIC_TAC_TOE_SETTINGS);
         this.currentPlayer = 'X';
         this.gameActive = true;
-        this.winningConditions = [
-            [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-            [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
-            [0, 4, 8], [2, 4, 6] // Diagonals
-        ];
-        
-        this.init();
-    }
-    
+
+        // Board is size x size; a line of winLength marks wins
+        this.size = 3;
+        this.winLength = 3;
+        this.applyBoardSize();
+
+        // Cell size in pixels on boards larger than 3x3
+        this.zoom = 40;
+        this.minZoom = 24;
+        this.maxZoom = 64;
+
+        // Beyond this many empty cells the search stops at searchDepth and
+        // only looks at the searchWidth most promising moves
+        this.exactSearchLimit = 9;
+        this.searchDepth = 3;
+        this.searchWidth = 10;
+
+        // 'computer' or 'two-player'; X always moves first, so whoever
+        // goes first against the computer plays X
+        this.mode = 'computer';
+        this.firstMover = 'human';
+        this.history = [];
+        this.series = { player: 0, opponent: 0, ties: 0 };
+        this.computerDelay = 400;
+        this.computerTimeout = null;
+
+        // A different computer level is a different opponent
+        this.on('settingschange', () => this.resetSeries());
+    }
+
     init() {
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
+        this.scheduleComputerMove();
+    }
+
+    start() {
+        this.resetGame();
+    }
+
+    reset() {
+        this.resetGame();
+    }
+
+    get humanMark() {
+        return this.firstMover === 'human' ? 'X' : 'O';
+    }
+
+    get computerMark() {
+        return this.otherMark(this.humanMark);
+    }
+
+    otherMark(mark) {
+        return mark === 'X' ? 'O' : 'X';
+    }
+
+    isComputerTurn() {
+        return this.mode === 'computer' && this.gameActive && this.currentPlayer === this.computerMark;
     }
-    
+
     render() {
+        const labels = this.getSeriesLabels();
+
         this.container.innerHTML = `
             <div class="tic-tac-toe-game">
                 <div class="game-header">
                     <h3>Tic Tac Toe</h3>
-                    <div class="game-status" id="game-status">Player X's turn</div>
+                    <div class="game-options">
+                        <div class="game-option-group" role="group" aria-label="Opponent">
+                            ${this.renderOption('mode', 'computer', '🤖 vs Computer', this.mode)}
+                            ${this.renderOption('mode', 'two-player', '👥 Two Players', this.mode)}
+                        </div>
+                        ${this.mode === 'computer' ? `
+                            <div class="game-option-group" role="group" aria-label="Who moves first">
+                                ${this.renderOption('first', 'human', 'You first', this.firstMover)}
+                                ${this.renderOption('first', 'computer', 'Computer first', this.firstMover)}
+                            </div>
+                        ` : ''}
+                        <div class="ttt-board-options">
+                            <label>Board
+                                <select id="ttt-size">
+                                    ${this.renderRange(3, 15, this.size, n => `${n}×${n}`)}
+                                </select>
+                            </label>
+                            <label>In a row
+                                <select id="ttt-win-length">
+                                    ${this.renderRange(3, Math.min(5, this.size), this.winLength, n => n)}
+                                </select>
+                            </label>
+                        </div>
+                    </div>
+                    <div class="scoreboard ttt-scoreboard" aria-label="Series score">
+                        <div class="score-card">
+                            <h6>${labels.player}</h6>
+                            <h3 id="series-player">${this.series.player}</h3>
+                        </div>
+                        <div class="score-card">
+                            <h6>Ties</h6>
+                            <h3 id="series-ties">${this.series.ties}</h3>
+                        </div>
+                        <div class="score-card">
+                            <h6>${labels.opponent}</h6>
+                            <h3 id="series-opponent">${this.series.opponent}</h3>
+                        </div>
+                    </div>
+                    <div class="game-status" id="game-status" aria-live="polite">${this.getTurnMessage()}</div>
                 </div>
-                <div class="game-board" id="game-board">
-                    ${this.board.map((cell, index) => 
-                        `<button class="cell" data-index="${index}" ${!this.gameActive ? 'disabled' : ''}>${cell}</button>`
-                    ).join('')}
+                ${this.isZoomable() ? `
+                    <div class="ttt-zoom" role="group" aria-label="Zoom">
+                        <button type="button" class="btn" id="zoom-out-btn" aria-label="Zoom out">➖</button>
+                        <button type="button" class="btn" id="zoom-in-btn" aria-label="Zoom in">➕</button>
+                    </div>
+                ` : ''}
+                <div class="ttt-board-scroll">
+                    <div class="game-board ${this.isZoomable() ? 'zoomable' : ''}" id="game-board"
+                         style="--ttt-size: ${this.size}; --ttt-cell: ${this.zoom}px;">
+                        ${this.board.map((cell, index) =>
+                            `<button class="cell" data-index="${index}" aria-label="${this.getCellLabel(index)}"
+                                     ${!this.gameActive || cell !== '' ? 'disabled' : ''}>${cell}</button>`
+                        ).join('')}
+                    </div>
                 </div>
                 <div class="game-controls">
+                    <button class="btn" id="undo-btn" ${this.canUndo() ? '' : 'disabled'}>↩️ Undo Move</button>
                     <button class="btn reset-btn" id="reset-btn">Reset Game</button>
+                    <button class="btn" id="reset-series-btn">Reset Series</button>
                 </div>
             </div>
         `;
     }
-    
+
+    renderRange(min, max, current, format) {
+        let options = '';
+        for (let n = min; n <= max; n++) {
+            options += `<option value="${n}" ${n === current ? 'selected' : ''}>${format(n)}</option>`;
+        }
+        return options;
+    }
+
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+
     attachEventListeners() {
         const cells = this.container.querySelectorAll('.cell');
         const resetBtn = this.container.querySelector('#reset-btn');
-        
+
         cells.forEach(cell => {
             cell.addEventListener('click', (e) => this.handleCellClick(e));
         });
-        
+
         resetBtn.addEventListener('click', () => this.resetGame());
+        this.container.querySelector('#undo-btn').addEventListener('click', () => this.undoMove());
+        this.container.querySelector('#reset-series-btn').addEventListener('click', () => this.resetSeries());
+
+        this.container.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+        this.container.querySelectorAll('[data-first]').forEach(btn => {
+            btn.addEventListener('click', () => this.setFirstMover(btn.dataset.first));
+        });
+
+        this.container.querySelector('#ttt-size').addEventListener('change', (e) => {
+            this.setBoardSize(parseInt(e.target.value, 10), this.winLength);
+        });
+        this.container.querySelector('#ttt-win-length').addEventListener('change', (e) => {
+            this.setBoardSize(this.size, parseInt(e.target.value, 10));
+        });
+
+        const zoomIn = this.container.querySelector('#zoom-in-btn');
+        const zoomOut = this.container.querySelector('#zoom-out-btn');
+        if (zoomIn) zoomIn.addEventListener('click', () => this.setZoom(this.zoom + 8));
+        if (zoomOut) zoomOut.addEventListener('click', () => this.setZoom(this.zoom - 8));
     }
-    
+
     handleCellClick(event) {
-        const index = parseInt(event.target.dataset.index);
-        
-        if (this.board[index] !== '' || !this.gameActive) {
+        const index = parseInt(event.currentTarget.dataset.index);
+
+        if (this.board[index] !== '' || !this.gameActive || this.isComputerTurn()) {
             return;
         }
-        
-        this.board[index] = this.currentPlayer;
-        event.target.textContent = this.currentPlayer;
-        event.target.disabled = true;
-        
-        if (this.checkWinner()) {
-            this.gameActive = false;
-            this.updateStatus(`Player ${this.currentPlayer} wins! 🎉`);
-            this.highlightWinningCells();
+
+        this.placeMark(index);
+    }
+
+    /**
+     * Play the current player's mark and move the round on
+     * @param {number} index - Board cell
+     */
+    placeMark(index) {
+        const mark = this.currentPlayer;
+        this.board[index] = mark;
+        this.history.push({ index, mark });
+
+        const winner = this.checkWinner();
+        if (winner) {
+            this.finishRound(winner);
         } else if (this.board.every(cell => cell !== '')) {
-            this.gameActive = false;
-            this.updateStatus("It's a tie! 🤝");
+            this.finishRound(null);
         } else {
-            this.currentPlayer = this.currentPlayer === 'X' ? 'O' : 'X';
-            this.updateStatus(`Player ${this.currentPlayer}'s turn`);
+            this.currentPlayer = this.otherMark(mark);
+            this.updateBoard();
+            this.scheduleComputerMove();
         }
     }
-    
-    checkWinner() {
-        return this.winningConditions.some(condition => {
-            const [a, b, c] = condition;
-            return this.board[a] && 
-                   this.board[a] === this.board[b] && 
-                   this.board[a] === this.board[c];
+
+    finishRound(winner) {
+        this.gameActive = false;
+
+        if (!winner) {
+            this.series.ties++;
+        } else if (this.mode === 'computer' ? winner === this.humanMark : winner === 'X') {
+            this.series.player++;
+        } else {
+            this.series.opponent++;
+        }
+
+        this.updateBoard();
+        this.highlightWinningCells();
+        this.updateStatus(this.getResultMessage(winner));
+
+        const result = { winner };
+        if (this.mode === 'computer') {
+            result.won = winner === this.humanMark;
+        }
+        this.endRound(result);
+    }
+
+    /**
+     * Let the computer reply after a short pause, if it is its turn
+     */
+    scheduleComputerMove() {
+        clearTimeout(this.computerTimeout);
+        this.computerTimeout = null;
+        if (!this.isComputerTurn()) return;
+
+        this.computerTimeout = setTimeout(() => {
+            this.computerTimeout = null;
+            if (this.isComputerTurn()) {
+                this.placeMark(this.chooseComputerMove());
+            }
+        }, this.computerDelay);
+    }
+
+    /**
+     * Pick the computer's cell for the current level
+     * @returns {number} Board cell
+     */
+    chooseComputerMove() {
+        switch (this.settings.aiLevel) {
+            case 1:
+                return this.chooseRandomMove(this.board);
+            case 2:
+                return this.chooseHeuristicMove(this.board, this.computerMark);
+            default:
+                return this.chooseMinimaxMove(this.board, this.computerMark);
+        }
+    }
+
+    getEmptyCells(board) {
+        return board.reduce((cells, cell, index) => {
+            if (cell === '') cells.push(index);
+            return cells;
+        }, []);
+    }
+
+    pickRandom(cells) {
+        return cells[Math.floor(Math.random() * cells.length)];
+    }
+
+    chooseRandomMove(board) {
+        return this.pickRandom(this.getEmptyCells(board));
+    }
+
+    /**
+     * Rule-of-thumb play: win, block, otherwise the cell that builds and
+     * blocks the most lines. Doesn't look further ahead, so forks beat it.
+     * @param {string[]} board - Board to move on
+     * @param {string} mark - Mark being played
+     * @returns {number} Board cell
+     */
+    chooseHeuristicMove(board, mark) {
+        const empty = this.getEmptyCells(board);
+        const scratch = [...board];
+        const completes = (player) => empty.find(index => {
+            scratch[index] = player;
+            const wins = this.checkWinAt(scratch, index);
+            scratch[index] = '';
+            return wins;
         });
+
+        const win = completes(mark);
+        if (win !== undefined) return win;
+        const block = completes(this.otherMark(mark));
+        if (block !== undefined) return block;
+
+        let best = [];
+        let bestScore = -Infinity;
+        empty.forEach(index => {
+            const score = this.scoreMove(board, index, mark);
+            if (score > bestScore) {
+                bestScore = score;
+                best = [index];
+            } else if (score === bestScore) {
+                best.push(index);
+            }
+        });
+        return this.pickRandom(best);
     }
-    
-    highlightWinningCells() {
-        this.winningConditions.forEach(condition => {
-            const [a, b, c] = condition;
-            if (this.board[a] && 
-                this.board[a] === this.board[b] && 
-                this.board[a] === this.board[c]) {
-                const cells = this.container.querySelectorAll('.cell');
-                cells[a].classList.add('winning-cell');
-                cells[b].classList.add('winning-cell');
-                cells[c].classList.add('winning-cell');
+
+    /**
+     * Minimax search with alpha-beta pruning. Small positions are searched
+     * to the end, which is perfect play on 3x3; larger ones are cut off at
+     * searchDepth and scored by evaluateBoard.
+     * @param {string[]} board - Board to move on
+     * @param {string} mark - Mark being played
+     * @returns {number} Board cell
+     */
+    chooseMinimaxMove(board, mark) {
+        const scratch = [...board];
+        const exact = this.getEmptyCells(scratch).length <= this.exactSearchLimit;
+        const maxDepth = exact ? Infinity : this.searchDepth;
+        let bestIndex = null;
+        let bestScore = -Infinity;
+
+        this.getCandidateMoves(scratch, mark, exact).forEach(index => {
+            scratch[index] = mark;
+            const score = this.minimax(scratch, this.otherMark(mark), mark, 1, maxDepth, index, bestScore, Infinity);
+            scratch[index] = '';
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
             }
         });
+
+        return bestIndex;
+    }
+
+    /**
+     * Score a position for `mark`; quicker wins and slower losses score higher
+     * @param {string[]} board - Position, restored before returning
+     * @param {string} toMove - Mark whose turn it is
+     * @param {string} mark - Mark being maximised
+     * @param {number} depth - Moves played since the root
+     * @param {number} maxDepth - Depth at which to stop and evaluate
+     * @param {number} lastMove - Cell just played, the only place a new line can appear
+     * @param {number} alpha - Best score the maximiser is already assured of
+     * @param {number} beta - Best score the minimiser is already assured of
+     * @returns {number} Position score
+     */
+    minimax(board, toMove, mark, depth, maxDepth, lastMove, alpha, beta) {
+        const WIN = 1e9;
+        if (this.checkWinAt(board, lastMove)) {
+            return board[lastMove] === mark ? WIN - depth : depth - WIN;
+        }
+        const moves = this.getCandidateMoves(board, toMove, maxDepth === Infinity);
+        if (moves.length === 0) return 0;
+        if (depth >= maxDepth) return this.evaluateBoard(board, mark);
+
+        const maximizing = toMove === mark;
+        let best = maximizing ? -Infinity : Infinity;
+
+        for (const index of moves) {
+            board[index] = toMove;
+            const score = this.minimax(board, this.otherMark(toMove), mark, depth + 1, maxDepth, index, alpha, beta);
+            board[index] = '';
+
+            if (maximizing) {
+                best = Math.max(best, score);
+                alpha = Math.max(alpha, score);
+            } else {
+                best = Math.min(best, score);
+                beta = Math.min(beta, score);
+            }
+            if (beta <= alpha) break;
+        }
+
+        return best;
     }
-    
+
+    /**
+     * Moves worth searching, most promising first. On large boards only
+     * cells next to existing marks are considered.
+     * @param {string[]} board - Position
+     * @param {string} mark - Mark to move
+     * @param {boolean} exact - Keep every candidate instead of the best searchWidth
+     * @returns {number[]} Board cells
+     */
+    getCandidateMoves(board, mark, exact) {
+        const empty = this.getEmptyCells(board);
+        if (empty.length === board.length) {
+            return [Math.floor(this.size / 2) * (this.size + 1)];
+        }
+        if (this.size === 3) return empty;
+
+        const scored = empty
+            .filter(index => this.hasNeighbour(board, index))
+            .map(index => ({ index, score: this.scoreMove(board, index, mark) }))
+            .sort((a, b) => b.score - a.score)
+            .map(move => move.index);
+        return exact ? scored : scored.slice(0, this.searchWidth);
+    }
+
+    hasNeighbour(board, index) {
+        const row = Math.floor(index / this.size);
+        const col = index % this.size;
+        for (let r = Math.max(0, row - 1); r <= Math.min(this.size - 1, row + 1); r++) {
+            for (let c = Math.max(0, col - 1); c <= Math.min(this.size - 1, col + 1); c++) {
+                if (board[r * this.size + c] !== '') return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * How much playing a cell extends `mark`'s lines and cuts the opponent's
+     * @param {string[]} board - Position
+     * @param {number} index - Empty cell
+     * @param {string} mark - Mark to move
+     * @returns {number} Move score
+     */
+    scoreMove(board, index, mark) {
+        return this.cellConditions[index].reduce((score, condition) => {
+            const { own, opponent } = this.countLine(board, condition, mark);
+            if (opponent === 0) score += 1.2 * 10 ** own;
+            if (own === 0) score += 10 ** opponent;
+            return score;
+        }, 0);
+    }
+
+    /**
+     * Static score of a position for `mark`: every line still open to one
+     * side counts for that side, more the fuller it is
+     * @param {string[]} board - Position
+     * @param {string} mark - Mark being maximised
+     * @returns {number} Position score
+     */
+    evaluateBoard(board, mark) {
+        return this.winningConditions.reduce((score, condition) => {
+            const { own, opponent } = this.countLine(board, condition, mark);
+            if (opponent === 0 && own > 0) return score + 10 ** own;
+            if (own === 0 && opponent > 0) return score - 10 ** opponent;
+            return score;
+        }, 0);
+    }
+
+    countLine(board, condition, mark) {
+        let own = 0;
+        let opponent = 0;
+        condition.forEach(index => {
+            if (board[index] === mark) own++;
+            else if (board[index] !== '') opponent++;
+        });
+        return { own, opponent };
+    }
+
+    /**
+     * Every run of winLength cells along a row, column or diagonal
+     * @param {number} size - Board width
+     * @param {number} winLength - Marks in a row needed to win
+     * @returns {number[][]} Cell indexes of each line
+     */
+    computeWinningConditions(size, winLength) {
+        const conditions = [];
+        const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                directions.forEach(([dRow, dCol]) => {
+                    const endRow = row + dRow * (winLength - 1);
+                    const endCol = col + dCol * (winLength - 1);
+                    if (endRow >= size || endCol < 0 || endCol >= size) return;
+
+                    const line = [];
+                    for (let i = 0; i < winLength; i++) {
+                        line.push((row + dRow * i) * size + col + dCol * i);
+                    }
+                    conditions.push(line);
+                });
+            }
+        }
+        return conditions;
+    }
+
+    /**
+     * Rebuild the board and its lines for the current size and win length
+     */
+    applyBoardSize() {
+        this.board = Array(this.size * this.size).fill('');
+        this.winningConditions = this.computeWinningConditions(this.size, this.winLength);
+
+        // Lines through each cell, so a move only needs its own lines checked
+        this.cellConditions = this.board.map(() => []);
+        this.winningConditions.forEach(condition => {
+            condition.forEach(index => this.cellConditions[index].push(condition));
+        });
+    }
+
+    /**
+     * Find a completed line
+     * @param {string[]} board - Board to check, the live board by default
+     * @returns {number[]|undefined} Winning cells
+     */
+    getWinningLine(board = this.board) {
+        return this.winningConditions.find(condition =>
+            board[condition[0]] && condition.every(index => board[index] === board[condition[0]])
+        );
+    }
+
+    /**
+     * @param {string[]} board - Board to check, the live board by default
+     * @returns {string|null} Winning mark
+     */
+    checkWinner(board = this.board) {
+        const line = this.getWinningLine(board);
+        return line ? board[line[0]] : null;
+    }
+
+    /**
+     * Whether the mark in a cell completes a line through it
+     * @param {string[]} board - Board to check
+     * @param {number} index - Occupied cell
+     * @returns {boolean} True if that cell is part of a win
+     */
+    checkWinAt(board, index) {
+        const mark = board[index];
+        return !!mark && this.cellConditions[index].some(condition =>
+            condition.every(cell => board[cell] === mark)
+        );
+    }
+
+    highlightWinningCells() {
+        const line = this.getWinningLine();
+        if (!line) return;
+
+        const cells = this.container.querySelectorAll('.cell');
+        line.forEach(index => cells[index].classList.add('winning-cell'));
+    }
+
+    /**
+     * Sync the cells, status and undo button with the game state
+     */
+    updateBoard() {
+        this.container.querySelectorAll('.cell').forEach((cell, index) => {
+            cell.textContent = this.board[index];
+            cell.setAttribute('aria-label', this.getCellLabel(index));
+            cell.disabled = !this.gameActive || this.board[index] !== '';
+            cell.classList.remove('winning-cell');
+        });
+
+        const undoBtn = this.container.querySelector('#undo-btn');
+        if (undoBtn) undoBtn.disabled = !this.canUndo();
+
+        this.updateStatus(this.getTurnMessage());
+        this.updateScoreboard();
+    }
+
+    updateScoreboard() {
+        ['player', 'opponent', 'ties'].forEach(key => {
+            const element = this.container.querySelector(`#series-${key}`);
+            if (element) element.textContent = this.series[key];
+        });
+    }
+
+    getCellLabel(index) {
+        const row = Math.floor(index / this.size) + 1;
+        const col = (index % this.size) + 1;
+        return `Row ${row}, column ${col}, ${this.board[index] || 'empty'}`;
+    }
+
+    isZoomable() {
+        return this.size > 3;
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+        const board = this.container.querySelector('#game-board');
+        if (board) board.style.setProperty('--ttt-cell', `${this.zoom}px`);
+    }
+
+    getSeriesLabels() {
+        if (this.mode === 'computer') {
+            return { player: `You (${this.humanMark})`, opponent: `Computer (${this.computerMark})` };
+        }
+        return { player: 'Player X', opponent: 'Player O' };
+    }
+
+    getTurnMessage() {
+        if (this.mode !== 'computer') {
+            return `Player ${this.currentPlayer}'s turn`;
+        }
+        return this.currentPlayer === this.humanMark
+            ? `Your turn (${this.humanMark})`
+            : 'Computer is thinking… 🤔';
+    }
+
+    getResultMessage(winner) {
+        if (!winner) return "It's a tie! 🤝";
+        if (this.mode !== 'computer') return `Player ${winner} wins! 🎉`;
+        return winner === this.humanMark ? 'You win! 🎉' : 'Computer wins! 🤖';
+    }
+
     updateStatus(message) {
         const statusElement = this.container.querySelector('#game-status');
         if (statusElement) {
             statusElement.textContent = message;
         }
     }
-    
+
+    /**
+     * Whether there is a move to take back; against the computer that
+     * means one of the player's own moves
+     * @returns {boolean} True if undo is allowed
+     */
+    canUndo() {
+        if (!this.gameActive) return false;
+        if (this.mode === 'computer') {
+            return this.history.some(move => move.mark === this.humanMark);
+        }
+        return this.history.length > 0;
+    }
+
+    /**
+     * Take back the last move, and the computer's reply to it
+     */
+    undoMove() {
+        if (!this.canUndo()) return;
+
+        clearTimeout(this.computerTimeout);
+        this.computerTimeout = null;
+
+        let move;
+        do {
+            move = this.history.pop();
+            this.board[move.index] = '';
+        } while (this.mode === 'computer' && move.mark !== this.humanMark);
+
+        this.currentPlayer = move.mark;
+        this.updateBoard();
+    }
+
+    /**
+     * Switch to another board; a new board starts a new series
+     * @param {number} size - Board width, 3 to 15
+     * @param {number} winLength - Marks in a row to win, 3 to 5 and at most size
+     */
+    setBoardSize(size, winLength) {
+        this.size = Math.max(3, Math.min(15, size));
+        this.winLength = Math.max(3, Math.min(5, this.size, winLength));
+        this.series = { player: 0, opponent: 0, ties: 0 };
+        this.resetGame();
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+
+        this.mode = mode;
+        this.series = { player: 0, opponent: 0, ties: 0 };
+        this.resetGame();
+    }
+
+    setFirstMover(firstMover) {
+        if (firstMover === this.firstMover) return;
+
+        // The series follows the player, not the mark
+        this.firstMover = firstMover;
+        this.resetGame();
+    }
+
+    resetSeries() {
+        this.series = { player: 0, opponent: 0, ties: 0 };
+        this.updateScoreboard();
+    }
+
     resetGame() {
-        this.board = Array(9).fill('');
+        clearTimeout(this.computerTimeout);
+        this.computerTimeout = null;
+        this.applyBoardSize();
         this.currentPlayer = 'X';
         this.gameActive = true;
+        this.history = [];
         this.render();
         this.attachEventListeners();
+        this.setStatus('running');
+        this.scheduleComputerMove();
     }
-    
+
     destroy() {
-        // Clean up any event listeners or intervals
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        clearTimeout(this.computerTimeout);
+        this.computerTimeout = null;
+        super.destroy();
     }
 }
 
@@ -130,4 +725,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.TicTacToe = TicTacToe;
-}
\ No newline at end of file
+    if (window.gameRegistry) {
+        window.gameRegistry.register('tic-tac-toe', TicTacToe);
+    }
+}
@@ -1,71 +1,363 @@
 /**
  * Typing Speed Test Game
- * Test your typing speed and accuracy with various paragraphs
+ * Test your typing speed and accuracy on word lists, quotes, code or your
+ * own text, for a set time or a set number of words
  */
-class TypingSpeedTest {
+const TYPING_SETTINGS = {
+    fields: [
+        { key: 'wordLevel', label: 'Word list difficulty (1-3)', min: 1, max: 3, step: 1 }
+    ],
+    presets: {
+        easy: { wordLevel: 1 },
+        normal: { wordLevel: 2 },
+        hard: { wordLevel: 3 }
+    }
+};
+
+const TYPING_LENGTHS = [
+    { id: 'time-15', type: 'time', value: 15, label: '15s' },
+    { id: 'time-30', type: 'time', value: 30, label: '30s' },
+    { id: 'time-60', type: 'time', value: 60, label: '60s' },
+    { id: 'time-120', type: 'time', value: 120, label: '120s' },
+    { id: 'words-10', type: 'words', value: 10, label: '10 words' },
+    { id: 'words-25', type: 'words', value: 25, label: '25 words' },
+    { id: 'words-50', type: 'words', value: 50, label: '50 words' },
+    { id: 'words-100', type: 'words', value: 100, label: '100 words' }
+];
+
+// Words dealt per second of a timed test - more than most people can type
+const TYPING_WORDS_PER_SECOND = 2;
+
+// Shortest time WPM is worked out over, so a few words typed in a blink
+// don't read as a record speed
+const TYPING_MIN_SECONDS = 5;
+
+// Longest custom text the test accepts
+const TYPING_CUSTOM_MAX = 5000;
+
+// Past tests kept in the profile
+const TYPING_HISTORY_SIZE = 20;
+
+// The test's original paragraphs, kept in code so there's always something
+// to type even when the packs can't be loaded
+const TYPING_BUILT_IN_PACK = {
+    id: 'paragraphs',
+    name: '📄 Paragraphs',
+    type: 'quotes',
+    level: null,
+    items: [
+        "Typing is an essential skill for programmers and writers alike. The faster and more accurately you can type, the more productive you become. Daily practice can significantly improve your typing speed over time.",
+        "Learning React makes building user interfaces fun and efficient. By practicing small projects, you can master component-based architecture. Consistency in coding will boost your programming skills.",
+        "Consistency is the key to improvement in every skill. Typing, like any skill, requires patience and repetition. Focused daily practice can bring noticeable improvements in speed and accuracy.",
+        "JavaScript is a versatile programming language that powers the modern web. From simple scripts to complex applications, JavaScript enables developers to create interactive and dynamic user experiences.",
+        "The art of programming lies not just in writing code, but in solving problems efficiently. Good programmers think before they code, plan their approach, and write clean, maintainable solutions."
+    ].map(text => ({ text, author: '' }))
+};
+
+class TypingSpeedTest extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        this.paragraphs = [
-            "Typing is an essential skill for programmers and writers alike. The faster and more accurately you can type, the more productive you become. Daily practice can significantly improve your typing speed over time.",
-            "Learning React makes building user interfaces fun and efficient. By practicing small projects, you can master component-based architecture. Consistency in coding will boost your programming skills.",
-            "Consistency is the key to improvement in every skill. Typing, like any skill, requires patience and repetition. Focused daily practice can bring noticeable improvements in speed and accuracy.",
-            "JavaScript is a versatile programming language that powers the modern web. From simple scripts to complex applications, JavaScript enables developers to create interactive and dynamic user experiences.",
-            "The art of programming lies not just in writing code, but in solving problems efficiently. Good programmers think before they code, plan their approach, and write clean, maintainable solutions."
-        ];
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(TYPING_SETTINGS);
+        
+        // Text sources: the built-in paragraphs, plus the packs loaded from
+        // packUrls on mount. Add a URL to plug in another pack file.
+        this.content = new TypingContent([TYPING_BUILT_IN_PACK]);
+        this.packUrls = ['data/typing-packs.json'];
+        this.packsReady = null;
+        this.source = 'words';
+        this.lengthId = 'time-60';
+        this.customText = '';
+        this.message = '';
+        
+        // Keystroke analytics for the current test, the player's running
+        // per-key totals (which drive weak-key practice) and past results
+        this.analytics = new TypingAnalytics();
+        this.keyTotals = {};
+        this.history = [];
+        this.practiceKeys = [];
         
         this.text = '';
+        this.authors = [];
         this.input = '';
-        this.timeLeft = 60;
+        this.timeLeft = this.getLength().value;
+        this.elapsed = 0;
         this.started = false;
         this.finished = false;
         this.wpm = 0;
         this.cpm = 0;
         this.accuracy = 100;
         this.feedback = '';
-        this.timerInterval = null;
+        this.countdown = new PausableTimer(() => this.tick(), 1000);
         this.startTime = null;
-        
-        this.init();
+        this.pausedAt = null;
+        this.pausedTime = 0;
     }
     
     init() {
-        this.text = this.getRandomParagraph();
-        this.render();
-        this.attachEventListeners();
+        const length = this.getStat('length');
+        this.lengthId = TYPING_LENGTHS.some(l => l.id === length) ? length : 'time-60';
+        this.source = this.getStat('source') || 'words';
+        this.customText = this.getStat('customText') || '';
+        this.keyTotals = this.getStat('keyStats') || {};
+        this.history = this.getStat('history') || [];
+        
+        this.prepareTest();
+        this.packsReady = this.loadPacks();
+    }
+    
+    start() {
+        this.restartTest();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.countdown.pause();
+        this.analytics.breakTiming();
+        this.pausedAt = Date.now();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        if (this.pausedAt !== null) {
+            this.pausedTime += Date.now() - this.pausedAt;
+            this.pausedAt = null;
+        }
+        this.countdown.resume();
+    }
+    
+    reset() {
+        this.restartTest();
+    }
+    
+    getLength() {
+        return TYPING_LENGTHS.find(length => length.id === this.lengthId);
+    }
+    
+    isTimed() {
+        return this.getLength().type === 'time';
+    }
+    
+    /**
+     * Only timed tests on the word lists go to the hub best and leaderboard;
+     * custom text, practice, packs and word counts aren't comparable with them
+     */
+    isRanked() {
+        return this.source === 'words' && this.isTimed();
+    }
+    
+    /**
+     * Sources to pick from: word lists (at the difficulty's level), weak-key
+     * practice, each quote and code pack, and the player's own text
+     * @returns {Object[]} Sources as { id, label }
+     */
+    getSources() {
+        const packs = this.content.getPacks().filter(pack => pack.type !== 'words');
+        return [
+            { id: 'words', label: '🔤 Words' },
+            { id: 'practice', label: '🎯 Weak keys' },
+            ...packs.map(pack => ({ id: pack.id, label: pack.name })),
+            { id: 'custom', label: '📋 Custom' }
+        ];
+    }
+    
+    /**
+     * Packs behind the current source, or the built-in paragraphs while
+     * its pack isn't loaded
+     */
+    getSourcePacks() {
+        let packs;
+        if (this.source === 'words') {
+            packs = this.content.getWordPacks(this.settings.wordLevel);
+        } else if (this.source === 'practice') {
+            packs = this.content.getPacks('words');
+        } else {
+            packs = [this.content.getPack(this.source)].filter(Boolean);
+        }
+        return packs.length > 0 ? packs : [this.content.getPack('paragraphs')];
+    }
+    
+    isCode() {
+        return this.source !== 'custom' && this.getSourcePacks()[0].type === 'code';
+    }
+    
+    /**
+     * Text for the next test: enough for the time or exactly the word count.
+     * Custom text is always typed in full.
+     */
+    buildText() {
+        this.practiceKeys = [];
+        if (this.source === 'custom') {
+            return { text: this.customText, authors: [] };
+        }
+        
+        const length = this.getLength();
+        const words = length.type === 'words' ? length.value : length.value * TYPING_WORDS_PER_SECOND;
+        if (this.source === 'practice') {
+            const practice = this.buildPracticeText(words);
+            if (practice) return practice;
+        }
+        return this.content.generate(this.getSourcePacks(), { words, exact: length.type === 'words' });
+    }
+    
+    /**
+     * Words weighted toward the player's slowest and most-missed keys,
+     * or null (with a note) until they've typed enough to tell
+     * @param {number} count - Words wanted
+     */
+    buildPracticeText(count) {
+        const words = this.getSourcePacks().reduce((all, pack) => all.concat(pack.type === 'words'
+            ? pack.items
+            : pack.items.map(item => item.text).join(' ').split(' ')), []);
+        const practice = TypingAnalytics.practiceText(this.keyTotals, words, count);
+        if (!practice) {
+            this.message = '🎯 Finish a test or two first - practice drills the keys you find slowest or miss most.';
+            return null;
+        }
+        
+        this.message = '';
+        this.practiceKeys = practice.keys;
+        return { text: practice.text, authors: [] };
+    }
+    
+    /**
+     * Load every pack file in packUrls; files that fail are skipped
+     * @returns {Promise<number>} Packs added
+     */
+    loadPacks() {
+        const loads = this.packUrls.map(url => fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => TypingContent.parse(data))
+            .catch(error => {
+                console.error(`Error loading typing pack ${url}:`, error);
+                return [];
+            }));
+        
+        return Promise.all(loads).then(results => {
+            const packs = results.reduce((all, list) => all.concat(list), []);
+            packs.forEach(pack => this.content.addPack(pack));
+            
+            // The player may have left, or started typing, while the packs loaded
+            if (!this.mounted || this.started || this.finished) return packs.length;
+            
+            if (packs.length === 0) {
+                this.message = "😕 The word lists, quotes and code couldn't be loaded, so here are the built-in paragraphs.";
+            }
+            this.prepareTest();
+            return packs.length;
+        });
     }
     
-    getRandomParagraph() {
-        return this.paragraphs[Math.floor(Math.random() * this.paragraphs.length)];
+    setSource(source) {
+        if (!this.getSources().some(s => s.id === source)) return;
+        
+        this.source = source;
+        this.saveStat('source', source);
+        this.message = '';
+        this.prepareTest();
+    }
+    
+    setLength(id) {
+        if (!TYPING_LENGTHS.some(length => length.id === id)) return;
+        
+        this.lengthId = id;
+        this.saveStat('length', id);
+        this.prepareTest();
+    }
+    
+    /**
+     * Use the player's own text, keeping line breaks and indentation
+     * @param {string} raw - Text as pasted
+     * @returns {boolean} True if there was text to use
+     */
+    setCustomText(raw) {
+        const text = String(raw || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, '    ')
+            .replace(/ +$/gm, '')
+            .trim()
+            .slice(0, TYPING_CUSTOM_MAX);
+        
+        if (!text) {
+            this.message = '📋 Paste some text to type first.';
+            this.render();
+            this.attachEventListeners();
+            return false;
+        }
+        
+        this.customText = text;
+        this.saveStat('customText', text);
+        this.source = 'custom';
+        this.saveStat('source', 'custom');
+        this.message = '';
+        this.prepareTest();
+        return true;
     }
     
     render() {
-        const progress = Math.min((this.input.length / this.text.length) * 100, 100);
-        const timeProgress = (this.timeLeft / 60) * 100;
+        const progress = this.getProgress();
+        const length = this.getLength();
+        const noText = this.text.length === 0;
         
         this.container.innerHTML = `
             <div class="typing-test-game">
                 <div class="game-header">
                     <h3>⌨️ Typing Speed Test</h3>
                     <div class="timer-display">
-                        <h5>Time Left: <span id="timer">${this.timeLeft}s</span></h5>
-                        <div class="progress-bar">
-                            <div class="progress-fill timer-progress" style="width: ${timeProgress}%"></div>
-                        </div>
+                        ${this.isTimed() ? `
+                            <h5>Time Left: <span id="timer">${this.timeLeft}s</span></h5>
+                            <div class="progress-bar">
+                                <div class="progress-fill timer-progress" style="width: ${(this.timeLeft / length.value) * 100}%"></div>
+                            </div>
+                        ` : `
+                            <h5>Time: <span id="timer">${this.elapsed}s</span></h5>
+                        `}
                     </div>
+                    ${this.message ? `<p class="game-message info" id="typing-message">${this.message}</p>` : ''}
+                    ${this.practiceKeys.length > 0 ? `
+                        <p class="practice-keys">🎯 Drilling your weakest keys:
+                            ${this.practiceKeys.map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join(' ')}</p>
+                    ` : ''}
                 </div>
                 
-                <div class="text-display-container">
-                    <div class="text-display" id="text-display">
-                        ${this.renderTextWithHighlight()}
+                <div class="game-options">
+                    <div class="game-option-group" role="group" aria-label="Text">
+                        ${this.getSources().map(source => this.renderOption('source', source.id, source.label, this.source)).join('')}
+                    </div>
+                    <div class="game-option-group" role="group" aria-label="Test length">
+                        ${TYPING_LENGTHS.map(l => this.renderOption('length', l.id, l.label, this.lengthId)).join('')}
                     </div>
                 </div>
                 
+                ${this.source === 'custom' && !this.started ? `
+                    <div class="custom-text-panel">
+                        <label for="custom-text">Paste your own text (up to ${TYPING_CUSTOM_MAX} characters):</label>
+                        <textarea id="custom-text" rows="4" maxlength="${TYPING_CUSTOM_MAX}">${this.escapeHtml(this.customText)}</textarea>
+                        <button type="button" class="btn" id="use-custom-btn">Use this text</button>
+                    </div>
+                ` : ''}
+                
+                <div class="text-display-container ${this.isCode() ? 'code-text' : ''}">
+                    <div class="text-display" id="text-display">${noText ? '' : this.renderTextWithHighlight()}</div>
+                    ${this.authors.length > 0 ? `<p class="text-credit">— ${[...new Set(this.authors)].join(', ')}</p>` : ''}
+                </div>
+                
                 <div class="input-container">
-                    <textarea class="typing-input" 
+                    <textarea class="typing-input ${this.isCode() ? 'code-text' : ''}"
                               id="typing-input"
-                              placeholder="Start typing here..."
+                              placeholder="${noText ? 'Paste some text above to start' : 'Start typing here...'}"
                               rows="5"
-                              ${this.finished || this.timeLeft === 0 ? 'disabled' : ''}>${this.input}</textarea>
+                              spellcheck="false"
+                              ${this.finished || noText || (this.isTimed() && this.timeLeft === 0) ? 'disabled' : ''}>${this.escapeHtml(this.input)}</textarea>
                 </div>
                 
                 <div class="progress-container">
@@ -107,8 +399,12 @@ class TypingSpeedTest {
                     <h4>Instructions:</h4>
                     <ul>
                         <li>⌨️ Type the text as accurately and quickly as possible</li>
-                        <li>⏱️ You have 60 seconds to complete the test</li>
+                        <li>${this.isTimed()
+                            ? `⏱️ You have ${length.value} seconds to complete the test`
+                            : `📝 Type ${this.source === 'custom' ? 'your text' : `${length.value} words`} as fast as you can`}</li>
+                        ${this.isCode() ? '<li>💻 Indentation and symbols count: press Enter for ↵ and Tab to fill in indentation</li>' : ''}
                         <li>📊 Your WPM (Words Per Minute) and accuracy will be calculated</li>
+                        ${this.isRanked() ? '' : '<li>🏆 Only timed tests on word lists count toward your best and the leaderboard</li>'}
                         <li>🎯 Try to maintain high accuracy while increasing speed</li>
                     </ul>
                 </div>
@@ -116,12 +412,18 @@ class TypingSpeedTest {
         `;
     }
     
+    renderOption(name, value, label, current) {
+        const active = value === current;
+        return `<button type="button" class="game-option-btn ${active ? 'active' : ''}"
+                        data-${name}="${value}" aria-pressed="${active}">${label}</button>`;
+    }
+    
     renderTextWithHighlight() {
         let result = '';
         for (let i = 0; i < this.text.length; i++) {
-            const char = this.text[i];
+            const char = this.renderChar(this.text[i]);
             if (i < this.input.length) {
-                if (this.input[i] === char) {
+                if (this.input[i] === this.text[i]) {
                     result += `<span class="correct">${char}</span>`;
                 } else {
                     result += `<span class="incorrect">${char}</span>`;
@@ -135,9 +437,34 @@ class TypingSpeedTest {
         return result;
     }
     
+    /**
+     * Markup for one character of the text: HTML is escaped and line
+     * breaks get a visible ↵ to type
+     */
+    renderChar(char) {
+        if (char === '\n') return '↵\n';
+        return '<>&'.includes(char) ? this.escapeHtml(char) : char;
+    }
+    
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    getProgress() {
+        if (this.text.length === 0) return 0;
+        return Math.min((this.input.length / this.text.length) * 100, 100);
+    }
+    
     renderResults() {
-        const timeUsed = 60 - this.timeLeft;
-        const completionRate = Math.round((this.input.length / this.text.length) * 100);
+        const timeUsed = this.elapsed;
+        const completionRate = Math.round(this.getProgress());
         
         let performanceLevel = '';
         let performanceColor = '';
@@ -200,6 +527,31 @@ class TypingSpeedTest {
                     ${completionRate < 100 ? '<p><strong>Note:</strong> You didn\'t complete the full text. Try to finish the entire passage next time!</p>' : '<p><strong>Great!</strong> You completed the entire text passage!</p>'}
                 </div>
                 
+                <div class="typing-analytics">
+                    <div class="analytics-section">
+                        <h4>📈 WPM Over Time</h4>
+                        ${this.renderWpmChart()}
+                    </div>
+                    <div class="analytics-section">
+                        <h4>⌨️ Keyboard Heatmap</h4>
+                        ${this.renderHeatmap()}
+                    </div>
+                    <div class="analytics-section weak-spots">
+                        <div>
+                            <h4>🐢 Slowest Keys</h4>
+                            ${this.renderRanking(this.analytics.keys)}
+                        </div>
+                        <div>
+                            <h4>🔗 Trickiest Pairs</h4>
+                            ${this.renderRanking(this.analytics.bigrams)}
+                        </div>
+                    </div>
+                    <div class="analytics-section">
+                        <h4>📜 Recent Tests</h4>
+                        ${this.renderHistory()}
+                    </div>
+                </div>
+                
                 <div class="typing-goals">
                     <h4>🎯 Typing Speed Goals</h4>
                     <div class="goals-list">
@@ -225,6 +577,118 @@ class TypingSpeedTest {
         `;
     }
     
+    /**
+     * Running WPM at each second of the test, as an SVG line chart
+     */
+    renderWpmChart() {
+        const samples = this.analytics.wpmSamples;
+        if (samples.length < 2) {
+            return '<p class="analytics-empty">Type for a few seconds to see your speed over time.</p>';
+        }
+        
+        const width = 300;
+        const height = 120;
+        const pad = 24;
+        const lastSecond = samples[samples.length - 1].second;
+        const peak = Math.max(...samples.map(sample => sample.wpm), 10);
+        const points = samples.map(sample => {
+            const x = pad + (sample.second / lastSecond) * (width - 2 * pad);
+            const y = height - pad - (sample.wpm / peak) * (height - 2 * pad);
+            return `${Math.round(x)},${Math.round(y)}`;
+        }).join(' ');
+        
+        return `
+            <svg class="wpm-chart" viewBox="0 0 ${width} ${height}" role="img"
+                 aria-label="WPM over time: ${samples[0].wpm} at the start, ${samples[samples.length - 1].wpm} at the end, peak ${peak}">
+                <line class="chart-axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"/>
+                <line class="chart-axis" x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}"/>
+                <text x="${pad - 4}" y="${pad + 4}" text-anchor="end">${peak}</text>
+                <text x="${width - pad}" y="${height - 6}" text-anchor="end">${lastSecond}s</text>
+                <polyline class="chart-line" points="${points}"/>
+            </svg>
+        `;
+    }
+    
+    /**
+     * QWERTY keyboard shaded by each key's error rate this test
+     */
+    renderHeatmap() {
+        // Shifted characters are added to the key they're typed on
+        const keys = this.analytics.keys;
+        const byKey = Object.keys(keys).reduce((merged, char) =>
+            TypingAnalytics.mergeTotals(merged, { [TypingAnalytics.keyFor(char)]: keys[char] }), {});
+        
+        const renderKey = (key, label, extraClass = '') => {
+            const entry = byKey[key];
+            if (!entry) {
+                return `<span class="heatmap-key unused ${extraClass}" title="${this.escapeHtml(label)}: not typed">${this.escapeHtml(label)}</span>`;
+            }
+            const { count, errors, errorRate, avgLatency } = TypingAnalytics.describe(entry);
+            const level = errorRate === 0 ? 0 : errorRate < 0.05 ? 1 : errorRate < 0.1 ? 2 : errorRate < 0.2 ? 3 : 4;
+            const detail = `${label}: ${count} typed, ${errors} missed${avgLatency !== null ? `, ${avgLatency} ms` : ''}`;
+            return `<span class="heatmap-key heat-${level} ${extraClass}" data-key="${this.escapeHtml(key)}"
+                          title="${this.escapeHtml(detail)}">${this.escapeHtml(label)}</span>`;
+        };
+        
+        return `
+            <div class="keyboard-heatmap" role="img" aria-label="Keyboard shaded by how often each key was missed">
+                ${TYPING_KEYBOARD_ROWS.map(row => `
+                    <div class="heatmap-row">${[...row].map(key => renderKey(key, key.toUpperCase())).join('')}</div>
+                `).join('')}
+                <div class="heatmap-row">${renderKey(' ', 'Space', 'space-key')}</div>
+            </div>
+            <p class="heatmap-legend">
+                <span class="heatmap-key heat-0"></span> no misses
+                <span class="heatmap-key heat-4"></span> 20%+ missed
+            </p>
+        `;
+    }
+    
+    renderRanking(table) {
+        const ranked = TypingAnalytics.rank(table, { min: 2, limit: 5 });
+        if (ranked.length === 0) {
+            return '<p class="analytics-empty">Not enough typing to tell yet.</p>';
+        }
+        
+        return `
+            <ol class="weak-list">
+                ${ranked.map(entry => `
+                    <li><kbd>${this.escapeHtml(entry.key)}</kbd>
+                        ${entry.avgLatency !== null ? `${entry.avgLatency} ms` : '-'}
+                        · ${entry.errors}/${entry.count} missed</li>
+                `).join('')}
+            </ol>
+        `;
+    }
+    
+    renderHistory() {
+        if (this.history.length === 0) {
+            return '<p class="analytics-empty">No tests yet.</p>';
+        }
+        
+        const sources = this.getSources();
+        return `
+            <table class="typing-history">
+                <thead>
+                    <tr><th>Date</th><th>Text</th><th>Length</th><th>WPM</th><th>Accuracy</th></tr>
+                </thead>
+                <tbody>
+                    ${this.history.slice(-10).reverse().map(entry => {
+                        const source = sources.find(s => s.id === entry.source);
+                        const length = TYPING_LENGTHS.find(l => l.id === entry.length);
+                        return `<tr>
+                            <td>${new Date(entry.date).toLocaleDateString()}</td>
+                            <td>${source ? source.label : this.escapeHtml(entry.source)}</td>
+                            <td>${length ? length.label : '-'}</td>
+                            <td>${entry.wpm}</td>
+                            <td>${entry.accuracy}%</td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
     attachEventListeners() {
         const typingInput = this.container.querySelector('#typing-input');
         const completeBtn = this.container.querySelector('#complete-btn');
@@ -232,9 +696,24 @@ class TypingSpeedTest {
         
         if (typingInput) {
             typingInput.addEventListener('input', (e) => this.handleInput(e));
+            typingInput.addEventListener('keydown', (e) => this.handleKeyDown(e));
             typingInput.addEventListener('focus', () => this.startTest());
         }
         
+        const useCustomBtn = this.container.querySelector('#use-custom-btn');
+        if (useCustomBtn) {
+            useCustomBtn.addEventListener('click', () => {
+                this.setCustomText(this.container.querySelector('#custom-text').value);
+            });
+        }
+        
+        this.container.querySelectorAll('.game-option-btn[data-source]').forEach(btn => {
+            btn.addEventListener('click', () => this.setSource(btn.dataset.source));
+        });
+        this.container.querySelectorAll('.game-option-btn[data-length]').forEach(btn => {
+            btn.addEventListener('click', () => this.setLength(btn.dataset.length));
+        });
+        
         if (completeBtn) {
             completeBtn.addEventListener('click', () => this.finishTest());
         }
@@ -245,11 +724,19 @@ class TypingSpeedTest {
     }
     
     handleInput(event) {
+        // Keep the text as it was while the test is paused
+        if (this.status === 'paused') {
+            event.target.value = this.input;
+            return;
+        }
+        
         if (!this.started) {
             this.startTest();
         }
         
+        const before = this.input;
         this.input = event.target.value;
+        this.recordKeystrokes(before, this.input);
         this.calculateStats();
         this.updateDisplay();
         
@@ -259,24 +746,86 @@ class TypingSpeedTest {
         }
     }
     
+    /**
+     * Record the characters added since the last input event. Single
+     * characters are timed; pastes and Tab indentation only count toward
+     * errors, and corrections restart the clock for the next key.
+     */
+    recordKeystrokes(before, after) {
+        if (after.length <= before.length || !after.startsWith(before)) {
+            this.analytics.touch();
+            return;
+        }
+        
+        const timed = after.length - before.length === 1;
+        for (let i = before.length; i < after.length && i < this.text.length; i++) {
+            this.analytics.record(this.text[i], after[i], i > 0 ? this.text[i - 1] : '', { timed });
+        }
+    }
+    
+    /**
+     * In code mode Tab types the indentation the text expects at the
+     * cursor (four spaces where it expects none) instead of leaving the box
+     */
+    handleKeyDown(event) {
+        if (event.key !== 'Tab' || event.shiftKey || !this.isCode() || this.status === 'paused') return;
+        
+        event.preventDefault();
+        const textarea = event.target;
+        const at = textarea.selectionStart;
+        const expected = this.text.slice(at).match(/^ +/);
+        const spaces = expected ? expected[0] : '    ';
+        textarea.value = textarea.value.slice(0, at) + spaces + textarea.value.slice(textarea.selectionEnd);
+        textarea.selectionStart = textarea.selectionEnd = at + spaces.length;
+        this.handleInput({ target: textarea });
+    }
+    
     startTest() {
-        if (this.started || this.finished) return;
+        if (this.started || this.finished || this.text.length === 0) return;
         
         this.started = true;
         this.startTime = Date.now();
-        
-        this.timerInterval = setInterval(() => {
+        this.setStatus('running');
+        this.startTimer();
+    }
+    
+    startTimer() {
+        this.countdown.start();
+    }
+    
+    tick() {
+        this.elapsed++;
+        if (this.isTimed()) {
             this.timeLeft--;
-            this.updateTimer();
-            
-            if (this.timeLeft <= 0) {
-                this.finishTest();
-            }
-        }, 1000);
+        }
+        this.calculateStats();
+        this.analytics.sampleWpm(this.elapsed, this.wpm);
+        this.updateTimer();
+        
+        if (this.isTimed() && this.timeLeft <= 0) {
+            this.finishTest();
+        }
+    }
+    
+    stopTimer() {
+        this.countdown.stop();
+    }
+    
+    /**
+     * Seconds spent typing, from the clock rather than the once-a-second
+     * tick, less any time paused
+     * @returns {number}
+     */
+    getTypingSeconds() {
+        if (this.startTime === null) return 0;
+        const now = this.pausedAt !== null ? this.pausedAt : Date.now();
+        return (now - this.startTime - this.pausedTime) / 1000;
     }
     
     calculateStats() {
-        const timeElapsed = this.started ? (60 - this.timeLeft) / 60 : 1/60;
+        // The clock, but never less than the seconds ticked or the minimum
+        const seconds = Math.max(this.getTypingSeconds(), this.elapsed, TYPING_MIN_SECONDS);
+        const timeElapsed = seconds / 60;
         const wordsTyped = this.input.trim() === '' ? 0 : this.input.trim().split(/\s+/).length;
         const charsTyped = this.input.length;
         
@@ -330,8 +879,14 @@ class TypingSpeedTest {
             feedbackElement.textContent = this.feedback;
         }
         
+        // Keep the next character in view on long texts
+        const current = textDisplay && textDisplay.querySelector('.current');
+        if (current && current.scrollIntoView) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+        
         // Update progress
-        const progress = Math.min((this.input.length / this.text.length) * 100, 100);
+        const progress = this.getProgress();
         const progressFill = this.container.querySelector('.progress-fill:not(.timer-progress)');
         if (progressFill) {
             progressFill.style.width = progress + '%';
@@ -346,10 +901,10 @@ class TypingSpeedTest {
     updateTimer() {
         const timerElement = this.container.querySelector('#timer');
         if (timerElement) {
-            timerElement.textContent = this.timeLeft + 's';
+            timerElement.textContent = (this.isTimed() ? this.timeLeft : this.elapsed) + 's';
         }
         
-        const timeProgress = (this.timeLeft / 60) * 100;
+        const timeProgress = (this.timeLeft / this.getLength().value) * 100;
         const timerProgress = this.container.querySelector('.timer-progress');
         if (timerProgress) {
             timerProgress.style.width = timeProgress + '%';
@@ -361,26 +916,67 @@ class TypingSpeedTest {
         
         this.finished = true;
         this.started = false;
-        
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
+        this.stopTimer();
         
         this.calculateStats();
+        this.saveAnalytics();
         this.render();
         this.attachEventListeners();
+        this.endRound({
+            score: this.isRanked() ? this.wpm : null,
+            wpm: this.wpm,
+            cpm: this.cpm,
+            accuracy: this.accuracy,
+            source: this.source,
+            length: this.lengthId,
+            ranked: this.isRanked()
+        });
+    }
+    
+    /**
+     * Add this test to the running key totals and the history
+     */
+    saveAnalytics() {
+        if (this.input.length === 0) return;
+        
+        this.keyTotals = TypingAnalytics.mergeTotals(this.keyTotals, this.analytics.keys);
+        this.saveStat('keyStats', this.keyTotals);
+        
+        this.history = [...this.history, {
+            date: new Date().toISOString(),
+            wpm: this.wpm,
+            accuracy: this.accuracy,
+            source: this.source,
+            length: this.lengthId
+        }].slice(-TYPING_HISTORY_SIZE);
+        this.saveStat('history', this.history);
     }
     
     restartTest() {
+        this.prepareTest();
+        
+        // Focus on input
+        setTimeout(() => {
+            const input = this.container.querySelector('#typing-input');
+            if (input) input.focus();
+        }, 100);
+    }
+    
+    /**
+     * Deal a new text for the current source and length, ready to type
+     */
+    prepareTest() {
         // Clear timer
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
+        this.stopTimer();
         
         // Reset all properties
-        this.text = this.getRandomParagraph();
+        const { text, authors } = this.buildText();
+        this.text = text;
+        this.authors = authors;
         this.input = '';
-        this.timeLeft = 60;
+        this.analytics = new TypingAnalytics();
+        this.timeLeft = this.getLength().value;
+        this.elapsed = 0;
         this.started = false;
         this.finished = false;
         this.wpm = 0;
@@ -388,25 +984,18 @@ class TypingSpeedTest {
         this.accuracy = 100;
         this.feedback = '';
         this.startTime = null;
+        this.pausedAt = null;
+        this.pausedTime = 0;
+        this.setStatus('idle');
         
         this.render();
         this.attachEventListeners();
-        
-        // Focus on input
-        setTimeout(() => {
-            const input = this.container.querySelector('#typing-input');
-            if (input) input.focus();
-        }, 100);
     }
     
     destroy() {
-        // Clean up timer and event listeners
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        // Clean up timer
+        this.stopTimer();
+        super.destroy();
     }
 }
 
@@ -418,4 +1007,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.TypingSpeedTest = TypingSpeedTest;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('typing', TypingSpeedTest);
+    }
 }
\ No newline at end of file
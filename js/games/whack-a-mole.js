@@ -2,25 +2,67 @@
  * Whack-a-Mole Game
  * Click moles before they disappear
  */
-class WhackAMole {
+const WHACK_A_MOLE_SETTINGS = {
+    fields: [
+        { key: 'spawnDelay', label: 'Shortest gap between moles (ms)', min: 300, max: 2000, step: 50 },
+        { key: 'moleTime', label: 'Shortest time a mole stays up (ms)', min: 300, max: 3000, step: 50 },
+        { key: 'timeLimit', label: 'Time limit (s)', min: 10, max: 120, step: 5 }
+    ],
+    presets: {
+        easy: { spawnDelay: 1000, moleTime: 1500, timeLimit: 30 },
+        normal: { spawnDelay: 800, moleTime: 1000, timeLimit: 30 },
+        hard: { spawnDelay: 550, moleTime: 650, timeLimit: 30 }
+    }
+};
+
+class WhackAMole extends BaseGame {
     constructor(containerId) {
-        this.container = document.getElementById(containerId);
+        super(containerId);
+        this.pausable = true;
+        this.defineSettings(WHACK_A_MOLE_SETTINGS);
         this.score = 0;
-        this.timeLeft = 30;
+        this.timeLeft = this.settings.timeLimit;
         this.gameActive = false;
         this.moles = Array(9).fill(false);
-        this.gameInterval = null;
+        this.countdown = new PausableTimer(() => this.tick(), 1000);
         this.moleInterval = null;
+        this.spawnTimeout = null;
         this.activeMoles = new Set();
         
-        this.init();
+        // Score of the last game, shown until the next starts
+        this.lastResult = null;
     }
     
     init() {
+        this.timeLeft = this.settings.timeLimit;
         this.render();
         this.attachEventListeners();
     }
     
+    start() {
+        this.startGame();
+    }
+    
+    pause() {
+        if (this.status !== 'running') return;
+        
+        this.countdown.pause();
+        this.stopSpawning();
+        super.pause();
+    }
+    
+    resume() {
+        if (this.status !== 'paused') return;
+        
+        super.resume();
+        this.countdown.resume();
+        this.spawnMoles();
+    }
+    
+    reset() {
+        this.resetGame();
+    }
+    
     render() {
         this.container.innerHTML = `
             <div class="whack-a-mole-game">
@@ -48,6 +90,10 @@ class WhackAMole {
                     `).join('')}
                 </div>
                 
+                ${this.lastResult && !this.gameActive ? `
+                    <p class="game-message success" id="whack-result">🎉 Game Over! Your score: ${this.lastResult.score} points</p>
+                ` : ''}
+                
                 <div class="game-controls">
                     <button class="btn" id="start-btn">${this.gameActive ? 'Stop Game' : 'Start Game'}</button>
                     <button class="btn" id="reset-btn">Reset</button>
@@ -55,7 +101,7 @@ class WhackAMole {
                 
                 <div class="game-instructions">
                     <p>🐹 Click the moles as they pop up!</p>
-                    <p>⏱️ You have 30 seconds to score as many points as possible</p>
+                    <p>⏱️ You have ${this.settings.timeLimit} seconds to score as many points as possible</p>
                     <p>🎯 Each mole is worth 10 points</p>
                 </div>
             </div>
@@ -88,24 +134,32 @@ class WhackAMole {
     
     startGame() {
         this.gameActive = true;
-        this.timeLeft = 30;
+        this.lastResult = null;
+        this.timeLeft = this.settings.timeLimit;
         this.score = 0;
         this.activeMoles.clear();
+        this.setStatus('running');
         
+        this.startTimers();
+        this.render();
+        this.attachEventListeners();
+    }
+    
+    startTimers() {
         // Start timer
-        this.gameInterval = setInterval(() => {
-            this.timeLeft--;
-            this.updateDisplay();
-            
-            if (this.timeLeft <= 0) {
-                this.endGame();
-            }
-        }, 1000);
+        this.countdown.start();
         
         // Start spawning moles
         this.spawnMoles();
-        this.render();
-        this.attachEventListeners();
+    }
+    
+    tick() {
+        this.timeLeft--;
+        this.updateDisplay();
+        
+        if (this.timeLeft <= 0) {
+            this.endGame();
+        }
     }
     
     stopGame() {
@@ -113,6 +167,7 @@ class WhackAMole {
         this.clearIntervals();
         this.activeMoles.clear();
         this.moles.fill(false);
+        this.setStatus('idle');
         this.render();
         this.attachEventListeners();
     }
@@ -122,18 +177,19 @@ class WhackAMole {
         this.clearIntervals();
         this.activeMoles.clear();
         this.moles.fill(false);
+        this.endRound({ score: this.score });
         
-        setTimeout(() => {
-            alert(`🎉 Game Over! Your score: ${this.score} points!`);
-            this.render();
-            this.attachEventListeners();
-        }, 100);
+        // Show the result under the holes
+        this.lastResult = { score: this.score };
+        this.render();
+        this.attachEventListeners();
     }
     
     resetGame() {
+        this.lastResult = null;
         this.stopGame();
         this.score = 0;
-        this.timeLeft = 30;
+        this.timeLeft = this.settings.timeLimit;
         this.render();
         this.attachEventListeners();
     }
@@ -141,10 +197,10 @@ class WhackAMole {
     spawnMoles() {
         if (!this.gameActive) return;
         
-        // Spawn a new mole every 800-1500ms
-        const spawnDelay = Math.random() * 700 + 800;
+        // Spawn a new mole every spawnDelay to ~1.9x spawnDelay ms (800-1500ms on normal)
+        const spawnDelay = Math.random() * this.settings.spawnDelay * 0.875 + this.settings.spawnDelay;
         
-        setTimeout(() => {
+        this.spawnTimeout = setTimeout(() => {
             if (this.gameActive) {
                 this.showRandomMole();
                 this.spawnMoles();
@@ -176,8 +232,8 @@ class WhackAMole {
             moleElement.classList.add('active');
         }
         
-        // Hide mole after 1-2 seconds
-        const hideDelay = Math.random() * 1000 + 1000;
+        // Hide mole after moleTime to twice moleTime (1-2 seconds on normal)
+        const hideDelay = Math.random() * this.settings.moleTime + this.settings.moleTime;
         setTimeout(() => {
             this.hideMole(randomHole);
         }, hideDelay);
@@ -194,7 +250,7 @@ class WhackAMole {
     }
     
     handleMoleClick(event) {
-        if (!this.gameActive) return;
+        if (!this.gameActive || this.status !== 'running') return;
         
         const mole = event.target.closest('.mole');
         if (!mole || !mole.classList.contains('active')) return;
@@ -224,21 +280,24 @@ class WhackAMole {
     }
     
     clearIntervals() {
-        if (this.gameInterval) {
-            clearInterval(this.gameInterval);
-            this.gameInterval = null;
-        }
+        this.countdown.stop();
+        this.stopSpawning();
+    }
+    
+    stopSpawning() {
         if (this.moleInterval) {
             clearInterval(this.moleInterval);
             this.moleInterval = null;
         }
+        if (this.spawnTimeout) {
+            clearTimeout(this.spawnTimeout);
+            this.spawnTimeout = null;
+        }
     }
     
     destroy() {
         this.clearIntervals();
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
+        super.destroy();
     }
 }
 
@@ -250,4 +309,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
     window.WhackAMole = WhackAMole;
+    if (window.gameRegistry) {
+        window.gameRegistry.register('whack-a-mole', WhackAMole);
+    }
 }
\ No newline at end of file
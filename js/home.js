@@ -4,156 +4,31 @@
  */
 class GameHub {
     constructor() {
-        this.games = [
-            {
-                id: 'tic-tac-toe',
-                title: 'Tic Tac Toe',
-                description: 'Classic strategy game',
-                icon: '⭕',
-                color: '#e74c3c',
-                className: 'TicTacToe'
-            },
-            {
-                id: 'snake',
-                title: 'Snake Game',
-                description: 'Eat and grow longer',
-                icon: '🐍',
-                color: '#27ae60',
-                className: 'SnakeGame'
-            },
-            {
-                id: 'memory',
-                title: 'Memory Game',
-                description: 'Match the pairs',
-                icon: '🧠',
-                color: '#9b59b6',
-                className: 'MemoryGame'
-            },
-            {
-                id: 'rps',
-                title: 'Rock Paper Scissors',
-                description: 'Beat the computer',
-                icon: '✂️',
-                color: '#f39c12',
-                className: 'RockPaperScissors'
-            },
-            {
-                id: 'guess',
-                title: 'Guess Number',
-                description: 'Find the secret number',
-                icon: '🎲',
-                color: '#3498db',
-                className: 'GuessNumber'
-            },
-            {
-                id: 'sudoku',
-                title: 'Sudoku 4×4',
-                description: 'Solve the puzzle',
-                icon: '🧩',
-                color: '#e67e22',
-                className: 'Sudoku4x4'
-            },
-            {
-                id: 'typing',
-                title: 'Typing Test',
-                description: 'Test your speed',
-                icon: '⌨️',
-                color: '#1abc9c',
-                className: 'TypingSpeedTest'
-            },
-            {
-                id: '2048',
-                title: '2048',
-                description: 'Combine tiles to reach 2048',
-                icon: '🔢',
-                color: '#f39c12',
-                className: 'Game2048'
-            },
-            {
-                id: 'whack-a-mole',
-                title: 'Whack-a-Mole',
-                description: 'Click moles before they disappear',
-                icon: '🐹',
-                color: '#8b4513',
-                className: 'WhackAMole'
-            },
-            {
-                id: 'reaction-time',
-                title: 'Reaction Time',
-                description: 'Test your reflexes',
-                icon: '⚡',
-                color: '#e74c3c',
-                className: 'ReactionTime'
-            },
-            {
-                id: 'flappy-bird',
-                title: 'Flappy Bird',
-                description: 'Avoid obstacles to keep flying',
-                icon: '🐦',
-                color: '#3498db',
-                className: 'FlappyBird'
-            },
-            {
-                id: 'balloon-pop',
-                title: 'Balloon Pop',
-                description: 'Pop balloons that float up',
-                icon: '🎈',
-                color: '#e91e63',
-                className: 'BalloonPop'
-            },
-            {
-                id: 'math-quiz',
-                title: 'Math Quiz',
-                description: 'Timed arithmetic problems',
-                icon: '🧮',
-                color: '#9c27b0',
-                className: 'MathQuiz'
-            },
-            {
-                id: 'color-match',
-                title: 'Color Match',
-                description: 'Stroop effect challenge',
-                icon: '🎨',
-                color: '#ff5722',
-                className: 'ColorMatch'
-            },
-            {
-                id: 'sliding-puzzle',
-                title: 'Sliding Puzzle',
-                description: 'Arrange tiles in order',
-                icon: '🧩',
-                color: '#607d8b',
-                className: 'SlidingPuzzle'
-            },
-            {
-                id: 'breakout',
-                title: 'Breakout',
-                description: 'Break bricks with paddle and ball',
-                icon: '🧱',
-                color: '#795548',
-                className: 'Breakout'
-            },
-            {
-                id: 'dodge-blocks',
-                title: 'Dodge Blocks',
-                description: 'Avoid falling obstacles',
-                icon: '🏃',
-                color: '#ff9800',
-                className: 'DodgeBlocks'
-            }
-        ];
+        this.catalog = new MiniGameCatalog();
+        this.progressManager = new ProgressManager();
+        this.games = [];
         
         this.currentGame = null;
         this.currentGameInstance = null;
+        this.difficultyPicker = null;
+        this.pauseController = null;
         this.isFullscreen = false;
         
-        this.init();
+        this.ready = this.init();
     }
     
-    init() {
-        this.renderGameTiles();
+    async init() {
         this.setupEventListeners();
         this.setupFullscreenAPI();
+        
+        try {
+            this.games = await this.catalog.load();
+        } catch (error) {
+            this.showCatalogError(error.message);
+            return;
+        }
+        
+        this.renderGameTiles();
     }
     
     renderGameTiles() {
@@ -171,6 +46,7 @@ class GameHub {
                     <div class="game-icon">${game.icon}</div>
                     <h3 class="game-title">${game.title}</h3>
                     <p class="game-description">${game.description}</p>
+                    ${this.renderTileStats(game)}
                     <div class="play-overlay">
                         <span class="play-text">▶ PLAY</span>
                     </div>
@@ -179,6 +55,37 @@ class GameHub {
         `).join('');
     }
     
+    renderTileStats(game) {
+        if (!window.scoreStore) return '';
+        
+        const stats = window.scoreStore.getGameStats(game.id);
+        if (stats.plays === 0 && stats.best === null) return '';
+        
+        const best = stats.best !== null
+            ? `🏆 ${stats.best}${game.scoreUnit ? ' ' + game.scoreUnit : ''}`
+            : '';
+        const plays = `${stats.plays} ${stats.plays === 1 ? 'play' : 'plays'}`;
+        
+        return `
+            <div class="game-tile-stats">
+                ${best ? `<span class="tile-best">${best}</span>` : ''}
+                <span class="tile-plays">${plays}</span>
+            </div>
+        `;
+    }
+    
+    showCatalogError(errorMessage) {
+        const gamesGrid = document.getElementById('games-grid');
+        if (!gamesGrid) return;
+        
+        gamesGrid.innerHTML = `
+            <div class="game-error">
+                <h3>Error loading games</h3>
+                <p>There was a problem loading the game list: ${errorMessage}</p>
+            </div>
+        `;
+    }
+    
     setupEventListeners() {
         // Game tile clicks
         document.addEventListener('click', (e) => {
@@ -189,8 +96,20 @@ class GameHub {
             }
         });
         
+        // Start fetching a game's script as soon as the player points at its tile
+        document.addEventListener('mouseover', (e) => {
+            const gameTile = e.target.closest('.game-tile');
+            const game = gameTile && this.catalog.getGame(gameTile.dataset.gameId);
+            if (game) {
+                this.catalog.loadScript(game).catch(() => {});
+            }
+        });
+        
         // Keyboard navigation for tiles
         document.addEventListener('keydown', (e) => {
+            // AccessibilityManager already clicked the tile for us
+            if (e.defaultPrevented) return;
+            
             const gameTile = e.target.closest('.game-tile');
             if (gameTile && (e.key === 'Enter' || e.key === ' ')) {
                 e.preventDefault();
@@ -211,6 +130,25 @@ class GameHub {
             fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
         }
         
+        // Leaderboard panel
+        const leaderboardBtn = document.getElementById('leaderboard-btn');
+        if (leaderboardBtn) {
+            leaderboardBtn.addEventListener('click', () => this.toggleLeaderboard());
+        }
+        
+        const difficultyFilter = document.getElementById('leaderboard-difficulty');
+        if (difficultyFilter) {
+            difficultyFilter.addEventListener('change', () => this.renderLeaderboard());
+        }
+        
+        if (window.scoreStore) {
+            window.scoreStore.onChange(gameId => {
+                if (this.currentGame && gameId === this.currentGame.id) {
+                    this.renderLeaderboard();
+                }
+            });
+        }
+        
         // Escape key to exit game
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.currentGame) {
@@ -232,14 +170,52 @@ class GameHub {
                 this.showAbout();
             });
         });
+        
+        // Achievements page navigation
+        const achievementLinks = document.querySelectorAll('a[href="#achievements"]');
+        achievementLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showAchievements();
+            });
+        });
+        
+        // Progress export and import
+        const exportBtn = document.getElementById('export-progress-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportProgress());
+        }
+        
+        const importBtn = document.getElementById('import-progress-btn');
+        const importInput = document.getElementById('import-progress-input');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                const file = importInput.files[0];
+                // Clear the input so picking the same file again still fires change
+                importInput.value = '';
+                if (file) {
+                    this.importProgress(file);
+                }
+            });
+        }
+        
+        // Keep the achievements page current when a badge unlocks
+        if (window.achievementManager) {
+            window.achievementManager.onUnlock(() => this.renderAchievements());
+        }
     }
     
     showAbout() {
+        this.pauseCurrentGame();
+        
         const aboutSection = document.getElementById('about');
         const mainContent = document.getElementById('main-content');
+        const achievementsSection = document.getElementById('achievements');
         
         if (aboutSection) aboutSection.style.display = 'block';
         if (mainContent) mainContent.style.display = 'none';
+        if (achievementsSection) achievementsSection.style.display = 'none';
         
         // Scroll to top
         window.scrollTo(0, 0);
@@ -256,6 +232,102 @@ class GameHub {
         window.scrollTo(0, 0);
     }
     
+    showAchievements() {
+        const achievementsSection = document.getElementById('achievements');
+        const mainContent = document.getElementById('main-content');
+        const aboutSection = document.getElementById('about');
+        
+        this.pauseCurrentGame();
+        this.renderAchievements();
+        
+        if (achievementsSection) achievementsSection.style.display = 'block';
+        if (mainContent) mainContent.style.display = 'none';
+        if (aboutSection) aboutSection.style.display = 'none';
+        
+        // Scroll to top
+        window.scrollTo(0, 0);
+    }
+    
+    hideAchievements() {
+        const achievementsSection = document.getElementById('achievements');
+        const mainContent = document.getElementById('main-content');
+        
+        if (achievementsSection) achievementsSection.style.display = 'none';
+        if (mainContent) mainContent.style.display = 'block';
+        
+        // Scroll to top
+        window.scrollTo(0, 0);
+    }
+    
+    renderAchievements() {
+        const grid = document.getElementById('achievements-grid');
+        const summary = document.getElementById('achievements-summary');
+        if (!grid || !window.achievementManager) return;
+        
+        const achievements = window.achievementManager.getAll();
+        const unlockedCount = achievements.filter(a => a.unlockedAt).length;
+        
+        if (summary) {
+            summary.textContent = `${unlockedCount} of ${achievements.length} unlocked`;
+        }
+        
+        grid.innerHTML = achievements.map(achievement => {
+            const game = this.catalog.getGame(achievement.gameId);
+            const status = achievement.unlockedAt
+                ? `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`
+                : 'Locked';
+            
+            return `
+                <li class="achievement-card ${achievement.unlockedAt ? 'unlocked' : 'locked'}">
+                    <span class="achievement-icon" aria-hidden="true">${achievement.icon}</span>
+                    <div class="achievement-info">
+                        <h3>${achievement.title}</h3>
+                        <p>${achievement.description}</p>
+                        <small>${game ? game.title + ' · ' : ''}${status}</small>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    exportProgress() {
+        try {
+            const fileName = this.progressManager.exportToFile();
+            this.showProgressStatus(`Progress saved to ${fileName}`);
+        } catch (error) {
+            console.error('Error exporting progress:', error);
+            this.showProgressStatus(`Export failed: ${error.message}`, true);
+        }
+    }
+    
+    async importProgress(file) {
+        try {
+            const isLowerBetter = gameId => {
+                const game = this.catalog.getGame(gameId);
+                return !!game && game.scoreOrder === 'lower';
+            };
+            const summary = await this.progressManager.importFromFile(file, isLowerBetter);
+            
+            this.renderAchievements();
+            this.renderGameTiles();
+            this.showProgressStatus(
+                `Imported progress for ${summary.games} ${summary.games === 1 ? 'game' : 'games'} ` +
+                `and ${summary.achievements} new ${summary.achievements === 1 ? 'achievement' : 'achievements'}`
+            );
+        } catch (error) {
+            console.error('Error importing progress:', error);
+            this.showProgressStatus(`Import failed: ${error.message}`, true);
+        }
+    }
+    
+    showProgressStatus(message, isError = false) {
+        const status = document.getElementById('progress-backup-status');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
     setupFullscreenAPI() {
         // Check if fullscreen is supported
         const fullscreenBtn = document.getElementById('fullscreen-btn');
@@ -302,34 +374,46 @@ class GameHub {
         document.body.classList.add('game-active');
     }
     
-    initializeGame(game) {
+    async initializeGame(game) {
         const gameContentArea = document.getElementById('game-content-area');
         if (!gameContentArea) return;
         
-        // Clear previous game
+        // Clear previous game and show a loading state until the script arrives
         gameContentArea.innerHTML = `
             <div class="game-container">
-                <div id="current-game-container"></div>
+                <div id="current-game-container">
+                    <div class="loading" role="status">
+                        <div class="loading-spinner"></div>
+                        <p>Loading ${game.title}...</p>
+                    </div>
+                </div>
             </div>
         `;
         
-        // Wait a moment for DOM to update, then create game instance
-        setTimeout(() => {
-            try {
-                const GameClass = window[game.className];
-                if (GameClass) {
-                    console.log(`Initializing ${game.className}...`);
-                    this.currentGameInstance = new GameClass('current-game-container');
-                    console.log(`${game.className} initialized successfully`);
-                } else {
-                    console.error(`Game class ${game.className} not found`);
-                    this.showGameError(game, 'Game class not found');
-                }
-            } catch (error) {
-                console.error('Error initializing game:', error);
-                this.showGameError(game, error.message);
-            }
-        }, 100);
+        try {
+            // Loaded scripts are cached by the catalog, so replays start instantly
+            await this.catalog.loadScript(game);
+            
+            // The player may have left (or reopened the game) while the script was loading
+            if (this.currentGame !== game || this.currentGameInstance) return;
+            
+            console.log(`Initializing ${game.id}...`);
+            this.currentGameInstance = window.gameRegistry.create(game.id, 'current-game-container');
+            this.difficultyPicker = new DifficultyPicker(document.getElementById('difficulty-bar'), this.currentGameInstance);
+            this.pauseController = new PauseController(this.currentGameInstance);
+            
+            // Show the board for the difficulty being played
+            this.showLeaderboardFor(this.currentGameInstance.getDifficulty());
+            this.currentGameInstance.on('settingschange', ({ difficulty }) => {
+                this.showLeaderboardFor(difficulty);
+            });
+            console.log(`${game.id} initialized successfully`);
+        } catch (error) {
+            if (this.currentGame !== game) return;
+            
+            console.error('Error initializing game:', error);
+            this.showGameError(game, error.message);
+        }
     }
     
     showGameError(game, errorMessage) {
@@ -345,12 +429,30 @@ class GameHub {
         }
     }
     
+    /**
+     * Pause the open game if it is running, e.g. before the view changes under it
+     */
+    pauseCurrentGame() {
+        if (this.currentGameInstance && this.currentGameInstance.status === 'running') {
+            this.currentGameInstance.pause();
+        }
+    }
+    
     exitGame() {
         // Clean up current game
-        if (this.currentGameInstance && typeof this.currentGameInstance.destroy === 'function') {
+        if (this.currentGameInstance) {
             this.currentGameInstance.destroy();
         }
         this.currentGameInstance = null;
+        if (this.difficultyPicker) {
+            this.difficultyPicker.destroy();
+            this.difficultyPicker = null;
+        }
+        if (this.pauseController) {
+            this.pauseController.destroy();
+            this.pauseController = null;
+        }
+        this.toggleLeaderboard(false);
         
         // Exit fullscreen if active
         if (this.isFullscreen) {
@@ -369,6 +471,9 @@ class GameHub {
         // Remove body class
         document.body.classList.remove('game-active');
         
+        // Refresh bests and play counts from the finished session
+        this.renderGameTiles();
+        
         // Track analytics before clearing currentGame
         if (typeof gtag !== 'undefined' && this.currentGame) {
             gtag('event', 'game_exit', {
@@ -380,6 +485,81 @@ class GameHub {
         this.currentGame = null;
     }
     
+    toggleLeaderboard(show) {
+        const panel = document.getElementById('leaderboard-panel');
+        const button = document.getElementById('leaderboard-btn');
+        if (!panel) return;
+        
+        const visible = show !== undefined ? show : panel.hidden;
+        panel.hidden = !visible;
+        if (button) {
+            button.setAttribute('aria-expanded', String(visible));
+            button.setAttribute('aria-label', visible ? 'Hide leaderboard' : 'Show leaderboard');
+        }
+        
+        if (visible) {
+            this.renderLeaderboard();
+        }
+    }
+    
+    /**
+     * Point the leaderboard's difficulty filter at a difficulty
+     * @param {string} difficulty - Difficulty id
+     */
+    showLeaderboardFor(difficulty) {
+        const filter = document.getElementById('leaderboard-difficulty');
+        if (filter) filter.value = difficulty;
+        this.renderLeaderboard();
+    }
+    
+    renderLeaderboard() {
+        const panel = document.getElementById('leaderboard-panel');
+        const content = document.getElementById('leaderboard-content');
+        const filter = document.getElementById('leaderboard-difficulty');
+        if (!panel || panel.hidden || !content || !this.currentGame || !window.scoreStore) return;
+        
+        const difficulty = filter && filter.value ? filter.value : null;
+        const lowerIsBetter = !!this.currentGameInstance && this.currentGameInstance.scoreOrder === 'lower';
+        const entries = window.scoreStore.getLeaderboard(this.currentGame.id, difficulty, lowerIsBetter);
+        const unit = this.currentGame.scoreUnit ? ` ${this.currentGame.scoreUnit}` : '';
+        
+        if (entries.length === 0) {
+            content.innerHTML = '<p class="leaderboard-empty">No scores yet - finish a round to get on the board!</p>';
+            return;
+        }
+        
+        content.innerHTML = `
+            <table class="leaderboard-table">
+                <thead>
+                    <tr>
+                        <th scope="col">#</th>
+                        <th scope="col">Player</th>
+                        <th scope="col">Score</th>
+                        <th scope="col">Difficulty</th>
+                        <th scope="col">Date</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map((entry, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${this.escapeHtml(entry.initials)}</td>
+                            <td>${this.escapeHtml(String(entry.score))}${unit}</td>
+                            <td>${this.escapeHtml(entry.difficulty)}</td>
+                            <td>${new Date(entry.date).toLocaleDateString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
     toggleFullscreen() {
         if (this.isFullscreen) {
             this.exitFullscreen();
@@ -403,6 +583,8 @@ class GameHub {
     }
     
     exitFullscreen() {
+        this.pauseCurrentGame();
+        
         const exitFullscreen = document.exitFullscreen || 
                              document.webkitExitFullscreen || 
                              document.mozCancelFullScreen || 
@@ -428,6 +610,11 @@ class GameHub {
         
         // Update body class for fullscreen styling
         document.body.classList.toggle('fullscreen-active', this.isFullscreen);
+        
+        // Leaving fullscreen with the browser's own Escape handling skips exitFullscreen()
+        if (!this.isFullscreen) {
+            this.pauseCurrentGame();
+        }
     }
     
     isFullscreenSupported() {
@@ -442,6 +629,9 @@ class GameHub {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing Game Hub...');
     try {
+        // Created first so its keyboard handling runs before the hub's
+        window.accessibilityManager = new AccessibilityManager();
+        
         window.gameHub = new GameHub();
         console.log('Game Hub initialized successfully');
     } catch (error) {
@@ -457,4 +647,9 @@ if (typeof window !== 'undefined') {
             window.gameHub.hideAbout();
         }
     };
+    window.hideAchievements = function() {
+        if (window.gameHub) {
+            window.gameHub.hideAchievements();
+        }
+    };
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * GameLoop - requestAnimationFrame loop with a fixed-timestep update
+ * Physics advances in fixed steps (60 per second by default), however often
+ * the display refreshes, so a game plays the same at 60Hz and 144Hz and
+ * isn't sped up or slowed down by timer jitter. Each frame draws once,
+ * with an alpha saying how far the frame sits between the last two updates
+ * so moving objects can be interpolated instead of stuttering.
+ */
+class GameLoop {
+    /**
+     * @param {Object} options
+     * @param {Function} options.update - Called with the step length in seconds
+     * @param {Function} options.render - Called once per frame with alpha (0 to 1)
+     * @param {number} options.stepsPerSecond - Update rate, 60 by default
+     * @param {Function} options.requestFrame - Frame scheduler, requestAnimationFrame by default
+     * @param {Function} options.cancelFrame - Cancels a scheduled frame
+     */
+    constructor({ update, render = () => {}, stepsPerSecond = 60, requestFrame, cancelFrame }) {
+        this.update = update;
+        this.render = render;
+        this.step = 1000 / stepsPerSecond;
+
+        // Frames longer than this (a background tab, a debugger pause) are
+        // clamped so the game doesn't try to catch up in one burst
+        this.maxFrameTime = 250;
+
+        this.requestFrame = requestFrame || (callback => window.requestAnimationFrame(callback));
+        this.cancelFrame = cancelFrame || (id => window.cancelAnimationFrame(id));
+        this.frame = this.frame.bind(this);
+
+        this.running = false;
+        this.frameId = null;
+        this.lastTime = null;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Start updating and rendering; the first frame only sets the clock
+     */
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.lastTime = null;
+        this.accumulator = 0;
+        this.frameId = this.requestFrame(this.frame);
+    }
+
+    /**
+     * Stop the loop; safe to call from inside update() or render()
+     */
+    stop() {
+        this.running = false;
+        if (this.frameId !== null) {
+            this.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Whether frames are being scheduled
+     * @returns {boolean} True between start() and stop()
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Run the updates due since the last frame, then render
+     * @param {number} now - Frame timestamp in milliseconds
+     */
+    frame(now) {
+        this.frameId = null;
+        if (!this.running) return;
+
+        if (this.lastTime === null) {
+            this.lastTime = now;
+        }
+        this.accumulator += Math.min(now - this.lastTime, this.maxFrameTime);
+        this.lastTime = now;
+
+        // The tolerance stops float rounding in the timestamps from
+        // deferring a step that is due to the next frame
+        while (this.accumulator >= this.step - 1e-6) {
+            this.update(this.step / 1000);
+            this.accumulator -= this.step;
+
+            // update() may end the game or tear it down
+            if (!this.running) return;
+        }
+
+        this.render(Math.max(0, this.accumulator / this.step));
+        this.frameId = this.requestFrame(this.frame);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameLoop;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.GameLoop = GameLoop;
+}
@@ -54,9 +54,12 @@ class ImageOptimizer {
 
     // Compress image client-side (for user uploads)
     compressImage(file, quality = 0.8, maxWidth = 1200, maxHeight = 800) {
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             const img = new Image();
+            const url = URL.createObjectURL(file);
             img.onload = () => {
+                URL.revokeObjectURL(url);
+                
                 // Calculate new dimensions
                 let { width, height } = this.calculateDimensions(
                     img.width, 
@@ -72,10 +75,17 @@ class ImageOptimizer {
                 // Draw and compress
                 this.ctx.drawImage(img, 0, 0, width, height);
                 
-                this.canvas.toBlob(resolve, 'image/jpeg', quality);
+                this.canvas.toBlob(blob => {
+                    if (blob) resolve(blob);
+                    else reject(new Error('Image could not be compressed'));
+                }, 'image/jpeg', quality);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image could not be loaded'));
             };
             
-            img.src = URL.createObjectURL(file);
+            img.src = url;
         });
     }
 
@@ -224,4 +234,9 @@ class ImageOptimizer {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ImageOptimizer;
-}
\ No newline at end of file
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ImageOptimizer = ImageOptimizer;
+}
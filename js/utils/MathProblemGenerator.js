@@ -0,0 +1,277 @@
+/**
+ * MathProblemGenerator - Problems for the Math Quiz, by topic
+ * Each problem is { question, answer, operation }. Answers are integers,
+ * except fraction answers, which are strings such as '5/6'. Operand sizes
+ * come from two ranges: addMax for adding and subtracting, timesMax for
+ * multiplying and dividing. Adaptive play scales both by a level.
+ */
+const MATH_TOPICS = [
+    { id: 'arithmetic', label: '➕ Mixed' },
+    { id: 'times-tables', label: '✖️ Times tables' },
+    { id: 'fractions', label: '½ Fractions' },
+    { id: 'negatives', label: '➖ Negatives' },
+    { id: 'percentages', label: '% Percentages' },
+    { id: 'squares-roots', label: '√ Squares & roots' },
+    { id: 'order-of-operations', label: '( ) Order of operations' }
+];
+
+// Report labels, in the order the report lists them
+const MATH_OPERATIONS = {
+    add: 'Addition',
+    subtract: 'Subtraction',
+    multiply: 'Multiplication',
+    divide: 'Division',
+    fraction: 'Fractions',
+    percent: 'Percentages',
+    square: 'Squares',
+    root: 'Square roots',
+    order: 'Order of operations'
+};
+
+// Adaptive levels scale the operand ranges by 1.25 per level either way
+const MATH_LEVEL_RANGE = { min: -4, max: 4 };
+const MATH_LEVEL_STEP = 1.25;
+
+// The last few answers decide whether to step up or down
+const MATH_ADAPTIVE_WINDOW = 5;
+const MATH_FAST_ANSWER = 6000;
+const MATH_SLOW_ANSWER = 15000;
+
+const MATH_FRACTION_DENOMINATORS = [2, 3, 4, 5, 6, 8, 10, 12];
+const MATH_PERCENTS = [5, 10, 20, 25, 30, 40, 50, 60, 75, 80, 90];
+
+class MathProblemGenerator {
+    /**
+     * @param {Function} [random] - Random source, Math.random by default
+     */
+    constructor(random = Math.random) {
+        this.random = random;
+    }
+
+    /**
+     * @param {string[]} topics - Topic ids to pick from
+     * @param {{addMax: number, timesMax: number}} ranges - Largest operands
+     * @returns {{question: string, answer: number|string, operation: string}}
+     */
+    generate(topics, ranges) {
+        const known = topics.filter(id => MATH_TOPICS.some(topic => topic.id === id));
+        const topic = known.length > 0 ? this.pick(known) : 'arithmetic';
+
+        switch (topic) {
+            case 'times-tables': return this.timesTable(ranges);
+            case 'fractions': return this.fraction(ranges);
+            case 'negatives': return this.negative(ranges);
+            case 'percentages': return this.percentage(ranges);
+            case 'squares-roots': return this.squareOrRoot(ranges);
+            case 'order-of-operations': return this.orderOfOperations(ranges);
+            default: return this.arithmetic(ranges);
+        }
+    }
+
+    /**
+     * @returns {number} Whole number from min to max inclusive
+     */
+    int(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    arithmetic({ addMax, timesMax }) {
+        const operation = this.pick(['add', 'subtract', 'multiply', 'divide']);
+        const half = Math.ceil(addMax / 2);
+
+        switch (operation) {
+            case 'add': {
+                const a = this.int(1, addMax);
+                const b = this.int(1, addMax);
+                return { question: `${a} + ${b}`, answer: a + b, operation };
+            }
+            case 'subtract': {
+                // Keep answers positive: the first operand is always the larger
+                const a = this.int(half, addMax + half - 1);
+                const b = this.int(1, half);
+                return { question: `${a} − ${b}`, answer: a - b, operation };
+            }
+            case 'multiply': {
+                const a = this.int(1, timesMax);
+                const b = this.int(1, timesMax);
+                return { question: `${a} × ${b}`, answer: a * b, operation };
+            }
+            default: {
+                // Ensure clean division
+                const answer = this.int(1, timesMax);
+                const b = this.int(1, timesMax);
+                return { question: `${answer * b} ÷ ${b}`, answer, operation };
+            }
+        }
+    }
+
+    timesTable({ timesMax }) {
+        const table = this.int(2, Math.max(2, timesMax));
+        const times = this.int(1, 12);
+        return { question: `${times} × ${table}`, answer: times * table, operation: 'multiply' };
+    }
+
+    fraction({ timesMax }) {
+        const denominators = MATH_FRACTION_DENOMINATORS.filter(d => d <= Math.max(4, timesMax));
+        let [a, b] = [this.pick(denominators), this.pick(denominators)]
+            .map(den => ({ num: this.int(1, den - 1), den }));
+
+        const add = this.random() < 0.5;
+        // Subtract the smaller fraction, so answers stay positive
+        if (!add && a.num * b.den < b.num * a.den) {
+            [a, b] = [b, a];
+        }
+
+        const num = add ? a.num * b.den + b.num * a.den : a.num * b.den - b.num * a.den;
+        return {
+            question: `${a.num}/${a.den} ${add ? '+' : '−'} ${b.num}/${b.den}`,
+            answer: MathProblemGenerator.formatFraction(num, a.den * b.den),
+            operation: 'fraction'
+        };
+    }
+
+    negative({ addMax, timesMax }) {
+        const operation = this.pick(['add', 'subtract', 'multiply']);
+        const limit = operation === 'multiply' ? timesMax : Math.ceil(addMax / 2);
+        // Whole numbers from -limit to limit, skipping zero, at least one negative
+        const signed = () => this.int(1, limit) * (this.random() < 0.5 ? -1 : 1);
+        const a = signed();
+        const b = a > 0 ? -this.int(1, limit) : signed();
+        const show = n => (n < 0 ? `(−${-n})` : `${n}`);
+        const first = a < 0 ? `−${-a}` : `${a}`;
+
+        switch (operation) {
+            case 'add': return { question: `${first} + ${show(b)}`, answer: a + b, operation };
+            case 'subtract': return { question: `${first} − ${show(b)}`, answer: a - b, operation };
+            default: return { question: `${first} × ${show(b)}`, answer: a * b, operation };
+        }
+    }
+
+    percentage({ addMax }) {
+        const percent = this.pick(MATH_PERCENTS);
+        // The smallest whole that the percentage divides cleanly
+        const unit = 100 / MathProblemGenerator.gcd(percent, 100);
+        const whole = unit * this.int(1, Math.max(1, Math.floor(addMax * 2 / unit)));
+        return { question: `${percent}% of ${whole}`, answer: whole * percent / 100, operation: 'percent' };
+    }
+
+    squareOrRoot({ timesMax }) {
+        const n = this.int(1, Math.max(3, timesMax));
+        return this.random() < 0.5
+            ? { question: `${n}²`, answer: n * n, operation: 'square' }
+            : { question: `√${n * n}`, answer: n, operation: 'root' };
+    }
+
+    orderOfOperations({ addMax, timesMax }) {
+        const a = this.int(1, addMax);
+        const b = this.int(2, Math.max(2, timesMax));
+        const c = this.int(2, Math.max(2, timesMax));
+
+        switch (this.int(0, 3)) {
+            case 0: return { question: `${a} + ${b} × ${c}`, answer: a + b * c, operation: 'order' };
+            case 1: {
+                // Take away no more than the product, so answers stay positive
+                const taken = Math.min(a, b * c);
+                return { question: `${b} × ${c} − ${taken}`, answer: b * c - taken, operation: 'order' };
+            }
+            case 2: return { question: `(${a} + ${b}) × ${c}`, answer: (a + b) * c, operation: 'order' };
+            default: {
+                // a plus a clean quotient
+                const product = b * c;
+                return { question: `${a} + ${product} ÷ ${c}`, answer: a + b, operation: 'order' };
+            }
+        }
+    }
+
+    /**
+     * @param {string} text - What the player typed: a whole number, a
+     *     decimal or a fraction such as '3/4'
+     * @returns {number|null} Its value, or null if it isn't a number
+     */
+    static parseAnswer(text) {
+        const trimmed = String(text).trim().replace(/^[−–]/, '-');
+        const fraction = trimmed.match(/^(-?\d+)\s*\/\s*(\d+)$/);
+        if (fraction) {
+            const den = parseInt(fraction[2]);
+            return den === 0 ? null : parseInt(fraction[1]) / den;
+        }
+        return /^-?(\d+\.?\d*|\.\d+)$/.test(trimmed) ? parseFloat(trimmed) : null;
+    }
+
+    /**
+     * Equivalent fractions and decimals count, so 2/4 and 0.5 both answer 1/2
+     * @param {Object} problem - Problem from generate()
+     * @param {number} value - Value from parseAnswer()
+     * @returns {boolean}
+     */
+    static isCorrect(problem, value) {
+        const answer = MathProblemGenerator.parseAnswer(problem.answer);
+        return value !== null && Math.abs(value - answer) < 1e-9;
+    }
+
+    static gcd(a, b) {
+        return b === 0 ? Math.abs(a) : MathProblemGenerator.gcd(b, a % b);
+    }
+
+    /**
+     * @returns {number|string} The fraction in lowest terms, or a whole number
+     */
+    static formatFraction(num, den) {
+        const divisor = MathProblemGenerator.gcd(num, den) || 1;
+        const [n, d] = [num / divisor, den / divisor];
+        return d === 1 ? n : `${n}/${d}`;
+    }
+
+    /**
+     * @param {{addMax: number, timesMax: number}} ranges - Ranges at level 0
+     * @param {number} level - Adaptive level
+     * @returns {{addMax: number, timesMax: number}} Ranges at that level
+     */
+    static scaleRanges({ addMax, timesMax }, level) {
+        const factor = Math.pow(MATH_LEVEL_STEP, level);
+        return {
+            addMax: Math.max(5, Math.round(addMax * factor)),
+            timesMax: Math.max(3, Math.round(timesMax * factor))
+        };
+    }
+
+    /**
+     * Step up after quick, accurate answers and down after slow or wrong ones
+     * @param {number} level - Current level
+     * @param {Object[]} recent - Answers at this level as { correct, time },
+     *     time in ms
+     * @returns {number} Level to play next
+     */
+    static nextLevel(level, recent) {
+        if (recent.length < MATH_ADAPTIVE_WINDOW) return level;
+
+        const last = recent.slice(-MATH_ADAPTIVE_WINDOW);
+        const accuracy = last.filter(answer => answer.correct).length / last.length;
+        const averageTime = last.reduce((sum, answer) => sum + answer.time, 0) / last.length;
+
+        if (accuracy >= 0.8 && averageTime <= MATH_FAST_ANSWER) {
+            return Math.min(MATH_LEVEL_RANGE.max, level + 1);
+        }
+        if (accuracy < 0.6 || averageTime > MATH_SLOW_ANSWER) {
+            return Math.max(MATH_LEVEL_RANGE.min, level - 1);
+        }
+        return level;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MathProblemGenerator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.MathProblemGenerator = MathProblemGenerator;
+    window.MATH_TOPICS = MATH_TOPICS;
+    window.MATH_OPERATIONS = MATH_OPERATIONS;
+    window.MATH_LEVEL_RANGE = MATH_LEVEL_RANGE;
+}
@@ -0,0 +1,94 @@
+/**
+ * PausableTimer - Repeating timer that keeps its place across pauses
+ * A plain setInterval restarts from zero after clearInterval, so pausing a
+ * countdown just before a tick hands the player almost a free second.
+ * This timer remembers how long was left until the next tick and waits
+ * exactly that long after resume().
+ */
+class PausableTimer {
+    /**
+     * @param {Function} callback - Called on every tick
+     * @param {number} interval - Milliseconds between ticks
+     */
+    constructor(callback, interval) {
+        this.callback = callback;
+        this.interval = interval;
+        this.timeout = null;
+        this.nextTickAt = 0;
+        this.remaining = interval;
+        this.paused = false;
+    }
+
+    /**
+     * Start ticking from a full interval, discarding any paused progress
+     */
+    start() {
+        this.stop();
+        this.schedule(this.interval);
+    }
+
+    /**
+     * Stop ticking and remember the time left until the next tick
+     */
+    pause() {
+        if (!this.timeout) return;
+
+        clearTimeout(this.timeout);
+        this.timeout = null;
+        this.remaining = Math.max(0, this.nextTickAt - Date.now());
+        this.paused = true;
+    }
+
+    /**
+     * Continue after pause(), ticking once the remembered time has passed
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.schedule(this.remaining);
+    }
+
+    /**
+     * Stop ticking for good
+     */
+    stop() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+        this.paused = false;
+        this.remaining = this.interval;
+    }
+
+    /**
+     * Whether the timer is currently ticking
+     * @returns {boolean} True between start()/resume() and pause()/stop()
+     */
+    isRunning() {
+        return this.timeout !== null;
+    }
+
+    schedule(delay) {
+        this.nextTickAt = Date.now() + delay;
+        this.timeout = setTimeout(() => this.tick(), delay);
+    }
+
+    tick() {
+        // Schedule from the intended tick time so ticks don't drift, and
+        // before the callback so it may stop() or pause() the timer
+        const delay = Math.max(0, this.nextTickAt + this.interval - Date.now());
+        this.schedule(delay);
+        this.callback();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PausableTimer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PausableTimer = PausableTimer;
+}
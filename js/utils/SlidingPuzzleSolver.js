@@ -0,0 +1,272 @@
+/**
+ * SlidingPuzzleSolver - IDA* search for the sliding tile puzzle
+ * The heuristic is Manhattan distance plus linear conflicts (two tiles in
+ * their goal row or column but in the wrong order, so one has to step
+ * aside), which never overestimates and so keeps solutions optimal.
+ * Boards are flat arrays in row order with 0 for the gap. Larger boards
+ * can take too long to solve optimally, so past a node budget the search
+ * is retried with the heuristic weighted up: faster, but no longer
+ * guaranteed shortest.
+ *
+ * Loaded as a page script it defines the class; loaded as a Web Worker it
+ * answers { id, tiles, size, maxNodes } messages with { id, result }.
+ */
+class SlidingPuzzleSolver {
+    /**
+     * @param {number} size - Board side
+     */
+    constructor(size) {
+        this.size = size;
+        this.cellCount = size * size;
+
+        // Goal position of each tile value; tile v belongs at index v - 1
+        this.goalRow = new Int8Array(this.cellCount);
+        this.goalCol = new Int8Array(this.cellCount);
+        for (let value = 1; value < this.cellCount; value++) {
+            this.goalRow[value] = Math.floor((value - 1) / size);
+            this.goalCol[value] = (value - 1) % size;
+        }
+
+        // Distance of every tile value from every cell to its goal
+        this.distances = new Int8Array(this.cellCount * this.cellCount);
+        for (let value = 1; value < this.cellCount; value++) {
+            for (let index = 0; index < this.cellCount; index++) {
+                this.distances[value * this.cellCount + index] =
+                    Math.abs(Math.floor(index / size) - this.goalRow[value]) +
+                    Math.abs(index % size - this.goalCol[value]);
+            }
+        }
+
+        // Scratch space for the conflict count, which runs at every node
+        this.order = new Int8Array(size);
+        this.longest = new Int8Array(size);
+
+        this.neighbours = Array.from({ length: this.cellCount }, (_, index) => {
+            const row = Math.floor(index / size);
+            const col = index % size;
+            const cells = [];
+            if (row > 0) cells.push(index - size);
+            if (row < size - 1) cells.push(index + size);
+            if (col > 0) cells.push(index - 1);
+            if (col < size - 1) cells.push(index + 1);
+            return cells;
+        });
+    }
+
+    /**
+     * Whether the board can reach the goal; half of all arrangements can't
+     * @param {number[]} tiles - Flat board
+     * @returns {boolean} True if solvable
+     */
+    isSolvable(tiles) {
+        let inversions = 0;
+        const values = tiles.filter(value => value !== 0);
+        for (let i = 0; i < values.length; i++) {
+            for (let j = i + 1; j < values.length; j++) {
+                if (values[i] > values[j]) inversions++;
+            }
+        }
+
+        if (this.size % 2 === 1) {
+            return inversions % 2 === 0;
+        }
+        // On even boards the gap's row (counted from the bottom) matters too
+        const gapRowFromBottom = this.size - Math.floor(tiles.indexOf(0) / this.size);
+        return (inversions + gapRowFromBottom) % 2 === 1;
+    }
+
+    isSolved(tiles) {
+        return tiles.every((value, index) => value === (index === this.cellCount - 1 ? 0 : index + 1));
+    }
+
+    /**
+     * Manhattan distance plus linear conflicts
+     * @param {number[]} tiles - Flat board
+     * @returns {number} Lower bound on the moves left
+     */
+    heuristic(tiles) {
+        const board = Int8Array.from(tiles);
+        let total = 0;
+        board.forEach((value, index) => {
+            total += this.distance(value, index);
+        });
+        for (let line = 0; line < this.size; line++) {
+            total += this.rowConflicts(board, line) + this.colConflicts(board, line);
+        }
+        return total;
+    }
+
+    distance(value, index) {
+        return value === 0 ? 0 : this.distances[value * this.cellCount + index];
+    }
+
+    rowConflicts(board, row) {
+        let length = 0;
+        for (let col = 0; col < this.size; col++) {
+            const value = board[row * this.size + col];
+            if (value !== 0 && this.goalRow[value] === row) this.order[length++] = this.goalCol[value];
+        }
+        return this.lineConflicts(length);
+    }
+
+    colConflicts(board, col) {
+        let length = 0;
+        for (let row = 0; row < this.size; row++) {
+            const value = board[row * this.size + col];
+            if (value !== 0 && this.goalCol[value] === col) this.order[length++] = this.goalRow[value];
+        }
+        return this.lineConflicts(length);
+    }
+
+    /**
+     * Two extra moves for every tile that has to leave the line so the
+     * rest can pass: the tiles that stay form the longest increasing run
+     * @param {number} length - Tiles in this.order, the goal positions of
+     *   the line's own tiles in board order
+     * @returns {number} Extra moves
+     */
+    lineConflicts(length) {
+        if (length < 2) return 0;
+
+        const { order, longest } = this;
+        let best = 1;
+        for (let i = 0; i < length; i++) {
+            longest[i] = 1;
+            for (let j = 0; j < i; j++) {
+                if (order[j] < order[i] && longest[j] + 1 > longest[i]) longest[i] = longest[j] + 1;
+            }
+            if (longest[i] > best) best = longest[i];
+        }
+        return (length - best) * 2;
+    }
+
+    /**
+     * Find a move sequence from the board to the goal
+     * @param {number[]} tiles - Flat board
+     * @param {Object} options
+     * @param {number} options.maxNodes - Positions to try per search before weighting up
+     * @param {number[]} options.weights - Heuristic weights to try in turn; 1 is optimal
+     * @returns {Object|null} { moves, optimal, nodes } where moves lists the tile
+     *   value slid into the gap at each step, or null if unsolvable or out of budget
+     */
+    solve(tiles, { maxNodes = 5000000, weights = [1, 1.5, 2, 3, 5] } = {}) {
+        if (!this.isSolvable(tiles)) return null;
+        if (this.isSolved(tiles)) return { moves: [], optimal: true, nodes: 0 };
+
+        let nodes = 0;
+        for (const weight of weights) {
+            const result = this.search(tiles, weight, maxNodes);
+            nodes += result.nodes;
+            if (result.moves) {
+                return { moves: result.moves, optimal: weight === 1, nodes };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * One IDA* run: depth-first searches bounded by g + weight × h, with the
+     * bound raised to the smallest value that overflowed each time
+     */
+    search(tiles, weight, maxNodes) {
+        const size = this.size;
+        const board = Int8Array.from(tiles);
+        const rowLC = new Int8Array(size);
+        const colLC = new Int8Array(size);
+        let distance = 0;
+        let conflicts = 0;
+
+        board.forEach((value, index) => {
+            distance += this.distance(value, index);
+        });
+        for (let line = 0; line < size; line++) {
+            rowLC[line] = this.rowConflicts(board, line);
+            colLC[line] = this.colConflicts(board, line);
+            conflicts += rowLC[line] + colLC[line];
+        }
+
+        const path = [];
+        let nodes = 0;
+        let exhausted = false;
+        const FOUND = -1;
+
+        const dfs = (blank, previous, g, bound) => {
+            const h = distance + conflicts;
+            const f = g + weight * h;
+            if (f > bound) return f;
+            if (h === 0) return FOUND;
+            if (++nodes > maxNodes) {
+                exhausted = true;
+                return Infinity;
+            }
+
+            let next = Infinity;
+            for (const from of this.neighbours[blank]) {
+                if (from === previous) continue;
+
+                const value = board[from];
+                const vertical = from % size === blank % size;
+
+                // Only the lines the tile left and entered can change their conflicts
+                const lineA = vertical ? Math.floor(from / size) : from % size;
+                const lineB = vertical ? Math.floor(blank / size) : blank % size;
+                const lines = vertical ? rowLC : colLC;
+                const savedA = lines[lineA];
+                const savedB = lines[lineB];
+                const savedDistance = distance;
+                const savedConflicts = conflicts;
+
+                // Slide the tile into the gap
+                distance += this.distance(value, blank) - this.distance(value, from);
+                board[blank] = value;
+                board[from] = 0;
+                lines[lineA] = vertical ? this.rowConflicts(board, lineA) : this.colConflicts(board, lineA);
+                lines[lineB] = vertical ? this.rowConflicts(board, lineB) : this.colConflicts(board, lineB);
+                conflicts += lines[lineA] + lines[lineB] - savedA - savedB;
+                path.push(value);
+
+                const result = dfs(from, blank, g + 1, bound);
+                if (result === FOUND) return FOUND;
+                if (result < next) next = result;
+
+                path.pop();
+                board[from] = value;
+                board[blank] = 0;
+                lines[lineA] = savedA;
+                lines[lineB] = savedB;
+                distance = savedDistance;
+                conflicts = savedConflicts;
+
+                if (exhausted) return Infinity;
+            }
+            return next;
+        };
+
+        const start = board.indexOf(0);
+        let bound = weight * (distance + conflicts);
+        while (!exhausted) {
+            const result = dfs(start, -1, 0, bound);
+            if (result === FOUND) return { moves: [...path], nodes };
+            if (result === Infinity) break;
+            bound = result;
+        }
+        return { moves: null, nodes };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlidingPuzzleSolver;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SlidingPuzzleSolver = SlidingPuzzleSolver;
+} else if (typeof self !== 'undefined' && typeof importScripts === 'function') {
+    // Running as a Web Worker
+    self.onmessage = (event) => {
+        const { id, tiles, size, maxNodes } = event.data;
+        const result = new SlidingPuzzleSolver(size).solve(tiles, { maxNodes });
+        self.postMessage({ id, result });
+    };
+}
@@ -0,0 +1,119 @@
+/**
+ * SnakeLevels - Reads the maze levels for Snake from level data
+ * Levels live in data/snake-levels.json so new ones need no code:
+ *
+ *   {
+ *     "levels": [{
+ *       "id": "pillars",            unique id
+ *       "name": "Four Pillars",     shown to the player
+ *       "target": 6,                food to eat to clear the level
+ *       "direction": "right",       up, down, left or right at the start
+ *       "map": ["#....", ...]       square rows: '#' wall, '.' floor,
+ *     }]                            'S' the snake's starting cell
+ *   }
+ *
+ * Cells are [row, col], as on the Snake board.
+ */
+const SNAKE_DIRECTIONS = {
+    up: [-1, 0],
+    down: [1, 0],
+    left: [0, -1],
+    right: [0, 1]
+};
+
+class SnakeLevels {
+    /**
+     * @param {Object} data - Parsed level file
+     * @returns {Object[]} Levels as { id, name, size, target, walls, start, direction }
+     * @throws {Error} If the data or any level is malformed
+     */
+    static parse(data) {
+        if (!data || !Array.isArray(data.levels) || data.levels.length === 0) {
+            throw new Error('Invalid level data: expected a non-empty levels array');
+        }
+
+        const ids = new Set();
+        return data.levels.map((level, index) => {
+            const parsed = SnakeLevels.parseLevel(level, index);
+            if (ids.has(parsed.id)) {
+                throw new Error(`Level ${index + 1} (${parsed.id}): duplicate id`);
+            }
+            ids.add(parsed.id);
+            return parsed;
+        });
+    }
+
+    static parseLevel(level, index) {
+        const label = `Level ${index + 1} (${level && level.id || 'unknown'})`;
+        const fail = message => {
+            throw new Error(`${label}: ${message}`);
+        };
+
+        if (!level || typeof level.id !== 'string' || typeof level.name !== 'string') {
+            fail('id and name are required');
+        }
+        if (!Number.isInteger(level.target) || level.target < 1) {
+            fail('target should be a whole number of food, at least 1');
+        }
+
+        const map = level.map;
+        const size = Array.isArray(map) ? map.length : 0;
+        if (size < 8 || size > 20) {
+            fail('map should have 8 to 20 rows');
+        }
+        if (!map.every(row => typeof row === 'string' && row.length === size)) {
+            fail(`map should be square: every row ${size} cells long`);
+        }
+
+        const walls = [];
+        const starts = [];
+        let floor = 0;
+        map.forEach((row, r) => {
+            [...row].forEach((cell, c) => {
+                if (cell === '#') walls.push([r, c]);
+                else if (cell === 'S') starts.push([r, c]);
+                else if (cell === '.') floor++;
+                else fail(`unknown cell '${cell}' at row ${r + 1}, column ${c + 1}`);
+            });
+        });
+
+        if (starts.length !== 1) {
+            fail('map should have exactly one S');
+        }
+        const direction = SNAKE_DIRECTIONS[level.direction || 'right'];
+        if (!direction) {
+            fail(`direction should be one of ${Object.keys(SNAKE_DIRECTIONS).join(', ')}`);
+        }
+
+        // The first step must be playable, or the level is lost on its first tick
+        const [row, col] = starts[0];
+        const next = map[row + direction[0]] && map[row + direction[0]][col + direction[1]];
+        if (next !== '.') {
+            fail('the snake starts facing a wall or the edge');
+        }
+        if (floor <= level.target) {
+            fail('not enough floor for the target');
+        }
+
+        return {
+            id: level.id,
+            name: level.name,
+            size,
+            target: level.target,
+            walls,
+            start: starts[0],
+            direction
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnakeLevels;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SnakeLevels = SnakeLevels;
+    window.SNAKE_DIRECTIONS = SNAKE_DIRECTIONS;
+}
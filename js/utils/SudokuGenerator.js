@@ -0,0 +1,376 @@
+/**
+ * SudokuGenerator - Puzzle generator, solver and difficulty rater
+ * Works for any grid whose side splits into boxes: 4×4 (2×2 boxes),
+ * 6×6 (2×3 boxes) and 9×9 (3×3 boxes). Grids are arrays of rows with
+ * 0 for an empty cell. Every generated puzzle has exactly one solution,
+ * and is rated by the hardest solving technique it needs.
+ */
+const SUDOKU_LEVELS = [
+    null,
+    { label: 'Easy', technique: 'naked singles' },
+    { label: 'Medium', technique: 'hidden singles' },
+    { label: 'Hard', technique: 'pairs and pointing' },
+    { label: 'Expert', technique: 'trial and error' }
+];
+
+/**
+ * Hardest level a grid size reliably reaches: taking clues away from a
+ * 4×4 grid always leaves one that naked singles solve, and 6×6 grids
+ * rarely need more than hidden singles. Other sizes reach every level.
+ */
+const SUDOKU_MAX_LEVELS = { 4: 1, 6: 2 };
+
+class SudokuGenerator {
+    /**
+     * @param {number} size - Grid side: 4, 6 or 9
+     */
+    constructor(size = 9) {
+        this.size = size;
+
+        // Boxes are as square as the size allows, wider than tall
+        this.boxRows = Math.floor(Math.sqrt(size));
+        while (size % this.boxRows !== 0) this.boxRows--;
+        this.boxCols = size / this.boxRows;
+
+        this.maxLevel = SUDOKU_MAX_LEVELS[size] || SUDOKU_LEVELS.length - 1;
+        this.cellCount = size * size;
+        this.allCandidates = (1 << size) - 1;
+        this.units = this.buildUnits();
+
+        // Units and peers of each cell
+        this.cellUnits = Array.from({ length: this.cellCount }, () => []);
+        this.units.forEach(unit => unit.forEach(index => this.cellUnits[index].push(unit)));
+        this.peers = this.cellUnits.map((units, index) => {
+            const peers = new Set();
+            units.forEach(unit => unit.forEach(peer => peers.add(peer)));
+            peers.delete(index);
+            return [...peers];
+        });
+    }
+
+    buildUnits() {
+        const { size, boxRows, boxCols } = this;
+        const units = [];
+        for (let r = 0; r < size; r++) {
+            units.push(Array.from({ length: size }, (_, c) => r * size + c));
+        }
+        for (let c = 0; c < size; c++) {
+            units.push(Array.from({ length: size }, (_, r) => r * size + c));
+        }
+        for (let top = 0; top < size; top += boxRows) {
+            for (let left = 0; left < size; left += boxCols) {
+                const box = [];
+                for (let r = top; r < top + boxRows; r++) {
+                    for (let c = left; c < left + boxCols; c++) {
+                        box.push(r * size + c);
+                    }
+                }
+                units.push(box);
+            }
+        }
+        return units;
+    }
+
+    /**
+     * Whether a value can go in a cell without repeating in its row,
+     * column or box
+     * @param {number[][]} grid - Grid to check
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} value - Digit from 1 to size
+     * @returns {boolean} True if no peer holds the value
+     */
+    isValidPlacement(grid, row, col, value) {
+        const index = row * this.size + col;
+        return this.peers[index].every(peer =>
+            grid[Math.floor(peer / this.size)][peer % this.size] !== value
+        );
+    }
+
+    /**
+     * Random puzzle with a unique solution
+     * @param {Object} options
+     * @param {number} options.minLevel - Easiest level wanted (1-4), see
+     *     SUDOKU_LEVELS; held to the grid's maxLevel
+     * @param {number} options.maxLevel - Hardest level allowed (1-4)
+     * @param {number} options.attempts - Puzzles to try for one rated minLevel or above
+     * @returns {Object} { initial, solution, level }; the level is the one
+     *     reached, which is only below minLevel if every attempt fell short
+     */
+    generate({ minLevel = 1, maxLevel = 4, attempts = 50 } = {}) {
+        const wanted = Math.min(minLevel, this.maxLevel);
+        let best = null;
+        for (let i = 0; i < attempts; i++) {
+            const puzzle = this.generateOnce(maxLevel);
+            if (!best || puzzle.level > best.level) best = puzzle;
+            if (best.level >= wanted) break;
+        }
+        return best;
+    }
+
+    generateOnce(maxLevel) {
+        const solution = this.fillGrid(new Array(this.cellCount).fill(0));
+        const puzzle = [...solution];
+
+        // Take clues away one at a time, keeping each removal only if the
+        // puzzle stays unique and within the requested difficulty
+        this.shuffle([...puzzle.keys()]).forEach(index => {
+            const value = puzzle[index];
+            puzzle[index] = 0;
+            if (this.countFlat(puzzle, 2) !== 1 || this.rateFlat(puzzle) > maxLevel) {
+                puzzle[index] = value;
+            }
+        });
+
+        return {
+            initial: this.toRows(puzzle),
+            solution: this.toRows(solution),
+            level: this.rateFlat(puzzle)
+        };
+    }
+
+    /**
+     * @param {number[][]} grid - Puzzle
+     * @returns {number[][]|null} The first solution found, or null if there is none
+     */
+    solve(grid) {
+        const flat = this.toFlat(grid);
+        if (!this.isConsistent(flat)) return null;
+        const solved = this.search(flat, () => true);
+        return solved ? this.toRows(flat) : null;
+    }
+
+    /**
+     * @param {number[][]} grid - Puzzle
+     * @param {number} limit - Stop counting at this many
+     * @returns {number} Number of solutions, capped at limit
+     */
+    countSolutions(grid, limit = 2) {
+        return this.countFlat(this.toFlat(grid), limit);
+    }
+
+    /**
+     * Hardest technique a human needs to solve the puzzle
+     * @param {number[][]} grid - Puzzle
+     * @returns {Object} { level, label, technique }
+     */
+    rate(grid) {
+        const level = this.rateFlat(this.toFlat(grid));
+        return { level, ...SUDOKU_LEVELS[level] };
+    }
+
+    // Flat-array internals: index = row * size + col
+
+    toFlat(grid) {
+        return grid.flat();
+    }
+
+    toRows(flat) {
+        return Array.from({ length: this.size }, (_, r) => flat.slice(r * this.size, (r + 1) * this.size));
+    }
+
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    isConsistent(flat) {
+        return flat.every((value, index) =>
+            value === 0 || this.peers[index].every(peer => flat[peer] !== value)
+        );
+    }
+
+    candidatesOf(flat, index) {
+        let mask = this.allCandidates;
+        this.peers[index].forEach(peer => {
+            if (flat[peer]) mask &= ~(1 << (flat[peer] - 1));
+        });
+        return mask;
+    }
+
+    digitsOf(mask) {
+        const digits = [];
+        for (let d = 1; d <= this.size; d++) {
+            if (mask & (1 << (d - 1))) digits.push(d);
+        }
+        return digits;
+    }
+
+    /**
+     * Backtracking search, always branching on the cell with fewest candidates
+     * @param {number[]} flat - Grid, filled in place
+     * @param {Function} onSolution - Return true to stop at this solution
+     * @param {boolean} randomOrder - Try digits in random order
+     * @returns {boolean} True if stopped at a solution
+     */
+    search(flat, onSolution, randomOrder = false) {
+        let best = -1;
+        let bestMask = 0;
+        let bestCount = Infinity;
+
+        for (let index = 0; index < this.cellCount; index++) {
+            if (flat[index]) continue;
+            const mask = this.candidatesOf(flat, index);
+            const count = this.digitsOf(mask).length;
+            if (count === 0) return false;
+            if (count < bestCount) {
+                best = index;
+                bestMask = mask;
+                bestCount = count;
+                if (count === 1) break;
+            }
+        }
+        if (best === -1) return onSolution();
+
+        const digits = this.digitsOf(bestMask);
+        for (const digit of randomOrder ? this.shuffle(digits) : digits) {
+            flat[best] = digit;
+            if (this.search(flat, onSolution, randomOrder)) return true;
+        }
+        flat[best] = 0;
+        return false;
+    }
+
+    fillGrid(flat) {
+        this.search(flat, () => true, true);
+        return flat;
+    }
+
+    countFlat(flat, limit) {
+        let count = 0;
+        this.search([...flat], () => ++count >= limit);
+        return count;
+    }
+
+    /**
+     * Solve by logic alone, using the easiest technique that makes progress
+     * @param {number[]} puzzle - Flat puzzle
+     * @returns {number} Level of the hardest technique used, 4 if logic runs out
+     */
+    rateFlat(puzzle) {
+        const flat = [...puzzle];
+        const candidates = flat.map((value, index) => value ? 0 : this.candidatesOf(flat, index));
+        let level = 1;
+
+        const place = (index, digit) => {
+            flat[index] = digit;
+            candidates[index] = 0;
+            this.peers[index].forEach(peer => {
+                candidates[peer] &= ~(1 << (digit - 1));
+            });
+        };
+
+        while (flat.includes(0)) {
+            if (this.applyNakedSingle(flat, candidates, place)) continue;
+            if (this.applyHiddenSingle(flat, candidates, place)) {
+                level = Math.max(level, 2);
+                continue;
+            }
+            if (this.applyNakedPairs(candidates) || this.applyLockedCandidates(candidates)) {
+                level = Math.max(level, 3);
+                continue;
+            }
+            return 4;
+        }
+        return level;
+    }
+
+    applyNakedSingle(flat, candidates, place) {
+        for (let index = 0; index < this.cellCount; index++) {
+            if (flat[index]) continue;
+            const digits = this.digitsOf(candidates[index]);
+            if (digits.length === 1) {
+                place(index, digits[0]);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    applyHiddenSingle(flat, candidates, place) {
+        for (const unit of this.units) {
+            for (let digit = 1; digit <= this.size; digit++) {
+                const bit = 1 << (digit - 1);
+                const spots = unit.filter(index => !flat[index] && candidates[index] & bit);
+                if (spots.length === 1) {
+                    place(spots[0], digit);
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Two cells in a unit with the same two candidates claim both digits
+     */
+    applyNakedPairs(candidates) {
+        let changed = false;
+        this.units.forEach(unit => {
+            const pairs = unit.filter(index => this.digitsOf(candidates[index]).length === 2);
+            pairs.forEach((a, i) => {
+                pairs.slice(i + 1).forEach(b => {
+                    if (candidates[a] !== candidates[b]) return;
+                    unit.forEach(index => {
+                        if (index !== a && index !== b && candidates[index] & candidates[a]) {
+                            candidates[index] &= ~candidates[a];
+                            changed = true;
+                        }
+                    });
+                });
+            });
+        });
+        return changed;
+    }
+
+    /**
+     * A digit confined to one line within a box (or one box within a line)
+     * can be removed from the rest of that line (or box)
+     */
+    applyLockedCandidates(candidates) {
+        const boxes = this.units.slice(this.size * 2);
+        const lines = this.units.slice(0, this.size * 2);
+        let changed = false;
+
+        const eliminate = (from, keep, bit) => {
+            from.forEach(index => {
+                if (!keep.includes(index) && candidates[index] & bit) {
+                    candidates[index] &= ~bit;
+                    changed = true;
+                }
+            });
+        };
+
+        for (let digit = 1; digit <= this.size; digit++) {
+            const bit = 1 << (digit - 1);
+            boxes.forEach(box => {
+                lines.forEach(line => {
+                    const inBox = box.filter(index => candidates[index] & bit);
+                    const inLine = line.filter(index => candidates[index] & bit);
+                    if (inBox.length === 0 || inLine.length === 0) return;
+
+                    const shared = inBox.filter(index => line.includes(index));
+                    if (shared.length === 0) return;
+                    if (shared.length === inBox.length) eliminate(line, box, bit);
+                    else if (shared.length === inLine.length) eliminate(box, line, bit);
+                });
+            });
+        }
+        return changed;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SudokuGenerator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SudokuGenerator = SudokuGenerator;
+    window.SUDOKU_LEVELS = SUDOKU_LEVELS;
+    window.SUDOKU_MAX_LEVELS = SUDOKU_MAX_LEVELS;
+}
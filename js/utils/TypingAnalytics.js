@@ -0,0 +1,202 @@
+/**
+ * TypingAnalytics - Per-key and per-bigram errors and timing for a typing test
+ * Each keystroke is recorded against the character the text expected there,
+ * with the time since the previous keystroke as its latency. A test's key
+ * totals can be added to the player's running totals, which pick out the
+ * keys a weak-key practice text should drill.
+ */
+
+// US QWERTY rows for the heatmap; shifted characters count on their base key
+const TYPING_KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./'];
+const TYPING_SHIFTED_KEYS = {
+    '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7', '*': '8',
+    '(': '9', ')': '0', '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\', ':': ';', '"': "'",
+    '<': ',', '>': '.', '?': '/'
+};
+
+// Gaps longer than this are thinking time, not typing, and aren't timed
+const TYPING_MAX_LATENCY = 2000;
+
+class TypingAnalytics {
+    constructor() {
+        this.keys = {};
+        this.bigrams = {};
+        this.wpmSamples = [];
+        this.lastTime = null;
+    }
+
+    /**
+     * Record one keystroke
+     * @param {string} expected - Character the text expected
+     * @param {string} typed - Character typed
+     * @param {string} [previous] - Expected character before it, for the bigram
+     * @param {Object} [options]
+     * @param {number} [options.time] - When it was typed (ms), now by default
+     * @param {boolean} [options.timed] - False for characters filled in for the
+     *     player, such as pasted text or Tab indentation
+     */
+    record(expected, typed, previous = '', { time = Date.now(), timed = true } = {}) {
+        const latency = timed && this.lastTime !== null && time - this.lastTime <= TYPING_MAX_LATENCY
+            ? time - this.lastTime
+            : null;
+        this.lastTime = time;
+
+        const error = expected !== typed;
+        TypingAnalytics.add(this.keys, expected, error, latency);
+        if (previous) {
+            TypingAnalytics.add(this.bigrams, previous + expected, error, latency);
+        }
+    }
+
+    /**
+     * Restart timing from now, e.g. after a correction
+     * @param {number} [time] - Now, in ms
+     */
+    touch(time = Date.now()) {
+        this.lastTime = time;
+    }
+
+    /**
+     * Stop timing until the next keystroke, e.g. while paused
+     */
+    breakTiming() {
+        this.lastTime = null;
+    }
+
+    sampleWpm(second, wpm) {
+        this.wpmSamples.push({ second, wpm });
+    }
+
+    static add(table, key, error, latency) {
+        const entry = table[key] || (table[key] = { count: 0, errors: 0, latency: 0, timed: 0 });
+        entry.count++;
+        if (error) entry.errors++;
+        if (latency !== null) {
+            entry.latency += latency;
+            entry.timed++;
+        }
+    }
+
+    /**
+     * @param {Object} entry - { count, errors, latency, timed } totals
+     * @returns {{count: number, errors: number, errorRate: number, avgLatency: number|null}}
+     */
+    static describe(entry) {
+        return {
+            count: entry.count,
+            errors: entry.errors,
+            errorRate: entry.count ? entry.errors / entry.count : 0,
+            avgLatency: entry.timed ? Math.round(entry.latency / entry.timed) : null
+        };
+    }
+
+    /**
+     * Keys or bigrams, weakest first. Weakness is the average latency
+     * scaled up by the error rate, so slow keys and missed keys both rank.
+     * @param {Object} table - Totals keyed by character or bigram
+     * @param {Object} [options]
+     * @param {number} [options.min] - Ignore keys typed fewer times than this
+     * @param {number} [options.limit] - Most entries to return
+     * @returns {Object[]} Entries as { key, count, errors, errorRate, avgLatency, weakness }
+     */
+    static rank(table, { min = 3, limit = 5 } = {}) {
+        const entries = Object.keys(table)
+            .filter(key => !/\s/.test(key) && table[key].count >= min)
+            .map(key => ({ key, ...TypingAnalytics.describe(table[key]) }));
+
+        const timed = entries.filter(entry => entry.avgLatency !== null);
+        const typical = timed.length
+            ? timed.reduce((sum, entry) => sum + entry.avgLatency, 0) / timed.length
+            : 1;
+
+        return entries
+            .map(entry => ({
+                ...entry,
+                weakness: Math.round((entry.avgLatency === null ? typical : entry.avgLatency) * (1 + 4 * entry.errorRate))
+            }))
+            .sort((a, b) => b.weakness - a.weakness)
+            .slice(0, limit);
+    }
+
+    /**
+     * Add one test's key totals to the running totals
+     * @param {Object} totals - Running totals, not changed
+     * @param {Object} keys - Totals from one test
+     * @returns {Object} New running totals
+     */
+    static mergeTotals(totals, keys) {
+        const merged = {};
+        [totals || {}, keys].forEach(table => {
+            Object.keys(table).forEach(key => {
+                const entry = merged[key] || (merged[key] = { count: 0, errors: 0, latency: 0, timed: 0 });
+                entry.count += table[key].count;
+                entry.errors += table[key].errors;
+                entry.latency += table[key].latency;
+                entry.timed += table[key].timed;
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * @param {string} char - Character typed
+     * @returns {string} Key on the heatmap it's typed with
+     */
+    static keyFor(char) {
+        return TYPING_SHIFTED_KEYS[char] || char.toLowerCase();
+    }
+
+    /**
+     * Build practice text that leans on the weakest keys: words holding
+     * them are picked more often, and weak symbols are tacked onto words
+     * @param {Object} totals - Running key totals
+     * @param {string[]} words - Words to draw from
+     * @param {number} count - Words wanted
+     * @param {Function} [random] - Random source, Math.random by default
+     * @returns {{text: string, keys: string[]}|null} Text and the keys it drills,
+     *     or null until enough has been typed to tell
+     */
+    static practiceText(totals, words, count, random = Math.random) {
+        const ranked = TypingAnalytics.rank(totals || {}, { min: 3, limit: Infinity });
+        if (ranked.length === 0 || words.length === 0) return null;
+
+        // Drill up to six keys no stronger than the player's average key;
+        // the weakest counts most
+        const average = ranked.reduce((sum, entry) => sum + entry.weakness, 0) / ranked.length;
+        const weak = ranked.filter(entry => entry.weakness >= average).slice(0, 6);
+        const weights = {};
+        weak.forEach((entry, i) => {
+            weights[entry.key.toLowerCase()] = weak.length - i;
+        });
+
+        const candidates = words.map(word => ({
+            token: word,
+            weight: 1 + [...word.toLowerCase()].reduce((sum, char) => sum + (weights[char] || 0), 0) * 3
+        }));
+        weak.filter(entry => !/[a-z]/i.test(entry.key)).forEach(entry => {
+            words.slice(0, 20).forEach(word => {
+                candidates.push({ token: word + entry.key, weight: weights[entry.key] });
+            });
+        });
+
+        const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+        const pick = () => {
+            let roll = random() * total;
+            const found = candidates.find(c => (roll -= c.weight) < 0);
+            return (found || candidates[candidates.length - 1]).token;
+        };
+
+        return { text: Array.from({ length: count }, pick).join(' '), keys: weak.map(entry => entry.key) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TypingAnalytics;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TypingAnalytics = TypingAnalytics;
+    window.TYPING_KEYBOARD_ROWS = TYPING_KEYBOARD_ROWS;
+}
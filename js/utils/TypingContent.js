@@ -0,0 +1,198 @@
+/**
+ * TypingContent - Text sources for the Typing Speed Test
+ * Sources come in packs, so new word lists, quotes or code need no code.
+ * The bundled packs live in data/typing-packs.json:
+ *
+ *   {
+ *     "packs": [{
+ *       "id": "words-easy",         unique id
+ *       "name": "🔤 Common words",  shown to the player
+ *       "type": "words",            words, quotes or code
+ *       "level": 1,                 word lists only: 1 (easy) to 3 (hard)
+ *       "items": [...]              words: single words; quotes: { text, author };
+ *     }]                            code: snippets, indented with spaces
+ *   }
+ *
+ * Word lists are drawn from at random; quotes and code are dealt whole.
+ */
+const TYPING_PACK_TYPES = ['words', 'quotes', 'code'];
+
+class TypingContent {
+    /**
+     * @param {Object[]} packs - Parsed packs to start with
+     */
+    constructor(packs = []) {
+        this.packs = new Map();
+        packs.forEach(pack => this.addPack(pack));
+    }
+
+    /**
+     * @param {Object} data - Parsed pack file
+     * @returns {Object[]} Packs as { id, name, type, level, items }
+     * @throws {Error} If the data or any pack is malformed
+     */
+    static parse(data) {
+        if (!data || !Array.isArray(data.packs) || data.packs.length === 0) {
+            throw new Error('Invalid pack data: expected a non-empty packs array');
+        }
+
+        const ids = new Set();
+        return data.packs.map((pack, index) => {
+            const parsed = TypingContent.parsePack(pack, index);
+            if (ids.has(parsed.id)) {
+                throw new Error(`Pack ${index + 1} (${parsed.id}): duplicate id`);
+            }
+            ids.add(parsed.id);
+            return parsed;
+        });
+    }
+
+    static parsePack(pack, index) {
+        const label = `Pack ${index + 1} (${pack && pack.id || 'unknown'})`;
+        const fail = message => {
+            throw new Error(`${label}: ${message}`);
+        };
+
+        if (!pack || typeof pack.id !== 'string' || typeof pack.name !== 'string') {
+            fail('id and name are required');
+        }
+        if (!TYPING_PACK_TYPES.includes(pack.type)) {
+            fail(`type should be one of ${TYPING_PACK_TYPES.join(', ')}`);
+        }
+        if (!Array.isArray(pack.items) || pack.items.length === 0) {
+            fail('items should be a non-empty array');
+        }
+
+        const level = pack.type === 'words' ? pack.level : null;
+        if (pack.type === 'words' && ![1, 2, 3].includes(level)) {
+            fail('word lists need a level of 1, 2 or 3');
+        }
+
+        const items = pack.items.map((item, i) => {
+            const where = `item ${i + 1}`;
+            if (pack.type === 'quotes') {
+                if (!item || typeof item.text !== 'string' || !item.text.trim()) {
+                    fail(`${where} should have some text`);
+                }
+                if (item.author !== undefined && typeof item.author !== 'string') {
+                    fail(`${where} has an author that isn't text`);
+                }
+                return { text: item.text.trim().replace(/\s+/g, ' '), author: item.author || '' };
+            }
+
+            if (typeof item !== 'string' || !item.trim()) {
+                fail(`${where} should be non-empty text`);
+            }
+            if (pack.type === 'words' && /\s/.test(item)) {
+                fail(`${where} ('${item}') should be a single word`);
+            }
+            if (pack.type === 'code') {
+                if (item.includes('\t')) fail(`${where} should be indented with spaces, not tabs`);
+                if (/ +$/m.test(item)) fail(`${where} has spaces at the end of a line`);
+            }
+            return item;
+        });
+
+        return { id: pack.id, name: pack.name, type: pack.type, level, items };
+    }
+
+    /**
+     * Add a parsed pack, replacing any pack with the same id
+     * @param {Object} pack - Pack from parse()
+     */
+    addPack(pack) {
+        this.packs.set(pack.id, pack);
+    }
+
+    getPack(id) {
+        return this.packs.get(id) || null;
+    }
+
+    /**
+     * @param {string} [type] - Only packs of this type
+     * @returns {Object[]} Packs in the order they were added
+     */
+    getPacks(type) {
+        const packs = [...this.packs.values()];
+        return type ? packs.filter(pack => pack.type === type) : packs;
+    }
+
+    /**
+     * Word lists at a level, or the nearest easier level that has any
+     * @param {number} level - 1 (easy) to 3 (hard)
+     * @returns {Object[]} Word packs
+     */
+    getWordPacks(level) {
+        const lists = this.getPacks('words');
+        for (let l = level; l >= 1; l--) {
+            const atLevel = lists.filter(pack => pack.level === l);
+            if (atLevel.length > 0) return atLevel;
+        }
+        return lists;
+    }
+
+    /**
+     * Build a text to type from some packs
+     * @param {Object[]} packs - Packs of one type to draw from
+     * @param {Object} options
+     * @param {number} options.words - Words wanted
+     * @param {boolean} [options.exact] - Cut quotes to exactly that many words
+     * @param {Function} [options.random] - Random source, Math.random by default
+     * @returns {{text: string, authors: string[]}} Text, and who said any quotes in it
+     */
+    generate(packs, { words, exact = false, random = Math.random }) {
+        const type = packs.length > 0 ? packs[0].type : null;
+        const items = packs.reduce((all, pack) => all.concat(pack.items), []);
+        if (items.length === 0) {
+            throw new Error('No text to draw from');
+        }
+        const pick = () => items[Math.floor(random() * items.length)];
+
+        if (type === 'words') {
+            return { text: Array.from({ length: words }, pick).join(' '), authors: [] };
+        }
+
+        // Quotes and snippets are dealt whole, without repeats until all are used
+        const deck = [];
+        const dealt = [];
+        let count = 0;
+        while (count < words) {
+            if (deck.length === 0) {
+                deck.push(...items);
+            }
+            const item = deck.splice(Math.floor(random() * deck.length), 1)[0];
+            dealt.push(item);
+            count += TypingContent.countWords(type === 'quotes' ? item.text : item);
+        }
+
+        if (type === 'code') {
+            return { text: dealt.join('\n\n'), authors: [] };
+        }
+
+        let text = dealt.map(quote => quote.text).join(' ');
+        if (exact) {
+            text = text.split(' ').slice(0, words).join(' ');
+        }
+        return { text, authors: dealt.map(quote => quote.author).filter(Boolean) };
+    }
+
+    /**
+     * @param {string} text - Any text
+     * @returns {number} Runs of non-space characters in it
+     */
+    static countWords(text) {
+        const trimmed = text.trim();
+        return trimmed === '' ? 0 : trimmed.split(/\s+/).length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TypingContent;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TypingContent = TypingContent;
+    window.TYPING_PACK_TYPES = TYPING_PACK_TYPES;
+}
@@ -1,6 +1,6 @@
 /**
  * Simple validation script for game data
- * Can be run with Node.js to validate the games.json structure
+ * Can be run with Node.js to validate the games.json, minigames.json, snake-levels.json and typing-packs.json structure
  */
 
 const fs = require('fs');
@@ -90,6 +90,152 @@ function validateGameData() {
     }
 }
 
+// Validate the mini-game manifest against the scripts it points to
+function validateMiniGameManifest() {
+    try {
+        const dataPath = path.join(__dirname, '..', 'data', 'minigames.json');
+        const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+        console.log('\n🔍 Validating mini-game manifest...');
+
+        if (!data || !Array.isArray(data.games)) {
+            throw new Error('Invalid manifest format: expected games array');
+        }
+
+        console.log(`✓ Found ${data.games.length} mini-games in manifest`);
+
+        const requiredFields = ['id', 'title', 'description', 'icon', 'color', 'className', 'script', 'categories', 'controls', 'modes'];
+        const arrayFields = ['categories', 'controls', 'modes'];
+        const ids = new Set();
+        const errors = [];
+
+        data.games.forEach((game, index) => {
+            const label = `Mini-game ${index + 1} (${game.id || 'Unknown'})`;
+
+            requiredFields.forEach(field => {
+                if (!game.hasOwnProperty(field)) {
+                    errors.push(`${label}: Missing required field '${field}'`);
+                }
+            });
+
+            arrayFields.forEach(field => {
+                if (game[field] && (!Array.isArray(game[field]) || game[field].length === 0)) {
+                    errors.push(`${label}: ${field} should be a non-empty array`);
+                }
+            });
+
+            if (ids.has(game.id)) {
+                errors.push(`${label}: Duplicate id`);
+            }
+            ids.add(game.id);
+
+            if (game.color && !/^#[0-9a-fA-F]{6}$/.test(game.color)) {
+                errors.push(`${label}: Invalid color value`);
+            }
+
+            // Helper scripts load through the catalog just before the game
+            if (game.dependencies !== undefined) {
+                if (!Array.isArray(game.dependencies)) {
+                    errors.push(`${label}: dependencies should be an array of script paths`);
+                } else {
+                    game.dependencies.forEach(dependency => {
+                        if (typeof dependency !== 'string' || !dependency.endsWith('.js')) {
+                            errors.push(`${label}: Invalid dependency ${dependency}`);
+                        } else if (!fs.existsSync(path.join(__dirname, '..', dependency))) {
+                            errors.push(`${label}: Dependency ${dependency} not found`);
+                        }
+                    });
+                }
+            }
+
+            if (!game.script) return;
+
+            const scriptPath = path.join(__dirname, '..', game.script);
+            if (!fs.existsSync(scriptPath)) {
+                errors.push(`${label}: Script ${game.script} not found`);
+                return;
+            }
+
+            // The script must define the class and register it under the manifest id
+            const source = fs.readFileSync(scriptPath, 'utf8');
+            if (game.className && !source.includes(`class ${game.className} `)) {
+                errors.push(`${label}: ${game.script} does not define class ${game.className}`);
+            }
+            if (!source.includes(`register('${game.id}', ${game.className})`)) {
+                errors.push(`${label}: ${game.script} does not register '${game.id}'`);
+            }
+
+            // Imports merge bests using the manifest's order, so it must match the game
+            const lowerIsBetter = source.includes("scoreOrder = 'lower'");
+            if (game.scoreOrder !== undefined && !['higher', 'lower'].includes(game.scoreOrder)) {
+                errors.push(`${label}: scoreOrder should be 'higher' or 'lower'`);
+            } else if (lowerIsBetter !== (game.scoreOrder === 'lower')) {
+                errors.push(`${label}: scoreOrder does not match ${game.script}`);
+            }
+        });
+
+        if (errors.length > 0) {
+            console.log('\n❌ Manifest validation errors found:');
+            errors.forEach(error => console.log(`  - ${error}`));
+            return false;
+        }
+
+        console.log('✅ Mini-game manifest validation passed!');
+        return true;
+
+    } catch (error) {
+        console.error('❌ Manifest validation failed:', error.message);
+        return false;
+    }
+}
+
+// Validate the Snake maze levels with the parser the game uses
+function validateSnakeLevels() {
+    try {
+        const SnakeLevels = require('../js/utils/SnakeLevels.js');
+        const dataPath = path.join(__dirname, '..', 'data', 'snake-levels.json');
+        const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+        console.log('\n🔍 Validating Snake levels...');
+
+        const levels = SnakeLevels.parse(data);
+        levels.forEach(level => {
+            console.log(`✓ ${level.name}: ${level.size}×${level.size}, ${level.walls.length} walls, ${level.target} food`);
+        });
+
+        console.log('✅ Snake level validation passed!');
+        return true;
+
+    } catch (error) {
+        console.error('❌ Snake level validation failed:', error.message);
+        return false;
+    }
+}
+
+function validateTypingPacks() {
+    try {
+        const TypingContent = require('../js/utils/TypingContent.js');
+        const dataPath = path.join(__dirname, '..', 'data', 'typing-packs.json');
+        const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+        console.log('\n🔍 Validating typing packs...');
+
+        const packs = TypingContent.parse(data);
+        packs.forEach(pack => {
+            const level = pack.level ? `, level ${pack.level}` : '';
+            const noun = pack.type === 'code' ? 'snippets' : pack.type;
+            console.log(`✓ ${pack.name}: ${pack.items.length} ${noun}${level}`);
+        });
+
+        console.log('✅ Typing pack validation passed!');
+        return true;
+
+    } catch (error) {
+        console.error('❌ Typing pack validation failed:', error.message);
+        return false;
+    }
+}
+
 // Test basic Game class functionality (simplified for Node.js)
 function testGameClass() {
     console.log('\n🧪 Testing Game class...');
@@ -162,9 +308,12 @@ function testGameClass() {
 console.log('🚀 Starting game data validation...\n');
 
 const dataValid = validateGameData();
+const manifestValid = validateMiniGameManifest();
+const levelsValid = validateSnakeLevels();
+const packsValid = validateTypingPacks();
 const classValid = testGameClass();
 
-if (dataValid && classValid) {
+if (dataValid && manifestValid && levelsValid && packsValid && classValid) {
     console.log('\n🎉 All validations passed! Game data structure is ready.');
     process.exit(0);
 } else {